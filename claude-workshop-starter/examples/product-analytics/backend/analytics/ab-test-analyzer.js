@@ -2,12 +2,38 @@
 // Provides comprehensive statistical analysis for A/B testing experiments
 // Includes chi-square tests, confidence intervals, and automated recommendations
 
+const { PROPERTY_NAME_PATTERN } = require('../utils/property-filters');
+
+// Per-experiment primary metrics. conversion is the default goal_event analysis;
+// the others are continuous per-user values analysed with Welch's t-test
+const METRIC_TYPES = ['conversion', 'revenue', 'count', 'time_to_convert'];
+
+// How an experiment's conversion results are judged: chi-square significance
+// or Beta-Binomial posteriors (probability to beat control, expected loss)
+const ANALYSIS_MODES = ['frequentist', 'bayesian'];
+
+// Multiple-comparison corrections for experiments with more than one test:
+// holm controls the family-wise error rate (Holm-Bonferroni), bh the false
+// discovery rate (Benjamini-Hochberg)
+const CORRECTIONS = ['holm', 'bh', 'none'];
+
 class ABTestAnalyzer {
   constructor(db) {
     this.db = db;
     this.CONFIDENCE_LEVEL = 0.95; // 95% confidence level
     this.MIN_SAMPLE_SIZE = 100; // Minimum sample size per variant
     this.MIN_CONVERSIONS = 10; // Minimum conversions for statistical significance
+    this.MIN_RUNTIME_DAYS = 7; // Minimum days running before a winner can ship (covers weekly cycles)
+    this.SRM_ALPHA = 0.001; // Sample ratio mismatch p-value threshold
+    this.GUARDRAIL_ALPHA = 0.05; // One-sided significance level for a guardrail regression
+    this.SEQUENTIAL_TAU = 0.05; // mSPRT mixing prior sd: the size of conversion rate difference (absolute) we expect to detect
+    this.BOOTSTRAP_ITERATIONS = 2000; // Resamples for bootstrap confidence intervals on continuous metrics
+    this.CUPED_PRE_PERIOD_DAYS = 14; // Default pre-experiment window used as the CUPED covariate
+    this.BAYESIAN_PRIOR = { alpha: 1, beta: 1 }; // Uniform Beta prior on each variant's conversion rate
+    this.BAYESIAN_SAMPLES = 20000; // Posterior draws per variant
+    this.BAYESIAN_SHIP_PROBABILITY = 0.95; // Probability to be best needed to ship a winner
+    this.BAYESIAN_LOSS_THRESHOLD = 0.1; // Expected loss (conversion rate points) we accept when shipping
+    this.CORRECTION = 'holm'; // Default multiple-comparison correction for variant comparisons
   }
 
   /**
@@ -86,7 +112,7 @@ class ABTestAnalyzer {
          WHERE ea.experiment_id = ?
          AND ea.variant = ?
          AND e.event_name = ?
-         AND e.timestamp >= ea.assigned_at`,
+         AND julianday(e.timestamp) >= julianday(ea.assigned_at)`,
         [experimentId, variant, goalEvent]
       );
       const conversions = conversionResult.count;
@@ -247,7 +273,7 @@ class ABTestAnalyzer {
     if (chiSquare === 0) return 1;
 
     // Approximation using Wilson-Hilferty transformation
-    const z = Math.pow(chiSquare / df, 1/3) - (1 - 2/(9 * df)) / Math.sqrt(2/(9 * df));
+    const z = (Math.pow(chiSquare / df, 1/3) - (1 - 2/(9 * df))) / Math.sqrt(2/(9 * df));
 
     // Convert to p-value using standard normal distribution
     const pValue = 1 - this.normalCDF(z);
@@ -295,11 +321,19 @@ class ABTestAnalyzer {
 
   /**
    * Compare variants head-to-head
+   *
+   * Besides the comparison with the best variant, every variant is tested
+   * against control and every pair of variants against each other with a
+   * two-proportion z-test. P-values are adjusted for the number of tests in
+   * each family, so a 5-arm test is not five times as likely to find a false
+   * winner. winner says whether the best variant still wins after correction.
    * @param {string} experimentId - The experiment ID
+   * @param {Object} options - { correction } one of CORRECTIONS (default holm)
    * @returns {Object} Variant comparison results
    */
-  async getVariantComparison(experimentId) {
+  async getVariantComparison(experimentId, options = {}) {
     try {
+      const correction = this.normalizeCorrection(options.correction);
       const results = await this.getExperimentResults(experimentId);
 
       if (results.variants.length < 2) {
@@ -340,6 +374,60 @@ class ABTestAnalyzer {
         });
       }
 
+      const alpha = 1 - this.CONFIDENCE_LEVEL;
+      const names = results.variants.map(v => v.variant);
+      const control = names.includes('control') ? 'control' : names[0];
+      const byName = Object.fromEntries(results.variants.map(v => [v.variant, v]));
+      const describeTest = (baseline, test, adjustedPValue) => ({
+        difference: this.roundTo(test.difference * 100, 2),
+        relative_lift: byName[baseline].conversions > 0
+          ? this.roundTo((test.difference / (byName[baseline].conversions / byName[baseline].total_users)) * 100, 2)
+          : null,
+        z_score: this.roundTo(test.z, 4),
+        p_value: this.roundTo(test.p_value, 6),
+        adjusted_p_value: this.roundTo(adjustedPValue, 6),
+        significant: adjustedPValue < alpha
+      });
+
+      // Each variant against control, corrected over those m - 1 tests
+      const controlTests = names.filter(name => name !== control)
+        .map(name => ({ variant: name, test: this.twoProportionTest(byName[control], byName[name]) }));
+      const controlAdjusted = this.adjustPValues(controlTests.map(({ test }) => test.p_value), correction);
+      const vsControl = controlTests.map(({ variant, test }, i) => ({
+        variant,
+        control,
+        ...describeTest(control, test, controlAdjusted[i])
+      }));
+
+      // Every pair of variants, corrected over the m(m - 1) / 2 tests. Row
+      // entries read as "row variant minus column variant".
+      const pairs = [];
+      for (let i = 0; i < names.length; i++) {
+        for (let j = i + 1; j < names.length; j++) {
+          pairs.push({ row: names[i], column: names[j], test: this.twoProportionTest(byName[names[j]], byName[names[i]]) });
+        }
+      }
+      const pairAdjusted = this.adjustPValues(pairs.map(({ test }) => test.p_value), correction);
+      const matrix = names.map(row => names.map(column => {
+        if (row === column) return null;
+        const index = pairs.findIndex(pair =>
+          (pair.row === row && pair.column === column) || (pair.row === column && pair.column === row)
+        );
+        const { test } = pairs[index];
+        const sign = pairs[index].row === row ? 1 : -1;
+        return describeTest(column, { ...test, difference: sign * test.difference, z: sign * test.z }, pairAdjusted[index]);
+      }));
+
+      // The best variant wins when it beats control after correction (or, when
+      // control is best, when every variant is significantly worse)
+      const best = bestVariant.variant;
+      const bestVsControl = vsControl.find(c => c.variant === best);
+      const significant = best === control
+        ? vsControl.length > 0 && vsControl.every(c => c.significant && c.difference < 0)
+        : Boolean(bestVsControl && bestVsControl.significant && bestVsControl.difference > 0);
+      const runnerUp = sortedVariants[1].variant;
+      const vsRunnerUp = matrix[names.indexOf(best)][names.indexOf(runnerUp)];
+
       return {
         experiment_id: experimentId,
         experiment_name: results.experiment_name,
@@ -351,6 +439,26 @@ class ABTestAnalyzer {
           confidence_interval: bestVariant.confidence_interval
         },
         comparisons,
+        correction: {
+          method: correction,
+          alpha: this.roundTo(alpha, 6),
+          control_family_size: vsControl.length,
+          pairwise_family_size: pairs.length
+        },
+        vs_control: vsControl,
+        pairwise: {
+          variants: names,
+          matrix
+        },
+        winner: {
+          variant: best,
+          significant,
+          adjusted_p_value: best === control
+            ? (vsControl.length > 0 ? Math.max(...vsControl.map(c => c.adjusted_p_value)) : 1)
+            : bestVsControl.adjusted_p_value,
+          runner_up: runnerUp,
+          beats_runner_up: vsRunnerUp.significant
+        },
         summary: this.generateComparisonSummary(bestVariant, comparisons)
       };
     } catch (error) {
@@ -358,6 +466,76 @@ class ABTestAnalyzer {
     }
   }
 
+  /**
+   * Two-sided two-proportion z-test with a pooled standard error
+   * @param {Object} base - { total_users, conversions }
+   * @param {Object} variant - { total_users, conversions }
+   * @returns {Object} { difference, z, p_value } with difference = variant rate - base rate
+   */
+  twoProportionTest(base, variant) {
+    const baseRate = base.total_users > 0 ? base.conversions / base.total_users : 0;
+    const variantRate = variant.total_users > 0 ? variant.conversions / variant.total_users : 0;
+    const totalUsers = base.total_users + variant.total_users;
+
+    const pooled = totalUsers > 0 ? (base.conversions + variant.conversions) / totalUsers : 0;
+    const se = base.total_users > 0 && variant.total_users > 0
+      ? Math.sqrt(pooled * (1 - pooled) * (1 / base.total_users + 1 / variant.total_users))
+      : 0;
+    const z = se > 0 ? (variantRate - baseRate) / se : 0;
+
+    return {
+      difference: variantRate - baseRate,
+      z,
+      p_value: Math.min(1, 2 * (1 - this.normalCDF(Math.abs(z))))
+    };
+  }
+
+  /**
+   * Adjust a family of p-values for multiple comparisons
+   * @param {Array} pValues - Raw p-values
+   * @param {string} method - 'holm' (Holm-Bonferroni step-down, controls the
+   *   family-wise error rate), 'bh' (Benjamini-Hochberg step-up, controls the
+   *   false discovery rate) or 'none'
+   * @returns {Array} Adjusted p-values in the input order; compare them with alpha
+   */
+  adjustPValues(pValues, method = this.CORRECTION) {
+    const m = pValues.length;
+    const order = pValues.map((p, i) => i).sort((a, b) => pValues[a] - pValues[b]);
+    const adjusted = new Array(m);
+
+    if (method === 'holm') {
+      let running = 0;
+      order.forEach((index, rank) => {
+        running = Math.max(running, Math.min(1, (m - rank) * pValues[index]));
+        adjusted[index] = running;
+      });
+    } else if (method === 'bh') {
+      let running = 1;
+      for (let rank = m - 1; rank >= 0; rank--) {
+        const index = order[rank];
+        running = Math.min(running, Math.min(1, (m / (rank + 1)) * pValues[index]));
+        adjusted[index] = running;
+      }
+    } else {
+      pValues.forEach((p, i) => { adjusted[i] = p; });
+    }
+
+    return adjusted;
+  }
+
+  /**
+   * Validate a multiple-comparison correction (null means the default)
+   * @param {string} correction - One of CORRECTIONS
+   * @returns {string} Correction method
+   */
+  normalizeCorrection(correction) {
+    if (correction === null || correction === undefined) return this.CORRECTION;
+    if (!CORRECTIONS.includes(correction)) {
+      throw new Error(`correction must be one of: ${CORRECTIONS.join(', ')}`);
+    }
+    return correction;
+  }
+
   /**
    * Get experiment metrics over time
    * @param {string} experimentId - The experiment ID
@@ -440,7 +618,7 @@ class ABTestAnalyzer {
          WHERE ea.experiment_id = ?
          AND ea.variant = ?
          AND e.event_name = ?
-         AND e.timestamp >= ea.assigned_at
+         AND julianday(e.timestamp) >= julianday(ea.assigned_at)
          GROUP BY period
          ORDER BY period`,
         [experimentId, variant, goalEvent]
@@ -499,14 +677,26 @@ class ABTestAnalyzer {
 
   /**
    * Generate automated recommendations based on experiment results
+   *
+   * A significant winner is only recommended for shipping when the ship checks
+   * pass (see runShipChecks). A sample ratio mismatch or a guardrail regression
+   * in the winning variant turns the action into 'blocked'; too few users or
+   * too few days running turns it into 'continue'.
    * @param {string} experimentId - The experiment ID
+   * @param {Object} options - { guardrails } to override the experiment's guardrail events,
+   *   { mode } to override its analysis mode ('frequentist' or 'bayesian'),
+   *   { correction } for the multiple-comparison correction (default holm)
    * @returns {Object} Recommendations
    */
-  async getRecommendation(experimentId) {
+  async getRecommendation(experimentId, options = {}) {
     try {
       const results = await this.getExperimentResults(experimentId);
       const significance = await this.calculateSignificance(experimentId);
-      const comparison = await this.getVariantComparison(experimentId);
+      const comparison = await this.getVariantComparison(experimentId, { correction: options.correction });
+      const isSignificant = comparison.winner.significant;
+      const experiment = await this.db.get('SELECT * FROM experiments WHERE id = ?', [experimentId]);
+      const mode = this.normalizeAnalysisMode(options.mode || experiment.analysis_mode);
+      const bayesian = mode === 'bayesian' ? await this.calculateBayesian(experimentId) : null;
 
       const recommendations = [];
       let action = 'continue';
@@ -525,19 +715,61 @@ class ABTestAnalyzer {
         });
         action = 'continue';
         confidence = 'low';
-      } else if (significance.is_significant) {
-        // Statistically significant result
-        const winner = significance.best_variant;
+      } else if (bayesian) {
+        const leader = bayesian.variants.find(v => v.variant === bayesian.best_variant);
+        const chance = `${this.roundTo(leader.probability_to_be_best * 100, 1)}%`;
+
+        if (bayesian.can_ship) {
+          recommendations.push({
+            type: 'success',
+            message: `Implement variant "${leader.variant}" - ${chance} probability of being the best variant.`,
+            details: `Expected loss if it is not: ${leader.expected_loss} percentage points of conversion rate.`
+          });
+          action = 'implement_winner';
+          confidence = 'high';
+        } else if (leader.expected_loss <= this.BAYESIAN_LOSS_THRESHOLD) {
+          recommendations.push({
+            type: 'info',
+            message: 'Variants perform practically the same.',
+            details: `"${leader.variant}" leads with ${chance} probability of being best, and choosing it costs at most ` +
+              `${leader.expected_loss} points in expectation. Pick the simpler variant.`
+          });
+          action = 'no_clear_winner';
+          confidence = 'medium';
+        } else {
+          recommendations.push({
+            type: 'info',
+            message: `"${leader.variant}" is leading with ${chance} probability of being best.`,
+            details: `Expected loss of ${leader.expected_loss} points is above the ${this.BAYESIAN_LOSS_THRESHOLD} point threshold. Continue experiment.`
+          });
+          action = 'continue';
+          confidence = 'medium';
+        }
+      } else if (isSignificant) {
+        // Statistically significant result, after correcting for the number
+        // of variants compared with control
+        const winner = comparison.best_variant;
         const improvement = comparison.comparisons.length > 0
           ? comparison.comparisons[0].relative_lift
           : 0;
+        const pValueText = comparison.correction.control_family_size > 1
+          ? `${comparison.correction.method}-adjusted p-value of ${comparison.winner.adjusted_p_value}`
+          : `p-value of ${comparison.winner.adjusted_p_value}`;
 
         recommendations.push({
           type: 'success',
           message: `Implement variant "${winner.name}" - statistically significant winner detected.`,
-          details: `${winner.name} shows ${Math.abs(improvement).toFixed(1)}% improvement with p-value of ${significance.p_value}.`
+          details: `${winner.name} shows ${Math.abs(improvement).toFixed(1)}% improvement with ${pValueText}.`
         });
 
+        if (comparison.comparisons.length > 1 && !comparison.winner.beats_runner_up) {
+          recommendations.push({
+            type: 'info',
+            message: `"${winner.name}" is not significantly better than "${comparison.winner.runner_up}".`,
+            details: 'Either could be the true best variant; prefer the simpler one if they cost differently.'
+          });
+        }
+
         recommendations.push({
           type: 'action',
           message: 'Roll out winning variant to all users.',
@@ -585,10 +817,54 @@ class ABTestAnalyzer {
         });
       }
 
+      // Ship checks: data quality, minimums and guardrails
+      const guardrails = this.normalizeGuardrails(options.guardrails ||
+        (experiment.guardrails ? JSON.parse(experiment.guardrails) : []));
+      const shipChecks = await this.runShipChecks(experiment, results, guardrails);
+      const winnerName = bayesian ? bayesian.best_variant : comparison.best_variant.name;
+      const winnerRegressions = shipChecks.guardrails.filter(check => check.regressed && check.variant === winnerName);
+
+      if (!shipChecks.sample_ratio.passed) {
+        recommendations.unshift({
+          type: 'warning',
+          message: 'Sample ratio mismatch: assignments do not match the configured split.',
+          details: `Chi-square p-value ${shipChecks.sample_ratio.p_value} is below ${this.SRM_ALPHA}. ` +
+            'Check bucketing and assignment logging before trusting these results.'
+        });
+      }
+
+      for (const regression of winnerRegressions) {
+        recommendations.push({
+          type: 'warning',
+          message: `Guardrail "${regression.event_name}" regressed in variant "${winnerName}".`,
+          details: `${regression.variant_rate}% vs ${regression.control_rate}% in ${regression.control} (p = ${regression.p_value}).`
+        });
+      }
+
+      let blockedBy = [];
+      if (action === 'implement_winner') {
+        blockedBy = shipChecks.failures.filter(failure =>
+          failure !== 'guardrail_regression' || winnerRegressions.length > 0
+        );
+
+        if (blockedBy.includes('sample_ratio_mismatch') || blockedBy.includes('guardrail_regression')) {
+          action = 'blocked';
+          confidence = 'low';
+        } else if (blockedBy.length > 0) {
+          recommendations.push({
+            type: 'warning',
+            message: 'Winner detected, but the experiment has not met its minimums yet.',
+            details: `Need ${this.MIN_SAMPLE_SIZE} users per variant and ${this.MIN_RUNTIME_DAYS} days running.`
+          });
+          action = 'continue';
+          confidence = 'medium';
+        }
+      }
+
       // Calculate experiment duration
       const daysRunning = this.calculateDaysRunning(results.start_date);
 
-      if (daysRunning > 14 && !significance.is_significant) {
+      if (daysRunning > 14 && !isSignificant) {
         recommendations.push({
           type: 'info',
           message: 'Experiment running for 2+ weeks without clear winner.',
@@ -602,14 +878,23 @@ class ABTestAnalyzer {
         action,
         confidence,
         days_running: daysRunning,
-        is_statistically_significant: significance.is_significant,
-        recommended_variant: comparison.best_variant.name,
+        analysis_mode: mode,
+        is_statistically_significant: isSignificant,
+        recommended_variant: winnerName,
+        blocked_by: blockedBy,
+        checks: shipChecks,
         recommendations,
         metrics_summary: {
           total_users: results.aggregate.total_users,
           total_conversions: results.aggregate.total_conversions,
           best_conversion_rate: comparison.best_variant.conversion_rate,
-          p_value: significance.p_value
+          p_value: significance.p_value,
+          adjusted_p_value: comparison.winner.adjusted_p_value,
+          correction: comparison.correction.method,
+          ...(bayesian ? {
+            probability_to_be_best: bayesian.variants.find(v => v.variant === winnerName).probability_to_be_best,
+            expected_loss: bayesian.variants.find(v => v.variant === winnerName).expected_loss
+          } : {})
         },
         next_steps: this.generateNextSteps(action, significance, comparison)
       };
@@ -618,6 +903,977 @@ class ABTestAnalyzer {
     }
   }
 
+  /**
+   * Sample ratio mismatch (SRM) check: chi-square goodness of fit of assignment
+   * counts against the configured variant weights. A mismatch usually means a
+   * bucketing or logging bug, which makes the results untrustworthy.
+   *
+   * Manual assignments are left out, and only assignments made since the last
+   * weight change are counted, since earlier ones followed different weights.
+   * @param {Object} experiment - experiments row
+   * @returns {Object} { passed, p_value, chi_square, threshold, total_users, since, variants: [...] }
+   */
+  async checkSampleRatio(experiment) {
+    const variants = JSON.parse(experiment.variants);
+    const weights = experiment.variant_weights ? JSON.parse(experiment.variant_weights) : {};
+    const since = experiment.weights_updated_at || null;
+
+    const rows = await this.db.all(
+      `SELECT variant, COUNT(*) as users
+       FROM experiment_assignments
+       WHERE experiment_id = ?
+       AND (source IS NULL OR source != 'manual')
+       AND (? IS NULL OR julianday(assigned_at) >= julianday(?))
+       GROUP BY variant`,
+      [experiment.id, since, since]
+    );
+    const counts = Object.fromEntries(rows.map(row => [row.variant, row.users]));
+
+    const weighted = variants
+      .map(variant => ({ variant, weight: weights[variant] !== undefined ? weights[variant] : 1 }))
+      .filter(v => v.weight > 0);
+    const totalWeight = weighted.reduce((sum, v) => sum + v.weight, 0);
+    const totalUsers = weighted.reduce((sum, v) => sum + (counts[v.variant] || 0), 0);
+
+    let chiSquare = 0;
+    const breakdown = weighted.map(v => {
+      const observed = counts[v.variant] || 0;
+      const expected = totalUsers * (v.weight / totalWeight);
+      if (expected > 0) {
+        chiSquare += Math.pow(observed - expected, 2) / expected;
+      }
+      return {
+        variant: v.variant,
+        users: observed,
+        expected_users: this.roundTo(expected, 1),
+        expected_share: this.roundTo(v.weight / totalWeight, 4),
+        observed_share: totalUsers > 0 ? this.roundTo(observed / totalUsers, 4) : 0
+      };
+    });
+
+    const pValue = totalUsers > 0 && weighted.length > 1
+      ? this.chiSquarePValue(chiSquare, weighted.length - 1)
+      : 1;
+
+    return {
+      passed: pValue >= this.SRM_ALPHA,
+      p_value: this.roundTo(pValue, 6),
+      chi_square: this.roundTo(chiSquare, 4),
+      threshold: this.SRM_ALPHA,
+      total_users: totalUsers,
+      since,
+      variants: breakdown
+    };
+  }
+
+  /**
+   * Guardrail check: secondary events that must not get significantly worse in
+   * a variant compared with control (one-sided two-proportion z-test)
+   * @param {Object} experiment - experiments row
+   * @param {Array} guardrails - [{ event_name, lower_is_better }]; lower_is_better
+   *   marks events like errors or cancellations, where an increase is the regression
+   * @returns {Array} One entry per guardrail and non-control variant
+   */
+  async checkGuardrails(experiment, guardrails) {
+    const variants = JSON.parse(experiment.variants);
+    const control = variants.includes('control') ? 'control' : variants[0];
+    const zCritical = this.normalQuantile(1 - this.GUARDRAIL_ALPHA);
+    const checks = [];
+
+    for (const { event_name: eventName, lower_is_better: lowerIsBetter = false } of guardrails) {
+      const metrics = {};
+      for (const variant of variants) {
+        metrics[variant] = await this.getVariantMetrics(experiment.id, variant, eventName);
+      }
+
+      const base = metrics[control];
+      for (const variant of variants.filter(v => v !== control)) {
+        const current = metrics[variant];
+        const controlRate = base.total_users > 0 ? base.conversions / base.total_users : 0;
+        const variantRate = current.total_users > 0 ? current.conversions / current.total_users : 0;
+        const { z } = this.twoProportionTest(base, current);
+
+        // Regression is a drop for "higher is better" events and a rise otherwise
+        const worseZ = lowerIsBetter ? z : -z;
+
+        checks.push({
+          event_name: eventName,
+          lower_is_better: lowerIsBetter,
+          variant,
+          control,
+          control_rate: this.roundTo(controlRate * 100, 2),
+          variant_rate: this.roundTo(variantRate * 100, 2),
+          relative_change: controlRate > 0 ? this.roundTo(((variantRate - controlRate) / controlRate) * 100, 2) : null,
+          z_score: this.roundTo(z, 4),
+          p_value: this.roundTo(1 - this.normalCDF(worseZ), 4),
+          regressed: worseZ > zCritical
+        });
+      }
+    }
+
+    return checks;
+  }
+
+  /**
+   * Validate guardrail definitions
+   * @param {Array} guardrails - Event names, or { event_name, lower_is_better }
+   * @returns {Array} [{ event_name, lower_is_better }]
+   */
+  normalizeGuardrails(guardrails) {
+    if (!Array.isArray(guardrails)) {
+      throw new Error('guardrails must be an array of event names or { event_name, lower_is_better }');
+    }
+
+    return guardrails.map(guardrail => {
+      const normalized = typeof guardrail === 'string'
+        ? { event_name: guardrail, lower_is_better: false }
+        : { event_name: guardrail && guardrail.event_name, lower_is_better: Boolean(guardrail && guardrail.lower_is_better) };
+
+      if (!normalized.event_name || typeof normalized.event_name !== 'string') {
+        throw new Error('Every guardrail needs an event_name');
+      }
+      return normalized;
+    });
+  }
+
+  /**
+   * Checks that must pass before a variant can be recommended for shipping
+   * @param {Object} experiment - experiments row
+   * @param {Object} results - getExperimentResults output
+   * @param {Array} guardrails - Guardrail events (see checkGuardrails)
+   * @returns {Object} { passed, sample_ratio, minimum_sample, minimum_runtime, guardrails, failures }
+   */
+  async runShipChecks(experiment, results, guardrails = []) {
+    const sampleRatio = await this.checkSampleRatio(experiment);
+
+    const minimumSample = {
+      passed: results.variants.every(v => v.total_users >= this.MIN_SAMPLE_SIZE),
+      min_users_per_variant: this.MIN_SAMPLE_SIZE,
+      smallest_variant: results.variants.reduce((smallest, v) =>
+        !smallest || v.total_users < smallest.users ? { variant: v.variant, users: v.total_users } : smallest, null)
+    };
+
+    const daysRunning = this.calculateDaysRunning(experiment.start_date || experiment.created_at);
+    const minimumRuntime = {
+      passed: daysRunning >= this.MIN_RUNTIME_DAYS,
+      days_running: daysRunning,
+      min_days: this.MIN_RUNTIME_DAYS
+    };
+
+    const guardrailChecks = await this.checkGuardrails(experiment, guardrails);
+
+    const failures = [];
+    if (!sampleRatio.passed) failures.push('sample_ratio_mismatch');
+    if (!minimumSample.passed) failures.push('minimum_sample');
+    if (!minimumRuntime.passed) failures.push('minimum_runtime');
+    if (guardrailChecks.some(check => check.regressed)) failures.push('guardrail_regression');
+
+    return {
+      passed: failures.length === 0,
+      sample_ratio: sampleRatio,
+      minimum_sample: minimumSample,
+      minimum_runtime: minimumRuntime,
+      guardrails: guardrailChecks,
+      failures
+    };
+  }
+
+  /**
+   * Inverse of the standard normal CDF (Acklam's rational approximation)
+   * @param {number} p - Probability in (0, 1)
+   * @returns {number} z such that normalCDF(z) = p
+   */
+  normalQuantile(p) {
+    const a = [-39.69683028665376, 220.9460984245205, -275.9285104469687, 138.357751867269, -30.66479806614716, 2.506628277459239];
+    const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972, -13.28068155288572];
+    const c = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+    const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416];
+    const low = 0.02425;
+
+    if (p < low) {
+      const q = Math.sqrt(-2 * Math.log(p));
+      return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+        ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+    }
+    if (p > 1 - low) {
+      return -this.normalQuantile(1 - p);
+    }
+
+    const q = p - 0.5;
+    const r = q * q;
+    return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+      (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+  }
+
+  /**
+   * Sequential test of each variant against control (mixture SPRT).
+   *
+   * Unlike calculateSignificance, the p-values and confidence sequences here
+   * stay valid however often the results are looked at: a variant can be
+   * called as soon as can_stop is true, and stopping earlier or later does not
+   * inflate the false-positive rate above alpha. Every period of the given
+   * granularity counts as one look; p-values are the running minimum and
+   * confidence sequences the running intersection over those looks.
+   * @param {string} experimentId - The experiment ID
+   * @param {Object} options - { alpha, tau, granularity }
+   * @returns {Object} { can_stop, decision, winner, comparisons: [...] }
+   */
+  async calculateSequentialSignificance(experimentId, options = {}) {
+    try {
+      const {
+        alpha = this.roundTo(1 - this.CONFIDENCE_LEVEL, 6),
+        tau = this.SEQUENTIAL_TAU,
+        granularity = 'day'
+      } = options;
+
+      if (!(alpha > 0 && alpha < 1)) {
+        throw new Error('alpha must be between 0 and 1');
+      }
+      if (!(tau > 0)) {
+        throw new Error('tau must be positive');
+      }
+
+      const experiment = await this.db.get(
+        'SELECT * FROM experiments WHERE id = ?',
+        [experimentId]
+      );
+
+      if (!experiment) {
+        throw new Error(`Experiment ${experimentId} not found`);
+      }
+
+      const variants = JSON.parse(experiment.variants);
+      if (variants.length < 2) {
+        throw new Error('Need at least 2 variants for a sequential test');
+      }
+      const control = variants.includes('control') ? 'control' : variants[0];
+      const dateFormat = this.getDateFormat(granularity);
+
+      const assignments = await this.db.all(
+        `SELECT variant, strftime('${dateFormat}', assigned_at) as period, COUNT(*) as count
+         FROM experiment_assignments
+         WHERE experiment_id = ?
+         GROUP BY variant, period`,
+        [experimentId]
+      );
+
+      // A user converts in the period of their first goal event after assignment
+      const conversions = await this.db.all(
+        `SELECT variant, strftime('${dateFormat}', converted_at) as period, COUNT(*) as count
+         FROM (
+           SELECT ea.variant, MIN(julianday(e.timestamp)) as converted_at
+           FROM experiment_assignments ea
+           JOIN events e ON ea.user_id = e.user_id
+           WHERE ea.experiment_id = ?
+           AND e.event_name = ?
+           AND julianday(e.timestamp) >= julianday(ea.assigned_at)
+           GROUP BY ea.user_id
+         )
+         GROUP BY variant, period`,
+        [experimentId, experiment.goal_event]
+      );
+
+      const periods = [...new Set([...assignments, ...conversions].map(row => row.period))].sort();
+      const cumulative = Object.fromEntries(variants.map(variant => [variant, { total_users: 0, conversions: 0 }]));
+      const looks = periods.map(period => {
+        assignments.filter(row => row.period === period && cumulative[row.variant])
+          .forEach(row => { cumulative[row.variant].total_users += row.count; });
+        conversions.filter(row => row.period === period && cumulative[row.variant])
+          .forEach(row => { cumulative[row.variant].conversions += row.count; });
+        return {
+          period,
+          counts: Object.fromEntries(variants.map(variant => [variant, { ...cumulative[variant] }]))
+        };
+      });
+
+      const comparisons = variants.filter(variant => variant !== control).map(variant => {
+        let pValue = 1;
+        let lower = -Infinity;
+        let upper = Infinity;
+        let last = null;
+
+        const history = looks.map(look => {
+          const test = this.msprtTest(look.counts[control], look.counts[variant], { alpha, tau });
+          pValue = Math.min(pValue, test.p_value);
+          lower = Math.max(lower, test.lower);
+          upper = Math.min(upper, test.upper);
+          last = test;
+          return {
+            period: look.period,
+            control_users: look.counts[control].total_users,
+            variant_users: look.counts[variant].total_users,
+            difference: this.roundTo(test.difference * 100, 2),
+            always_valid_p_value: this.roundTo(pValue, 6)
+          };
+        });
+
+        const base = cumulative[control];
+        const current = cumulative[variant];
+        const controlRate = base.total_users > 0 ? base.conversions / base.total_users : 0;
+        const variantRate = current.total_users > 0 ? current.conversions / current.total_users : 0;
+        const canStop = pValue < alpha;
+
+        return {
+          variant,
+          control,
+          control_rate: this.roundTo(controlRate * 100, 2),
+          variant_rate: this.roundTo(variantRate * 100, 2),
+          difference: this.roundTo((variantRate - controlRate) * 100, 2),
+          always_valid_p_value: this.roundTo(pValue, 6),
+          // Difference in percentage points; the running intersection can end up
+          // empty after a lucky streak, in which case the last look's interval is shown
+          confidence_sequence: last
+            ? {
+              lower: this.roundTo((lower <= upper ? lower : last.lower) * 100, 2),
+              upper: this.roundTo((lower <= upper ? upper : last.upper) * 100, 2)
+            }
+            : null,
+          can_stop: canStop,
+          direction: canStop ? (variantRate > controlRate ? 'better' : 'worse') : null,
+          looks: history
+        };
+      });
+
+      const canStop = comparisons.length > 0 && comparisons.every(comparison => comparison.can_stop);
+      const winners = comparisons
+        .filter(comparison => comparison.direction === 'better')
+        .sort((a, b) => b.variant_rate - a.variant_rate);
+
+      let decision = 'continue';
+      if (winners.length > 0) {
+        decision = 'stop_winner';
+      } else if (canStop) {
+        decision = 'stop_control';
+      }
+
+      return {
+        experiment_id: experimentId,
+        method: 'msprt',
+        alpha,
+        tau,
+        granularity,
+        looks: looks.length,
+        can_stop: decision !== 'continue',
+        decision,
+        winner: decision === 'stop_winner' ? winners[0].variant : (decision === 'stop_control' ? control : null),
+        comparisons
+      };
+    } catch (error) {
+      throw new Error(`Failed to calculate sequential significance: ${error.message}`);
+    }
+  }
+
+  /**
+   * One look of the mixture SPRT for the difference in conversion rate between
+   * a variant and control, using the normal approximation with a N(0, tau^2)
+   * mixing prior on the difference
+   * @param {Object} control - { total_users, conversions }
+   * @param {Object} variant - { total_users, conversions }
+   * @param {Object} options - { alpha, tau }
+   * @returns {Object} { difference, likelihood_ratio, p_value, lower, upper }
+   *   p_value is 1 / likelihood ratio capped at 1; take the running minimum over
+   *   looks to get the always-valid p-value. lower/upper bound the difference
+   *   (as a proportion) at this look.
+   */
+  msprtTest(control, variant, { alpha = 1 - this.CONFIDENCE_LEVEL, tau = this.SEQUENTIAL_TAU } = {}) {
+    if (control.total_users === 0 || variant.total_users === 0) {
+      return { difference: 0, likelihood_ratio: 1, p_value: 1, lower: -1, upper: 1 };
+    }
+
+    const controlRate = control.conversions / control.total_users;
+    const variantRate = variant.conversions / variant.total_users;
+    const difference = variantRate - controlRate;
+
+    // Variance of the observed difference; floored so all-or-nothing arms do
+    // not produce a zero variance (and an infinite likelihood ratio)
+    const floor = (users) => 1 / (4 * users * users);
+    const variance =
+      Math.max(controlRate * (1 - controlRate) / control.total_users, floor(control.total_users)) +
+      Math.max(variantRate * (1 - variantRate) / variant.total_users, floor(variant.total_users));
+    const tauSquared = tau * tau;
+
+    const logRatio = 0.5 * Math.log(variance / (variance + tauSquared)) +
+      (difference * difference * tauSquared) / (2 * variance * (variance + tauSquared));
+    const halfWidth = Math.sqrt(
+      (variance * (variance + tauSquared) / tauSquared) *
+      (2 * Math.log(1 / alpha) + Math.log((variance + tauSquared) / variance))
+    );
+
+    return {
+      difference,
+      likelihood_ratio: Math.exp(logRatio),
+      p_value: Math.min(1, Math.exp(-logRatio)),
+      lower: difference - halfWidth,
+      upper: difference + halfWidth
+    };
+  }
+
+  /**
+   * Bayesian analysis of conversions with Beta-Binomial posteriors.
+   *
+   * Each variant's conversion rate gets a Beta(prior.alpha + conversions,
+   * prior.beta + non-conversions) posterior. Monte Carlo draws from those
+   * posteriors give, for every variant, the probability that it beats control,
+   * the probability that it is the best of all variants, and its expected loss:
+   * how many conversion rate points we expect to give up by shipping it if
+   * another variant is really better. Draws are seeded (by experiment id unless
+   * a seed is given), so the same data always gives the same numbers.
+   * @param {string} experimentId - The experiment ID
+   * @param {Object} options - { prior: { alpha, beta }, samples, seed }
+   * @returns {Object} { best_variant, can_ship, variants: [...] }
+   */
+  async calculateBayesian(experimentId, options = {}) {
+    try {
+      const {
+        prior = this.BAYESIAN_PRIOR,
+        samples = this.BAYESIAN_SAMPLES,
+        seed = experimentId
+      } = options;
+
+      if (!(prior.alpha > 0 && prior.beta > 0)) {
+        throw new Error('prior alpha and beta must be positive');
+      }
+
+      const results = await this.getExperimentResults(experimentId);
+      if (results.variants.length < 2) {
+        throw new Error('Need at least 2 variants for a Bayesian analysis');
+      }
+
+      const names = results.variants.map(v => v.variant);
+      const controlIndex = names.includes('control') ? names.indexOf('control') : 0;
+      const random = this.seededRandom(String(seed));
+
+      const posteriors = results.variants.map(v => ({
+        alpha: prior.alpha + v.conversions,
+        beta: prior.beta + v.total_users - v.conversions
+      }));
+      const draws = posteriors.map(posterior => {
+        const values = new Float64Array(samples);
+        for (let i = 0; i < samples; i++) {
+          values[i] = this.sampleBeta(posterior.alpha, posterior.beta, random);
+        }
+        return values;
+      });
+
+      const bestCounts = names.map(() => 0);
+      const beatControl = names.map(() => 0);
+      const loss = names.map(() => 0);
+      const lossVsControl = names.map(() => 0);
+
+      for (let i = 0; i < samples; i++) {
+        let best = 0;
+        for (let j = 1; j < names.length; j++) {
+          if (draws[j][i] > draws[best][i]) best = j;
+        }
+        bestCounts[best]++;
+
+        const bestValue = draws[best][i];
+        const controlValue = draws[controlIndex][i];
+        for (let j = 0; j < names.length; j++) {
+          loss[j] += bestValue - draws[j][i];
+          if (draws[j][i] > controlValue) beatControl[j]++;
+          lossVsControl[j] += Math.max(controlValue - draws[j][i], 0);
+        }
+      }
+
+      const tail = (1 - this.CONFIDENCE_LEVEL) / 2;
+      const variants = results.variants.map((v, j) => {
+        const sorted = Float64Array.from(draws[j]).sort();
+        const quantile = (q) => sorted[Math.min(samples - 1, Math.floor(q * samples))];
+        const isControl = j === controlIndex;
+
+        return {
+          variant: v.variant,
+          users: v.total_users,
+          conversions: v.conversions,
+          posterior: posteriors[j],
+          posterior_mean: this.roundTo((posteriors[j].alpha / (posteriors[j].alpha + posteriors[j].beta)) * 100, 2),
+          credible_interval: {
+            lower: this.roundTo(quantile(tail) * 100, 2),
+            upper: this.roundTo(quantile(1 - tail) * 100, 2)
+          },
+          probability_to_beat_control: isControl ? null : this.roundTo(beatControl[j] / samples, 4),
+          probability_to_be_best: this.roundTo(bestCounts[j] / samples, 4),
+          expected_loss: this.roundTo((loss[j] / samples) * 100, 4),
+          expected_loss_vs_control: isControl ? null : this.roundTo((lossVsControl[j] / samples) * 100, 4)
+        };
+      });
+
+      const leader = variants.reduce((best, v) =>
+        v.probability_to_be_best > best.probability_to_be_best ? v : best
+      );
+
+      return {
+        experiment_id: experimentId,
+        method: 'beta-binomial',
+        prior,
+        samples,
+        credible_level: this.CONFIDENCE_LEVEL * 100,
+        control: names[controlIndex],
+        best_variant: leader.variant,
+        can_ship: leader.probability_to_be_best >= this.BAYESIAN_SHIP_PROBABILITY &&
+          leader.expected_loss <= this.BAYESIAN_LOSS_THRESHOLD,
+        ship_probability: this.BAYESIAN_SHIP_PROBABILITY,
+        loss_threshold: this.BAYESIAN_LOSS_THRESHOLD,
+        variants
+      };
+    } catch (error) {
+      throw new Error(`Failed to calculate Bayesian analysis: ${error.message}`);
+    }
+  }
+
+  /**
+   * Validate an experiment analysis mode (null means frequentist)
+   * @param {string} mode - One of ANALYSIS_MODES
+   * @returns {string} Analysis mode
+   */
+  normalizeAnalysisMode(mode) {
+    if (mode === null || mode === undefined) return 'frequentist';
+    if (!ANALYSIS_MODES.includes(mode)) {
+      throw new Error(`analysis_mode must be one of: ${ANALYSIS_MODES.join(', ')}`);
+    }
+    return mode;
+  }
+
+  /**
+   * Helper: draw from Beta(alpha, beta) as X / (X + Y) with X, Y gamma draws
+   */
+  sampleBeta(alpha, beta, random) {
+    const x = this.sampleGamma(alpha, random);
+    const y = this.sampleGamma(beta, random);
+    return x / (x + y);
+  }
+
+  /**
+   * Helper: draw from Gamma(shape, 1) (Marsaglia-Tsang; shapes below 1 are
+   * boosted to shape + 1 and scaled back)
+   */
+  sampleGamma(shape, random) {
+    if (shape < 1) {
+      return this.sampleGamma(shape + 1, random) * Math.pow(random(), 1 / shape);
+    }
+
+    const d = shape - 1 / 3;
+    const c = 1 / Math.sqrt(9 * d);
+    for (;;) {
+      let x;
+      let v;
+      do {
+        // Standard normal draw (Box-Muller)
+        x = Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+        v = 1 + c * x;
+      } while (v <= 0);
+
+      v = v * v * v;
+      const u = 1 - random();
+      if (Math.log(u) < 0.5 * x * x + d - d * v + d * Math.log(v)) {
+        return d * v;
+      }
+    }
+  }
+
+  /**
+   * Validate a primary metric definition
+   * @param {Object} metric - { type, event_name, property, cuped, pre_period_days }
+   *   type is one of METRIC_TYPES; event_name defaults to the experiment's goal_event;
+   *   property (revenue only) is the event property holding the amount
+   * @returns {Object} Normalized metric
+   */
+  normalizeMetric(metric) {
+    if (!metric || typeof metric !== 'object' || Array.isArray(metric)) {
+      throw new Error('metric must be an object with a type');
+    }
+
+    const { type, event_name: eventName = null, property = null, cuped = false } = metric;
+    if (!METRIC_TYPES.includes(type)) {
+      throw new Error(`metric type must be one of: ${METRIC_TYPES.join(', ')}`);
+    }
+    if (eventName !== null && (typeof eventName !== 'string' || !eventName)) {
+      throw new Error('metric event_name must be a non-empty string');
+    }
+    if (type === 'revenue' && (!property || !PROPERTY_NAME_PATTERN.test(property))) {
+      throw new Error('revenue metrics need the event property holding the amount');
+    }
+    if (cuped && type === 'time_to_convert') {
+      throw new Error('CUPED is not available for time_to_convert: there is no pre-experiment value');
+    }
+
+    const normalized = { type, event_name: eventName, property: type === 'revenue' ? property : null, cuped: Boolean(cuped) };
+    if (normalized.cuped) {
+      const days = metric.pre_period_days !== undefined ? Number(metric.pre_period_days) : this.CUPED_PRE_PERIOD_DAYS;
+      if (!Number.isInteger(days) || days < 1 || days > 365) {
+        throw new Error('pre_period_days must be an integer between 1 and 365');
+      }
+      normalized.pre_period_days = days;
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Analyse the experiment's primary metric per user: Welch's t-test and a
+   * bootstrap confidence interval for each variant's difference from control,
+   * with optional CUPED variance reduction.
+   *
+   * With CUPED each user's value is adjusted by the same metric measured in
+   * the pre_period_days before their assignment (Y - theta * (X - mean X)),
+   * which removes the part of the variance explained by prior behaviour
+   * without changing the expected difference between variants.
+   * @param {string} experimentId - The experiment ID
+   * @param {Object} metricOverride - Metric to use instead of the experiment's own
+   * @returns {Object} { metric, variants, comparisons, cuped }
+   */
+  async analyzeMetric(experimentId, metricOverride = null) {
+    try {
+      const experiment = await this.db.get(
+        'SELECT * FROM experiments WHERE id = ?',
+        [experimentId]
+      );
+
+      if (!experiment) {
+        throw new Error(`Experiment ${experimentId} not found`);
+      }
+
+      const configured = metricOverride || (experiment.metric ? JSON.parse(experiment.metric) : { type: 'conversion' });
+      const metric = this.normalizeMetric(configured);
+      const eventName = metric.event_name || experiment.goal_event;
+      if (!eventName) {
+        throw new Error('Metric needs an event_name when the experiment has no goal_event');
+      }
+
+      const variants = JSON.parse(experiment.variants);
+      const control = variants.includes('control') ? 'control' : variants[0];
+      const rows = await this.getUserMetricValues(experimentId, metric, eventName);
+
+      // time_to_convert only has a value for users who converted
+      const observed = rows.filter(row => row.value !== null);
+
+      let cuped = null;
+      if (metric.cuped) {
+        const theta = this.cupedTheta(observed);
+        const meanPre = observed.reduce((sum, row) => sum + row.pre_value, 0) / (observed.length || 1);
+        observed.forEach(row => { row.adjusted = row.value - theta * (row.pre_value - meanPre); });
+
+        const rawVariance = this.describe(observed.map(row => row.value)).variance;
+        const adjustedVariance = this.describe(observed.map(row => row.adjusted)).variance;
+        cuped = {
+          pre_period_days: metric.pre_period_days,
+          theta: this.roundTo(theta, 6),
+          variance_reduction: rawVariance > 0 ? this.roundTo((1 - adjustedVariance / rawVariance) * 100, 2) : 0
+        };
+      } else {
+        observed.forEach(row => { row.adjusted = row.value; });
+      }
+
+      const byVariant = Object.fromEntries(variants.map(variant => [variant, { raw: [], adjusted: [] }]));
+      observed.forEach(row => {
+        if (byVariant[row.variant]) {
+          byVariant[row.variant].raw.push(row.value);
+          byVariant[row.variant].adjusted.push(row.adjusted);
+        }
+      });
+
+      const variantStats = variants.map(variant => {
+        const raw = this.describe(byVariant[variant].raw);
+        const se = raw.n > 1 ? Math.sqrt(raw.variance / raw.n) : 0;
+        const z = this.normalQuantile(1 - (1 - this.CONFIDENCE_LEVEL) / 2);
+        return {
+          variant,
+          users: raw.n,
+          total: this.roundTo(raw.sum, 2),
+          mean: this.roundTo(raw.mean, 4),
+          ...(metric.cuped ? { adjusted_mean: this.roundTo(this.describe(byVariant[variant].adjusted).mean, 4) } : {}),
+          std_dev: this.roundTo(Math.sqrt(raw.variance), 4),
+          median: this.roundTo(raw.median, 4),
+          confidence_interval: {
+            lower: this.roundTo(raw.mean - z * se, 4),
+            upper: this.roundTo(raw.mean + z * se, 4)
+          }
+        };
+      });
+
+      const alpha = 1 - this.CONFIDENCE_LEVEL;
+      const comparisons = variants.filter(variant => variant !== control).map(variant => {
+        const base = byVariant[control].adjusted;
+        const current = byVariant[variant].adjusted;
+        const test = this.welchTTest(base, current);
+        const ci = this.bootstrapMeanDifference(base, current, `${experimentId}:${variant}`);
+        const controlMean = this.describe(base).mean;
+
+        return {
+          variant,
+          control,
+          difference: this.roundTo(test.difference, 4),
+          relative_lift: controlMean !== 0 ? this.roundTo((test.difference / controlMean) * 100, 2) : null,
+          t_statistic: this.roundTo(test.t, 4),
+          degrees_of_freedom: this.roundTo(test.df, 2),
+          p_value: this.roundTo(test.p_value, 6),
+          is_significant: test.p_value < alpha,
+          bootstrap_ci: ci ? { lower: this.roundTo(ci.lower, 4), upper: this.roundTo(ci.upper, 4) } : null
+        };
+      });
+
+      return {
+        experiment_id: experimentId,
+        metric: { ...metric, event_name: eventName },
+        control,
+        confidence_level: this.CONFIDENCE_LEVEL * 100,
+        variants: variantStats,
+        comparisons,
+        cuped
+      };
+    } catch (error) {
+      throw new Error(`Failed to analyze metric: ${error.message}`);
+    }
+  }
+
+  /**
+   * Helper: one row per assigned user with the metric after assignment
+   * (value) and in the CUPED pre-period before it (pre_value)
+   */
+  async getUserMetricValues(experimentId, metric, eventName) {
+    const post = 'julianday(e.timestamp) >= julianday(ea.assigned_at)';
+    const pre = 'julianday(e.timestamp) < julianday(ea.assigned_at)';
+    const amount = 'COALESCE(CAST(JSON_EXTRACT(e.properties, ?) AS REAL), 0)';
+    const params = [];
+
+    const aggregate = (window) => {
+      switch (metric.type) {
+        case 'revenue':
+          params.push(`$.${metric.property}`);
+          return `COALESCE(SUM(CASE WHEN ${window} THEN ${amount} END), 0)`;
+        case 'count':
+          return `COUNT(CASE WHEN ${window} THEN 1 END)`;
+        case 'time_to_convert':
+          return `(julianday(MIN(CASE WHEN ${window} THEN e.timestamp END)) - julianday(ea.assigned_at)) * 24`;
+        default:
+          return `MAX(CASE WHEN ${window} THEN 1 ELSE 0 END)`;
+      }
+    };
+
+    const valueSql = aggregate(post);
+    const preSql = metric.cuped ? aggregate(pre) : '0';
+    const preDays = metric.cuped ? metric.pre_period_days : 0;
+
+    const rows = await this.db.all(
+      `SELECT ea.user_id, ea.variant, ${valueSql} as value, ${preSql} as pre_value
+       FROM experiment_assignments ea
+       LEFT JOIN events e ON e.user_id = ea.user_id
+         AND e.event_name = ?
+         AND julianday(e.timestamp) >= julianday(ea.assigned_at) - ?
+       WHERE ea.experiment_id = ?
+       GROUP BY ea.user_id, ea.variant`,
+      [...params, eventName, preDays, experimentId]
+    );
+
+    return rows.map(row => ({
+      user_id: row.user_id,
+      variant: row.variant,
+      value: row.value === null ? null : Number(row.value),
+      pre_value: Number(row.pre_value) || 0
+    }));
+  }
+
+  /**
+   * Helper: CUPED coefficient cov(Y, X) / var(X) over all users
+   */
+  cupedTheta(rows) {
+    const n = rows.length;
+    if (n < 2) return 0;
+
+    const meanY = rows.reduce((sum, row) => sum + row.value, 0) / n;
+    const meanX = rows.reduce((sum, row) => sum + row.pre_value, 0) / n;
+    let covariance = 0;
+    let varianceX = 0;
+    rows.forEach(row => {
+      covariance += (row.value - meanY) * (row.pre_value - meanX);
+      varianceX += Math.pow(row.pre_value - meanX, 2);
+    });
+
+    return varianceX > 0 ? covariance / varianceX : 0;
+  }
+
+  /**
+   * Helper: n, sum, mean, sample variance and median of a list of numbers
+   */
+  describe(values) {
+    const n = values.length;
+    if (n === 0) {
+      return { n: 0, sum: 0, mean: 0, variance: 0, median: 0 };
+    }
+
+    const sum = values.reduce((total, value) => total + value, 0);
+    const mean = sum / n;
+    const variance = n > 1
+      ? values.reduce((total, value) => total + Math.pow(value - mean, 2), 0) / (n - 1)
+      : 0;
+    const sorted = [...values].sort((a, b) => a - b);
+    const median = n % 2 === 1 ? sorted[(n - 1) / 2] : (sorted[n / 2 - 1] + sorted[n / 2]) / 2;
+
+    return { n, sum, mean, variance, median };
+  }
+
+  /**
+   * Welch's t-test for the difference in means (variant - control), which does
+   * not assume equal variances
+   * @param {Array} control - Per-user values for control
+   * @param {Array} variant - Per-user values for the variant
+   * @returns {Object} { difference, t, df, p_value } with a two-sided p-value
+   */
+  welchTTest(control, variant) {
+    const a = this.describe(control);
+    const b = this.describe(variant);
+    const difference = b.mean - a.mean;
+
+    if (a.n < 2 || b.n < 2) {
+      return { difference, t: 0, df: 0, p_value: 1 };
+    }
+
+    const seA = a.variance / a.n;
+    const seB = b.variance / b.n;
+    const se = Math.sqrt(seA + seB);
+    if (se === 0) {
+      return { difference, t: 0, df: a.n + b.n - 2, p_value: difference === 0 ? 1 : 0 };
+    }
+
+    const t = difference / se;
+    const df = Math.pow(seA + seB, 2) /
+      (Math.pow(seA, 2) / (a.n - 1) + Math.pow(seB, 2) / (b.n - 1));
+
+    return { difference, t, df, p_value: this.studentTPValue(t, df) };
+  }
+
+  /**
+   * Two-sided p-value of Student's t distribution, via the regularized
+   * incomplete beta function: P(|T| > |t|) = I_{df / (df + t^2)}(df / 2, 1 / 2)
+   */
+  studentTPValue(t, df) {
+    if (!Number.isFinite(t)) return 0;
+    return Math.max(0, Math.min(1, this.incompleteBeta(df / (df + t * t), df / 2, 0.5)));
+  }
+
+  /**
+   * Percentile bootstrap confidence interval for the difference in means
+   * (variant - control). Resampling is seeded so the same data always gives
+   * the same interval.
+   * @param {Array} control - Per-user values for control
+   * @param {Array} variant - Per-user values for the variant
+   * @param {string} seed - Seed for the resampling
+   * @returns {Object|null} { lower, upper }, null without data in both groups
+   */
+  bootstrapMeanDifference(control, variant, seed) {
+    if (control.length === 0 || variant.length === 0) return null;
+
+    const random = this.seededRandom(seed);
+    const resampledMean = (values) => {
+      let sum = 0;
+      for (let i = 0; i < values.length; i++) {
+        sum += values[Math.floor(random() * values.length)];
+      }
+      return sum / values.length;
+    };
+
+    const differences = [];
+    for (let i = 0; i < this.BOOTSTRAP_ITERATIONS; i++) {
+      differences.push(resampledMean(variant) - resampledMean(control));
+    }
+    differences.sort((a, b) => a - b);
+
+    const tail = (1 - this.CONFIDENCE_LEVEL) / 2;
+    const at = (q) => differences[Math.min(differences.length - 1, Math.max(0, Math.floor(q * differences.length)))];
+    return { lower: at(tail), upper: at(1 - tail) };
+  }
+
+  /**
+   * Helper: deterministic PRNG (mulberry32) seeded from a string
+   */
+  seededRandom(seed) {
+    let state = 2166136261;
+    for (let i = 0; i < seed.length; i++) {
+      state = Math.imul(state ^ seed.charCodeAt(i), 16777619) >>> 0;
+    }
+
+    return () => {
+      state = (state + 0x6D2B79F5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  /**
+   * Helper: regularized incomplete beta function I_x(a, b) (continued fraction,
+   * as in Numerical Recipes)
+   */
+  incompleteBeta(x, a, b) {
+    if (x <= 0) return 0;
+    if (x >= 1) return 1;
+
+    const front = Math.exp(
+      this.logGamma(a + b) - this.logGamma(a) - this.logGamma(b) + a * Math.log(x) + b * Math.log(1 - x)
+    );
+
+    // The continued fraction converges quickly only below the mean
+    if (x > (a + 1) / (a + b + 2)) {
+      return 1 - this.incompleteBeta(1 - x, b, a);
+    }
+
+    const tiny = 1e-30;
+    let c = 1;
+    let d = 1 - ((a + b) * x) / (a + 1);
+    if (Math.abs(d) < tiny) d = tiny;
+    d = 1 / d;
+    let f = d;
+
+    for (let m = 1; m <= 200; m++) {
+      const m2 = 2 * m;
+      let numerator = (m * (b - m) * x) / ((a + m2 - 1) * (a + m2));
+      d = 1 + numerator * d;
+      if (Math.abs(d) < tiny) d = tiny;
+      c = 1 + numerator / c;
+      if (Math.abs(c) < tiny) c = tiny;
+      d = 1 / d;
+      f *= d * c;
+
+      numerator = (-(a + m) * (a + b + m) * x) / ((a + m2) * (a + m2 + 1));
+      d = 1 + numerator * d;
+      if (Math.abs(d) < tiny) d = tiny;
+      c = 1 + numerator / c;
+      if (Math.abs(c) < tiny) c = tiny;
+      d = 1 / d;
+      const delta = d * c;
+      f *= delta;
+      if (Math.abs(delta - 1) < 1e-12) break;
+    }
+
+    return (front * f) / a;
+  }
+
+  /**
+   * Helper: natural log of the gamma function (Lanczos approximation)
+   */
+  logGamma(z) {
+    const g = 7;
+    const coefficients = [
+      0.99999999999980993, 676.5203681218851, -1259.1392167224028, 771.32342877765313,
+      -176.61502916214059, 12.507343278686905, -0.13857109526572012, 9.9843695780195716e-6,
+      1.5056327351493116e-7
+    ];
+
+    if (z < 0.5) {
+      return Math.log(Math.PI / Math.sin(Math.PI * z)) - this.logGamma(1 - z);
+    }
+
+    const shifted = z - 1;
+    let sum = coefficients[0];
+    for (let i = 1; i < g + 2; i++) {
+      sum += coefficients[i] / (shifted + i);
+    }
+    const t = shifted + g + 0.5;
+    return 0.5 * Math.log(2 * Math.PI) + (shifted + 0.5) * Math.log(t) - t + Math.log(sum);
+  }
+
   /**
    * Helper: Get average time to conversion for a variant
    */
@@ -629,7 +1885,7 @@ class ABTestAnalyzer {
        WHERE ea.experiment_id = ?
        AND ea.variant = ?
        AND e.event_name = ?
-       AND e.timestamp >= ea.assigned_at`,
+       AND julianday(e.timestamp) >= julianday(ea.assigned_at)`,
       [experimentId, variant, goalEvent]
     );
 
@@ -741,6 +1997,13 @@ class ABTestAnalyzer {
         steps.push('4. Consider increasing traffic allocation if possible');
         break;
 
+      case 'blocked':
+        steps.push('1. Do not ship until the failing checks are resolved');
+        steps.push('2. For a sample ratio mismatch, audit bucketing, redirects and assignment logging');
+        steps.push('3. For a guardrail regression, weigh the loss against the goal improvement');
+        steps.push('4. Re-run the analysis after fixing, ideally with a fresh experiment');
+        break;
+
       case 'no_clear_winner':
         steps.push('1. Consider ending experiment - no clear winner');
         steps.push('2. Implement the simpler or less costly variant');
@@ -766,3 +2029,6 @@ class ABTestAnalyzer {
 }
 
 module.exports = ABTestAnalyzer;
+module.exports.METRIC_TYPES = METRIC_TYPES;
+module.exports.ANALYSIS_MODES = ANALYSIS_MODES;
+module.exports.CORRECTIONS = CORRECTIONS;
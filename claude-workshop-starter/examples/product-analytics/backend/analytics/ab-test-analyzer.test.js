@@ -5,65 +5,7 @@ const Database = require('../database');
 const ABTestAnalyzer = require('./ab-test-analyzer');
 const fs = require('fs');
 const path = require('path');
-
-class TestRunner {
-  constructor() {
-    this.passed = 0;
-    this.failed = 0;
-    this.tests = [];
-  }
-
-  async test(name, fn) {
-    try {
-      await fn();
-      this.passed++;
-      console.log(`✓ ${name}`);
-    } catch (error) {
-      this.failed++;
-      console.log(`✗ ${name}`);
-      console.error(`  Error: ${error.message}`);
-    }
-  }
-
-  assertEqual(actual, expected, message) {
-    if (actual !== expected) {
-      throw new Error(`${message}: expected ${expected}, got ${actual}`);
-    }
-  }
-
-  assertTrue(value, message) {
-    if (!value) {
-      throw new Error(`${message}: expected true, got ${value}`);
-    }
-  }
-
-  assertFalse(value, message) {
-    if (value) {
-      throw new Error(`${message}: expected false, got ${value}`);
-    }
-  }
-
-  assertGreaterThan(actual, expected, message) {
-    if (actual <= expected) {
-      throw new Error(`${message}: expected > ${expected}, got ${actual}`);
-    }
-  }
-
-  assertExists(value, message) {
-    if (value === null || value === undefined) {
-      throw new Error(`${message}: value should exist`);
-    }
-  }
-
-  summary() {
-    console.log('\n' + '='.repeat(80));
-    console.log(`Tests: ${this.passed + this.failed}`);
-    console.log(`Passed: ${this.passed}`);
-    console.log(`Failed: ${this.failed}`);
-    console.log('='.repeat(80));
-    return this.failed === 0;
-  }
-}
+const { TestRunner } = require('../utils/test-runner');
 
 async function setupTestData(db, experimentId) {
   // Create experiment
@@ -125,6 +67,94 @@ async function setupTestData(db, experimentId) {
   }
 }
 
+// Two-variant experiment with fixed counts: users per variant and, per event,
+// how many of them did it after assignment
+async function setupFixedExperiment(db, experimentId, variants, options = {}) {
+  await db.run(
+    `INSERT OR REPLACE INTO experiments (id, name, status, variants, variant_weights, start_date, goal_event, guardrails)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      experimentId,
+      experimentId,
+      'running',
+      JSON.stringify(Object.keys(variants)),
+      options.weights ? JSON.stringify(options.weights) : null,
+      new Date(Date.now() - 14 * 24 * 60 * 60 * 1000).toISOString(),
+      'fixed_goal',
+      JSON.stringify(options.guardrails || [])
+    ]
+  );
+
+  const assignedAt = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString();
+  for (const [variant, { users, events }] of Object.entries(variants)) {
+    for (let i = 0; i < users; i++) {
+      const userId = `${experimentId}_${variant}_${i}`;
+      await db.createUser({ id: userId, email: `${userId}@test.com`, name: userId });
+      await db.run(
+        `INSERT OR IGNORE INTO experiment_assignments (experiment_id, user_id, variant, assigned_at)
+         VALUES (?, ?, ?, ?)`,
+        [experimentId, userId, variant, assignedAt]
+      );
+
+      for (const [eventName, count] of Object.entries(events)) {
+        if (i < count) {
+          await db.trackEvent({ event_name: eventName, user_id: userId, properties: {} });
+        }
+      }
+    }
+  }
+}
+
+// Deterministic PRNG (mulberry32) so the simulations give the same result every run
+function seededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Simulated experiments where someone looks at the results after every batch
+// of users and stops at the first significant look. Returns the share of
+// experiments stopped by the fixed-horizon chi-square test and by the
+// sequential test.
+function simulatePeeking(analyzer, random, { controlRate, variantRate, experiments, looks, usersPerLook }) {
+  const alpha = 1 - analyzer.CONFIDENCE_LEVEL;
+  let naiveStops = 0;
+  let sequentialStops = 0;
+
+  for (let run = 0; run < experiments; run++) {
+    const control = { variant: 'control', total_users: 0, conversions: 0 };
+    const variant = { variant: 'variant', total_users: 0, conversions: 0 };
+    let naiveStopped = false;
+    let sequentialStopped = false;
+
+    for (let look = 0; look < looks; look++) {
+      for (let i = 0; i < usersPerLook; i++) {
+        control.total_users++;
+        variant.total_users++;
+        if (random() < controlRate) control.conversions++;
+        if (random() < variantRate) variant.conversions++;
+      }
+
+      if (!naiveStopped && control.conversions > 0 && variant.conversions > 0) {
+        naiveStopped = analyzer.chiSquareTest([control, variant]).pValue < alpha;
+      }
+      if (!sequentialStopped) {
+        sequentialStopped = analyzer.msprtTest(control, variant).p_value < alpha;
+      }
+    }
+
+    if (naiveStopped) naiveStops++;
+    if (sequentialStopped) sequentialStops++;
+  }
+
+  return { naive: naiveStops / experiments, sequential: sequentialStops / experiments };
+}
+
 async function runTests() {
   const runner = new TestRunner();
   const dbPath = './test-analytics.db';
@@ -424,6 +454,372 @@ async function runTests() {
     });
   });
 
+  // Test 16: Sample Ratio Mismatch
+  await runner.test('Sample ratio mismatch blocks shipping a winner', async () => {
+    await setupFixedExperiment(db, 'test_exp_srm', {
+      control: { users: 300, events: { fixed_goal: 30 } },
+      treatment: { users: 200, events: { fixed_goal: 80 } }
+    }, { weights: { control: 1, treatment: 1 } });
+
+    const experiment = await db.get('SELECT * FROM experiments WHERE id = ?', ['test_exp_srm']);
+    const srm = await analyzer.checkSampleRatio(experiment);
+    runner.assertFalse(srm.passed, '60/40 assignments on a 50/50 split should fail the SRM check');
+    runner.assertTrue(srm.p_value < analyzer.SRM_ALPHA, 'SRM p-value should be below the threshold');
+
+    const recommendation = await analyzer.getRecommendation('test_exp_srm');
+    runner.assertTrue(recommendation.is_statistically_significant, 'Treatment should be a significant winner');
+    runner.assertEqual(recommendation.action, 'blocked', 'Action should be blocked');
+    runner.assertTrue(recommendation.blocked_by.includes('sample_ratio_mismatch'), 'Should be blocked by SRM');
+
+    // The same counts match a 60/40 configuration
+    const weighted = { ...experiment, variant_weights: JSON.stringify({ control: 60, treatment: 40 }) };
+    runner.assertTrue((await analyzer.checkSampleRatio(weighted)).passed, '60/40 assignments should pass on a 60/40 split');
+  });
+
+  // Test 17: Guardrail Regression
+  await runner.test('Guardrail regression blocks shipping a winner', async () => {
+    await setupFixedExperiment(db, 'test_exp_guardrail', {
+      control: { users: 200, events: { fixed_goal: 20, kept_using: 120 } },
+      treatment: { users: 200, events: { fixed_goal: 60, kept_using: 70 } }
+    }, { guardrails: [{ event_name: 'kept_using', lower_is_better: false }] });
+
+    const recommendation = await analyzer.getRecommendation('test_exp_guardrail');
+    const guardrail = recommendation.checks.guardrails.find(check => check.variant === 'treatment');
+
+    runner.assertTrue(recommendation.checks.sample_ratio.passed, 'Balanced assignments should pass SRM');
+    runner.assertTrue(guardrail.regressed, 'kept_using should have regressed in treatment');
+    runner.assertEqual(recommendation.action, 'blocked', 'Action should be blocked');
+    runner.assertTrue(recommendation.blocked_by.includes('guardrail_regression'), 'Should be blocked by the guardrail');
+
+    const unguarded = await analyzer.getRecommendation('test_exp_guardrail', { guardrails: [] });
+    runner.assertEqual(unguarded.action, 'implement_winner', 'Without guardrails the winner should ship');
+  });
+
+  // Test 18: Sequential Testing - False Positives Under Peeking
+  await runner.test('Sequential test keeps false positives near alpha under repeated peeking', async () => {
+    // A/A experiments (no real difference) checked after every 50 users per variant
+    const rates = simulatePeeking(analyzer, seededRandom(42), {
+      controlRate: 0.1,
+      variantRate: 0.1,
+      experiments: 300,
+      looks: 40,
+      usersPerLook: 50
+    });
+
+    runner.assertTrue(rates.sequential <= 0.05 + 0.02,
+      `Sequential false-positive rate should stay near alpha (was ${rates.sequential})`);
+    runner.assertGreaterThan(rates.naive, 0.1,
+      'Stopping at the first p < 0.05 should inflate false positives');
+    runner.assertGreaterThan(rates.naive, rates.sequential,
+      'Sequential test should stop A/A experiments less often than naive peeking');
+  });
+
+  // Test 19: Sequential Testing - Power
+  await runner.test('Sequential test stops experiments with a real effect', async () => {
+    const rates = simulatePeeking(analyzer, seededRandom(7), {
+      controlRate: 0.1,
+      variantRate: 0.15,
+      experiments: 100,
+      looks: 40,
+      usersPerLook: 50
+    });
+
+    runner.assertGreaterThan(rates.sequential, 0.8, 'Should detect a 5 point lift in most experiments');
+  });
+
+  // Test 20: Sequential Testing - Confidence Sequence
+  await runner.test('msprtTest confidence sequence matches its p-value', async () => {
+    const control = { total_users: 1000, conversions: 100 };
+    const variant = { total_users: 1000, conversions: 150 };
+    const test = analyzer.msprtTest(control, variant);
+
+    runner.assertTrue(test.p_value < 0.05, 'A 5 point lift on 1000 users should be significant');
+    runner.assertTrue(test.lower > 0, 'Confidence sequence should exclude 0 when significant');
+    runner.assertTrue(test.lower < test.difference && test.difference < test.upper,
+      'Confidence sequence should contain the observed difference');
+
+    const same = analyzer.msprtTest(control, { total_users: 1000, conversions: 100 });
+    runner.assertEqual(same.p_value, 1, 'No difference should give p-value 1');
+    runner.assertTrue(same.lower < 0 && same.upper > 0, 'Confidence sequence should contain 0');
+
+    const empty = analyzer.msprtTest({ total_users: 0, conversions: 0 }, variant);
+    runner.assertEqual(empty.p_value, 1, 'An empty arm should give p-value 1');
+  });
+
+  // Test 21: Sequential Significance for a Stored Experiment
+  await runner.test('calculateSequentialSignificance gives a stop signal', async () => {
+    const sequential = await analyzer.calculateSequentialSignificance('test_exp_guardrail');
+    const comparison = sequential.comparisons[0];
+
+    runner.assertEqual(sequential.method, 'msprt', 'Method should be msprt');
+    runner.assertEqual(comparison.variant, 'treatment', 'Treatment should be compared');
+    runner.assertEqual(comparison.control, 'control', 'against control');
+    runner.assertGreaterThan(sequential.looks, 0, 'Should have at least one look');
+    runner.assertTrue(comparison.can_stop, '10% vs 30% on 200 users each should be conclusive');
+    runner.assertEqual(comparison.direction, 'better', 'Treatment should be better');
+    runner.assertEqual(sequential.decision, 'stop_winner', 'Decision should be stop_winner');
+    runner.assertEqual(sequential.winner, 'treatment', 'Winner should be treatment');
+    runner.assertTrue(comparison.confidence_sequence.lower > 0, 'Confidence sequence should exclude 0');
+
+    const lastLook = comparison.looks[comparison.looks.length - 1];
+    runner.assertEqual(lastLook.always_valid_p_value, comparison.always_valid_p_value,
+      'Last look should carry the running p-value');
+  });
+
+  // Test 22: Welch's t-test
+  await runner.test("welchTTest matches reference values", async () => {
+    const test = analyzer.welchTTest([1, 2, 3, 4, 5], [2, 3, 4, 5, 9]);
+
+    runner.assertTrue(Math.abs(test.t - 1.1429) < 0.001, `t should be 1.1429 (was ${test.t})`);
+    runner.assertTrue(Math.abs(test.df - 6.452) < 0.01, `df should be 6.452 (was ${test.df})`);
+    runner.assertTrue(Math.abs(test.p_value - 0.2937) < 0.001, `p should be 0.2937 (was ${test.p_value})`);
+    runner.assertTrue(Math.abs(analyzer.studentTPValue(2, 10) - 0.0734) < 0.0005, 't(10) = 2 should give p 0.0734');
+  });
+
+  // Test 23: Revenue Metric with CUPED
+  await runner.test('analyzeMetric reduces revenue variance with CUPED', async () => {
+    const revenueExp = 'test_exp_revenue';
+    const day = 24 * 60 * 60 * 1000;
+    const random = seededRandom(3);
+
+    await db.run(
+      `INSERT OR REPLACE INTO experiments (id, name, status, variants, start_date, goal_event, metric)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [
+        revenueExp,
+        'Revenue Test',
+        'running',
+        JSON.stringify(['control', 'treatment']),
+        new Date(Date.now() - 14 * day).toISOString(),
+        'purchase',
+        JSON.stringify({ type: 'revenue', property: 'amount', cuped: true, pre_period_days: 14 })
+      ]
+    );
+
+    // Spend varies a lot between users but little for the same user, and
+    // treatment adds 5 to every purchase
+    for (let i = 0; i < 300; i++) {
+      const userId = `revenue_user_${i}`;
+      const variant = i % 2 === 0 ? 'control' : 'treatment';
+      const baseline = 10 + (Math.floor(i / 2) % 10) * 10;
+
+      await db.createUser({ id: userId, email: `${userId}@test.com`, name: userId });
+      await db.run(
+        `INSERT INTO experiment_assignments (experiment_id, user_id, variant, assigned_at)
+         VALUES (?, ?, ?, ?)`,
+        [revenueExp, userId, variant, new Date(Date.now() - 2 * day).toISOString()]
+      );
+      await db.trackEvent({
+        event_name: 'purchase',
+        user_id: userId,
+        properties: { amount: baseline + (random() - 0.5) * 10 },
+        timestamp: new Date(Date.now() - 8 * day).toISOString()
+      });
+      await db.trackEvent({
+        event_name: 'purchase',
+        user_id: userId,
+        properties: { amount: baseline + (variant === 'treatment' ? 5 : 0) + (random() - 0.5) * 10 },
+        timestamp: new Date(Date.now() - day).toISOString()
+      });
+    }
+
+    const adjusted = await analyzer.analyzeMetric(revenueExp);
+    const raw = await analyzer.analyzeMetric(revenueExp, { type: 'revenue', property: 'amount' });
+    const adjustedComparison = adjusted.comparisons[0];
+    const rawComparison = raw.comparisons[0];
+
+    runner.assertEqual(adjusted.metric.event_name, 'purchase', 'Event should default to goal_event');
+    runner.assertGreaterThan(adjusted.cuped.variance_reduction, 80, 'CUPED should remove most of the variance');
+    runner.assertEqual(raw.cuped, null, 'CUPED should be off when not configured');
+    runner.assertTrue(adjustedComparison.p_value < 0.001, 'Adjusted comparison should be significant');
+    runner.assertGreaterThan(rawComparison.p_value, adjustedComparison.p_value, 'CUPED should lower the p-value');
+    runner.assertTrue(Math.abs(adjustedComparison.difference - 5) < 2, 'Adjusted difference should be close to 5');
+    runner.assertTrue(adjustedComparison.bootstrap_ci.lower > 0, 'Bootstrap CI should exclude 0');
+    runner.assertTrue(adjustedComparison.bootstrap_ci.lower < adjustedComparison.difference &&
+      adjustedComparison.difference < adjustedComparison.bootstrap_ci.upper, 'Bootstrap CI should contain the difference');
+
+    const counts = await analyzer.analyzeMetric(revenueExp, { type: 'count' });
+    runner.assertEqual(counts.variants[0].mean, 1, 'Events before assignment should not count');
+  });
+
+  // Test 24: Metric Validation
+  await runner.test('normalizeMetric rejects invalid metrics', async () => {
+    const invalid = [
+      { type: 'median_revenue' },
+      { type: 'revenue' },
+      { type: 'revenue', property: 'amount; DROP TABLE events' },
+      { type: 'time_to_convert', cuped: true },
+      { type: 'count', cuped: true, pre_period_days: 0 }
+    ];
+
+    for (const metric of invalid) {
+      let threw = false;
+      try {
+        analyzer.normalizeMetric(metric);
+      } catch (error) {
+        threw = true;
+      }
+      runner.assertTrue(threw, `Should reject ${JSON.stringify(metric)}`);
+    }
+
+    const metric = analyzer.normalizeMetric({ type: 'count', cuped: true });
+    runner.assertEqual(metric.pre_period_days, analyzer.CUPED_PRE_PERIOD_DAYS, 'Should default the pre-period');
+  });
+
+  // Test 25: Beta Sampler
+  await runner.test('sampleBeta draws match the Beta distribution', async () => {
+    const random = analyzer.seededRandom('beta-sampler');
+    const draws = [];
+    for (let i = 0; i < 20000; i++) {
+      draws.push(analyzer.sampleBeta(3, 7, random));
+    }
+    const { mean, variance } = analyzer.describe(draws);
+
+    runner.assertTrue(Math.abs(mean - 0.3) < 0.005, `Beta(3, 7) mean should be 0.3 (was ${mean})`);
+    runner.assertTrue(Math.abs(variance - 21 / 1100) < 0.001, `Beta(3, 7) variance should be 0.0191 (was ${variance})`);
+    runner.assertTrue(draws.every(draw => draw > 0 && draw < 1), 'Draws should be in (0, 1)');
+  });
+
+  // Test 26: Bayesian Analysis - Clear Winner
+  await runner.test('calculateBayesian finds a clear winner deterministically', async () => {
+    const bayesian = await analyzer.calculateBayesian('test_exp_guardrail');
+    const control = bayesian.variants.find(v => v.variant === 'control');
+    const treatment = bayesian.variants.find(v => v.variant === 'treatment');
+
+    runner.assertEqual(bayesian.control, 'control', 'Control should be control');
+    runner.assertEqual(bayesian.best_variant, 'treatment', 'Treatment should be best');
+    runner.assertTrue(bayesian.can_ship, 'Treatment should be shippable');
+    runner.assertGreaterThan(treatment.probability_to_beat_control, 0.99, '10% vs 30% should be near certain');
+    runner.assertEqual(control.probability_to_beat_control, null, 'Control is not compared with itself');
+    runner.assertTrue(treatment.expected_loss < 0.01, 'Shipping treatment should cost almost nothing');
+    runner.assertTrue(Math.abs(control.expected_loss - 20) < 2, 'Shipping control should cost about 20 points');
+    runner.assertEqual(treatment.posterior.alpha, 1 + 60, 'Posterior alpha should be prior + conversions');
+    runner.assertEqual(treatment.posterior.beta, 1 + 140, 'Posterior beta should be prior + non-conversions');
+    runner.assertTrue(treatment.credible_interval.lower < 30 && treatment.credible_interval.upper > 30,
+      'Credible interval should contain the observed rate');
+
+    const again = await analyzer.calculateBayesian('test_exp_guardrail');
+    runner.assertEqual(JSON.stringify(again), JSON.stringify(bayesian), 'Same data and seed should give the same result');
+  });
+
+  // Test 27: Bayesian Analysis - No Difference
+  await runner.test('calculateBayesian splits probability evenly for identical variants', async () => {
+    await setupFixedExperiment(db, 'test_exp_bayes_aa', {
+      control: { users: 200, events: { fixed_goal: 40 } },
+      treatment: { users: 200, events: { fixed_goal: 40 } }
+    });
+
+    const bayesian = await analyzer.calculateBayesian('test_exp_bayes_aa', { seed: 11 });
+    const treatment = bayesian.variants.find(v => v.variant === 'treatment');
+
+    runner.assertTrue(Math.abs(treatment.probability_to_beat_control - 0.5) < 0.02,
+      `Identical variants should beat each other half the time (was ${treatment.probability_to_beat_control})`);
+    runner.assertFalse(bayesian.can_ship, 'Identical variants should not be shippable');
+  });
+
+  // Test 28: Bayesian Analysis - Multiple Variants
+  await runner.test('calculateBayesian supports more than two variants', async () => {
+    const bayesian = await analyzer.calculateBayesian(experimentId, { seed: 5, samples: 5000 });
+    const totalBest = bayesian.variants.reduce((sum, v) => sum + v.probability_to_be_best, 0);
+
+    runner.assertEqual(bayesian.variants.length, 3, 'Should analyse 3 variants');
+    runner.assertEqual(bayesian.samples, 5000, 'Should use the requested number of draws');
+    runner.assertTrue(Math.abs(totalBest - 1) < 0.001, 'Probabilities to be best should sum to 1');
+    bayesian.variants.forEach(v => {
+      runner.assertTrue(v.expected_loss >= 0, 'Expected loss should be non-negative');
+      runner.assertTrue(v.credible_interval.lower <= v.posterior_mean && v.posterior_mean <= v.credible_interval.upper,
+        'Posterior mean should be inside the credible interval');
+    });
+  });
+
+  // Test 29: Bayesian Recommendation
+  await runner.test('getRecommendation uses the Bayesian mode when selected', async () => {
+    await db.run("UPDATE experiments SET analysis_mode = 'bayesian' WHERE id = ?", ['test_exp_guardrail']);
+    const recommendation = await analyzer.getRecommendation('test_exp_guardrail', { guardrails: [] });
+
+    runner.assertEqual(recommendation.analysis_mode, 'bayesian', 'Mode should come from the experiment');
+    runner.assertEqual(recommendation.action, 'implement_winner', 'Clear winner should ship');
+    runner.assertEqual(recommendation.recommended_variant, 'treatment', 'Treatment should be recommended');
+    runner.assertGreaterThan(recommendation.metrics_summary.probability_to_be_best, 0.99, 'Summary should carry the probability');
+
+    const frequentist = await analyzer.getRecommendation('test_exp_guardrail', { guardrails: [], mode: 'frequentist' });
+    runner.assertEqual(frequentist.analysis_mode, 'frequentist', 'Mode should be overridable');
+    runner.assertEqual(frequentist.metrics_summary.probability_to_be_best, undefined, 'No Bayesian summary in frequentist mode');
+  });
+
+  // Test 30: Multiple-Comparison Corrections
+  await runner.test('adjustPValues matches reference Holm and Benjamini-Hochberg values', async () => {
+    const pValues = [0.01, 0.04, 0.03, 0.005];
+    const round = values => values.map(value => Math.round(value * 1000) / 1000);
+
+    runner.assertEqual(round(analyzer.adjustPValues(pValues, 'holm')).join(), '0.03,0.06,0.06,0.02', 'Holm');
+    runner.assertEqual(round(analyzer.adjustPValues(pValues, 'bh')).join(), '0.02,0.04,0.04,0.02', 'Benjamini-Hochberg');
+    runner.assertEqual(analyzer.adjustPValues(pValues, 'none').join(), pValues.join(), 'No correction');
+    runner.assertEqual(analyzer.adjustPValues([0.9, 0.8], 'holm').join(), '1,1', 'Adjusted p-values are capped at 1');
+  });
+
+  // Test 31: Corrected Winner in a Multi-Arm Test
+  await runner.test('Correction stops a marginal winner among many variants', async () => {
+    await setupFixedExperiment(db, 'test_exp_multi_arm', {
+      control: { users: 500, events: { fixed_goal: 50 } },
+      variant_a: { users: 500, events: { fixed_goal: 50 } },
+      variant_b: { users: 500, events: { fixed_goal: 52 } },
+      variant_c: { users: 500, events: { fixed_goal: 48 } },
+      variant_d: { users: 500, events: { fixed_goal: 72 } }
+    });
+
+    const holm = await analyzer.getVariantComparison('test_exp_multi_arm');
+    const d = holm.vs_control.find(c => c.variant === 'variant_d');
+
+    runner.assertEqual(holm.correction.method, 'holm', 'Holm should be the default');
+    runner.assertEqual(holm.correction.control_family_size, 4, '4 variants are compared with control');
+    runner.assertEqual(holm.correction.pairwise_family_size, 10, '10 pairs among 5 variants');
+    runner.assertTrue(d.p_value < 0.05, 'variant_d alone looks significant');
+    runner.assertFalse(d.significant, 'but not after correcting for 4 tests');
+    runner.assertFalse(holm.winner.significant, 'No corrected winner');
+
+    const { variants, matrix } = holm.pairwise;
+    const a = variants.indexOf('variant_a');
+    const dIndex = variants.indexOf('variant_d');
+    runner.assertEqual(matrix[a][a], null, 'Diagonal should be empty');
+    runner.assertEqual(matrix[dIndex][a].difference, -matrix[a][dIndex].difference, 'Matrix should be antisymmetric');
+    runner.assertEqual(matrix[dIndex][a].adjusted_p_value, matrix[a][dIndex].adjusted_p_value, 'Pairs share one p-value');
+
+    const corrected = await analyzer.getRecommendation('test_exp_multi_arm');
+    const uncorrected = await analyzer.getRecommendation('test_exp_multi_arm', { correction: 'none' });
+    runner.assertTrue(corrected.action !== 'implement_winner', 'Corrected recommendation should not ship variant_d');
+    runner.assertEqual(uncorrected.action, 'implement_winner', 'Without correction variant_d would ship');
+    runner.assertEqual(uncorrected.recommended_variant, 'variant_d', 'variant_d is the uncorrected winner');
+  });
+
+  // Test 32: Sequential Conversions Follow the Assignment
+  await runner.test('Sequential test ignores goal events from before the assignment', async () => {
+    await db.run(
+      `INSERT OR REPLACE INTO experiments (id, name, status, variants, goal_event)
+       VALUES ('test_exp_seq_order', 'Sequential Order', 'running', ?, 'seq_goal')`,
+      [JSON.stringify(['control', 'treatment'])]
+    );
+    for (const variant of ['control', 'treatment']) {
+      for (let i = 0; i < 4; i++) {
+        await db.run(
+          `INSERT INTO experiment_assignments (experiment_id, user_id, variant, assigned_at)
+           VALUES ('test_exp_seq_order', ?, ?, '2025-03-10 10:00:00')`,
+          [`seq_${variant}_${i}`, variant]
+        );
+      }
+    }
+
+    // Treatment users converted at 09:00, before their 10:00 assignment, in
+    // both the stored and the ISO format; one control user at 11:00
+    await db.insertEvent({ event_name: 'seq_goal', user_id: 'seq_treatment_0', timestamp: '2025-03-10 09:00:00.000' });
+    await db.insertEvent({ event_name: 'seq_goal', user_id: 'seq_treatment_1', timestamp: '2025-03-10T09:00:00.000Z' });
+    await db.insertEvent({ event_name: 'seq_goal', user_id: 'seq_control_0', timestamp: '2025-03-10 11:00:00.000' });
+
+    const [comparison] = (await analyzer.calculateSequentialSignificance('test_exp_seq_order')).comparisons;
+    runner.assertEqual(comparison.control_rate, 25, 'The control conversion after assignment counts');
+    runner.assertEqual(comparison.variant_rate, 0, 'Conversions before assignment do not');
+  });
+
   // Clean up
   await db.close();
   if (fs.existsSync(dbPath)) {
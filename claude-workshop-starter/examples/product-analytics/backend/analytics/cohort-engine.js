@@ -0,0 +1,396 @@
+// Cohort Engine
+// Evaluates cohorts.criteria and materializes membership in cohort_members,
+// so a user can belong to any number of cohorts.
+//
+// Rule-based criteria look like:
+//   {
+//     match: 'all',   // or 'any'
+//     rules: [
+//       { type: 'event', event_name: 'checkout', operator: 'gte', count: 3, within_days: 30 },
+//       { type: 'attribute', attribute: 'country', operator: 'equals', value: 'DE' },
+//       { type: 'property', property: 'plan', operator: 'equals', value: 'pro' }
+//     ]
+//   }
+// A rule can itself be a { match, rules } group. Cohorts whose criteria have
+// no rules are static: their members are the users whose users.cohort_id
+// points at them.
+//
+// Every refresh also records entries and exits in cohort_membership_history,
+// which answers who was a member at a past instant.
+
+const { buildComparison, buildPropertyFilter, buildPropertyFilters } = require('../utils/property-filters');
+
+// Count comparisons for event rules
+const COUNT_OPERATORS = {
+  equals: '=',
+  not_equals: '!=',
+  gt: '>',
+  gte: '>=',
+  lt: '<',
+  lte: '<='
+};
+
+// Event columns usable in attribute rules (the user's most recent value is compared)
+const ATTRIBUTES = ['country', 'city', 'device_type', 'browser'];
+
+const MAX_DEPTH = 5;
+
+// History row h was an open membership at the instant bound to both placeholders
+const MEMBER_AT = `julianday(h.entered_at) <= julianday(?)
+  AND (h.exited_at IS NULL OR julianday(h.exited_at) > julianday(?))`;
+
+const DEFAULT_OPTIONS = {
+  intervalMs: 15 * 60 * 1000 // how often start() refreshes every cohort
+};
+
+class CohortEngine {
+  constructor(db, options = {}) {
+    this.db = db;
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.timer = null;
+    this.running = null;
+  }
+
+  // Whether criteria are rule-based (otherwise the cohort is static)
+  static isDynamic(criteria) {
+    return Boolean(criteria && Array.isArray(criteria.rules));
+  }
+
+  // Check criteria before they are saved; throws with a readable message
+  validate(criteria) {
+    if (!CohortEngine.isDynamic(criteria)) {
+      return 'static';
+    }
+    this.buildGroup(criteria, 0);
+    return 'dynamic';
+  }
+
+  // SQL condition on users u for a { match, rules } group
+  buildGroup(group, depth) {
+    const { match = 'all', rules } = group;
+
+    if (depth >= MAX_DEPTH) {
+      throw new Error(`Cohort rules can be nested at most ${MAX_DEPTH} levels deep`);
+    }
+    if (match !== 'all' && match !== 'any') {
+      throw new Error('match must be "all" or "any"');
+    }
+    if (!Array.isArray(rules) || rules.length === 0) {
+      throw new Error('rules must be a non-empty array');
+    }
+
+    const conditions = [];
+    const params = [];
+    for (const rule of rules) {
+      const condition = this.buildRule(rule, depth);
+      conditions.push(`(${condition.sql})`);
+      params.push(...condition.params);
+    }
+
+    return {
+      sql: conditions.join(match === 'all' ? ' AND ' : ' OR '),
+      params
+    };
+  }
+
+  buildRule(rule, depth) {
+    if (!rule || typeof rule !== 'object') {
+      throw new Error('Each cohort rule must be an object');
+    }
+
+    if (Array.isArray(rule.rules)) {
+      return this.buildGroup(rule, depth + 1);
+    }
+
+    switch (rule.type) {
+      case 'event':
+        return this.buildEventRule(rule);
+      case 'attribute':
+        return this.buildAttributeRule(rule);
+      case 'property':
+        return buildPropertyFilter('u.properties', rule);
+      default:
+        throw new Error(`Unknown cohort rule type: ${rule.type} (expected event, attribute or property)`);
+    }
+  }
+
+  // "did event_name <operator> count times [in the last within_days days]"
+  buildEventRule(rule) {
+    const { event_name, operator = 'gte', count = 1, within_days, filters = [] } = rule;
+
+    if (!event_name || typeof event_name !== 'string') {
+      throw new Error('Event rules need an event_name');
+    }
+    if (!COUNT_OPERATORS[operator]) {
+      throw new Error(`Unsupported event rule operator: ${operator} (expected ${Object.keys(COUNT_OPERATORS).join(', ')})`);
+    }
+    if (!Number.isInteger(count) || count < 0) {
+      throw new Error('Event rule count must be a non-negative integer');
+    }
+    if (within_days !== undefined && within_days !== null && !(Number(within_days) > 0)) {
+      throw new Error('Event rule within_days must be a positive number');
+    }
+    if (!Array.isArray(filters)) {
+      throw new Error('Event rule filters must be an array');
+    }
+
+    let sql = 'SELECT COUNT(*) FROM events e WHERE e.user_id = u.id AND e.event_name = ?';
+    const params = [event_name];
+
+    if (within_days) {
+      sql += " AND julianday(e.timestamp) >= julianday('now', ?)";
+      params.push(`-${Number(within_days)} days`);
+    }
+
+    const propertyFilters = buildPropertyFilters('e.properties', filters);
+    if (propertyFilters.sql) {
+      sql += ` AND ${propertyFilters.sql}`;
+      params.push(...propertyFilters.params);
+    }
+
+    return {
+      sql: `(${sql}) ${COUNT_OPERATORS[operator]} ?`,
+      params: [...params, count]
+    };
+  }
+
+  // Compares the most recent non-null value of an event column
+  buildAttributeRule(rule) {
+    const { attribute, operator = 'equals', value } = rule;
+
+    if (!ATTRIBUTES.includes(attribute)) {
+      throw new Error(`Unknown attribute: ${attribute} (expected ${ATTRIBUTES.join(', ')})`);
+    }
+
+    const latest = `(SELECT e.${attribute} FROM events e
+      WHERE e.user_id = u.id AND e.${attribute} IS NOT NULL
+      ORDER BY e.timestamp DESC, e.id DESC LIMIT 1)`;
+
+    return buildComparison(latest, operator, value, attribute);
+  }
+
+  // Query selecting the current member ids of a cohort
+  // Merged-away ids are not users of their own
+  membersQuery(cohortId, criteria) {
+    if (!CohortEngine.isDynamic(criteria)) {
+      return {
+        sql: `SELECT id FROM users
+          WHERE cohort_id = ? AND id NOT IN (SELECT alias_id FROM user_aliases)`,
+        params: [cohortId]
+      };
+    }
+
+    const condition = this.buildGroup(criteria, 0);
+    return {
+      sql: `SELECT u.id FROM users u
+        WHERE u.id NOT IN (SELECT alias_id FROM user_aliases)
+        AND (${condition.sql})`,
+      params: condition.params
+    };
+  }
+
+  // Re-evaluate one cohort and store its membership and user_count
+  async refresh(cohortId) {
+    return this.db.transaction(async () => {
+      const cohort = await this.db.get('SELECT * FROM cohorts WHERE id = ?', [cohortId]);
+      if (!cohort) {
+        return null;
+      }
+
+      const criteria = cohort.criteria ? JSON.parse(cohort.criteria) : null;
+      const members = this.membersQuery(cohortId, criteria);
+
+      await this.db.run('CREATE TEMP TABLE IF NOT EXISTS cohort_refresh (user_id TEXT PRIMARY KEY)');
+      await this.db.run('DELETE FROM cohort_refresh');
+      await this.db.run(`INSERT OR IGNORE INTO cohort_refresh (user_id) ${members.sql}`, members.params);
+
+      // Close the history of users who left before removing them
+      await this.db.run(
+        `UPDATE cohort_membership_history
+         SET exited_at = CURRENT_TIMESTAMP
+         WHERE cohort_id = ? AND exited_at IS NULL
+         AND user_id NOT IN (SELECT user_id FROM cohort_refresh)`,
+        [cohortId]
+      );
+      const removed = await this.db.run(
+        `DELETE FROM cohort_members
+         WHERE cohort_id = ? AND user_id NOT IN (SELECT user_id FROM cohort_refresh)`,
+        [cohortId]
+      );
+      const added = await this.db.run(
+        `INSERT INTO cohort_members (cohort_id, user_id)
+         SELECT ?, user_id FROM cohort_refresh
+         WHERE user_id NOT IN (SELECT user_id FROM cohort_members WHERE cohort_id = ?)`,
+        [cohortId, cohortId]
+      );
+
+      // Open a history row for every member without one: users who just joined,
+      // and members from before history was kept (since they were added)
+      await this.db.run(
+        `INSERT INTO cohort_membership_history (cohort_id, user_id, entered_at)
+         SELECT cm.cohort_id, cm.user_id, cm.added_at
+         FROM cohort_members cm
+         WHERE cm.cohort_id = ?
+         AND NOT EXISTS (
+           SELECT 1 FROM cohort_membership_history h
+           WHERE h.cohort_id = cm.cohort_id AND h.user_id = cm.user_id AND h.exited_at IS NULL
+         )`,
+        [cohortId]
+      );
+
+      await this.db.run(
+        `UPDATE cohorts
+         SET user_count = (SELECT COUNT(*) FROM cohort_members WHERE cohort_id = ?),
+           refreshed_at = CURRENT_TIMESTAMP
+         WHERE id = ?`,
+        [cohortId, cohortId]
+      );
+
+      const updated = await this.db.get('SELECT user_count, refreshed_at FROM cohorts WHERE id = ?', [cohortId]);
+      return {
+        cohort_id: cohortId,
+        type: CohortEngine.isDynamic(criteria) ? 'dynamic' : 'static',
+        user_count: updated.user_count,
+        added: added.changes,
+        removed: removed.changes,
+        refreshed_at: updated.refreshed_at
+      };
+    });
+  }
+
+  // Current members, or the members at asOf from the membership history.
+  // limit -1 returns every member.
+  async getMembers(cohortId, { asOf = null, limit = -1, offset = 0 } = {}) {
+    if (!asOf) {
+      const { count } = await this.db.get(
+        'SELECT COUNT(*) as count FROM cohort_members WHERE cohort_id = ?',
+        [cohortId]
+      );
+      const users = await this.db.all(
+        `SELECT u.*, cm.added_at
+         FROM cohort_members cm
+         JOIN users u ON u.id = cm.user_id
+         WHERE cm.cohort_id = ?
+         ORDER BY cm.added_at, u.id
+         LIMIT ? OFFSET ?`,
+        [cohortId, limit, offset]
+      );
+      return { user_count: count, users };
+    }
+
+    const { count } = await this.db.get(
+      `SELECT COUNT(*) as count
+       FROM cohort_membership_history h
+       WHERE h.cohort_id = ? AND ${MEMBER_AT}`,
+      [cohortId, asOf, asOf]
+    );
+
+    const users = await this.db.all(
+      `SELECT u.*, h.entered_at, h.exited_at
+       FROM cohort_membership_history h
+       JOIN users u ON u.id = h.user_id
+       WHERE h.cohort_id = ? AND ${MEMBER_AT}
+       ORDER BY h.entered_at, u.id
+       LIMIT ? OFFSET ?`,
+      [cohortId, asOf, asOf, limit, offset]
+    );
+
+    return { user_count: count, users };
+  }
+
+  // Users who were members at `to` but not at `from` (entered), and the other
+  // way round (exited). Users who joined and left in between appear in neither.
+  async diff(cohortId, from, to) {
+    const changes = await this.db.all(
+      `WITH at_from AS (
+        SELECT h.user_id, h.exited_at
+        FROM cohort_membership_history h
+        WHERE h.cohort_id = ? AND ${MEMBER_AT}
+      ),
+      at_to AS (
+        SELECT h.user_id, h.entered_at
+        FROM cohort_membership_history h
+        WHERE h.cohort_id = ? AND ${MEMBER_AT}
+      )
+      SELECT 'entered' as change, t.user_id, u.email, u.name, t.entered_at as changed_at
+      FROM at_to t
+      LEFT JOIN users u ON u.id = t.user_id
+      WHERE t.user_id NOT IN (SELECT user_id FROM at_from)
+      UNION ALL
+      SELECT 'exited' as change, f.user_id, u.email, u.name, f.exited_at as changed_at
+      FROM at_from f
+      LEFT JOIN users u ON u.id = f.user_id
+      WHERE f.user_id NOT IN (SELECT user_id FROM at_to)
+      ORDER BY changed_at, user_id`,
+      [cohortId, from, from, cohortId, to, to]
+    );
+
+    const strip = ({ change, ...rest }) => rest;
+    return {
+      entered: changes.filter(row => row.change === 'entered').map(strip),
+      exited: changes.filter(row => row.change === 'exited').map(strip)
+    };
+  }
+
+  // Refresh every cohort; one cohort failing doesn't stop the others
+  async refreshAll() {
+    if (this.running) {
+      return this.running;
+    }
+
+    const pass = (async () => {
+      const cohorts = await this.db.all('SELECT id FROM cohorts ORDER BY id');
+      const results = [];
+      for (const { id } of cohorts) {
+        try {
+          results.push(await this.refresh(id));
+        } catch (error) {
+          results.push({ cohort_id: id, error: error.message });
+        }
+      }
+      return results;
+    })();
+
+    this.running = pass;
+    try {
+      return await pass;
+    } finally {
+      this.running = null;
+    }
+  }
+
+  // Refresh a cohort when it was never evaluated or is older than maxAgeMs
+  async ensureFresh(cohortId, maxAgeMs = this.options.intervalMs) {
+    const cohort = await this.db.get(
+      `SELECT refreshed_at, (julianday('now') - julianday(refreshed_at)) * 86400000 as age_ms
+       FROM cohorts WHERE id = ?`,
+      [cohortId]
+    );
+
+    if (cohort && (!cohort.refreshed_at || cohort.age_ms > maxAgeMs)) {
+      await this.refresh(cohortId);
+    }
+  }
+
+  // Refresh every cohort on a timer until stop()
+  start() {
+    if (!this.timer) {
+      this.timer = setInterval(() => {
+        this.refreshAll().catch(error => console.error('Cohort refresh failed:', error));
+      }, this.options.intervalMs);
+      this.timer.unref();
+    }
+    return this;
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    return this.running || Promise.resolve();
+  }
+}
+
+CohortEngine.ATTRIBUTES = ATTRIBUTES;
+CohortEngine.COUNT_OPERATORS = Object.keys(COUNT_OPERATORS);
+
+module.exports = CohortEngine;
@@ -0,0 +1,160 @@
+// Test Suite for Cohort Engine membership and history
+// Run with: node analytics/cohort-engine.test.js
+
+const CohortEngine = require('./cohort-engine');
+const { TestRunner, createTestDatabase } = require('../utils/test-runner');
+
+const PRO_PLAN = { match: 'all', rules: [{ type: 'property', property: 'plan', operator: 'equals', value: 'pro' }] };
+
+async function runTests() {
+  const runner = new TestRunner();
+  const db = await createTestDatabase('./test-cohort-engine.db');
+  const engine = new CohortEngine(db);
+
+  const createCohort = (id, criteria) => db.run(
+    'INSERT INTO cohorts (id, name, criteria) VALUES (?, ?, ?)',
+    [id, id, criteria ? JSON.stringify(criteria) : null]
+  );
+  const setPlan = (userId, plan) => db.run(
+    'UPDATE users SET properties = ? WHERE id = ?',
+    [JSON.stringify({ plan }), userId]
+  );
+  const memberIds = async (cohortId, options) =>
+    (await engine.getMembers(cohortId, options)).users.map(u => u.id).sort().join();
+
+  for (const [id, plan] of [['ana', 'pro'], ['ben', 'free'], ['cleo', 'pro']]) {
+    await db.createUser({ id, properties: { plan } });
+  }
+
+  console.log('Running tests...\n');
+
+  // Test 1: Rule-Based Cohort
+  await runner.test('A refresh stores the users matching the rules', async () => {
+    await createCohort('pro', PRO_PLAN);
+    const result = await engine.refresh('pro');
+
+    runner.assertEqual(result.type, 'dynamic', 'Rule-based cohorts are dynamic');
+    runner.assertEqual(result.user_count, 2, 'Two pro users');
+    runner.assertEqual(result.added, 2, 'Both added');
+    runner.assertEqual(await memberIds('pro'), 'ana,cleo', 'Members');
+  });
+
+  // Test 2: Leaving and Joining
+  await runner.test('Users who stop or start matching leave or join', async () => {
+    await setPlan('ana', 'free');
+    await setPlan('ben', 'pro');
+    const result = await engine.refresh('pro');
+
+    runner.assertEqual(result.added, 1, 'Ben joins');
+    runner.assertEqual(result.removed, 1, 'Ana leaves');
+    runner.assertEqual(await memberIds('pro'), 'ben,cleo', 'Members');
+
+    const history = await db.all("SELECT * FROM cohort_membership_history WHERE user_id = 'ana'");
+    runner.assertEqual(history.length, 1, 'One stay for Ana');
+    runner.assertExists(history[0].exited_at, 'It is closed');
+  });
+
+  // Test 3: Rejoining
+  await runner.test('Rejoining opens a new stay', async () => {
+    await setPlan('ana', 'pro');
+    await engine.refresh('pro');
+
+    const stays = await db.all(
+      "SELECT * FROM cohort_membership_history WHERE user_id = 'ana' ORDER BY id"
+    );
+    runner.assertEqual(stays.length, 2, 'Two stays');
+    runner.assertEqual(stays[1].exited_at, null, 'The second is open');
+
+    const again = await engine.refresh('pro');
+    runner.assertEqual(again.added + again.removed, 0, 'Refreshing without changes changes nothing');
+    const count = await db.get('SELECT COUNT(*) as count FROM cohort_membership_history');
+    runner.assertEqual(count.count, 4, 'No new history rows');
+  });
+
+  // Test 4: Members in the Past
+  await runner.test('Members at a past instant come from the history', async () => {
+    // Pin the stays to known times: Ana 1-10 Jan and from 20 Jan, Ben from
+    // 10 Jan, Cleo from 1 Jan
+    const times = {
+      ana: [['2025-01-01 00:00:00', '2025-01-10 00:00:00'], ['2025-01-20 00:00:00', null]],
+      ben: [['2025-01-10 00:00:00', null]],
+      cleo: [['2025-01-01 00:00:00', null]]
+    };
+    for (const [userId, stays] of Object.entries(times)) {
+      const rows = await db.all(
+        'SELECT id FROM cohort_membership_history WHERE user_id = ? ORDER BY id',
+        [userId]
+      );
+      for (const [index, [enteredAt, exitedAt]] of stays.entries()) {
+        await db.run(
+          'UPDATE cohort_membership_history SET entered_at = ?, exited_at = ? WHERE id = ?',
+          [enteredAt, exitedAt, rows[index].id]
+        );
+      }
+    }
+
+    runner.assertEqual(await memberIds('pro', { asOf: '2025-01-05' }), 'ana,cleo', '5 January');
+    runner.assertEqual(await memberIds('pro', { asOf: '2025-01-10' }), 'ben,cleo', 'Exits take effect at their time');
+    runner.assertEqual(await memberIds('pro', { asOf: '2025-01-25' }), 'ana,ben,cleo', '25 January');
+    runner.assertEqual(await memberIds('pro', { asOf: '2024-12-31' }), '', 'Before any stay');
+  });
+
+  // Test 5: Diff
+  await runner.test('diff lists who entered and exited between two instants', async () => {
+    const first = await engine.diff('pro', '2025-01-05', '2025-01-15');
+    runner.assertEqual(first.entered.map(u => u.user_id).join(), 'ben', 'Ben entered');
+    runner.assertEqual(first.exited.map(u => u.user_id).join(), 'ana', 'Ana exited');
+
+    const second = await engine.diff('pro', '2025-01-05', '2025-01-25');
+    runner.assertEqual(second.exited.length, 0, 'Ana is back, so nobody exited');
+  });
+
+  // Test 6: Static Cohorts and Merged Ids
+  await runner.test('Static cohorts follow users.cohort_id; merged ids are never members', async () => {
+    await createCohort('beta', null);
+    await db.createUser({ id: 'dan', cohort_id: 'beta' });
+    await db.createUser({ id: 'dan_device', cohort_id: 'beta', properties: { plan: 'pro' } });
+    await db.run("INSERT INTO user_aliases (alias_id, canonical_id, source) VALUES ('dan_device', 'dan', 'alias')");
+
+    const beta = await engine.refresh('beta');
+    runner.assertEqual(beta.type, 'static', 'No rules');
+    runner.assertEqual(await memberIds('beta'), 'dan', 'Only the canonical user');
+
+    await engine.refresh('pro');
+    runner.assertFalse((await memberIds('pro')).includes('dan_device'), 'The alias is not a pro member');
+  });
+
+  // Test 7: Validation
+  await runner.test('Invalid rules are rejected', async () => {
+    await runner.assertRejects(
+      async () => engine.validate({ rules: [{ type: 'event' }] }),
+      { pattern: /event_name/ },
+      'Event rule without an event'
+    );
+    await runner.assertRejects(
+      async () => engine.validate({ rules: [{ type: 'attribute', attribute: 'plan' }] }),
+      { pattern: /Unknown attribute/ },
+      'Unknown attribute'
+    );
+  });
+
+  await db.remove();
+  return runner.summary();
+}
+
+// Run tests
+if (require.main === module) {
+  console.log('Cohort Engine - Test Suite');
+  console.log('='.repeat(80) + '\n');
+
+  runTests()
+    .then(success => {
+      process.exit(success ? 0 : 1);
+    })
+    .catch(error => {
+      console.error('Test suite failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { runTests };
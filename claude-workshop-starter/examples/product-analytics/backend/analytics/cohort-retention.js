@@ -1,13 +1,32 @@
 // Cohort Retention Analysis Module
 // Analyzes user retention by cohort over time
+//
+// Cohorts are users grouped by signup date, or by the first time they used an
+// event. Retention can count any event or one return event, per period
+// (bounded), on-or-after a period (unbounded), or over custom period brackets.
+//
+// Cohorts contain canonical users only: ids merged into another user (see
+// ingestion/identity.js) are left out, and their events count for the user
+// they were merged into.
 
 class CohortRetention {
   constructor(db) {
     this.db = db;
   }
 
-  // Calculate retention cohorts by signup date
-  async analyzeRetention(cohortSize = 'week', periods = 12) {
+  // Calculate retention cohorts by signup date (or first use of cohortEvent)
+  // options.returnEvent: only this event counts as coming back (default: any event)
+  // options.mode: 'bounded' - active in period N, 'unbounded' - active in period N or later
+  // options.brackets: [{ start, end }] period ranges to report instead of single
+  //   periods, e.g. day 1, days 2-7, days 8-30 (end null: no upper bound)
+  async analyzeRetention(cohortSize = 'week', periods = 12, options = {}) {
+    const {
+      returnEvent = null,
+      cohortEvent = null,
+      mode = 'bounded',
+      brackets = null
+    } = options;
+
     // Determine cohort grouping SQL
     const cohortGrouping = cohortSize === 'week'
       ? "strftime('%Y-W%W', created_at)"
@@ -15,62 +34,283 @@ class CohortRetention {
       ? "strftime('%Y-%m', created_at)"
       : "date(created_at)";
 
-    // Get all cohorts
-    const cohorts = await this.db.all(`
-      SELECT
-        ${cohortGrouping} as cohort,
-        COUNT(*) as cohort_size,
-        MIN(created_at) as cohort_start
-      FROM users
-      WHERE created_at IS NOT NULL
-      GROUP BY ${cohortGrouping}
-      ORDER BY cohort_start
-    `);
+    const columns = this.retentionColumns(periods, mode, brackets);
+    const cohorts = await this.getCohortRetention({
+      cohortGrouping,
+      periodSize: cohortSize,
+      periods,
+      columns,
+      returnEvent,
+      cohortEvent
+    });
+
+    const result = {
+      cohort_size: cohortSize,
+      periods: periods,
+      data: cohorts.map(cohort => ({
+        cohort: cohort.cohort,
+        cohort_size: cohort.cohort_size,
+        cohort_start: cohort.cohort_start,
+        retention: cohort.retention
+      }))
+    };
 
-    const retentionData = [];
+    // Only describe non-default modes, so the default response is unchanged
+    if (returnEvent || cohortEvent || mode !== 'bounded' || brackets) {
+      Object.assign(result, {
+        mode,
+        return_event: returnEvent,
+        cohort_event: cohortEvent,
+        columns
+      });
+    }
 
-    for (const cohort of cohorts) {
-      const cohortUsers = await this.db.all(
-        `SELECT id FROM users WHERE ${cohortGrouping} = ?`,
-        [cohort.cohort]
-      );
+    return result;
+  }
+
+  // Columns of a retention table after period 0, as inclusive period ranges
+  // (end null: no upper bound)
+  retentionColumns(periods, mode = 'bounded', brackets = null) {
+    const ranges = brackets || Array.from({ length: periods || 0 }, (_, i) => ({ start: i + 1, end: i + 1 }));
+
+    if (ranges.length === 0) {
+      throw new Error('At least one retention period or bracket is required');
+    }
+
+    for (const { start, end } of ranges) {
+      if (!Number.isInteger(start) || start < 1 || (end !== null && (!Number.isInteger(end) || end < start))) {
+        throw new Error(`Invalid retention bracket ${start}-${end}`);
+      }
+    }
 
-      const userIds = cohortUsers.map(u => u.id);
-      if (userIds.length === 0) continue;
+    return ranges.map(({ start, end }) => ({
+      start,
+      end: mode === 'unbounded' ? null : end
+    }));
+  }
+
+  // Compute retention for every cohort in one set-based query
+  // Period N for a cohort covers [cohort_start + N periods, cohort_start + N + 1 periods)
+  // options.periodSize: length of a period (day, week, month)
+  // options.columns: period ranges to report (see retentionColumns), default periods 1..N
+  // options.returnEvent: only this event counts as activity
+  // options.cohortEvent: cohorts by first use of this event instead of signup
+  // options.segmentExpression: optional SQL expression over users to split cohorts by
+  // options.maxCohortsPerSegment: keep only the earliest N cohorts of each segment
+  async getCohortRetention(options) {
+    const {
+      cohortGrouping,
+      periodSize,
+      periods,
+      columns = this.retentionColumns(periods),
+      returnEvent = null,
+      cohortEvent = null,
+      segmentExpression = null,
+      maxCohortsPerSegment = null
+    } = options;
+
+    const segment = segmentExpression || 'NULL';
+    const params = [];
+
+    // Users and the moment they joined their cohort
+    let cohortMembers;
+    if (cohortEvent) {
+      cohortMembers = `
+        SELECT u.id, u.properties, first_use.first_at as created_at
+        FROM (
+          SELECT user_id, MIN(timestamp) as first_at
+          FROM events
+          WHERE event_name = ?
+          GROUP BY user_id
+        ) first_use
+        JOIN users u ON u.id = first_use.user_id`;
+      params.push(cohortEvent);
+    } else {
+      cohortMembers = `
+        SELECT id, properties, created_at
+        FROM users
+        WHERE created_at IS NOT NULL
+        AND id NOT IN (SELECT alias_id FROM user_aliases)`;
+    }
 
-      const periodData = [100]; // Period 0 is always 100%
+    let cohortFilter = '';
+    if (maxCohortsPerSegment) {
+      cohortFilter = 'WHERE cohort_rank <= ?';
+      params.push(maxCohortsPerSegment);
+    }
 
-      // Calculate retention for each period
-      for (let period = 1; period <= periods; period++) {
-        const periodStart = this.addPeriod(cohort.cohort_start, period, cohortSize);
-        const periodEnd = this.addPeriod(cohort.cohort_start, period + 1, cohortSize);
+    // Only events from period 1 up to the end of the last bounded column
+    const unbounded = columns.some(column => column.end === null);
+    const lastPeriod = Math.max(...columns.map(column => column.end || column.start));
+    if (!unbounded) {
+      params.push(lastPeriod + 1);
+    }
 
-        const activeUsers = await this.db.get(
-          `SELECT COUNT(DISTINCT user_id) as count
-           FROM events
-           WHERE user_id IN (${userIds.map(() => '?').join(',')})
-           AND timestamp >= ?
-           AND timestamp < ?`,
-          [...userIds, periodStart, periodEnd]
-        );
+    if (returnEvent) {
+      params.push(returnEvent);
+    }
 
-        const retentionRate = (activeUsers.count / cohort.cohort_size) * 100;
-        periodData.push(Math.round(retentionRate * 100) / 100);
+    // Single-period columns (the default) are counted per period directly.
+    // Brackets and unbounded columns match each active period to the columns
+    // containing it, which costs a join per column.
+    const singlePeriods = columns.every(column => column.end === column.start);
+    if (!singlePeriods) {
+      for (const [index, column] of columns.entries()) {
+        params.push(index + 1, column.start, column.end);
       }
+    }
 
-      retentionData.push({
-        cohort: cohort.cohort,
-        cohort_size: cohort.cohort_size,
-        cohort_start: cohort.cohort_start,
-        retention: periodData
-      });
+    const activity = singlePeriods
+      ? `activity AS (
+        SELECT
+          segment,
+          cohort,
+          ${this.periodIndexExpression(periodSize)} as period,
+          COUNT(DISTINCT user_id) as active_users
+        FROM cohort_events
+        GROUP BY segment, cohort, period
+      )`
+      : `active_periods AS (
+        SELECT DISTINCT
+          segment,
+          cohort,
+          user_id,
+          ${this.periodIndexExpression(periodSize)} as period
+        FROM cohort_events
+      ),
+      retention_columns (column_index, first_period, last_period) AS (
+        VALUES ${columns.map(() => '(?, ?, ?)').join(', ')}
+      ),
+      activity AS (
+        -- One pass over the active periods, each matched against the few columns
+        SELECT
+          ap.segment,
+          ap.cohort,
+          col.column_index as period,
+          COUNT(DISTINCT ap.user_id) as active_users
+        FROM active_periods ap
+        CROSS JOIN retention_columns col
+          ON ap.period >= col.first_period
+          AND (col.last_period IS NULL OR ap.period <= col.last_period)
+        GROUP BY ap.segment, ap.cohort, col.column_index
+      )`;
+
+    const rows = await this.db.all(`
+      WITH cohort_users AS (
+        SELECT
+          id as user_id,
+          ${segment} as segment,
+          ${cohortGrouping} as cohort,
+          created_at
+        FROM (${cohortMembers})
+        ${segmentExpression ? `WHERE ${segmentExpression} IS NOT NULL` : ''}
+      ),
+      ranked_cohorts AS (
+        SELECT
+          segment,
+          cohort,
+          COUNT(*) as cohort_size,
+          MIN(created_at) as cohort_start,
+          ROW_NUMBER() OVER (PARTITION BY segment ORDER BY MIN(created_at)) as cohort_rank
+        FROM cohort_users
+        GROUP BY segment, cohort
+      ),
+      cohorts AS (
+        SELECT * FROM ranked_cohorts ${cohortFilter}
+      ),
+      cohort_events AS (
+        -- CROSS JOIN pins the join order: each user's events are read once
+        -- through the user_id index instead of once per cohort. The + keeps a
+        -- return event filter from switching to the event_name index.
+        SELECT
+          c.segment,
+          c.cohort,
+          c.cohort_start,
+          cu.user_id,
+          e.timestamp,
+          julianday(e.timestamp) as event_day
+        FROM cohort_users cu
+        CROSS JOIN events e ON e.user_id = cu.user_id
+        CROSS JOIN cohorts c ON c.cohort = cu.cohort AND c.segment IS cu.segment
+        WHERE julianday(e.timestamp) >= julianday(c.cohort_start, ${this.periodModifier('1', periodSize)})
+        ${unbounded ? '' : `AND julianday(e.timestamp) < julianday(c.cohort_start, ${this.periodModifier('?', periodSize)})`}
+        ${returnEvent ? 'AND +e.event_name = ?' : ''}
+      ),
+      ${activity}
+      SELECT
+        c.segment,
+        c.cohort,
+        c.cohort_size,
+        c.cohort_start,
+        a.period,
+        a.active_users
+      FROM cohorts c
+      LEFT JOIN activity a ON a.cohort = c.cohort AND a.segment IS c.segment
+      ORDER BY c.segment, c.cohort_start, a.period
+    `, params);
+
+    // Fold column rows into one retention array per cohort; period rows of
+    // single-period columns go to the columns covering that period
+    const columnsOfPeriod = new Map();
+    columns.forEach((column, index) => {
+      const key = singlePeriods ? column.start : index + 1;
+      columnsOfPeriod.set(key, [...(columnsOfPeriod.get(key) || []), index + 1]);
+    });
+
+    const cohorts = [];
+    const byKey = new Map();
+
+    for (const row of rows) {
+      const key = `${row.segment}|${row.cohort}`;
+      let cohort = byKey.get(key);
+
+      if (!cohort) {
+        cohort = {
+          segment: row.segment,
+          cohort: row.cohort,
+          cohort_size: row.cohort_size,
+          cohort_start: row.cohort_start,
+          retention: [100, ...new Array(columns.length).fill(0)] // Period 0 is always 100%
+        };
+        byKey.set(key, cohort);
+        cohorts.push(cohort);
+      }
+
+      for (const column of columnsOfPeriod.get(row.period) || []) {
+        const retentionRate = (row.active_users / row.cohort_size) * 100;
+        cohort.retention[column] = Math.round(retentionRate * 100) / 100;
+      }
     }
 
-    return {
-      cohort_size: cohortSize,
-      periods: periods,
-      data: retentionData
-    };
+    return cohorts;
+  }
+
+  // SQLite date modifier adding a number of periods (a SQL expression) to a date
+  periodModifier(countExpression, size) {
+    if (size === 'week') {
+      return `printf('+%d days', (${countExpression}) * 7)`;
+    } else if (size === 'month') {
+      return `printf('+%d months', ${countExpression})`;
+    }
+    return `printf('+%d days', ${countExpression})`;
+  }
+
+  // SQL expression for the period an event (cohort_events row) falls into,
+  // matching the [start + N, start + N + 1) boundaries of periodModifier
+  periodIndexExpression(size) {
+    if (size === 'week') {
+      return 'CAST((event_day - julianday(cohort_start)) / 7 AS INTEGER)';
+    } else if (size !== 'month') {
+      return 'CAST(event_day - julianday(cohort_start) AS INTEGER)';
+    }
+
+    // Calendar month difference, corrected for events before the day-of-month
+    // boundary (which may itself roll into the next month, e.g. Jan 31 + 1 month)
+    const monthDiff = `((strftime('%Y', timestamp) - strftime('%Y', cohort_start)) * 12 +
+      strftime('%m', timestamp) - strftime('%m', cohort_start))`;
+    return `(${monthDiff}
+      - (event_day < julianday(cohort_start, ${this.periodModifier(monthDiff, size)}))
+      - (event_day < julianday(cohort_start, ${this.periodModifier(`${monthDiff} - 1`, size)})))`;
   }
 
   // Calculate day N retention (e.g., Day 1, Day 7, Day 30)
@@ -78,45 +318,33 @@ class CohortRetention {
     const results = {};
 
     for (const day of days) {
-      // Get users who signed up at least N days ago
+      // Users who signed up at least N days ago
       const cutoffDate = new Date();
       cutoffDate.setDate(cutoffDate.getDate() - day);
 
-      const users = await this.db.all(
-        `SELECT id, created_at FROM users WHERE created_at <= ?`,
-        [cutoffDate.toISOString()]
+      // Retained = active at any point during day N after signup
+      const result = await this.db.get(
+        `SELECT
+          COUNT(*) as total_users,
+          COALESCE(SUM(EXISTS (
+            SELECT 1 FROM events e
+            WHERE e.user_id = u.id
+            AND julianday(e.timestamp) >= julianday(u.created_at) + ?
+            AND julianday(e.timestamp) < julianday(u.created_at) + ? + 1
+          )), 0) as retained_users
+         FROM users u
+         WHERE u.created_at <= ?
+         AND u.id NOT IN (SELECT alias_id FROM user_aliases)`,
+        [day, day, cutoffDate.toISOString()]
       );
 
-      let retained = 0;
-
-      for (const user of users) {
-        const checkDate = new Date(user.created_at);
-        checkDate.setDate(checkDate.getDate() + day);
-
-        const nextDay = new Date(checkDate);
-        nextDay.setDate(nextDay.getDate() + 1);
-
-        // Check if user was active on day N
-        const activity = await this.db.get(
-          `SELECT COUNT(*) as count FROM events
-           WHERE user_id = ?
-           AND timestamp >= ?
-           AND timestamp < ?`,
-          [user.id, checkDate.toISOString(), nextDay.toISOString()]
-        );
-
-        if (activity.count > 0) {
-          retained++;
-        }
-      }
-
-      const retentionRate = users.length > 0
-        ? (retained / users.length) * 100
+      const retentionRate = result.total_users > 0
+        ? (result.retained_users / result.total_users) * 100
         : 0;
 
       results[`day_${day}`] = {
-        total_users: users.length,
-        retained_users: retained,
+        total_users: result.total_users,
+        retained_users: result.retained_users,
         retention_rate: Math.round(retentionRate * 100) / 100
       };
     }
@@ -126,71 +354,30 @@ class CohortRetention {
 
   // Get retention by user segment/property
   async getSegmentedRetention(segmentProperty, cohortSize = 'week') {
-    // Get unique segment values
-    const segments = await this.db.all(
-      `SELECT DISTINCT JSON_EXTRACT(properties, '$.${segmentProperty}') as segment
-       FROM users
-       WHERE JSON_EXTRACT(properties, '$.${segmentProperty}') IS NOT NULL`
-    );
+    const cohortGrouping = cohortSize === 'week'
+      ? "strftime('%Y-W%W', created_at)"
+      : "strftime('%Y-%m', created_at)";
 
-    const results = {};
+    // Earliest 10 cohorts per segment, 4 periods of retention each
+    const cohorts = await this.getCohortRetention({
+      cohortGrouping,
+      periodSize: cohortSize,
+      periods: 4,
+      segmentExpression: `JSON_EXTRACT(properties, '$.${segmentProperty}')`,
+      maxCohortsPerSegment: 10
+    });
 
-    for (const { segment } of segments) {
-      const cohortGrouping = cohortSize === 'week'
-        ? "strftime('%Y-W%W', created_at)"
-        : "strftime('%Y-%m', created_at)";
+    const results = {};
 
-      const cohorts = await this.db.all(`
-        SELECT
-          ${cohortGrouping} as cohort,
-          COUNT(*) as cohort_size,
-          MIN(created_at) as cohort_start
-        FROM users
-        WHERE JSON_EXTRACT(properties, '$.${segmentProperty}') = ?
-        GROUP BY ${cohortGrouping}
-        ORDER BY cohort_start
-        LIMIT 10
-      `, [segment]);
-
-      const retentionData = [];
-
-      for (const cohort of cohorts) {
-        const cohortUsers = await this.db.all(
-          `SELECT id FROM users
-           WHERE ${cohortGrouping} = ?
-           AND JSON_EXTRACT(properties, '$.${segmentProperty}') = ?`,
-          [cohort.cohort, segment]
-        );
-
-        const userIds = cohortUsers.map(u => u.id);
-        if (userIds.length === 0) continue;
-
-        // Calculate 4 weeks of retention
-        const periodData = [100];
-        for (let period = 1; period <= 4; period++) {
-          const periodStart = this.addPeriod(cohort.cohort_start, period, cohortSize);
-          const periodEnd = this.addPeriod(cohort.cohort_start, period + 1, cohortSize);
-
-          const activeUsers = await this.db.get(
-            `SELECT COUNT(DISTINCT user_id) as count
-             FROM events
-             WHERE user_id IN (${userIds.map(() => '?').join(',')})
-             AND timestamp >= ?
-             AND timestamp < ?`,
-            [...userIds, periodStart, periodEnd]
-          );
-
-          const retentionRate = (activeUsers.count / cohort.cohort_size) * 100;
-          periodData.push(Math.round(retentionRate * 100) / 100);
-        }
-
-        retentionData.push({
-          cohort: cohort.cohort,
-          retention: periodData
-        });
+    for (const cohort of cohorts) {
+      if (!results[cohort.segment]) {
+        results[cohort.segment] = [];
       }
 
-      results[segment] = retentionData;
+      results[cohort.segment].push({
+        cohort: cohort.cohort,
+        retention: cohort.retention
+      });
     }
 
     return results;
@@ -0,0 +1,90 @@
+// Test Suite for Cohort Retention
+// Run with: node analytics/cohort-retention.test.js
+
+const CohortRetention = require('./cohort-retention');
+const { TestRunner, createTestDatabase } = require('../utils/test-runner');
+
+const day = n => new Date(Date.UTC(2025, 0, 6 + n, 12)).toISOString();
+
+// Users signed up on day 0 and active on the given days after
+const USERS = {
+  daily_1: [1, 2, 3],
+  daily_2: [1],
+  daily_3: [3, 9],
+  daily_4: []
+};
+
+async function runTests() {
+  const runner = new TestRunner();
+  const db = await createTestDatabase('./test-cohort-retention.db');
+  const retention = new CohortRetention(db);
+
+  for (const [userId, activeDays] of Object.entries(USERS)) {
+    await db.run('INSERT INTO users (id, created_at) VALUES (?, ?)', [userId, day(0)]);
+    for (const n of activeDays) {
+      await db.insertEvent({ event_name: n === 9 ? 'report_viewed' : 'page_view', user_id: userId, timestamp: day(n) });
+    }
+  }
+
+  console.log('Running tests...\n');
+
+  // Test 1: Single Periods
+  await runner.test('Bounded retention counts users active in each period', async () => {
+    const result = await retention.analyzeRetention('day', 4);
+
+    runner.assertEqual(result.data.length, 1, 'One cohort');
+    runner.assertEqual(result.data[0].retention.join(), '100,50,25,50,0', 'Days 1 to 4');
+  });
+
+  // Test 2: Brackets
+  await runner.test('Brackets count users active at any point in their range', async () => {
+    const result = await retention.analyzeRetention('day', 4, {
+      brackets: [{ start: 1, end: 1 }, { start: 2, end: 7 }, { start: 8, end: null }]
+    });
+
+    runner.assertEqual(result.data[0].retention.join(), '100,50,50,25', 'Day 1, days 2-7, day 8 on');
+  });
+
+  // Test 3: Unbounded
+  await runner.test('Unbounded retention counts users active in the period or later', async () => {
+    const result = await retention.analyzeRetention('day', 4, { mode: 'unbounded' });
+
+    runner.assertEqual(result.data[0].retention.join(), '100,75,50,50,25', 'On or after days 1 to 4');
+  });
+
+  // Test 4: Return Event
+  await runner.test('A return event is the only activity that counts', async () => {
+    const result = await retention.analyzeRetention('week', 2, { returnEvent: 'report_viewed' });
+
+    runner.assertEqual(result.data[0].retention.join(), '100,25,0', 'Only daily_3 returns, in week 1');
+  });
+
+  // Test 5: Invalid Brackets
+  await runner.test('Invalid brackets are rejected', async () => {
+    await runner.assertRejects(
+      () => retention.analyzeRetention('day', 4, { brackets: [{ start: 3, end: 2 }] }),
+      { pattern: /Invalid retention bracket/ },
+      'End before start'
+    );
+  });
+
+  await db.remove();
+  return runner.summary();
+}
+
+// Run tests
+if (require.main === module) {
+  console.log('Cohort Retention - Test Suite');
+  console.log('='.repeat(80) + '\n');
+
+  runTests()
+    .then(success => {
+      process.exit(success ? 0 : 1);
+    })
+    .catch(error => {
+      console.error('Test suite failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { runTests };
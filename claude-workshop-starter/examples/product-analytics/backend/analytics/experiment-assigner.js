@@ -0,0 +1,246 @@
+// Experiment Assigner
+// Buckets users into experiment variants on the server.
+//
+// A user's variant is picked by hashing (experiment id, salt, user id) to a
+// point in [0, 1) and walking the cumulative variant weights. A second hash
+// decides whether the user is in the experiment's traffic allocation at all,
+// so raising the allocation only adds users. Assignments are stored the first
+// time they are made and returned as-is afterwards: changing weights or
+// allocation only affects users who were not assigned yet.
+//
+// Only running experiments bucket new users. Paused experiments keep returning
+// stored assignments; completed ones return the winning variant to everyone.
+
+const crypto = require('crypto');
+
+class ExperimentAssignmentError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'ExperimentAssignmentError';
+    this.statusCode = statusCode;
+  }
+}
+
+class ExperimentAssigner {
+  constructor(db, { cohortEngine = null, identityResolver = null, lifecycle = null } = {}) {
+    this.db = db;
+    this.cohortEngine = cohortEngine;
+    this.identityResolver = identityResolver;
+    this.lifecycle = lifecycle;
+  }
+
+  // Whether a scheduled start or end has passed without being applied yet
+  static isScheduleDue(experiment, now = new Date()) {
+    if (experiment.status === 'scheduled' && experiment.start_date && new Date(experiment.start_date) <= now) {
+      return true;
+    }
+    return ['scheduled', 'running', 'paused'].includes(experiment.status) &&
+      Boolean(experiment.end_date) && new Date(experiment.end_date) <= now;
+  }
+
+  // Uniform point in [0, 1) from the first 52 bits of a SHA-256 hash
+  static hashToUnit(...parts) {
+    const hex = crypto.createHash('sha256').update(parts.join(':')).digest('hex');
+    return parseInt(hex.slice(0, 13), 16) / Math.pow(2, 52);
+  }
+
+  // Variant names and weights for a new experiment. variants is a list of
+  // names or of { name, weight }; weights default to an even split.
+  static normalizeVariants(variants) {
+    if (!Array.isArray(variants) || variants.length < 2) {
+      throw new ExperimentAssignmentError('variants must be an array of at least 2 variants');
+    }
+
+    const normalized = variants.map(variant =>
+      typeof variant === 'string' ? { name: variant, weight: 1 } : { weight: 1, ...variant }
+    );
+    const names = normalized.map(variant => variant.name);
+
+    if (names.some(name => !name || typeof name !== 'string')) {
+      throw new ExperimentAssignmentError('Every variant needs a name');
+    }
+    if (new Set(names).size !== names.length) {
+      throw new ExperimentAssignmentError('Variant names must be unique');
+    }
+
+    const weights = {};
+    for (const { name, weight } of normalized) {
+      weights[name] = weight;
+    }
+
+    return { names, weights: ExperimentAssigner.validateWeights(names, weights) };
+  }
+
+  // Weights keyed by variant name; every variant needs one, and at least one
+  // must be positive. A weight of 0 stops new assignments to that variant.
+  static validateWeights(names, weights) {
+    if (!weights || typeof weights !== 'object' || Array.isArray(weights)) {
+      throw new ExperimentAssignmentError('weights must be an object of variant name to weight');
+    }
+
+    const unknown = Object.keys(weights).filter(name => !names.includes(name));
+    if (unknown.length > 0) {
+      throw new ExperimentAssignmentError(`Unknown variants in weights: ${unknown.join(', ')}`);
+    }
+
+    const validated = {};
+    for (const name of names) {
+      const weight = Number(weights[name]);
+      if (weights[name] === undefined || !Number.isFinite(weight) || weight < 0) {
+        throw new ExperimentAssignmentError(`Variant "${name}" needs a weight of 0 or more`);
+      }
+      validated[name] = weight;
+    }
+
+    if (!Object.values(validated).some(weight => weight > 0)) {
+      throw new ExperimentAssignmentError('At least one variant needs a positive weight');
+    }
+
+    return validated;
+  }
+
+  static validateTrafficAllocation(value) {
+    const allocation = Number(value);
+    if (!(allocation > 0 && allocation <= 100)) {
+      throw new ExperimentAssignmentError('traffic_allocation must be a percentage between 0 (exclusive) and 100');
+    }
+    return allocation;
+  }
+
+  // { variants: [{ name, weight, share }], traffic_allocation, target_cohort_id }
+  static getAllocation(experiment) {
+    const names = JSON.parse(experiment.variants);
+    const weights = experiment.variant_weights ? JSON.parse(experiment.variant_weights) : {};
+    const total = names.reduce((sum, name) => sum + (weights[name] !== undefined ? weights[name] : 1), 0);
+
+    return {
+      variants: names.map(name => {
+        const weight = weights[name] !== undefined ? weights[name] : 1;
+        return { name, weight, share: total > 0 ? Math.round((weight / total) * 10000) / 10000 : 0 };
+      }),
+      traffic_allocation: experiment.traffic_allocation !== null && experiment.traffic_allocation !== undefined
+        ? experiment.traffic_allocation
+        : 100,
+      target_cohort_id: experiment.target_cohort_id || null
+    };
+  }
+
+  // Where the hash puts a user, without looking at stored assignments
+  static bucket(experiment, userId) {
+    const allocation = ExperimentAssigner.getAllocation(experiment);
+    const salt = experiment.salt || '';
+
+    const trafficPoint = ExperimentAssigner.hashToUnit(experiment.id, salt, 'traffic', userId);
+    if (trafficPoint * 100 >= allocation.traffic_allocation) {
+      return { in_experiment: false, variant: null, reason: 'traffic_allocation' };
+    }
+
+    const point = ExperimentAssigner.hashToUnit(experiment.id, salt, userId);
+    const total = allocation.variants.reduce((sum, variant) => sum + variant.weight, 0);
+    let cumulative = 0;
+    for (const variant of allocation.variants) {
+      cumulative += variant.weight / total;
+      if (point < cumulative) {
+        return { in_experiment: true, variant: variant.name, bucket: point };
+      }
+    }
+
+    // Floating-point leftovers at the top end go to the last weighted variant
+    const last = allocation.variants.filter(variant => variant.weight > 0).pop();
+    return { in_experiment: true, variant: last.name, bucket: point };
+  }
+
+  /**
+   * Variant for a user, assigning one on first request
+   * @param {string} experimentId - Experiment ID
+   * @param {string} userId - User ID (resolved to its canonical id)
+   * @param {Object} options - { variant } to force a variant instead of hashing
+   * @returns {Object} { variant, in_experiment, assigned, reason }
+   *   assigned is true when this call stored a new assignment. Users left out by
+   *   traffic allocation or cohort targeting get variant null and are not stored,
+   *   so they can be bucketed later if the allocation grows. Completed experiments
+   *   return the winning variant (or null) with reason 'completed' and store nothing.
+   */
+  async assign(experimentId, userId, { variant = null } = {}) {
+    let experiment = await this.db.get('SELECT * FROM experiments WHERE id = ?', [experimentId]);
+    if (!experiment) {
+      throw new ExperimentAssignmentError('Experiment not found', 404);
+    }
+
+    // Start or end the experiment first if its schedule says so
+    if (this.lifecycle && ExperimentAssigner.isScheduleDue(experiment)) {
+      await this.lifecycle.applySchedule(experimentId);
+      experiment = await this.db.get('SELECT * FROM experiments WHERE id = ?', [experimentId]);
+    }
+
+    if (experiment.status === 'completed') {
+      return { variant: experiment.winning_variant || null, in_experiment: false, assigned: false, reason: 'completed' };
+    }
+    if (variant && experiment.status === 'paused') {
+      throw new ExperimentAssignmentError('Experiment is paused; resume it before assigning variants', 409);
+    }
+
+    const canonicalId = this.identityResolver ? await this.identityResolver.resolve(userId) : userId;
+
+    const existing = await this.db.get(
+      'SELECT variant FROM experiment_assignments WHERE experiment_id = ? AND user_id = ?',
+      [experimentId, canonicalId]
+    );
+    if (existing) {
+      return { variant: existing.variant, in_experiment: true, assigned: false };
+    }
+
+    let choice;
+    if (variant) {
+      if (!JSON.parse(experiment.variants).includes(variant)) {
+        throw new ExperimentAssignmentError(`Unknown variant: ${variant}`);
+      }
+      choice = { in_experiment: true, variant, source: 'manual' };
+    } else {
+      if (experiment.status === 'paused') {
+        return { variant: null, in_experiment: false, assigned: false, reason: 'paused' };
+      }
+      if (experiment.status && experiment.status !== 'running') {
+        return { variant: null, in_experiment: false, assigned: false, reason: 'not_running' };
+      }
+
+      if (experiment.target_cohort_id) {
+        if (this.cohortEngine) {
+          await this.cohortEngine.ensureFresh(experiment.target_cohort_id);
+        }
+        const member = await this.db.get(
+          'SELECT 1 FROM cohort_members WHERE cohort_id = ? AND user_id = ?',
+          [experiment.target_cohort_id, canonicalId]
+        );
+        if (!member) {
+          return { variant: null, in_experiment: false, assigned: false, reason: 'not_in_target_cohort' };
+        }
+      }
+
+      choice = { ...ExperimentAssigner.bucket(experiment, canonicalId), source: 'hash' };
+      if (!choice.in_experiment) {
+        return { variant: null, in_experiment: false, assigned: false, reason: choice.reason };
+      }
+    }
+
+    const inserted = await this.db.run(
+      `INSERT OR IGNORE INTO experiment_assignments (experiment_id, user_id, variant, source)
+       VALUES (?, ?, ?, ?)`,
+      [experimentId, canonicalId, choice.variant, choice.source]
+    );
+
+    // A concurrent request may have assigned the user first; its variant wins
+    if (inserted.changes === 0) {
+      const stored = await this.db.get(
+        'SELECT variant FROM experiment_assignments WHERE experiment_id = ? AND user_id = ?',
+        [experimentId, canonicalId]
+      );
+      return { variant: stored.variant, in_experiment: true, assigned: false };
+    }
+
+    return { variant: choice.variant, in_experiment: true, assigned: true };
+  }
+}
+
+module.exports = ExperimentAssigner;
+module.exports.ExperimentAssignmentError = ExperimentAssignmentError;
@@ -0,0 +1,234 @@
+// Test Suite for Experiment Assigner
+// Run with: node analytics/experiment-assigner.test.js
+
+const ExperimentAssigner = require('./experiment-assigner');
+const CohortEngine = require('./cohort-engine');
+const { TestRunner, createTestDatabase } = require('../utils/test-runner');
+
+const USERS = Array.from({ length: 2000 }, (_, i) => `user_${i}`);
+
+// Experiment row as stored, for the static bucketing helpers
+function experimentRow(overrides = {}) {
+  return {
+    id: 'exp_hash',
+    variants: JSON.stringify(['control', 'variant']),
+    variant_weights: null,
+    traffic_allocation: 100,
+    salt: null,
+    target_cohort_id: null,
+    ...overrides
+  };
+}
+
+function countVariants(experiment) {
+  const counts = {};
+  for (const userId of USERS) {
+    const { variant } = ExperimentAssigner.bucket(experiment, userId);
+    counts[variant] = (counts[variant] || 0) + 1;
+  }
+  return counts;
+}
+
+async function runTests() {
+  const runner = new TestRunner();
+  const db = await createTestDatabase('./test-experiment-assigner.db');
+  const assigner = new ExperimentAssigner(db, { cohortEngine: new CohortEngine(db) });
+
+  const createExperiment = (id, fields = {}) => db.run(
+    `INSERT INTO experiments (id, name, status, variants, variant_weights, traffic_allocation, salt, target_cohort_id)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      id, id, fields.status || 'running', JSON.stringify(fields.variants || ['control', 'variant']),
+      fields.weights ? JSON.stringify(fields.weights) : null,
+      fields.traffic_allocation || 100, fields.salt || null, fields.target_cohort_id || null
+    ]
+  );
+
+  console.log('Running tests...\n');
+
+  // Test 1: Deterministic Hashing
+  await runner.test('The same user always hashes to the same variant', async () => {
+    const experiment = experimentRow();
+    for (const userId of USERS.slice(0, 50)) {
+      const first = ExperimentAssigner.bucket(experiment, userId);
+      const second = ExperimentAssigner.bucket(experiment, userId);
+      runner.assertEqual(second.variant, first.variant, `Variant of ${userId}`);
+      runner.assertEqual(second.bucket, first.bucket, `Bucket of ${userId}`);
+      runner.assertTrue(first.bucket >= 0 && first.bucket < 1, 'Bucket is in [0, 1)');
+    }
+  });
+
+  // Test 2: Variant Weights
+  await runner.test('Weights set each variant\'s share of users', async () => {
+    const even = countVariants(experimentRow());
+    runner.assertTrue(Math.abs(even.control / USERS.length - 0.5) < 0.05, `Even split gives about half (${even.control})`);
+
+    const weighted = countVariants(experimentRow({ variant_weights: JSON.stringify({ control: 80, variant: 20 }) }));
+    runner.assertTrue(Math.abs(weighted.variant / USERS.length - 0.2) < 0.04, `80/20 gives about a fifth (${weighted.variant})`);
+
+    const closed = countVariants(experimentRow({ variant_weights: JSON.stringify({ control: 1, variant: 0 }) }));
+    runner.assertEqual(closed.variant, undefined, 'A weight of 0 gets no users');
+    runner.assertEqual(closed.control, USERS.length, 'Everyone goes to the weighted variant');
+  });
+
+  // Test 3: Traffic Allocation
+  await runner.test('Traffic allocation leaves users out, and raising it only adds users', async () => {
+    const small = experimentRow({ traffic_allocation: 30 });
+    const large = experimentRow({ traffic_allocation: 60 });
+
+    let inSmall = 0;
+    for (const userId of USERS) {
+      const before = ExperimentAssigner.bucket(small, userId);
+      const after = ExperimentAssigner.bucket(large, userId);
+      if (before.in_experiment) {
+        inSmall++;
+        runner.assertTrue(after.in_experiment, `${userId} stays in when the allocation grows`);
+        runner.assertEqual(after.variant, before.variant, `${userId} keeps their variant`);
+      } else {
+        runner.assertEqual(before.reason, 'traffic_allocation', 'Left out by allocation');
+      }
+    }
+    runner.assertTrue(Math.abs(inSmall / USERS.length - 0.3) < 0.04, `About 30% are in (${inSmall})`);
+  });
+
+  // Test 4: Salt
+  await runner.test('A different salt reshuffles users', async () => {
+    const unsalted = experimentRow();
+    const salted = experimentRow({ salt: 'reshuffle' });
+    const moved = USERS.filter(userId =>
+      ExperimentAssigner.bucket(unsalted, userId).variant !== ExperimentAssigner.bucket(salted, userId).variant
+    ).length;
+
+    runner.assertTrue(Math.abs(moved / USERS.length - 0.5) < 0.05, `About half change variant (${moved})`);
+  });
+
+  // Test 5: Stored Assignments
+  await runner.test('Assignments are stored once and survive weight changes', async () => {
+    await createExperiment('exp_stored');
+
+    const first = await assigner.assign('exp_stored', 'stored_user');
+    runner.assertTrue(first.assigned, 'First call assigns');
+    runner.assertTrue(first.in_experiment, 'User is in the experiment');
+
+    const expected = ExperimentAssigner.bucket(
+      await db.get('SELECT * FROM experiments WHERE id = ?', ['exp_stored']), 'stored_user'
+    ).variant;
+    runner.assertEqual(first.variant, expected, 'Stored variant is the hashed one');
+
+    const other = first.variant === 'control' ? 'variant' : 'control';
+    await db.run(
+      'UPDATE experiments SET variant_weights = ? WHERE id = ?',
+      [JSON.stringify({ [first.variant]: 0, [other]: 1 }), 'exp_stored']
+    );
+
+    const again = await assigner.assign('exp_stored', 'stored_user');
+    runner.assertFalse(again.assigned, 'Second call does not assign again');
+    runner.assertEqual(again.variant, first.variant, 'Variant is unchanged after the weights change');
+
+    const stored = await db.get(
+      'SELECT source FROM experiment_assignments WHERE experiment_id = ? AND user_id = ?',
+      ['exp_stored', 'stored_user']
+    );
+    runner.assertEqual(stored.source, 'hash', 'Recorded as a hashed assignment');
+  });
+
+  // Test 6: Target Cohort
+  await runner.test('Only members of the target cohort are bucketed', async () => {
+    await db.createUser({ id: 'cohort_pro', properties: { plan: 'pro' } });
+    await db.createUser({ id: 'cohort_free', properties: { plan: 'free' } });
+    await db.run(
+      'INSERT INTO cohorts (id, name, criteria) VALUES (?, ?, ?)',
+      ['pro_users', 'Pro users', JSON.stringify({ match: 'all', rules: [{ type: 'property', property: 'plan', operator: 'equals', value: 'pro' }] })]
+    );
+    await createExperiment('exp_targeted', { target_cohort_id: 'pro_users' });
+
+    const member = await assigner.assign('exp_targeted', 'cohort_pro');
+    runner.assertTrue(member.assigned, 'Member is assigned');
+
+    const outsider = await assigner.assign('exp_targeted', 'cohort_free');
+    runner.assertEqual(outsider.variant, null, 'Non-member gets no variant');
+    runner.assertEqual(outsider.reason, 'not_in_target_cohort', 'Reason');
+
+    const stored = await db.get(
+      'SELECT COUNT(*) as count FROM experiment_assignments WHERE experiment_id = ?',
+      ['exp_targeted']
+    );
+    runner.assertEqual(stored.count, 1, 'Only the member is stored');
+  });
+
+  // Test 7: Manual Assignment
+  await runner.test('A forced variant is stored as a manual assignment', async () => {
+    await createExperiment('exp_manual', { weights: { control: 1, variant: 0 } });
+
+    const forced = await assigner.assign('exp_manual', 'manual_user', { variant: 'variant' });
+    runner.assertEqual(forced.variant, 'variant', 'Forced variant wins over the weights');
+    runner.assertTrue(forced.assigned, 'Stored');
+
+    const stored = await db.get(
+      'SELECT source FROM experiment_assignments WHERE experiment_id = ? AND user_id = ?',
+      ['exp_manual', 'manual_user']
+    );
+    runner.assertEqual(stored.source, 'manual', 'Recorded as manual');
+
+    await runner.assertRejects(
+      () => assigner.assign('exp_manual', 'other_user', { variant: 'missing' }),
+      { statusCode: 400, pattern: /Unknown variant/ },
+      'Unknown variants are rejected'
+    );
+
+    await db.run("UPDATE experiments SET status = 'paused' WHERE id = ?", ['exp_manual']);
+    await runner.assertRejects(
+      () => assigner.assign('exp_manual', 'other_user', { variant: 'control' }),
+      { statusCode: 409 },
+      'Paused experiments refuse manual assignments'
+    );
+  });
+
+  // Test 8: Variant Validation
+  await runner.test('normalizeVariants validates names and weights', async () => {
+    const { names, weights } = ExperimentAssigner.normalizeVariants(['a', { name: 'b', weight: 3 }]);
+    runner.assertEqual(names.join(), 'a,b', 'Names');
+    runner.assertEqual(weights.a, 1, 'Default weight');
+    runner.assertEqual(weights.b, 3, 'Given weight');
+
+    const invalid = [
+      [['only'], /at least 2/],
+      [['a', 'a'], /unique/],
+      [[{ name: 'a', weight: -1 }, 'b'], /weight of 0 or more/],
+      [[{ name: 'a', weight: 0 }, { name: 'b', weight: 0 }], /positive weight/]
+    ];
+    for (const [variants, pattern] of invalid) {
+      await runner.assertRejects(
+        async () => ExperimentAssigner.normalizeVariants(variants),
+        { statusCode: 400, pattern },
+        `Rejects ${JSON.stringify(variants)}`
+      );
+    }
+
+    await runner.assertRejects(
+      async () => ExperimentAssigner.validateTrafficAllocation(0),
+      { statusCode: 400 },
+      'An allocation of 0 is rejected'
+    );
+  });
+
+  await db.remove();
+  return runner.summary();
+}
+
+// Run tests
+if (require.main === module) {
+  console.log('Experiment Assigner - Test Suite');
+  console.log('='.repeat(80) + '\n');
+
+  runTests()
+    .then(success => {
+      process.exit(success ? 0 : 1);
+    })
+    .catch(error => {
+      console.error('Test suite failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { runTests };
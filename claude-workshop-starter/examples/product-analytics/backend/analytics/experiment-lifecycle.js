@@ -0,0 +1,297 @@
+// Experiment Lifecycle
+// Moves experiments through draft -> scheduled -> running <-> paused -> completed
+// and keeps an audit log of every decision.
+//
+// Only running experiments bucket new users (see ExperimentAssigner). A
+// scheduled experiment starts by itself at its start_date, and a running or
+// paused one is concluded at its end_date; applySchedule() makes those
+// transitions, on a timer once started and for a single experiment right
+// before an assignment. Concluding records the winning variant (or none) and
+// why, and the log keeps who changed what and when.
+
+const STATUSES = ['draft', 'scheduled', 'running', 'paused', 'completed'];
+
+const DEFAULT_OPTIONS = {
+  intervalMs: 60 * 1000 // how often startScheduler() applies scheduled starts and ends
+};
+
+class ExperimentLifecycleError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'ExperimentLifecycleError';
+    this.statusCode = statusCode;
+  }
+}
+
+// ISO string for a date given in a request, or null when not given
+function parseDate(value, label) {
+  if (value === undefined || value === null || value === '') return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new ExperimentLifecycleError(`${label} must be a valid date`);
+  }
+  return date.toISOString();
+}
+
+class ExperimentLifecycle {
+  constructor(db, options = {}) {
+    this.db = db;
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.timer = null;
+    this.running = null;
+  }
+
+  /**
+   * Append an entry to the experiment's audit log
+   * @param {string} experimentId - Experiment ID
+   * @param {string} action - created, scheduled, started, paused, resumed, concluded, rescheduled or updated
+   * @param {Object} entry - { from_status, to_status, actor, rationale, details }
+   */
+  async log(experimentId, action, { from_status = null, to_status = null, actor = null, rationale = null, details = null } = {}) {
+    await this.db.run(
+      `INSERT INTO experiment_audit_log (experiment_id, action, from_status, to_status, actor, rationale, details)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [experimentId, action, from_status, to_status, actor, rationale, details ? JSON.stringify(details) : null]
+    );
+  }
+
+  /**
+   * Audit log of an experiment, newest first
+   * @param {string} experimentId - Experiment ID
+   * @returns {Array} [{ id, action, from_status, to_status, actor, rationale, details, created_at }]
+   */
+  async getLog(experimentId) {
+    const entries = await this.db.all(
+      `SELECT id, action, from_status, to_status, actor, rationale, details, created_at
+       FROM experiment_audit_log
+       WHERE experiment_id = ?
+       ORDER BY id DESC`,
+      [experimentId]
+    );
+    return entries.map(entry => ({ ...entry, details: entry.details ? JSON.parse(entry.details) : null }));
+  }
+
+  /**
+   * Start an experiment now, or schedule it when start_date is in the future
+   * @param {string} experimentId - Experiment ID
+   * @param {Object} options - { start_date, end_date, actor, rationale }
+   * @returns {Object} Updated experiment
+   */
+  async start(experimentId, { start_date, end_date, actor = null, rationale = null } = {}) {
+    const startDate = parseDate(start_date, 'start_date');
+    const endDate = parseDate(end_date, 'end_date');
+
+    return this.transition(experimentId, ['draft', 'scheduled'], (experiment) => {
+      const now = new Date().toISOString();
+      const effectiveEnd = endDate || experiment.end_date;
+      const scheduled = startDate !== null && startDate > now;
+      const effectiveStart = scheduled ? startDate : (startDate || now);
+
+      if (effectiveEnd && new Date(effectiveEnd) <= new Date(effectiveStart)) {
+        throw new ExperimentLifecycleError('end_date must be after the start date');
+      }
+
+      return {
+        action: scheduled ? 'scheduled' : 'started',
+        status: scheduled ? 'scheduled' : 'running',
+        updates: { start_date: effectiveStart, end_date: effectiveEnd || null },
+        entry: { actor, rationale, details: { start_date: effectiveStart, end_date: effectiveEnd || null } }
+      };
+    });
+  }
+
+  // Stop bucketing new users; users already assigned keep their variant
+  async pause(experimentId, { actor = null, rationale = null } = {}) {
+    return this.transition(experimentId, ['running'], () => ({
+      action: 'paused',
+      status: 'paused',
+      entry: { actor, rationale }
+    }));
+  }
+
+  async resume(experimentId, { actor = null, rationale = null } = {}) {
+    return this.transition(experimentId, ['paused'], (experiment) => {
+      if (experiment.end_date && new Date(experiment.end_date) <= new Date()) {
+        throw new ExperimentLifecycleError('end_date has passed; reschedule it before resuming', 409);
+      }
+      return { action: 'resumed', status: 'running', entry: { actor, rationale } };
+    });
+  }
+
+  /**
+   * Conclude an experiment with a decision
+   * @param {string} experimentId - Experiment ID
+   * @param {Object} options - { winning_variant, rationale, actor }; winning_variant
+   *   is null when no variant won (e.g. keep the current experience)
+   * @returns {Object} Updated experiment
+   */
+  async conclude(experimentId, { winning_variant = null, rationale, actor = null } = {}) {
+    if (!rationale || typeof rationale !== 'string' || !rationale.trim()) {
+      throw new ExperimentLifecycleError('rationale is required to conclude an experiment');
+    }
+
+    return this.transition(experimentId, ['scheduled', 'running', 'paused'], (experiment) => {
+      if (winning_variant !== null && !JSON.parse(experiment.variants).includes(winning_variant)) {
+        throw new ExperimentLifecycleError(`Unknown variant: ${winning_variant}`);
+      }
+
+      const now = new Date().toISOString();
+      return {
+        action: 'concluded',
+        status: 'completed',
+        updates: {
+          winning_variant,
+          concluded_at: now,
+          end_date: experiment.end_date && experiment.end_date < now ? experiment.end_date : now
+        },
+        entry: { actor, rationale: rationale.trim(), details: { winning_variant } }
+      };
+    });
+  }
+
+  /**
+   * Change the scheduled start (draft or scheduled experiments) or end date
+   * @param {string} experimentId - Experiment ID
+   * @param {Object} options - { start_date, end_date, actor, rationale }; null
+   *   end_date removes the scheduled end
+   * @returns {Object} Updated experiment
+   */
+  async reschedule(experimentId, { start_date, end_date, actor = null, rationale = null } = {}) {
+    const startDate = parseDate(start_date, 'start_date');
+    const endDate = end_date === null ? null : parseDate(end_date, 'end_date');
+
+    return this.transition(experimentId, ['draft', 'scheduled', 'running', 'paused'], (experiment) => {
+      const updates = {};
+      if (startDate !== null) {
+        if (!['draft', 'scheduled'].includes(experiment.status)) {
+          throw new ExperimentLifecycleError(`Cannot move the start of a ${experiment.status} experiment`, 409);
+        }
+        updates.start_date = startDate;
+      }
+      if (end_date !== undefined) {
+        updates.end_date = endDate;
+      }
+      if (Object.keys(updates).length === 0) {
+        throw new ExperimentLifecycleError('start_date or end_date is required');
+      }
+
+      const effectiveStart = updates.start_date || experiment.start_date;
+      const effectiveEnd = 'end_date' in updates ? updates.end_date : experiment.end_date;
+      if (effectiveEnd && effectiveStart && new Date(effectiveEnd) <= new Date(effectiveStart)) {
+        throw new ExperimentLifecycleError('end_date must be after the start date');
+      }
+
+      return {
+        action: 'rescheduled',
+        status: experiment.status,
+        updates,
+        entry: { actor, rationale, details: updates }
+      };
+    });
+  }
+
+  /**
+   * Start scheduled experiments whose start_date has come and conclude
+   * running or paused ones whose end_date has passed (with no winner)
+   * @param {string} experimentId - Limit to one experiment (optional)
+   * @returns {Object} { started: [ids], concluded: [ids] }
+   */
+  async applySchedule(experimentId = null) {
+    const only = experimentId ? 'AND id = ?' : '';
+    const params = experimentId ? [experimentId] : [];
+
+    return this.db.transaction(async () => {
+      const due = await this.db.all(
+        `SELECT id, status FROM experiments
+         WHERE status = 'scheduled' AND julianday(start_date) <= julianday('now') ${only}`,
+        params
+      );
+      const ended = await this.db.all(
+        `SELECT id, status FROM experiments
+         WHERE status IN ('scheduled', 'running', 'paused')
+         AND end_date IS NOT NULL AND julianday(end_date) <= julianday('now') ${only}`,
+        params
+      );
+      const endedIds = new Set(ended.map(experiment => experiment.id));
+
+      const started = [];
+      for (const experiment of due.filter(experiment => !endedIds.has(experiment.id))) {
+        await this.db.run("UPDATE experiments SET status = 'running' WHERE id = ?", [experiment.id]);
+        await this.log(experiment.id, 'started', {
+          from_status: 'scheduled',
+          to_status: 'running',
+          actor: 'scheduler',
+          rationale: 'Scheduled start date reached'
+        });
+        started.push(experiment.id);
+      }
+
+      for (const experiment of ended) {
+        await this.db.run(
+          `UPDATE experiments SET status = 'completed', winning_variant = NULL, concluded_at = CURRENT_TIMESTAMP
+           WHERE id = ?`,
+          [experiment.id]
+        );
+        await this.log(experiment.id, 'concluded', {
+          from_status: experiment.status,
+          to_status: 'completed',
+          actor: 'scheduler',
+          rationale: 'Scheduled end date reached',
+          details: { winning_variant: null }
+        });
+      }
+
+      return { started, concluded: ended.map(experiment => experiment.id) };
+    });
+  }
+
+  // Apply the schedule on a timer until stopScheduler()
+  startScheduler() {
+    if (!this.timer) {
+      this.timer = setInterval(() => {
+        this.running = this.applySchedule()
+          .catch(error => console.error('Experiment schedule failed:', error))
+          .finally(() => { this.running = null; });
+      }, this.options.intervalMs);
+      this.timer.unref();
+    }
+    return this;
+  }
+
+  stopScheduler() {
+    clearInterval(this.timer);
+    this.timer = null;
+    return this.running || Promise.resolve();
+  }
+
+  // Check the current status, apply the change and log it in one transaction.
+  // change(experiment) returns { action, status, updates, entry } or throws.
+  async transition(experimentId, allowedFrom, change) {
+    return this.db.transaction(async () => {
+      const experiment = await this.db.get('SELECT * FROM experiments WHERE id = ?', [experimentId]);
+      if (!experiment) {
+        throw new ExperimentLifecycleError('Experiment not found', 404);
+      }
+
+      const status = experiment.status || 'running';
+      if (!allowedFrom.includes(status)) {
+        throw new ExperimentLifecycleError(`Experiment is ${status}; expected one of: ${allowedFrom.join(', ')}`, 409);
+      }
+
+      const { action, status: nextStatus, updates = {}, entry = {} } = change({ ...experiment, status });
+      const columns = { ...updates, status: nextStatus };
+      await this.db.run(
+        `UPDATE experiments SET ${Object.keys(columns).map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+        [...Object.values(columns), experimentId]
+      );
+      await this.log(experimentId, action, { ...entry, from_status: status, to_status: nextStatus });
+
+      return this.db.get('SELECT * FROM experiments WHERE id = ?', [experimentId]);
+    });
+  }
+}
+
+ExperimentLifecycle.STATUSES = STATUSES;
+
+module.exports = ExperimentLifecycle;
+module.exports.ExperimentLifecycleError = ExperimentLifecycleError;
@@ -0,0 +1,190 @@
+// Test Suite for Experiment Lifecycle
+// Run with: node analytics/experiment-lifecycle.test.js
+
+const ExperimentLifecycle = require('./experiment-lifecycle');
+const ExperimentAssigner = require('./experiment-assigner');
+const { TestRunner, createTestDatabase } = require('../utils/test-runner');
+
+const HOUR = 60 * 60 * 1000;
+const fromNow = (ms) => new Date(Date.now() + ms).toISOString();
+
+async function runTests() {
+  const runner = new TestRunner();
+  const db = await createTestDatabase('./test-experiment-lifecycle.db');
+  const lifecycle = new ExperimentLifecycle(db);
+  const assigner = new ExperimentAssigner(db, { lifecycle });
+
+  const createExperiment = (id, fields = {}) => db.run(
+    `INSERT INTO experiments (id, name, status, variants, start_date, end_date)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [id, id, fields.status || 'draft', JSON.stringify(['control', 'variant']), fields.start_date || null, fields.end_date || null]
+  );
+  const statusOf = async (id) => (await db.get('SELECT status FROM experiments WHERE id = ?', [id])).status;
+  const assignmentCount = async (id) => (await db.get(
+    'SELECT COUNT(*) as count FROM experiment_assignments WHERE experiment_id = ?', [id]
+  )).count;
+
+  console.log('Running tests...\n');
+
+  // Test 1: Start Now or Schedule
+  await runner.test('Starting without a future start_date runs now; a future one schedules', async () => {
+    await createExperiment('exp_now');
+    const started = await lifecycle.start('exp_now', { actor: 'ana' });
+    runner.assertEqual(started.status, 'running', 'Started immediately');
+    runner.assertExists(started.start_date, 'Start date set');
+
+    await createExperiment('exp_later');
+    const scheduled = await lifecycle.start('exp_later', { start_date: fromNow(24 * HOUR) });
+    runner.assertEqual(scheduled.status, 'scheduled', 'Future start schedules');
+
+    await runner.assertRejects(
+      () => lifecycle.start('exp_now'),
+      { statusCode: 409 },
+      'A running experiment cannot be started again'
+    );
+    await runner.assertRejects(
+      () => lifecycle.start('exp_later', { start_date: fromNow(2 * HOUR), end_date: fromNow(HOUR) }),
+      { statusCode: 400, pattern: /end_date must be after/ },
+      'The end must come after the start'
+    );
+
+    const [entry] = await lifecycle.getLog('exp_now');
+    runner.assertEqual(entry.action, 'started', 'Logged as started');
+    runner.assertEqual(entry.from_status, 'draft', 'From draft');
+    runner.assertEqual(entry.actor, 'ana', 'Actor recorded');
+  });
+
+  // Test 2: Pause and Resume
+  await runner.test('Pause and resume move between running and paused', async () => {
+    await createExperiment('exp_pause', { status: 'running' });
+
+    const paused = await lifecycle.pause('exp_pause', { rationale: 'Bug in variant' });
+    runner.assertEqual(paused.status, 'paused', 'Paused');
+    await runner.assertRejects(() => lifecycle.pause('exp_pause'), { statusCode: 409 }, 'Cannot pause twice');
+
+    const resumed = await lifecycle.resume('exp_pause');
+    runner.assertEqual(resumed.status, 'running', 'Running again');
+
+    const actions = (await lifecycle.getLog('exp_pause')).map(entry => entry.action);
+    runner.assertEqual(actions.join(), 'resumed,paused', 'Both transitions logged, newest first');
+
+    await lifecycle.pause('exp_pause');
+    await db.run('UPDATE experiments SET end_date = ? WHERE id = ?', [fromNow(-HOUR), 'exp_pause']);
+    await runner.assertRejects(
+      () => lifecycle.resume('exp_pause'),
+      { statusCode: 409, pattern: /end_date has passed/ },
+      'Cannot resume past the end date'
+    );
+  });
+
+  // Test 3: Conclude with Rationale
+  await runner.test('Concluding needs a rationale and records the winner', async () => {
+    await createExperiment('exp_done', { status: 'running' });
+
+    await runner.assertRejects(
+      () => lifecycle.conclude('exp_done', { winning_variant: 'variant' }),
+      { statusCode: 400, pattern: /rationale is required/ },
+      'Rationale is required'
+    );
+    await runner.assertRejects(
+      () => lifecycle.conclude('exp_done', { winning_variant: 'missing', rationale: 'Won' }),
+      { statusCode: 400, pattern: /Unknown variant/ },
+      'Winner must be a variant'
+    );
+
+    const concluded = await lifecycle.conclude('exp_done', { winning_variant: 'variant', rationale: '  Lifted signups  ', actor: 'ben' });
+    runner.assertEqual(concluded.status, 'completed', 'Completed');
+    runner.assertEqual(concluded.winning_variant, 'variant', 'Winner stored');
+    runner.assertExists(concluded.concluded_at, 'Conclusion time stored');
+
+    const [entry] = await lifecycle.getLog('exp_done');
+    runner.assertEqual(entry.action, 'concluded', 'Logged as concluded');
+    runner.assertEqual(entry.rationale, 'Lifted signups', 'Rationale trimmed and logged');
+    runner.assertEqual(entry.details.winning_variant, 'variant', 'Winner in the log details');
+
+    await runner.assertRejects(
+      () => lifecycle.conclude('exp_done', { rationale: 'Again' }),
+      { statusCode: 409 },
+      'A completed experiment cannot be concluded again'
+    );
+  });
+
+  // Test 4: applySchedule Starts and Ends
+  await runner.test('applySchedule starts due experiments and concludes ended ones', async () => {
+    await createExperiment('exp_due', { status: 'scheduled', start_date: fromNow(-HOUR) });
+    await createExperiment('exp_future', { status: 'scheduled', start_date: fromNow(HOUR) });
+    await createExperiment('exp_over', { status: 'running', start_date: fromNow(-2 * HOUR), end_date: fromNow(-HOUR) });
+    await createExperiment('exp_skipped', { status: 'scheduled', start_date: fromNow(-2 * HOUR), end_date: fromNow(-HOUR) });
+
+    // exp_pause from test 2 is past its end date too
+    const result = await lifecycle.applySchedule();
+    runner.assertEqual(result.started.join(), 'exp_due', 'Only the due experiment starts');
+    runner.assertEqual(result.concluded.sort().join(), 'exp_over,exp_pause,exp_skipped', 'Ended experiments conclude');
+
+    runner.assertEqual(await statusOf('exp_due'), 'running', 'Due experiment runs');
+    runner.assertEqual(await statusOf('exp_future'), 'scheduled', 'Future experiment waits');
+    runner.assertEqual(await statusOf('exp_over'), 'completed', 'Ended experiment completed');
+    runner.assertEqual(await statusOf('exp_skipped'), 'completed', 'A window that passed entirely never runs');
+
+    const [entry] = await lifecycle.getLog('exp_over');
+    runner.assertEqual(entry.actor, 'scheduler', 'Scheduler is the actor');
+    runner.assertEqual(entry.details.winning_variant, null, 'No winner');
+  });
+
+  // Test 5: Assignment Applies the Schedule
+  await runner.test('Assigning into a due experiment starts or ends it first', async () => {
+    await createExperiment('exp_assign_start', { status: 'scheduled', start_date: fromNow(-HOUR) });
+    const assigned = await assigner.assign('exp_assign_start', 'user_a');
+    runner.assertTrue(assigned.assigned, 'User assigned once the experiment starts');
+    runner.assertEqual(await statusOf('exp_assign_start'), 'running', 'Experiment started');
+
+    await createExperiment('exp_assign_end', { status: 'running', start_date: fromNow(-2 * HOUR), end_date: fromNow(-HOUR) });
+    const ended = await assigner.assign('exp_assign_end', 'user_a');
+    runner.assertEqual(ended.reason, 'completed', 'Experiment ended before assigning');
+    runner.assertEqual(await assignmentCount('exp_assign_end'), 0, 'Nothing stored');
+  });
+
+  // Test 6: No Assignment when Paused or Completed
+  await runner.test('Paused and completed experiments bucket no new users', async () => {
+    await createExperiment('exp_paused', { status: 'running' });
+    const before = await assigner.assign('exp_paused', 'early_user');
+    await lifecycle.pause('exp_paused');
+
+    const late = await assigner.assign('exp_paused', 'late_user');
+    runner.assertEqual(late.variant, null, 'New user gets no variant');
+    runner.assertEqual(late.reason, 'paused', 'Reason');
+
+    const early = await assigner.assign('exp_paused', 'early_user');
+    runner.assertEqual(early.variant, before.variant, 'Assigned user keeps their variant');
+
+    await lifecycle.conclude('exp_paused', { winning_variant: 'control', rationale: 'No lift' });
+    const afterEnd = await assigner.assign('exp_paused', 'another_user');
+    runner.assertEqual(afterEnd.variant, 'control', 'Everyone gets the winner');
+    runner.assertEqual(afterEnd.reason, 'completed', 'Reason');
+    runner.assertEqual(await assignmentCount('exp_paused'), 1, 'Only the early user is stored');
+
+    await createExperiment('exp_draft');
+    const draft = await assigner.assign('exp_draft', 'user_a');
+    runner.assertEqual(draft.reason, 'not_running', 'Drafts do not assign');
+  });
+
+  await db.remove();
+  return runner.summary();
+}
+
+// Run tests
+if (require.main === module) {
+  console.log('Experiment Lifecycle - Test Suite');
+  console.log('='.repeat(80) + '\n');
+
+  runTests()
+    .then(success => {
+      process.exit(success ? 0 : 1);
+    })
+    .catch(error => {
+      console.error('Test suite failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { runTests };
@@ -1,6 +1,81 @@
 // Feature Adoption Tracking Module
 // Tracks feature usage and adoption over time
 
+const { EXPOSURE_EVENT } = require('./feature-flags');
+const { buildPropertyFilters } = require('../utils/property-filters');
+const { parseStoredTime } = require('../ingestion/event-time');
+
+// SQL expression grouping timestamps into periods
+function periodExpression(granularity) {
+  return granularity === 'hour'
+    ? "strftime('%Y-%m-%d %H:00:00', timestamp)"
+    : granularity === 'week'
+    ? "strftime('%Y-W%W', timestamp)"
+    : "date(timestamp)";
+}
+
+// Flag value of an exposure event as JSON text (JSON_EXTRACT alone turns
+// true/false into 1/0 and can't be told apart from numbers)
+const EXPOSURE_VALUE = `CASE json_type(properties, '$.value')
+      WHEN 'true' THEN 'true'
+      WHEN 'false' THEN 'false'
+      ELSE json_quote(JSON_EXTRACT(properties, '$.value'))
+    END`;
+
+// Rolling windows, in days, for WAU and MAU and the power user curves
+const WEEK_DAYS = 7;
+const MONTH_DAYS = 30;
+const POWER_USER_WINDOWS = { l7: 7, l28: 28 };
+
+// Scorecard: a user has adopted a feature after using it on ADOPTION_DAYS
+// distinct days, and is retained when they used it in the last RETENTION_DAYS
+const ADOPTION_DAYS = 2;
+const RETENTION_DAYS = 7;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Every method takes the feature as an event name or as a registered feature
+// ({ id, targets: [{ event_name, filters }] }, see FeatureRegistry), which is
+// used when any of its target events happens with all of that target's
+// property filters.
+function usageFilter(feature, alias = '') {
+  if (typeof feature === 'string') {
+    return { sql: `${alias}event_name = ?`, params: [feature] };
+  }
+
+  const conditions = [];
+  const params = [];
+  for (const target of feature.targets) {
+    const filters = buildPropertyFilters(`${alias}properties`, target.filters || []);
+    conditions.push(filters.sql
+      ? `(${alias}event_name = ? AND ${filters.sql})`
+      : `${alias}event_name = ?`);
+    params.push(target.event_name, ...filters.params);
+  }
+  return { sql: `(${conditions.join(' OR ')})`, params };
+}
+
+// How results name the feature they were computed for
+function featureFields(feature) {
+  return !feature || typeof feature === 'string'
+    ? { feature_event: feature }
+    : { feature_id: feature.id };
+}
+
+// Events counted as activity: the feature's, or everything but flag exposures
+// (those are sent by the server, not by the user)
+function activityFilter(feature) {
+  if (feature) {
+    const usage = usageFilter(feature);
+    return { sql: `AND ${usage.sql}`, params: usage.params };
+  }
+  return { sql: 'AND event_name != ?', params: [EXPOSURE_EVENT] };
+}
+
+function percentOf(part, whole) {
+  return whole > 0 ? Math.round((part / whole) * 10000) / 100 : 0;
+}
+
 class FeatureAdoption {
   constructor(db) {
     this.db = db;
@@ -8,11 +83,8 @@ class FeatureAdoption {
 
   // Track feature adoption rate over time
   async getAdoptionRate(featureEvent, startDate, endDate, granularity = 'day') {
-    const timeFormat = granularity === 'hour'
-      ? "strftime('%Y-%m-%d %H:00:00', timestamp)"
-      : granularity === 'week'
-      ? "strftime('%Y-W%W', timestamp)"
-      : "date(timestamp)";
+    const timeFormat = periodExpression(granularity);
+    const usage = usageFilter(featureEvent);
 
     // Get total active users per period
     const activeUsers = await this.db.all(`
@@ -31,11 +103,11 @@ class FeatureAdoption {
         ${timeFormat} as period,
         COUNT(DISTINCT user_id) as feature_users
       FROM events
-      WHERE event_name = ?
+      WHERE ${usage.sql}
       AND timestamp BETWEEN ? AND ?
       GROUP BY period
       ORDER BY period
-    `, [featureEvent, startDate, endDate]);
+    `, [...usage.params, startDate, endDate]);
 
     // Create lookup map for feature users
     const featureMap = {};
@@ -59,7 +131,7 @@ class FeatureAdoption {
     });
 
     return {
-      feature_event: featureEvent,
+      ...featureFields(featureEvent),
       granularity,
       data: adoptionData
     };
@@ -67,6 +139,8 @@ class FeatureAdoption {
 
   // Get cumulative adoption (how many users have ever used a feature)
   async getCumulativeAdoption(featureEvent, launchDate) {
+    const usage = usageFilter(featureEvent);
+
     // Total users since launch
     const totalUsers = await this.db.get(`
       SELECT COUNT(DISTINCT id) as count
@@ -78,16 +152,16 @@ class FeatureAdoption {
     const adoptedUsers = await this.db.get(`
       SELECT COUNT(DISTINCT user_id) as count
       FROM events
-      WHERE event_name = ?
+      WHERE ${usage.sql}
       AND timestamp >= ?
-    `, [featureEvent, launchDate]);
+    `, [...usage.params, launchDate]);
 
     const adoptionRate = totalUsers.count > 0
       ? (adoptedUsers.count / totalUsers.count) * 100
       : 0;
 
     return {
-      feature_event: featureEvent,
+      ...featureFields(featureEvent),
       launch_date: launchDate,
       total_users: totalUsers.count,
       adopted_users: adoptedUsers.count,
@@ -95,9 +169,11 @@ class FeatureAdoption {
     };
   }
 
-  // Get feature stickiness (DAU/MAU ratio)
+  // Get feature stickiness (DAU/MAU ratio) on one date; featureEvent null
+  // measures all activity
   async getFeatureStickiness(featureEvent, date = new Date().toISOString()) {
     const targetDate = new Date(date);
+    const activity = activityFilter(featureEvent);
 
     // Daily active users (last 24 hours)
     const dayStart = new Date(targetDate);
@@ -108,9 +184,9 @@ class FeatureAdoption {
     const dau = await this.db.get(`
       SELECT COUNT(DISTINCT user_id) as count
       FROM events
-      WHERE event_name = ?
-      AND timestamp BETWEEN ? AND ?
-    `, [featureEvent, dayStart.toISOString(), dayEnd.toISOString()]);
+      WHERE timestamp BETWEEN ? AND ?
+      ${activity.sql}
+    `, [dayStart.toISOString(), dayEnd.toISOString(), ...activity.params]);
 
     // Monthly active users (last 30 days)
     const monthStart = new Date(targetDate);
@@ -119,16 +195,16 @@ class FeatureAdoption {
     const mau = await this.db.get(`
       SELECT COUNT(DISTINCT user_id) as count
       FROM events
-      WHERE event_name = ?
-      AND timestamp BETWEEN ? AND ?
-    `, [featureEvent, monthStart.toISOString(), dayEnd.toISOString()]);
+      WHERE timestamp BETWEEN ? AND ?
+      ${activity.sql}
+    `, [monthStart.toISOString(), dayEnd.toISOString(), ...activity.params]);
 
     const stickiness = mau.count > 0
       ? (dau.count / mau.count) * 100
       : 0;
 
     return {
-      feature_event: featureEvent,
+      ...featureFields(featureEvent),
       date: targetDate.toISOString().split('T')[0],
       dau: dau.count,
       mau: mau.count,
@@ -136,8 +212,107 @@ class FeatureAdoption {
     };
   }
 
+  // Daily DAU, WAU and MAU (users active on the day, in the 7 and in the 30
+  // days ending on it) with their ratios, for UTC dates from startDate to
+  // endDate, plus the L7 and L28 power user curves as of endDate: how many of
+  // the users active in the last 7 (28) days were active on exactly 1, 2, ...
+  // of those days. featureEvent null measures all activity.
+  async getStickinessSeries(featureEvent, startDate, endDate) {
+    const start = new Date(`${String(startDate).slice(0, 10)}T00:00:00Z`);
+    const end = new Date(`${String(endDate).slice(0, 10)}T00:00:00Z`);
+    const lookback = Math.max(MONTH_DAYS, ...Object.values(POWER_USER_WINDOWS)) - 1;
+    const first = new Date(start.getTime() - lookback * DAY_MS);
+    const activity = activityFilter(featureEvent);
+
+    // Bounds are plain dates, which compare alike against stored and ISO timestamps
+    const rows = await this.db.all(`
+      SELECT date(timestamp) as day, user_id
+      FROM events
+      WHERE timestamp >= ? AND timestamp < ?
+      ${activity.sql}
+      GROUP BY day, user_id
+    `, [
+      first.toISOString().slice(0, 10),
+      new Date(end.getTime() + DAY_MS).toISOString().slice(0, 10),
+      ...activity.params
+    ]);
+
+    const usersByDay = new Map();
+    rows.forEach(row => {
+      if (!usersByDay.has(row.day)) usersByDay.set(row.day, []);
+      usersByDay.get(row.day).push(row.user_id);
+    });
+
+    // Distinct users over the days ending at index i of days, kept as a count
+    // of active days per user that slides forward one day at a time
+    const days = [];
+    for (let time = first.getTime(); time <= end.getTime(); time += DAY_MS) {
+      days.push(new Date(time).toISOString().slice(0, 10));
+    }
+    const windows = { wau: { size: WEEK_DAYS, counts: new Map() }, mau: { size: MONTH_DAYS, counts: new Map() } };
+
+    const series = [];
+    days.forEach((day, index) => {
+      for (const window of Object.values(windows)) {
+        (usersByDay.get(day) || []).forEach(userId => {
+          window.counts.set(userId, (window.counts.get(userId) || 0) + 1);
+        });
+        const leaving = days[index - window.size];
+        (usersByDay.get(leaving) || []).forEach(userId => {
+          const count = window.counts.get(userId) - 1;
+          if (count === 0) window.counts.delete(userId);
+          else window.counts.set(userId, count);
+        });
+      }
+
+      if (day < start.toISOString().slice(0, 10)) return;
+
+      const dau = (usersByDay.get(day) || []).length;
+      const wau = windows.wau.counts.size;
+      const mau = windows.mau.counts.size;
+      series.push({
+        date: day,
+        dau,
+        wau,
+        mau,
+        dau_wau: percentOf(dau, wau),
+        dau_mau: percentOf(dau, mau),
+        wau_mau: percentOf(wau, mau)
+      });
+    });
+
+    const powerUserCurves = {};
+    for (const [name, size] of Object.entries(POWER_USER_WINDOWS)) {
+      const activeDays = new Map();
+      days.slice(-size).forEach(day => {
+        (usersByDay.get(day) || []).forEach(userId => {
+          activeDays.set(userId, (activeDays.get(userId) || 0) + 1);
+        });
+      });
+
+      const histogram = Array(size).fill(0);
+      activeDays.forEach(count => { histogram[count - 1]++; });
+      powerUserCurves[name] = histogram.map((users, i) => ({
+        days_active: i + 1,
+        users,
+        percentage: percentOf(users, activeDays.size)
+      }));
+    }
+
+    const latest = series[series.length - 1] || null;
+    return {
+      ...featureFields(featureEvent),
+      start_date: start.toISOString().slice(0, 10),
+      end_date: end.toISOString().slice(0, 10),
+      latest,
+      series,
+      power_user_curves: powerUserCurves
+    };
+  }
+
   // Get power users of a feature
   async getPowerUsers(featureEvent, startDate, endDate, minUsage = 10) {
+    const usage = usageFilter(featureEvent);
     const users = await this.db.all(`
       SELECT
         user_id,
@@ -145,13 +320,13 @@ class FeatureAdoption {
         MIN(timestamp) as first_use,
         MAX(timestamp) as last_use
       FROM events
-      WHERE event_name = ?
+      WHERE ${usage.sql}
       AND timestamp BETWEEN ? AND ?
       GROUP BY user_id
       HAVING usage_count >= ?
       ORDER BY usage_count DESC
       LIMIT 100
-    `, [featureEvent, startDate, endDate, minUsage]);
+    `, [...usage.params, startDate, endDate, minUsage]);
 
     return users.map(u => ({
       user_id: u.user_id,
@@ -166,15 +341,16 @@ class FeatureAdoption {
 
   // Get feature usage frequency distribution
   async getUsageDistribution(featureEvent, startDate, endDate) {
+    const usage = usageFilter(featureEvent);
     const usageCounts = await this.db.all(`
       SELECT
         user_id,
         COUNT(*) as usage_count
       FROM events
-      WHERE event_name = ?
+      WHERE ${usage.sql}
       AND timestamp BETWEEN ? AND ?
       GROUP BY user_id
-    `, [featureEvent, startDate, endDate]);
+    `, [...usage.params, startDate, endDate]);
 
     // Create distribution buckets
     const buckets = {
@@ -198,7 +374,7 @@ class FeatureAdoption {
     const total = usageCounts.length;
 
     return {
-      feature_event: featureEvent,
+      ...featureFields(featureEvent),
       total_users: total,
       distribution: Object.entries(buckets).map(([range, count]) => ({
         usage_range: range,
@@ -210,77 +386,169 @@ class FeatureAdoption {
 
   // Compare feature adoption across cohorts
   async compareFeatureAcrossCohorts(featureEvent) {
+    const usage = usageFilter(featureEvent);
     const cohorts = await this.db.all(`
-      SELECT DISTINCT cohort_id
-      FROM users
-      WHERE cohort_id IS NOT NULL
-    `);
-
-    const results = [];
-
-    for (const { cohort_id } of cohorts) {
-      // Total users in cohort
-      const totalUsers = await this.db.get(`
-        SELECT COUNT(*) as count
-        FROM users
-        WHERE cohort_id = ?
-      `, [cohort_id]);
-
-      // Users who adopted the feature
-      const adoptedUsers = await this.db.get(`
-        SELECT COUNT(DISTINCT user_id) as count
+      WITH feature_usage AS (
+        SELECT user_id, COUNT(*) as usage_count
         FROM events
-        WHERE event_name = ?
-        AND user_id IN (SELECT id FROM users WHERE cohort_id = ?)
-      `, [featureEvent, cohort_id]);
-
-      // Average usage per user
-      const avgUsage = await this.db.get(`
-        SELECT AVG(usage_count) as avg
-        FROM (
-          SELECT user_id, COUNT(*) as usage_count
-          FROM events
-          WHERE event_name = ?
-          AND user_id IN (SELECT id FROM users WHERE cohort_id = ?)
-          GROUP BY user_id
-        )
-      `, [featureEvent, cohort_id]);
-
-      const adoptionRate = totalUsers.count > 0
-        ? (adoptedUsers.count / totalUsers.count) * 100
+        WHERE ${usage.sql}
+        GROUP BY user_id
+      )
+      SELECT
+        cm.cohort_id,
+        COUNT(*) as total_users,
+        COUNT(f.user_id) as adopted_users,
+        AVG(f.usage_count) as avg_usage
+      FROM cohort_members cm
+      LEFT JOIN feature_usage f ON f.user_id = cm.user_id
+      GROUP BY cm.cohort_id
+    `, usage.params);
+
+    return cohorts.map(cohort => {
+      const adoptionRate = cohort.total_users > 0
+        ? (cohort.adopted_users / cohort.total_users) * 100
         : 0;
 
-      results.push({
-        cohort_id,
-        total_users: totalUsers.count,
-        adopted_users: adoptedUsers.count,
+      return {
+        cohort_id: cohort.cohort_id,
+        total_users: cohort.total_users,
+        adopted_users: cohort.adopted_users,
         adoption_rate: Math.round(adoptionRate * 100) / 100,
-        avg_usage_per_user: Math.round((avgUsage.avg || 0) * 100) / 100
-      });
-    }
+        avg_usage_per_user: Math.round((cohort.avg_usage || 0) * 100) / 100
+      };
+    });
+  }
+
+  // Measure a feature flag rollout from its exposure events: the share of
+  // active users exposed per period, and for each flag value how many exposed
+  // users went on to use the feature (when featureEvent is given). A user
+  // whose value changed counts under each value they saw.
+  async getFlagRollout(flagKey, startDate, endDate, granularity = 'day', featureEvent = null) {
+    const timeFormat = periodExpression(granularity);
+    const usage = featureEvent ? usageFilter(featureEvent, 'f.') : { sql: '0', params: [] };
+
+    const activeUsers = await this.db.all(`
+      SELECT
+        ${timeFormat} as period,
+        COUNT(DISTINCT user_id) as total_users
+      FROM events
+      WHERE timestamp BETWEEN ? AND ?
+      AND event_name != ?
+      GROUP BY period
+      ORDER BY period
+    `, [startDate, endDate, EXPOSURE_EVENT]);
+
+    const exposedUsers = await this.db.all(`
+      SELECT
+        ${timeFormat} as period,
+        COUNT(DISTINCT user_id) as exposed_users
+      FROM events
+      WHERE event_name = ?
+      AND JSON_EXTRACT(properties, '$.flag_key') = ?
+      AND timestamp BETWEEN ? AND ?
+      GROUP BY period
+    `, [EXPOSURE_EVENT, flagKey, startDate, endDate]);
+
+    const exposedByValue = await this.db.all(`
+      SELECT
+        ${timeFormat} as period,
+        ${EXPOSURE_VALUE} as value,
+        COUNT(DISTINCT user_id) as users
+      FROM events
+      WHERE event_name = ?
+      AND JSON_EXTRACT(properties, '$.flag_key') = ?
+      AND timestamp BETWEEN ? AND ?
+      GROUP BY period, value
+    `, [EXPOSURE_EVENT, flagKey, startDate, endDate]);
+
+    // Each user's first exposure to each value, and whether they used the
+    // feature after it (within the date range)
+    const values = await this.db.all(`
+      WITH exposures AS (
+        SELECT
+          user_id,
+          ${EXPOSURE_VALUE} as value,
+          MIN(timestamp) as first_exposed
+        FROM events
+        WHERE event_name = ?
+        AND JSON_EXTRACT(properties, '$.flag_key') = ?
+        AND timestamp BETWEEN ? AND ?
+        GROUP BY user_id, value
+      )
+      SELECT
+        x.value,
+        COUNT(*) as exposed_users,
+        SUM(CASE WHEN EXISTS (
+          SELECT 1 FROM events f
+          WHERE f.user_id = x.user_id
+          AND ${usage.sql}
+          AND f.timestamp >= x.first_exposed
+          AND f.timestamp <= ?
+        ) THEN 1 ELSE 0 END) as adopted_users
+      FROM exposures x
+      GROUP BY x.value
+      ORDER BY exposed_users DESC
+    `, [EXPOSURE_EVENT, flagKey, startDate, endDate, ...usage.params, endDate]);
+
+    const exposedMap = {};
+    exposedUsers.forEach(e => {
+      exposedMap[e.period] = { exposed_users: e.exposed_users, by_value: {} };
+    });
+    exposedByValue.forEach(e => {
+      exposedMap[e.period].by_value[JSON.parse(e.value)] = e.users;
+    });
 
-    return results;
+    return {
+      flag_key: flagKey,
+      ...featureFields(featureEvent),
+      granularity,
+      data: activeUsers.map(a => {
+        const exposed = exposedMap[a.period] || { exposed_users: 0, by_value: {} };
+        return {
+          period: a.period,
+          total_users: a.total_users,
+          exposed_users: exposed.exposed_users,
+          exposure_rate: a.total_users > 0
+            ? Math.round((exposed.exposed_users / a.total_users) * 10000) / 100
+            : 0,
+          by_value: exposed.by_value
+        };
+      }),
+      values: values.map(v => ({
+        value: JSON.parse(v.value),
+        exposed_users: v.exposed_users,
+        adopted_users: featureEvent ? v.adopted_users : null,
+        adoption_rate: featureEvent && v.exposed_users > 0
+          ? Math.round((v.adopted_users / v.exposed_users) * 10000) / 100
+          : null
+      }))
+    };
   }
 
-  // Get time to feature adoption (how long after signup do users try a feature)
-  async getTimeToAdoption(featureEvent, limit = 100) {
+  // Get time to feature adoption (how long after signup do users try a feature).
+  // With since (the launch date), only use from then on counts, and users who
+  // signed up earlier are timed from since. A null limit takes every user.
+  async getTimeToAdoption(featureEvent, limit = 100, since = null) {
+    const usage = usageFilter(featureEvent, 'e.');
     const adoptions = await this.db.all(`
       SELECT
         u.id as user_id,
         u.created_at as signup_date,
         MIN(e.timestamp) as first_use,
-        (julianday(MIN(e.timestamp)) - julianday(u.created_at)) * 24 * 60 as minutes_to_adoption
+        (MIN(julianday(e.timestamp)) - MAX(julianday(u.created_at), julianday(COALESCE(?, u.created_at)))) * 24 * 60
+          as minutes_to_adoption
       FROM users u
       JOIN events e ON u.id = e.user_id
-      WHERE e.event_name = ?
+      WHERE ${usage.sql}
+      AND (? IS NULL OR julianday(e.timestamp) >= julianday(?))
       GROUP BY u.id
       ORDER BY minutes_to_adoption
       LIMIT ?
-    `, [featureEvent, limit]);
+    `, [since, ...usage.params, since, since, limit === null ? -1 : limit]);
 
     if (adoptions.length === 0) {
       return {
-        feature_event: featureEvent,
+        ...featureFields(featureEvent),
         sample_size: 0,
         avg_minutes: 0,
         median_minutes: 0
@@ -297,7 +565,7 @@ class FeatureAdoption {
       : times[Math.floor(times.length / 2)];
 
     return {
-      feature_event: featureEvent,
+      ...featureFields(featureEvent),
       sample_size: adoptions.length,
       avg_minutes: Math.round(avgTime * 100) / 100,
       median_minutes: Math.round(median * 100) / 100,
@@ -305,6 +573,99 @@ class FeatureAdoption {
       avg_days: Math.round((avgTime / (60 * 24)) * 100) / 100
     };
   }
+
+  /**
+   * Adoption scorecard of a registered feature since its launch
+   * @param {Object} feature - Registered feature ({ id, name, launch_date, targets });
+   *   without a launch_date it is measured from its first use
+   * @param {Date} now - End of the measured period (default: now)
+   * @returns {Object} {
+   *   feature_id, name, launch_date, days_since_launch (null when never used),
+   *   active_users - users with any activity since launch,
+   *   reach - users who used the feature at least once (and % of active users),
+   *   adoption - users who used it on ADOPTION_DAYS or more days (and % of reached users),
+   *   retention - of users who first used it over RETENTION_DAYS ago, those
+   *     who used it again within the last RETENTION_DAYS,
+   *   time_to_adopt - getTimeToAdoption since launch
+   * }
+   */
+  async getAdoptionScorecard(feature, now = new Date()) {
+    const end = now.toISOString();
+    const windowStart = new Date(now.getTime() - RETENTION_DAYS * DAY_MS).toISOString();
+    const usage = usageFilter(feature);
+
+    // Event times are stored as ISO strings or CURRENT_TIMESTAMP text, so they
+    // are compared with the bounds through julianday
+    let launchDate = feature.launch_date;
+    if (!launchDate) {
+      const firstUse = await this.db.get(
+        `SELECT timestamp FROM events WHERE ${usage.sql} ORDER BY julianday(timestamp) LIMIT 1`,
+        usage.params
+      );
+      launchDate = firstUse && parseStoredTime(firstUse.timestamp).toISOString();
+    }
+    const since = launchDate || end;
+
+    const active = await this.db.get(`
+      SELECT COUNT(DISTINCT user_id) as count
+      FROM events
+      WHERE event_name != ?
+      AND julianday(timestamp) BETWEEN julianday(?) AND julianday(?)
+    `, [EXPOSURE_EVENT, since, end]);
+
+    const users = await this.db.get(`
+      SELECT
+        COUNT(*) as reached,
+        SUM(CASE WHEN active_days >= ? THEN 1 ELSE 0 END) as adopted,
+        SUM(CASE WHEN first_use < julianday(?) THEN 1 ELSE 0 END) as eligible,
+        SUM(CASE WHEN first_use < julianday(?) AND last_use >= julianday(?) THEN 1 ELSE 0 END) as retained
+      FROM (
+        SELECT
+          user_id,
+          COUNT(DISTINCT DATE(timestamp)) as active_days,
+          MIN(julianday(timestamp)) as first_use,
+          MAX(julianday(timestamp)) as last_use
+        FROM events
+        WHERE ${usage.sql}
+        AND julianday(timestamp) BETWEEN julianday(?) AND julianday(?)
+        GROUP BY user_id
+      )
+    `, [ADOPTION_DAYS, windowStart, windowStart, windowStart, ...usage.params, since, end]);
+
+    const reached = users.reached || 0;
+    const adopted = users.adopted || 0;
+    const eligible = users.eligible || 0;
+    const retained = users.retained || 0;
+    const timeToAdopt = await this.getTimeToAdoption(feature, null, since);
+
+    return {
+      feature_id: feature.id,
+      name: feature.name,
+      launch_date: feature.launch_date,
+      days_since_launch: launchDate ? Math.max(0, Math.floor((now - parseStoredTime(launchDate)) / DAY_MS)) : null,
+      active_users: active.count,
+      reach: {
+        users: reached,
+        percentage: percentOf(reached, active.count)
+      },
+      adoption: {
+        min_active_days: ADOPTION_DAYS,
+        users: adopted,
+        percentage: percentOf(adopted, reached)
+      },
+      retention: {
+        window_days: RETENTION_DAYS,
+        eligible_users: eligible,
+        retained_users: retained,
+        percentage: percentOf(retained, eligible)
+      },
+      time_to_adopt: {
+        sample_size: timeToAdopt.sample_size,
+        avg_hours: timeToAdopt.avg_hours || 0,
+        median_hours: Math.round((timeToAdopt.median_minutes / 60) * 100) / 100
+      }
+    };
+  }
 }
 
 module.exports = FeatureAdoption;
@@ -0,0 +1,126 @@
+// Test Suite for Feature Adoption stickiness series
+// Run with: node analytics/feature-adoption.test.js
+
+const FeatureAdoption = require('./feature-adoption');
+const { EXPOSURE_EVENT } = require('./feature-flags');
+const { TestRunner, createTestDatabase } = require('../utils/test-runner');
+
+// Noon UTC on a day of January 2025, or a given time that day
+function january(day, time = '12:00:00') {
+  return `2025-01-${String(day).padStart(2, '0')}T${time}.000Z`;
+}
+
+async function runTests() {
+  const runner = new TestRunner();
+  const db = await createTestDatabase('./test-feature-adoption.db');
+  const adoption = new FeatureAdoption(db);
+
+  const track = (userId, day, eventName = 'editor_opened', time) =>
+    db.insertEvent({ event_name: eventName, user_id: userId, timestamp: january(day, time) });
+
+  // daily: every day of January; once: January 1 only; late: January 25
+  for (let day = 1; day <= 31; day++) {
+    await track('daily', day);
+  }
+  await track('once', 1);
+  await track('late', 25);
+
+  const seriesByDate = async (start, end, feature = 'editor_opened') => {
+    const result = await adoption.getStickinessSeries(feature, start, end);
+    return { result, day: date => result.series.find(point => point.date === date) };
+  };
+
+  console.log('Running tests...\n');
+
+  // Test 1: Rolling Windows
+  await runner.test('WAU and MAU count users in the 7 and 30 days ending on each date', async () => {
+    const { result, day } = await seriesByDate('2025-01-28', '2025-01-31');
+
+    runner.assertEqual(result.series.length, 4, 'One point per day');
+    runner.assertEqual(day('2025-01-28').dau, 1, 'Only the daily user on the 28th');
+    runner.assertEqual(day('2025-01-28').wau, 2, 'The 25th is within the week');
+    runner.assertEqual(day('2025-01-30').mau, 3, 'January 1 is within the 30 days ending on the 30th');
+    runner.assertEqual(day('2025-01-31').mau, 2, 'January 1 drops out on the 31st');
+  });
+
+  // Test 2: Ratios
+  await runner.test('Ratios are percentages of the wider window', async () => {
+    const { result } = await seriesByDate('2025-01-31', '2025-01-31');
+
+    runner.assertEqual(result.latest.date, '2025-01-31', 'Latest point is the end date');
+    runner.assertEqual(result.latest.dau_wau, 50, 'DAU / WAU');
+    runner.assertEqual(result.latest.dau_mau, 50, 'DAU / MAU');
+    runner.assertEqual(result.latest.wau_mau, 100, 'WAU / MAU');
+  });
+
+  // Test 3: Power User Curves
+  await runner.test('Power user curves count active days in the last 7 and 28 days', async () => {
+    const { result } = await seriesByDate('2025-01-31', '2025-01-31');
+    const { l7, l28 } = result.power_user_curves;
+
+    runner.assertEqual(l7.length, 7, 'L7 has a bucket per day');
+    runner.assertEqual(l28.length, 28, 'L28 has a bucket per day');
+    runner.assertEqual(l7[0].users, 1, 'The late user was active on one day of the last 7');
+    runner.assertEqual(l7[6].users, 1, 'The daily user on all 7');
+    runner.assertEqual(l7[6].percentage, 50, 'Half of the L7 users');
+    runner.assertEqual(l28[27].users, 1, 'The daily user on all 28');
+    runner.assertEqual(l28.reduce((sum, bucket) => sum + bucket.users, 0), 2, 'January 1 is outside L28');
+  });
+
+  // Test 4: UTC Days
+  await runner.test('Days are UTC dates, whatever the time in the range bounds', async () => {
+    await track('night_owl', 10, 'night_event', '23:59:00');
+    await track('night_owl', 11, 'night_event', '00:00:01');
+
+    const { result, day } = await seriesByDate('2025-01-10T18:00:00Z', '2025-01-11T06:00:00Z', 'night_event');
+    runner.assertEqual(result.start_date, '2025-01-10', 'Start is the UTC date');
+    runner.assertEqual(result.series.length, 2, 'Both dates are in the series');
+    runner.assertEqual(day('2025-01-10').dau, 1, 'Late event on the 10th');
+    runner.assertEqual(day('2025-01-11').dau, 1, 'Early event on the 11th');
+    runner.assertEqual(day('2025-01-11').wau, 1, 'Same user once in the week');
+  });
+
+  // Test 5: All Activity
+  await runner.test('Without a feature every event but flag exposures counts', async () => {
+    await db.insertEvent({
+      event_name: EXPOSURE_EVENT,
+      user_id: 'exposed_only',
+      properties: { flag_key: 'new_editor', value: true },
+      timestamp: january(31)
+    });
+
+    const { day } = await seriesByDate('2025-01-31', '2025-01-31', null);
+    runner.assertEqual(day('2025-01-31').dau, 1, 'Exposure alone is not activity');
+    runner.assertEqual(day('2025-01-31').mau, 3, 'Every user with other events in the window');
+  });
+
+  // Test 6: Registered Feature
+  await runner.test('A registered feature counts any of its targets', async () => {
+    await track('target_user', 20, 'editor_saved');
+
+    const feature = { id: 'editor', targets: [{ event_name: 'editor_opened' }, { event_name: 'editor_saved' }] };
+    const { result, day } = await seriesByDate('2025-01-20', '2025-01-20', feature);
+    runner.assertEqual(result.feature_id, 'editor', 'Named by feature id');
+    runner.assertEqual(day('2025-01-20').dau, 2, 'Both target events count');
+  });
+
+  await db.remove();
+  return runner.summary();
+}
+
+// Run tests
+if (require.main === module) {
+  console.log('Feature Adoption - Test Suite');
+  console.log('='.repeat(80) + '\n');
+
+  runTests()
+    .then(success => {
+      process.exit(success ? 0 : 1);
+    })
+    .catch(error => {
+      console.error('Test suite failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { runTests };
@@ -0,0 +1,400 @@
+// Feature Flags
+// Boolean and multivariate flags evaluated per user on the server.
+//
+// A flag is evaluated in order: a killed flag (enabled = 0) is off for
+// everyone; otherwise the user must match one of its targeting rules (all
+// users when it has none), then fall inside rollout_percentage. Boolean flags
+// are then true; multivariate flags pick a variant from their weights the same
+// way ExperimentAssigner buckets experiments, so variants and weights use the
+// experiments' format. A flag with experiment_id takes its variant from the
+// experiment's assignment instead, which keeps flag values and experiment
+// results in step. Off is always false.
+//
+// The first time a user is served a value (the flag matched them, or their
+// experiment assigned a variant) it is recorded in feature_flag_exposures and
+// tracked as a feature_flag_exposure event, so FeatureAdoption can measure the
+// rollout. Users the kill switch, rules or rollout leave out get false and
+// record nothing, so evaluating for them writes nothing either.
+
+const crypto = require('crypto');
+const ExperimentAssigner = require('./experiment-assigner');
+const { buildPropertyFilters } = require('../utils/property-filters');
+
+const FLAG_TYPES = ['boolean', 'multivariate'];
+const FLAG_KEY_PATTERN = /^[A-Za-z0-9_][A-Za-z0-9_.-]{0,127}$/;
+
+const EXPOSURE_EVENT = 'feature_flag_exposure';
+// Reasons for which evaluateFlag serves the flag rather than leaving the user out
+const SERVED_REASONS = ['matched', 'experiment'];
+const EXPOSURE_SCHEMA = {
+  description: 'A user was served a feature flag value (recorded once per flag and value, never for users left out)',
+  properties: {
+    flag_key: { type: 'string', required: true },
+    value: { required: true },
+    reason: { type: 'string' }
+  }
+};
+
+class FeatureFlagError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'FeatureFlagError';
+    this.statusCode = statusCode;
+  }
+}
+
+class FeatureFlags {
+  constructor(db, { cohortEngine = null, identityResolver = null, experimentAssigner = null, eventQueue = null } = {}) {
+    this.db = db;
+    this.cohortEngine = cohortEngine;
+    this.identityResolver = identityResolver;
+    this.experimentAssigner = experimentAssigner;
+    this.eventQueue = eventQueue;
+  }
+
+  // Flag exposures are tracked as events; register them so strict validation accepts them
+  static async registerExposureSchema(schemaRegistry) {
+    if (!schemaRegistry.get(EXPOSURE_EVENT)) {
+      await schemaRegistry.save(EXPOSURE_EVENT, EXPOSURE_SCHEMA);
+    }
+  }
+
+  // API shape of a feature_flags row
+  static parseFlag(row) {
+    return {
+      ...row,
+      variants: row.variants ? JSON.parse(row.variants) : null,
+      variant_weights: row.variant_weights ? JSON.parse(row.variant_weights) : null,
+      rules: JSON.parse(row.rules || '[]'),
+      enabled: Boolean(row.enabled)
+    };
+  }
+
+  static validateRollout(value) {
+    const rollout = Number(value);
+    if (value === null || !Number.isFinite(rollout) || rollout < 0 || rollout > 100) {
+      throw new FeatureFlagError('rollout_percentage must be a percentage between 0 and 100');
+    }
+    return rollout;
+  }
+
+  // Rules are OR-ed; a rule matches when the user has every property filter
+  // and, if it names one, is in cohort_id
+  async validateRules(rules) {
+    if (!Array.isArray(rules)) {
+      throw new FeatureFlagError('rules must be an array');
+    }
+
+    const validated = [];
+    for (const rule of rules) {
+      if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+        throw new FeatureFlagError('Every rule must be an object of { properties, cohort_id }');
+      }
+      const { properties = [], cohort_id = null } = rule;
+      if (!Array.isArray(properties)) {
+        throw new FeatureFlagError('rule properties must be an array of property filters');
+      }
+      if (properties.length === 0 && !cohort_id) {
+        throw new FeatureFlagError('Every rule needs property filters or a cohort_id');
+      }
+      try {
+        buildPropertyFilters('properties', properties);
+      } catch (error) {
+        throw new FeatureFlagError(error.message);
+      }
+      if (cohort_id && !(await this.db.get('SELECT id FROM cohorts WHERE id = ?', [cohort_id]))) {
+        throw new FeatureFlagError(`Unknown cohort_id: ${cohort_id}`);
+      }
+      validated.push({ properties, cohort_id: cohort_id || null });
+    }
+    return validated;
+  }
+
+  /**
+   * Check a flag definition and fill in defaults
+   * @param {Object} definition - { type, variants, rules, rollout_percentage, experiment_id }
+   * @param {Object} current - Parsed existing flag when updating
+   * @returns {Object} Column values for the feature_flags row
+   */
+  async normalize(definition, current = null) {
+    const type = definition.type !== undefined ? definition.type : (current ? current.type : 'boolean');
+    if (!FLAG_TYPES.includes(type)) {
+      throw new FeatureFlagError(`type must be one of: ${FLAG_TYPES.join(', ')}`);
+    }
+
+    const columns = { type };
+
+    if (type === 'multivariate') {
+      if (definition.variants !== undefined) {
+        try {
+          const { names, weights } = ExperimentAssigner.normalizeVariants(definition.variants);
+          columns.variants = JSON.stringify(names);
+          columns.variant_weights = JSON.stringify(weights);
+        } catch (error) {
+          throw new FeatureFlagError(error.message);
+        }
+      } else if (!current || !current.variants) {
+        throw new FeatureFlagError('Multivariate flags need variants');
+      }
+    } else {
+      if (definition.variants !== undefined && definition.variants !== null) {
+        throw new FeatureFlagError('Boolean flags take no variants');
+      }
+      columns.variants = null;
+      columns.variant_weights = null;
+    }
+
+    if (definition.rules !== undefined) {
+      columns.rules = JSON.stringify(await this.validateRules(definition.rules || []));
+    }
+    if (definition.rollout_percentage !== undefined) {
+      columns.rollout_percentage = FeatureFlags.validateRollout(definition.rollout_percentage);
+    }
+
+    if (definition.experiment_id !== undefined) {
+      if (definition.experiment_id) {
+        if (type !== 'multivariate') {
+          throw new FeatureFlagError('Only multivariate flags can follow an experiment');
+        }
+        const experiment = await this.db.get('SELECT variants FROM experiments WHERE id = ?', [definition.experiment_id]);
+        if (!experiment) {
+          throw new FeatureFlagError(`Unknown experiment_id: ${definition.experiment_id}`);
+        }
+        const variants = columns.variants ? JSON.parse(columns.variants) : current.variants;
+        const missing = JSON.parse(experiment.variants).filter(name => !variants.includes(name));
+        if (missing.length > 0) {
+          throw new FeatureFlagError(`Flag variants are missing experiment variants: ${missing.join(', ')}`);
+        }
+      }
+      columns.experiment_id = definition.experiment_id || null;
+    } else if (type !== 'multivariate' && current && current.experiment_id) {
+      columns.experiment_id = null;
+    }
+
+    return columns;
+  }
+
+  async list() {
+    const rows = await this.db.all('SELECT * FROM feature_flags ORDER BY created_at DESC, key');
+    return rows.map(FeatureFlags.parseFlag);
+  }
+
+  async get(key) {
+    const row = await this.db.get('SELECT * FROM feature_flags WHERE key = ?', [key]);
+    if (!row) {
+      throw new FeatureFlagError('Feature flag not found', 404);
+    }
+    return FeatureFlags.parseFlag(row);
+  }
+
+  /**
+   * Create a flag
+   * @param {Object} definition - { key, name, description, type, variants, rules,
+   *   rollout_percentage, experiment_id, enabled, salt }
+   * @returns {Object} The created flag
+   */
+  async create(definition = {}) {
+    const { key, name, description = null, enabled = true, salt } = definition;
+    if (!key || !FLAG_KEY_PATTERN.test(key)) {
+      throw new FeatureFlagError('key is required and may only use letters, digits, _, . and -');
+    }
+    if (await this.db.get('SELECT key FROM feature_flags WHERE key = ?', [key])) {
+      throw new FeatureFlagError('Feature flag already exists', 409);
+    }
+
+    const columns = {
+      key,
+      name: name || key,
+      description,
+      rules: '[]',
+      rollout_percentage: 100,
+      ...(await this.normalize(definition)),
+      enabled: enabled ? 1 : 0,
+      salt: salt || crypto.randomBytes(8).toString('hex')
+    };
+
+    await this.db.run(
+      `INSERT INTO feature_flags (${Object.keys(columns).join(', ')})
+       VALUES (${Object.keys(columns).map(() => '?').join(', ')})`,
+      Object.values(columns)
+    );
+    return this.get(key);
+  }
+
+  /**
+   * Change a flag. Users keep their bucket: raising rollout_percentage only adds
+   * users, and changing weights moves as few users as the hashing allows.
+   * @param {string} key - Flag key
+   * @param {Object} changes - Any of name, description, type, variants, rules,
+   *   rollout_percentage, experiment_id, enabled
+   * @returns {Object} The updated flag
+   */
+  async update(key, changes = {}) {
+    const current = await this.get(key);
+    const columns = await this.normalize(changes, current);
+
+    if (changes.name !== undefined) columns.name = changes.name || key;
+    if (changes.description !== undefined) columns.description = changes.description;
+    if (changes.enabled !== undefined) columns.enabled = changes.enabled ? 1 : 0;
+
+    await this.db.run(
+      `UPDATE feature_flags SET ${Object.keys(columns).map(column => `${column} = ?`).join(', ')},
+         updated_at = CURRENT_TIMESTAMP
+       WHERE key = ?`,
+      [...Object.values(columns), key]
+    );
+    return this.get(key);
+  }
+
+  // Kill switch: the flag is off for everyone until enabled again
+  async setEnabled(key, enabled) {
+    await this.get(key);
+    await this.db.run(
+      'UPDATE feature_flags SET enabled = ?, updated_at = CURRENT_TIMESTAMP WHERE key = ?',
+      [enabled ? 1 : 0, key]
+    );
+    return this.get(key);
+  }
+
+  async remove(key) {
+    await this.get(key);
+    await this.db.transaction(async () => {
+      await this.db.run('DELETE FROM feature_flag_exposures WHERE flag_key = ?', [key]);
+      await this.db.run('DELETE FROM feature_flags WHERE key = ?', [key]);
+    });
+  }
+
+  async matchesRule(rule, userId) {
+    if (rule.properties.length > 0) {
+      const filters = buildPropertyFilters('properties', rule.properties);
+      const user = await this.db.get(
+        `SELECT 1 FROM users WHERE id = ? AND ${filters.sql}`,
+        [userId, ...filters.params]
+      );
+      if (!user) return false;
+    }
+
+    if (rule.cohort_id) {
+      if (this.cohortEngine) {
+        await this.cohortEngine.ensureFresh(rule.cohort_id);
+      }
+      const member = await this.db.get(
+        'SELECT 1 FROM cohort_members WHERE cohort_id = ? AND user_id = ?',
+        [rule.cohort_id, userId]
+      );
+      if (!member) return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Value of one flag for a user
+   * @param {Object} flag - Parsed flag
+   * @param {string} userId - Canonical user id
+   * @returns {Object} { value, reason } where reason is killed, no_matching_rule,
+   *   rollout, matched, experiment or the experiment's reason for leaving the user out
+   */
+  async evaluateFlag(flag, userId) {
+    if (!flag.enabled) {
+      return { value: false, reason: 'killed' };
+    }
+
+    if (flag.rules.length > 0) {
+      let matched = false;
+      for (const rule of flag.rules) {
+        if (await this.matchesRule(rule, userId)) {
+          matched = true;
+          break;
+        }
+      }
+      if (!matched) {
+        return { value: false, reason: 'no_matching_rule' };
+      }
+    }
+
+    if (ExperimentAssigner.hashToUnit(flag.key, flag.salt, 'rollout', userId) * 100 >= flag.rollout_percentage) {
+      return { value: false, reason: 'rollout' };
+    }
+
+    if (flag.type === 'boolean') {
+      return { value: true, reason: 'matched' };
+    }
+
+    if (flag.experiment_id && this.experimentAssigner) {
+      const assignment = await this.experimentAssigner.assign(flag.experiment_id, userId);
+      return assignment.variant
+        ? { value: assignment.variant, reason: 'experiment' }
+        : { value: false, reason: assignment.reason || 'experiment' };
+    }
+
+    const { variant } = ExperimentAssigner.bucket({
+      id: flag.key,
+      salt: flag.salt,
+      variants: JSON.stringify(flag.variants),
+      variant_weights: JSON.stringify(flag.variant_weights),
+      traffic_allocation: 100
+    }, userId);
+    return { value: variant, reason: 'matched' };
+  }
+
+  /**
+   * Every flag's value for a user, recording first exposures to served values
+   * @param {string} userId - User ID (resolved to its canonical id)
+   * @returns {Object} { user_id, flags: { key: value }, reasons: { key: reason } }
+   */
+  async evaluate(userId) {
+    const canonicalId = this.identityResolver ? await this.identityResolver.resolve(userId) : userId;
+    const flags = {};
+    const reasons = {};
+
+    for (const flag of await this.list()) {
+      const { value, reason } = await this.evaluateFlag(flag, canonicalId);
+      flags[flag.key] = value;
+      reasons[flag.key] = reason;
+      if (SERVED_REASONS.includes(reason)) {
+        await this.recordExposure(flag.key, canonicalId, value, reason);
+      }
+    }
+
+    return { user_id: canonicalId, flags, reasons };
+  }
+
+  // Track an exposure event the first time a user gets a value of a flag. If
+  // the event can't be queued the exposure is forgotten, so the next
+  // evaluation tries again.
+  async recordExposure(flagKey, userId, value, reason) {
+    const params = [flagKey, userId, JSON.stringify(value)];
+    const inserted = await this.db.run(
+      'INSERT OR IGNORE INTO feature_flag_exposures (flag_key, user_id, value) VALUES (?, ?, ?)',
+      params
+    );
+    if (inserted.changes === 0 || !this.eventQueue) return;
+
+    const forget = (error) => {
+      console.error('Error tracking flag exposure:', error);
+      return this.db.run(
+        'DELETE FROM feature_flag_exposures WHERE flag_key = ? AND user_id = ? AND value = ?',
+        params
+      ).catch(() => {});
+    };
+
+    try {
+      // Not awaited: the event is written with the queue's next batch
+      this.eventQueue.track({
+        event_name: EXPOSURE_EVENT,
+        user_id: userId,
+        properties: { flag_key: flagKey, value, reason }
+      }).catch(forget);
+    } catch (error) {
+      await forget(error);
+    }
+  }
+}
+
+FeatureFlags.FLAG_TYPES = FLAG_TYPES;
+FeatureFlags.EXPOSURE_EVENT = EXPOSURE_EVENT;
+FeatureFlags.SERVED_REASONS = SERVED_REASONS;
+
+module.exports = FeatureFlags;
+module.exports.FeatureFlagError = FeatureFlagError;
@@ -0,0 +1,156 @@
+// Test Suite for Feature Flags
+// Run with: node analytics/feature-flags.test.js
+
+const FeatureFlags = require('./feature-flags');
+const FeatureAdoption = require('./feature-adoption');
+const ExperimentAssigner = require('./experiment-assigner');
+const EventQueue = require('../ingestion/event-queue');
+const { TestRunner, createTestDatabase } = require('../utils/test-runner');
+
+const RANGE = ['2000-01-01T00:00:00.000Z', '2100-01-01T00:00:00.000Z'];
+const PRO_RULE = { properties: [{ property: 'plan', value: 'pro' }] };
+const USERS = Array.from({ length: 400 }, (_, i) => `rollout_${i}`);
+
+async function runTests() {
+  const runner = new TestRunner();
+  const db = await createTestDatabase('./test-feature-flags.db');
+  const queue = new EventQueue(db, { flushIntervalMs: 5 });
+  const flags = new FeatureFlags(db, { experimentAssigner: new ExperimentAssigner(db), eventQueue: queue });
+
+  const evaluate = async (key, userId) => flags.evaluateFlag(await flags.get(key), userId);
+  const exposures = async (key) => (await db.get(
+    'SELECT COUNT(*) as count FROM feature_flag_exposures WHERE flag_key = ?', [key]
+  )).count;
+
+  await db.createUser({ id: 'pro_user', properties: { plan: 'pro' } });
+  await db.createUser({ id: 'free_user', properties: { plan: 'free' } });
+
+  console.log('Running tests...\n');
+
+  // Test 1: Kill Switch First
+  await runner.test('A killed flag is off even for users its rules and rollout include', async () => {
+    await flags.create({ key: 'killed_flag', rules: [PRO_RULE], rollout_percentage: 100 });
+    runner.assertEqual((await evaluate('killed_flag', 'pro_user')).reason, 'matched', 'On before the kill');
+
+    await flags.setEnabled('killed_flag', false);
+    const killed = await evaluate('killed_flag', 'pro_user');
+    runner.assertEqual(killed.value, false, 'Off once killed');
+    runner.assertEqual(killed.reason, 'killed', 'Kill switch is checked first');
+
+    await flags.setEnabled('killed_flag', true);
+    runner.assertEqual((await evaluate('killed_flag', 'pro_user')).value, true, 'On again when re-enabled');
+  });
+
+  // Test 2: Rules before Rollout
+  await runner.test('Rules are checked before the rollout', async () => {
+    await flags.create({ key: 'ruled_flag', rules: [PRO_RULE], rollout_percentage: 0 });
+
+    const outsider = await evaluate('ruled_flag', 'free_user');
+    runner.assertEqual(outsider.reason, 'no_matching_rule', 'Non-matching user fails on the rules');
+
+    const member = await evaluate('ruled_flag', 'pro_user');
+    runner.assertEqual(member.value, false, 'Matching user is outside a 0% rollout');
+    runner.assertEqual(member.reason, 'rollout', 'Then fails on the rollout');
+
+    await flags.update('ruled_flag', { rollout_percentage: 100 });
+    runner.assertEqual((await evaluate('ruled_flag', 'pro_user')).reason, 'matched', 'Matched at 100%');
+    runner.assertEqual((await evaluate('ruled_flag', 'free_user')).reason, 'no_matching_rule', 'Rules still apply at 100%');
+  });
+
+  // Test 3: Percentage Rollout
+  await runner.test('Raising the rollout keeps users who already had the flag', async () => {
+    await flags.create({ key: 'rollout_flag', rollout_percentage: 25 });
+    const quarter = [];
+    for (const userId of USERS) {
+      if ((await evaluate('rollout_flag', userId)).value) quarter.push(userId);
+    }
+    runner.assertTrue(Math.abs(quarter.length / USERS.length - 0.25) < 0.07, `About a quarter get the flag (${quarter.length})`);
+
+    await flags.update('rollout_flag', { rollout_percentage: 60 });
+    for (const userId of quarter) {
+      runner.assertEqual((await evaluate('rollout_flag', userId)).value, true, `${userId} keeps the flag`);
+    }
+  });
+
+  // Test 4: Exposures Only for Served Values
+  await runner.test('Only users who are served a value get an exposure', async () => {
+    await db.createUser({ id: 'exposed_pro', properties: { plan: 'pro' } });
+    await db.createUser({ id: 'exposed_free', properties: { plan: 'free' } });
+    await db.run('DELETE FROM feature_flags');
+    await flags.create({ key: 'exposure_flag', rules: [PRO_RULE] });
+    await flags.create({ key: 'exposure_killed', enabled: false });
+
+    const pro = await flags.evaluate('exposed_pro');
+    const free = await flags.evaluate('exposed_free');
+    runner.assertEqual(pro.flags.exposure_flag, true, 'Pro user gets the flag');
+    runner.assertEqual(free.reasons.exposure_flag, 'no_matching_rule', 'Free user does not');
+    await queue.flush();
+
+    runner.assertEqual(await exposures('exposure_flag'), 1, 'One exposure for the served user');
+    runner.assertEqual(await exposures('exposure_killed'), 0, 'None for a killed flag');
+
+    const events = await db.all(
+      'SELECT user_id FROM events WHERE event_name = ? AND JSON_EXTRACT(properties, \'$.flag_key\') = ?',
+      [FeatureFlags.EXPOSURE_EVENT, 'exposure_flag']
+    );
+    runner.assertEqual(events.map(e => e.user_id).join(), 'exposed_pro', 'Exposure event for the served user only');
+
+    await flags.evaluate('never_seen');
+    await queue.flush();
+    runner.assertEqual(await db.get('SELECT id FROM users WHERE id = ?', ['never_seen']), undefined,
+      'Evaluating flags that are off creates no user');
+  });
+
+  // Test 5: Rollout Measurement
+  await runner.test('getFlagRollout counts served users as exposed', async () => {
+    await db.insertEvent({ event_name: 'app_open', user_id: 'exposed_pro' });
+    await db.insertEvent({ event_name: 'app_open', user_id: 'exposed_free' });
+
+    const rollout = await new FeatureAdoption(db).getFlagRollout('exposure_flag', ...RANGE, 'month');
+    const [period] = rollout.data;
+    runner.assertEqual(period.total_users, 2, 'Both users are active');
+    runner.assertEqual(period.exposed_users, 1, 'Only the pro user is exposed');
+    runner.assertEqual(period.exposure_rate, 50, 'Half of active users');
+    runner.assertEqual(rollout.values.map(v => v.value).join(), 'true', 'No exposures to false');
+  });
+
+  // Test 6: Experiment Flags
+  await runner.test('An experiment flag is served only while the experiment assigns', async () => {
+    await db.run(
+      `INSERT INTO experiments (id, name, status, variants) VALUES (?, ?, 'paused', ?)`,
+      ['flag_exp', 'flag_exp', JSON.stringify(['control', 'variant'])]
+    );
+    await flags.create({ key: 'exp_flag', type: 'multivariate', variants: ['control', 'variant'], experiment_id: 'flag_exp' });
+
+    const paused = await flags.evaluate('exposed_free');
+    runner.assertEqual(paused.flags.exp_flag, false, 'Off while paused');
+    runner.assertEqual(paused.reasons.exp_flag, 'paused', 'The experiment\'s reason');
+
+    await db.run("UPDATE experiments SET status = 'running' WHERE id = ?", ['flag_exp']);
+    const running = await flags.evaluate('exposed_free');
+    runner.assertEqual(running.reasons.exp_flag, 'experiment', 'Served from the assignment');
+    await queue.flush();
+    runner.assertEqual(await exposures('exp_flag'), 1, 'Exposure recorded once served');
+  });
+
+  await queue.close();
+  await db.remove();
+  return runner.summary();
+}
+
+// Run tests
+if (require.main === module) {
+  console.log('Feature Flags - Test Suite');
+  console.log('='.repeat(80) + '\n');
+
+  runTests()
+    .then(success => {
+      process.exit(success ? 0 : 1);
+    })
+    .catch(error => {
+      console.error('Test suite failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { runTests };
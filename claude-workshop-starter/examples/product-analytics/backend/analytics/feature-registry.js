@@ -0,0 +1,183 @@
+// Feature Registry
+// Features defined once in the features table and analysed by id instead of
+// by raw event name.
+//
+// A feature is used when any of its targets happens: a target is an event name
+// plus optional property filters on the event, all of which must match. Every
+// FeatureAdoption method accepts a registered feature in place of an event
+// name. launch_date starts the scorecard's measurement (the first use when
+// unset), and target_event keeps the first target's event name for readers of
+// the original single-event column.
+
+const FeatureAdoption = require('./feature-adoption');
+const { buildPropertyFilters } = require('../utils/property-filters');
+
+const FEATURE_ID_PATTERN = /^[A-Za-z0-9_][A-Za-z0-9_.-]{0,127}$/;
+
+class FeatureRegistryError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'FeatureRegistryError';
+    this.statusCode = statusCode;
+  }
+}
+
+class FeatureRegistry {
+  constructor(db, { featureAdoption = null } = {}) {
+    this.db = db;
+    this.featureAdoption = featureAdoption || new FeatureAdoption(db);
+  }
+
+  // API shape of a features row; rows written before targets existed fall
+  // back to target_event
+  static parseFeature(row) {
+    const targets = row.targets
+      ? JSON.parse(row.targets)
+      : (row.target_event ? [{ event_name: row.target_event, filters: [] }] : []);
+    return { ...row, targets };
+  }
+
+  // Targets are OR-ed; each is an event name or { event_name, filters }
+  static validateTargets(targets) {
+    if (!Array.isArray(targets) || targets.length === 0) {
+      throw new FeatureRegistryError('targets must be a non-empty array of event names or { event_name, filters }');
+    }
+
+    return targets.map(target => {
+      const { event_name, filters = [] } = typeof target === 'string' ? { event_name: target } : (target || {});
+      if (!event_name || typeof event_name !== 'string') {
+        throw new FeatureRegistryError('Every target needs an event_name');
+      }
+      if (!Array.isArray(filters)) {
+        throw new FeatureRegistryError('target filters must be an array of property filters');
+      }
+      try {
+        buildPropertyFilters('properties', filters);
+      } catch (error) {
+        throw new FeatureRegistryError(error.message);
+      }
+      return { event_name, filters };
+    });
+  }
+
+  /**
+   * Check a feature definition
+   * @param {Object} definition - { targets or target_event, launch_date }
+   * @param {Object} current - Parsed existing feature when updating
+   * @returns {Object} Column values for the features row
+   */
+  static normalize(definition, current = null) {
+    const columns = {};
+
+    if (definition.targets !== undefined || definition.target_event !== undefined) {
+      const targets = FeatureRegistry.validateTargets(
+        definition.targets !== undefined ? definition.targets : [definition.target_event]
+      );
+      columns.targets = JSON.stringify(targets);
+      columns.target_event = targets[0].event_name;
+    } else if (!current) {
+      throw new FeatureRegistryError('targets or target_event is required');
+    }
+
+    if (definition.launch_date !== undefined) {
+      if (definition.launch_date === null || definition.launch_date === '') {
+        columns.launch_date = null;
+      } else {
+        const launch = new Date(definition.launch_date);
+        if (Number.isNaN(launch.getTime())) {
+          throw new FeatureRegistryError('launch_date must be a valid date');
+        }
+        columns.launch_date = launch.toISOString();
+      }
+    }
+
+    return columns;
+  }
+
+  async list() {
+    const rows = await this.db.all('SELECT * FROM features ORDER BY created_at DESC, id');
+    return rows.map(FeatureRegistry.parseFeature);
+  }
+
+  async get(id) {
+    const row = await this.db.get('SELECT * FROM features WHERE id = ?', [id]);
+    if (!row) {
+      throw new FeatureRegistryError('Feature not found', 404);
+    }
+    return FeatureRegistry.parseFeature(row);
+  }
+
+  /**
+   * Register a feature
+   * @param {Object} definition - { id, name, description, launch_date, targets or target_event }
+   * @returns {Object} The created feature
+   */
+  async create(definition = {}) {
+    const { id, name, description = null } = definition;
+    if (!id || !FEATURE_ID_PATTERN.test(id)) {
+      throw new FeatureRegistryError('id is required and may only use letters, digits, _, . and -');
+    }
+    if (await this.db.get('SELECT id FROM features WHERE id = ?', [id])) {
+      throw new FeatureRegistryError('Feature already exists', 409);
+    }
+
+    const columns = {
+      id,
+      name: name || id,
+      description,
+      launch_date: null,
+      ...FeatureRegistry.normalize(definition)
+    };
+
+    await this.db.run(
+      `INSERT INTO features (${Object.keys(columns).join(', ')})
+       VALUES (${Object.keys(columns).map(() => '?').join(', ')})`,
+      Object.values(columns)
+    );
+    return this.get(id);
+  }
+
+  /**
+   * Change a feature
+   * @param {string} id - Feature ID
+   * @param {Object} changes - Any of name, description, launch_date, targets, target_event
+   * @returns {Object} The updated feature
+   */
+  async update(id, changes = {}) {
+    const current = await this.get(id);
+    const columns = FeatureRegistry.normalize(changes, current);
+
+    if (changes.name !== undefined) columns.name = changes.name || id;
+    if (changes.description !== undefined) columns.description = changes.description;
+
+    await this.db.run(
+      `UPDATE features SET ${[...Object.keys(columns).map(column => `${column} = ?`), 'updated_at = CURRENT_TIMESTAMP'].join(', ')}
+       WHERE id = ?`,
+      [...Object.values(columns), id]
+    );
+    return this.get(id);
+  }
+
+  async remove(id) {
+    await this.get(id);
+    await this.db.run('DELETE FROM features WHERE id = ?', [id]);
+  }
+
+  /**
+   * Adoption scorecard of every registered feature (see
+   * FeatureAdoption.getAdoptionScorecard)
+   * @param {Date} now - End of the measured period (default: now)
+   * @returns {Object} { generated_at, count, features: [...] }
+   */
+  async scorecard(now = new Date()) {
+    const features = await this.list();
+    const scorecards = [];
+    for (const feature of features) {
+      scorecards.push(await this.featureAdoption.getAdoptionScorecard(feature, now));
+    }
+    return { generated_at: now.toISOString(), count: scorecards.length, features: scorecards };
+  }
+}
+
+module.exports = FeatureRegistry;
+module.exports.FeatureRegistryError = FeatureRegistryError;
@@ -0,0 +1,156 @@
+// Test Suite for the Feature Registry
+// Run with: node analytics/feature-registry.test.js
+
+const FeatureRegistry = require('./feature-registry');
+const { TestRunner, createTestDatabase } = require('../utils/test-runner');
+
+const NOW = new Date('2025-04-20T12:00:00.000Z');
+
+const EXPORT = {
+  id: 'report_export',
+  name: 'Report export',
+  launch_date: '2025-04-01',
+  targets: [
+    { event_name: 'export_clicked', filters: [{ property: 'format', value: 'csv' }] },
+    'report_downloaded'
+  ]
+};
+
+async function runTests() {
+  const runner = new TestRunner();
+  const db = await createTestDatabase('./test-feature-registry.db');
+  const registry = new FeatureRegistry(db);
+
+  // Events: [user, event, time, properties]; times without a zone are stored
+  // the way CURRENT_TIMESTAMP and the event queue write them
+  const events = [
+    ['user_1', 'export_clicked', '2025-04-02T12:00:00.000Z', { format: 'csv' }],
+    ['user_1', 'report_downloaded', '2025-04-18 09:00:00.000'],
+    ['user_2', 'export_clicked', '2025-04-05T12:00:00.000Z', { format: 'pdf' }],
+    ['user_2', 'search_run', '2025-04-12T09:00:00.000Z'],
+    ['user_2', 'search_run', '2025-04-12 10:00:00'],
+    ['user_3', 'export_clicked', '2025-04-10 12:00:00', { format: 'csv' }],
+    ['user_4', 'report_downloaded', '2025-03-30T12:00:00.000Z'],
+    ['user_4', 'page_view', '2025-04-15T12:00:00.000Z'],
+    ['user_5', 'report_downloaded', '2025-04-01 08:00:00']
+  ];
+  for (let i = 1; i <= 5; i++) {
+    await db.createUser({ id: `user_${i}` });
+  }
+  await db.run("UPDATE users SET created_at = '2025-03-01 00:00:00'");
+  for (const [userId, eventName, timestamp, properties] of events) {
+    await db.insertEvent({ event_name: eventName, user_id: userId, timestamp, properties });
+  }
+
+  console.log('Running tests...\n');
+
+  // Test 1: Create, Update and Delete
+  await runner.test('Features are created, changed and removed', async () => {
+    const created = await registry.create(EXPORT);
+    runner.assertEqual(created.name, 'Report export', 'Named');
+    runner.assertEqual(created.launch_date, '2025-04-01T00:00:00.000Z', 'Launch date stored as ISO');
+    runner.assertEqual(created.target_event, 'export_clicked', 'target_event is the first target');
+    runner.assertEqual(JSON.stringify(created.targets[1]), '{"event_name":"report_downloaded","filters":[]}', 'Event names become targets');
+
+    const legacy = await registry.create({ id: 'search', target_event: 'search_run' });
+    runner.assertEqual(legacy.name, 'search', 'The id names a feature without a name');
+    runner.assertEqual(legacy.targets[0].event_name, 'search_run', 'target_event alone is a target');
+    runner.assertEqual(legacy.launch_date, null, 'No launch date');
+
+    const renamed = await registry.update('search', { name: 'Search', description: 'Full-text search' });
+    runner.assertEqual(renamed.name, 'Search', 'Renamed');
+    runner.assertEqual(renamed.targets[0].event_name, 'search_run', 'Targets kept when not given');
+
+    const retargeted = await registry.update('search', { targets: ['search_run', 'filter_applied'], launch_date: '' });
+    runner.assertEqual(retargeted.targets.length, 2, 'Targets replaced');
+    runner.assertEqual(retargeted.description, 'Full-text search', 'Description kept');
+
+    await registry.create({ id: 'dark_mode', targets: ['theme_changed'] });
+    await registry.remove('dark_mode');
+    runner.assertEqual((await registry.list()).map(feature => feature.id).sort().join(), 'report_export,search', 'Removed');
+    await runner.assertRejects(() => registry.get('dark_mode'), { statusCode: 404 }, 'Gone');
+    await runner.assertRejects(() => registry.remove('dark_mode'), { statusCode: 404 }, 'Removing twice is 404');
+    await runner.assertRejects(() => registry.update('dark_mode', { name: 'Dark' }), { statusCode: 404 }, 'Updating a missing feature is 404');
+    await runner.assertRejects(() => registry.create(EXPORT), { statusCode: 409, pattern: /already exists/ }, 'Ids are unique');
+  });
+
+  // Test 2: Invalid Definitions
+  await runner.test('Invalid ids, targets and launch dates are rejected', async () => {
+    const invalid = [
+      [{ id: 'bad id', targets: ['a'] }, /id is required/],
+      [{ id: 'no_targets' }, /targets or target_event is required/],
+      [{ id: 'empty', targets: [] }, /non-empty array/],
+      [{ id: 'not_array', targets: 'export_clicked' }, /non-empty array/],
+      [{ id: 'nameless', targets: [{ filters: [] }] }, /needs an event_name/],
+      [{ id: 'null_target', targets: [null] }, /needs an event_name/],
+      [{ id: 'object_filters', targets: [{ event_name: 'a', filters: { format: 'csv' } }] }, /filters must be an array/],
+      [{ id: 'bad_operator', targets: [{ event_name: 'a', filters: [{ property: 'format', operator: 'like', value: 'c' }] }] }, /Unsupported filter operator/],
+      [{ id: 'bad_property', targets: [{ event_name: 'a', filters: [{ property: 'x; DROP', value: 1 }] }] }, /property/i],
+      [{ id: 'bad_date', targets: ['a'], launch_date: 'soon' }, /launch_date must be a valid date/]
+    ];
+    for (const [definition, pattern] of invalid) {
+      await runner.assertRejects(() => registry.create(definition), { statusCode: 400, pattern }, `Rejects ${JSON.stringify(definition)}`);
+    }
+    await runner.assertRejects(
+      () => registry.update('search', { targets: [{ event_name: 'a', filters: [{ property: 'p', operator: 'in', value: [] }] }] }),
+      { statusCode: 400, pattern: /non-empty array value/ },
+      'Updates are checked too'
+    );
+    runner.assertEqual((await registry.list()).length, 2, 'Nothing was written');
+  });
+
+  // Test 3: Scorecard
+  await runner.test('The scorecard counts reach, adoption and retention since launch', async () => {
+    const scorecard = await registry.scorecard(NOW);
+    runner.assertEqual(scorecard.count, 2, 'Every feature');
+    runner.assertEqual(scorecard.generated_at, NOW.toISOString(), 'As of now');
+
+    const exported = scorecard.features.find(feature => feature.feature_id === 'report_export');
+    runner.assertEqual(exported.days_since_launch, 19, 'Days since April 1');
+    runner.assertEqual(exported.active_users, 5, 'Everyone active since launch, including on launch day');
+    runner.assertEqual(exported.reach.users, 3, 'CSV exports and downloads since launch; not PDF, not before launch');
+    runner.assertEqual(exported.reach.percentage, 60, 'Of active users');
+    runner.assertEqual(exported.adoption.users, 1, 'Used on two days');
+    runner.assertEqual(exported.adoption.percentage, 33.33, 'Of reached users');
+    runner.assertEqual(exported.retention.eligible_users, 3, 'First used over a week ago');
+    runner.assertEqual(exported.retention.retained_users, 1, 'Used again in the last week');
+    runner.assertEqual(exported.time_to_adopt.sample_size, 3, 'Every reached user');
+    runner.assertEqual(exported.time_to_adopt.median_hours, 36, 'Median hours from launch to first use');
+    runner.assertEqual(exported.time_to_adopt.avg_hours, 90.67, 'Average of 8, 36 and 228 hours');
+  });
+
+  // Test 4: Scorecard Without a Launch Date
+  await runner.test('Without a launch date the scorecard starts at the first use', async () => {
+    await registry.update('search', { targets: ['search_run'] });
+    const search = await registry.featureAdoption.getAdoptionScorecard(await registry.get('search'), NOW);
+    runner.assertEqual(search.days_since_launch, 8, 'Since 09:00 on April 12');
+    runner.assertEqual(search.reach.users, 1, 'Reached');
+    runner.assertEqual(search.time_to_adopt.median_hours, 0, 'The first user adopted at launch');
+
+    await registry.create({ id: 'unused', targets: ['never_sent'] });
+    const unused = await registry.featureAdoption.getAdoptionScorecard(await registry.get('unused'), NOW);
+    runner.assertEqual(unused.days_since_launch, null, 'Never used');
+    runner.assertEqual(unused.reach.users, 0, 'Nobody reached');
+    runner.assertEqual(unused.reach.percentage, 0, 'No percentage without active users');
+  });
+
+  await db.remove();
+  return runner.summary();
+}
+
+// Run tests
+if (require.main === module) {
+  console.log('Feature Registry - Test Suite');
+  console.log('='.repeat(80) + '\n');
+
+  runTests()
+    .then(success => {
+      process.exit(success ? 0 : 1);
+    })
+    .catch(error => {
+      console.error('Test suite failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { runTests };
@@ -1,5 +1,13 @@
 // Funnel Analysis Module
 // Analyzes conversion funnels to identify drop-off points
+//
+// Users are counted by canonical id: events sent with an anonymous id are moved
+// to the known user when the ids are merged (see ingestion/identity.js), so
+// pre-signup steps and post-signup steps join up on events.user_id.
+
+const { buildPropertyFilters } = require('../utils/property-filters');
+
+const FUNNEL_ORDERS = ['strict', 'any'];
 
 class FunnelAnalyzer {
   constructor(db) {
@@ -7,84 +15,228 @@ class FunnelAnalyzer {
   }
 
   // Calculate funnel conversion rates
-  async analyzeFunnel(steps, startDate, endDate, cohortId = null) {
-    const results = [];
-    let previousStepUsers = null;
-
-    for (let i = 0; i < steps.length; i++) {
-      const step = steps[i];
-      const stepNumber = i + 1;
-
-      // Get users who completed this step
-      let sql = `
-        SELECT DISTINCT user_id
-        FROM events
-        WHERE event_name = ?
-        AND timestamp BETWEEN ? AND ?
-      `;
-      const params = [step, startDate, endDate];
-
-      if (cohortId) {
-        sql += ` AND user_id IN (SELECT id FROM users WHERE cohort_id = ?)`;
-        params.push(cohortId);
-      }
+  // options.order: 'strict' (steps must happen in sequence) or 'any'
+  // options.conversionWindowDays: max time from step 1 to each later step
+  async analyzeFunnel(steps, startDate, endDate, cohortId = null, options = {}) {
+    const funnelSteps = this.normalizeSteps(steps);
+    const { order = 'strict', conversionWindowDays = null } = options;
+
+    const counts = await this.countFunnelUsers(funnelSteps, startDate, endDate, {
+      order,
+      conversionWindowDays,
+      cohortId
+    });
 
-      // If not first step, filter by users who completed previous steps
-      if (previousStepUsers) {
-        sql += ` AND user_id IN (${previousStepUsers.map(() => '?').join(',')})`;
-        params.push(...previousStepUsers);
-      }
+    const results = [];
 
-      const users = await this.db.all(sql, params);
-      const userIds = users.map(u => u.user_id);
-      const count = userIds.length;
+    for (let i = 0; i < funnelSteps.length; i++) {
+      const count = counts[i];
+      const previousCount = i > 0 ? counts[i - 1] : null;
 
       // Calculate conversion rate
-      const conversionRate = previousStepUsers
-        ? (count / previousStepUsers.length) * 100
+      const conversionRate = previousCount !== null
+        ? (previousCount > 0 ? (count / previousCount) * 100 : 0)
         : 100;
 
       // Calculate drop-off
-      const dropOff = previousStepUsers
-        ? previousStepUsers.length - count
+      const dropOff = previousCount !== null
+        ? previousCount - count
         : 0;
 
-      const dropOffRate = previousStepUsers
-        ? ((dropOff / previousStepUsers.length) * 100)
+      const dropOffRate = previousCount
+        ? ((dropOff / previousCount) * 100)
         : 0;
 
       results.push({
-        step: stepNumber,
-        event_name: step,
+        step: i + 1,
+        event_name: funnelSteps[i].event_name,
+        filters: funnelSteps[i].filters.length > 0 ? funnelSteps[i].filters : undefined,
         user_count: count,
         conversion_rate: Math.round(conversionRate * 100) / 100,
         drop_off_count: dropOff,
         drop_off_rate: Math.round(dropOffRate * 100) / 100
       });
-
-      previousStepUsers = userIds;
     }
 
     // Calculate overall funnel conversion
-    const overallConversion = results.length > 0
+    const overallConversion = results.length > 0 && results[0].user_count > 0
       ? (results[results.length - 1].user_count / results[0].user_count) * 100
       : 0;
 
     return {
       steps: results,
       overall_conversion: Math.round(overallConversion * 100) / 100,
+      order,
+      conversion_window_days: conversionWindowDays,
       start_date: startDate,
       end_date: endDate
     };
   }
 
+  // Count users reaching each step in a single query
+  // Returns an array of user counts, one per step
+  async countFunnelUsers(steps, startDate, endDate, options = {}) {
+    const { order = 'strict', conversionWindowDays = null, cohortId = null, extraCondition = null } = options;
+
+    if (!FUNNEL_ORDERS.includes(order)) {
+      throw new Error(`Invalid funnel order: ${order}. Must be one of ${FUNNEL_ORDERS.join(', ')}`);
+    }
+
+    const ctes = [];
+    const params = [];
+
+    // Strict order follows each entry into the funnel (a step 1 event) on its
+    // own when there is a conversion window, since a later entry can convert
+    // inside the window when the first one didn't. Without a window the
+    // user's first entry is enough. Any order compares first occurrences.
+    const perEntry = order === 'strict' && Boolean(conversionWindowDays);
+
+    steps.forEach((step, i) => {
+      const condition = this.buildStepCondition(step, 'e');
+      let sql;
+
+      if (i === 0 && perEntry) {
+        sql = `
+          step_1 AS (
+            SELECT e.user_id, e.id as entry_id, e.timestamp as entered_at, e.id as event_id, e.timestamp as reached_at
+            FROM events e
+            WHERE ${condition.sql}
+            AND e.timestamp BETWEEN ? AND ?
+        `;
+        params.push(...condition.params, startDate, endDate);
+      } else if (i === 0 || order === 'any') {
+        // MIN() makes SQLite take e.id from the earliest event
+        sql = `
+          step_${i + 1} AS (
+            SELECT e.user_id, e.id as entry_id, MIN(e.timestamp) as entered_at, e.id as event_id, MIN(e.timestamp) as reached_at
+            FROM events e
+            WHERE ${condition.sql}
+            AND e.timestamp BETWEEN ? AND ?
+        `;
+        params.push(...condition.params, startDate, endDate);
+      } else {
+        // Strict order: the earliest matching event after the previous step's
+        // event (by id among events at the same time), so one event can't
+        // complete two steps
+        sql = `
+          step_${i + 1} AS (
+            SELECT prev.user_id, prev.entry_id, prev.entered_at, e.id as event_id, MIN(e.timestamp) as reached_at
+            FROM step_${i} prev
+            JOIN events e ON e.user_id = prev.user_id
+            WHERE ${condition.sql}
+            AND e.timestamp BETWEEN ? AND ?
+            AND (julianday(e.timestamp) > julianday(prev.reached_at)
+              OR (julianday(e.timestamp) = julianday(prev.reached_at) AND e.id > prev.event_id))
+        `;
+        params.push(...condition.params, startDate, endDate);
+
+        if (conversionWindowDays) {
+          sql += ' AND julianday(e.timestamp) - julianday(prev.entered_at) <= ?';
+          params.push(conversionWindowDays);
+        }
+      }
+
+      if (i === 0 && cohortId) {
+        sql += ' AND e.user_id IN (SELECT user_id FROM cohort_members WHERE cohort_id = ?)';
+        params.push(cohortId);
+      }
+
+      if (extraCondition) {
+        sql += ` AND ${extraCondition.sql}`;
+        params.push(...extraCondition.params);
+      }
+
+      if (i > 0 && order === 'strict') {
+        sql += ' GROUP BY prev.entry_id)';
+      } else {
+        sql += i === 0 && perEntry ? ')' : ' GROUP BY e.user_id)';
+      }
+      ctes.push(sql);
+    });
+
+    let select;
+
+    if (order === 'strict') {
+      select = steps
+        .map((_, i) => `(SELECT COUNT(DISTINCT user_id) FROM step_${i + 1}) as step_${i + 1}`)
+        .join(', ');
+    } else {
+      // Any order: every step up to N must be done, with the first occurrences
+      // of all of them falling inside the conversion window
+      const joins = steps.slice(1)
+        .map((_, i) => `LEFT JOIN step_${i + 2} s${i + 2} ON s${i + 2}.user_id = s1.user_id`)
+        .join(' ');
+
+      const columns = steps.map((_, i) => {
+        if (i === 0) return 'COUNT(*) as step_1';
+
+        // Reaching step N requires every earlier step to be reached too
+        const reached = steps.slice(1, i + 1).map((__, j) => `s${j + 2}.user_id IS NOT NULL`);
+        if (conversionWindowDays) {
+          const times = steps.slice(0, i + 1).map((__, j) => `julianday(s${j + 1}.reached_at)`);
+          reached.push(`MAX(${times.join(', ')}) - MIN(${times.join(', ')}) <= ?`);
+          params.push(conversionWindowDays);
+        }
+        return `SUM(CASE WHEN ${reached.join(' AND ')} THEN 1 ELSE 0 END) as step_${i + 1}`;
+      });
+
+      select = `${columns.join(', ')} FROM step_1 s1 ${joins}`;
+    }
+
+    const row = await this.db.get(`WITH ${ctes.join(',')} SELECT ${select}`, params);
+    return steps.map((_, i) => row[`step_${i + 1}`] || 0);
+  }
+
+  // Normalize funnel steps into { event_name, filters } objects
+  // Steps may be plain event names or objects with property filters
+  normalizeSteps(steps) {
+    if (!Array.isArray(steps)) {
+      throw new Error('steps must be an array');
+    }
+
+    return steps.map((step, i) => {
+      if (typeof step === 'string') {
+        return { event_name: step, filters: [] };
+      }
+
+      if (!step || typeof step.event_name !== 'string' || !step.event_name) {
+        throw new Error(`Step ${i + 1} must be an event name or an object with event_name`);
+      }
+
+      const filters = step.filters || [];
+      if (!Array.isArray(filters)) {
+        throw new Error(`Step ${i + 1} filters must be an array`);
+      }
+
+      // Throws on unknown operators or malformed property names
+      buildPropertyFilters('properties', filters);
+
+      return { event_name: step.event_name, filters };
+    });
+  }
+
+  // Build the WHERE condition matching a single funnel step
+  buildStepCondition(step, alias = 'e') {
+    const propertyFilters = buildPropertyFilters(`${alias}.properties`, step.filters);
+    const sql = propertyFilters.sql
+      ? `${alias}.event_name = ? AND ${propertyFilters.sql}`
+      : `${alias}.event_name = ?`;
+
+    return {
+      sql,
+      params: [step.event_name, ...propertyFilters.params]
+    };
+  }
+
   // Get average time between funnel steps
   async getStepTimings(steps, startDate, endDate) {
+    const funnelSteps = this.normalizeSteps(steps);
     const timings = [];
 
-    for (let i = 0; i < steps.length - 1; i++) {
-      const currentStep = steps[i];
-      const nextStep = steps[i + 1];
+    for (let i = 0; i < funnelSteps.length - 1; i++) {
+      const currentStep = this.buildStepCondition(funnelSteps[i], 'e1');
+      const nextStep = this.buildStepCondition(funnelSteps[i + 1], 'e2');
+      const nextStepLookup = this.buildStepCondition(funnelSteps[i + 1], 'e3');
 
       const sql = `
         SELECT
@@ -92,25 +244,25 @@ class FunnelAnalyzer {
           (julianday(e2.timestamp) - julianday(e1.timestamp)) * 24 * 60 as minutes_to_next_step
         FROM events e1
         JOIN events e2 ON e1.user_id = e2.user_id
-        WHERE e1.event_name = ?
-        AND e2.event_name = ?
+        WHERE ${currentStep.sql}
+        AND ${nextStep.sql}
         AND e1.timestamp BETWEEN ? AND ?
         AND e2.timestamp > e1.timestamp
         AND e2.timestamp = (
-          SELECT MIN(timestamp)
-          FROM events
-          WHERE user_id = e1.user_id
-          AND event_name = ?
-          AND timestamp > e1.timestamp
+          SELECT MIN(e3.timestamp)
+          FROM events e3
+          WHERE e3.user_id = e1.user_id
+          AND ${nextStepLookup.sql}
+          AND e3.timestamp > e1.timestamp
         )
       `;
 
       const results = await this.db.all(sql, [
-        currentStep,
-        nextStep,
+        ...currentStep.params,
+        ...nextStep.params,
         startDate,
         endDate,
-        nextStep
+        ...nextStepLookup.params
       ]);
 
       if (results.length > 0) {
@@ -118,8 +270,8 @@ class FunnelAnalyzer {
         const medianTime = this.getMedian(results.map(r => r.minutes_to_next_step));
 
         timings.push({
-          from_step: currentStep,
-          to_step: nextStep,
+          from_step: funnelSteps[i].event_name,
+          to_step: funnelSteps[i + 1].event_name,
           avg_minutes: Math.round(avgTime * 100) / 100,
           median_minutes: Math.round(medianTime * 100) / 100,
           sample_size: results.length
@@ -131,7 +283,8 @@ class FunnelAnalyzer {
   }
 
   // Get funnel breakdown by property (e.g., device, country)
-  async getFunnelBreakdown(steps, startDate, endDate, breakdownProperty) {
+  async getFunnelBreakdown(steps, startDate, endDate, breakdownProperty, options = {}) {
+    const funnelSteps = this.normalizeSteps(steps);
     const breakdowns = {};
 
     // Get unique values for the breakdown property
@@ -145,29 +298,10 @@ class FunnelAnalyzer {
 
     // Analyze funnel for each value
     for (const { value } of values) {
-      let previousStepUsers = null;
-      const results = [];
-
-      for (const step of steps) {
-        let sql = `
-          SELECT DISTINCT user_id
-          FROM events
-          WHERE event_name = ?
-          AND ${breakdownProperty} = ?
-          AND timestamp BETWEEN ? AND ?
-        `;
-        const params = [step, value, startDate, endDate];
-
-        if (previousStepUsers) {
-          sql += ` AND user_id IN (${previousStepUsers.map(() => '?').join(',')})`;
-          params.push(...previousStepUsers);
-        }
-
-        const users = await this.db.all(sql, params);
-        const userIds = users.map(u => u.user_id);
-        results.push(userIds.length);
-        previousStepUsers = userIds;
-      }
+      const results = await this.countFunnelUsers(funnelSteps, startDate, endDate, {
+        ...options,
+        extraCondition: { sql: `e.${breakdownProperty} = ?`, params: [value] }
+      });
 
       const overallConversion = results[0] > 0
         ? (results[results.length - 1] / results[0]) * 100
@@ -194,3 +328,4 @@ class FunnelAnalyzer {
 }
 
 module.exports = FunnelAnalyzer;
+module.exports.FUNNEL_ORDERS = FUNNEL_ORDERS;
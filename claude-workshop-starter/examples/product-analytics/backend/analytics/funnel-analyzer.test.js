@@ -0,0 +1,133 @@
+// Test Suite for Funnel Analyzer
+// Run with: node analytics/funnel-analyzer.test.js
+
+const FunnelAnalyzer = require('./funnel-analyzer');
+const { TestRunner, createTestDatabase } = require('../utils/test-runner');
+
+const RANGE = ['2025-01-01T00:00:00.000Z', '2025-12-31T23:59:59.999Z'];
+
+// Events of one user as [event_name, day of January 2025, properties]
+async function trackUser(db, userId, events) {
+  for (const [eventName, day, properties = {}] of events) {
+    await db.insertEvent({
+      event_name: eventName,
+      user_id: userId,
+      properties,
+      timestamp: new Date(Date.UTC(2025, 0, 1) + day * 24 * 60 * 60 * 1000).toISOString()
+    });
+  }
+}
+
+async function runTests() {
+  const runner = new TestRunner();
+  const db = await createTestDatabase('./test-funnels.db');
+  const analyzer = new FunnelAnalyzer(db);
+
+  const counts = (steps, options = {}) => analyzer.countFunnelUsers(
+    analyzer.normalizeSteps(steps), ...RANGE, options
+  );
+
+  console.log('Running tests...\n');
+
+  // Test 1: Strict Order
+  await runner.test('Strict order only counts steps done in sequence', async () => {
+    await trackUser(db, 'order_in_sequence', [['order_a', 1], ['order_b', 2], ['order_c', 3]]);
+    await trackUser(db, 'order_reversed', [['order_c', 1], ['order_b', 2], ['order_a', 3]]);
+    await trackUser(db, 'order_skipped', [['order_a', 1], ['order_c', 2]]);
+
+    const strict = await counts(['order_a', 'order_b', 'order_c']);
+    runner.assertEqual(strict.join(), '3,1,1', 'Only the user in sequence converts');
+
+    const any = await counts(['order_a', 'order_b', 'order_c'], { order: 'any' });
+    runner.assertEqual(any.join(), '3,2,2', 'Any order counts the reversed user too');
+  });
+
+  // Test 2: Repeated Steps
+  await runner.test('One event does not complete two identical steps', async () => {
+    await trackUser(db, 'repeat_once', [['repeat_view', 1]]);
+    await trackUser(db, 'repeat_twice', [['repeat_view', 1], ['repeat_view', 2]]);
+
+    const result = await counts(['repeat_view', 'repeat_view']);
+    runner.assertEqual(result.join(), '2,1', 'A single view is one step');
+  });
+
+  // Test 3: Events at the Same Instant
+  await runner.test('Steps sent at the same instant follow event order', async () => {
+    await trackUser(db, 'same_instant', [['instant_a', 1], ['instant_b', 1]]);
+
+    const result = await counts(['instant_a', 'instant_b']);
+    runner.assertEqual(result.join(), '1,1', 'A later event at the same time is the next step');
+  });
+
+  // Test 4: Conversion Window
+  await runner.test('Conversion window drops steps after the window', async () => {
+    await trackUser(db, 'window_fast', [['window_a', 1], ['window_b', 3]]);
+    await trackUser(db, 'window_slow', [['window_a', 1], ['window_b', 20]]);
+
+    const windowed = await counts(['window_a', 'window_b'], { conversionWindowDays: 7 });
+    runner.assertEqual(windowed.join(), '2,1', 'Only the fast user converts within 7 days');
+
+    const unbounded = await counts(['window_a', 'window_b']);
+    runner.assertEqual(unbounded.join(), '2,2', 'Both convert without a window');
+  });
+
+  // Test 5: Conversion Window from a Later Entry
+  await runner.test('Conversion window starts at each entry, not only the first', async () => {
+    await trackUser(db, 'reentry', [['reentry_a', 1], ['reentry_a', 30], ['reentry_b', 32], ['reentry_c', 33]]);
+    await trackUser(db, 'reentry_late', [['reentry_a', 1], ['reentry_b', 5], ['reentry_a', 30], ['reentry_c', 33]]);
+
+    const result = await counts(['reentry_a', 'reentry_b', 'reentry_c'], { conversionWindowDays: 7 });
+    runner.assertEqual(result.join(), '2,2,1', 'The second entry converts; steps of different entries do not mix');
+  });
+
+  // Test 6: Step Property Filters
+  await runner.test('Step property filters only match events with those properties', async () => {
+    await trackUser(db, 'filter_pro', [['filter_signup', 1, { plan: 'pro' }], ['filter_buy', 2, { amount: 120 }]]);
+    await trackUser(db, 'filter_free', [['filter_signup', 1, { plan: 'free' }], ['filter_buy', 2, { amount: 20 }]]);
+    await trackUser(db, 'filter_small', [['filter_signup', 1, { plan: 'pro' }], ['filter_buy', 2, { amount: 10 }]]);
+
+    const result = await counts([
+      { event_name: 'filter_signup', filters: [{ property: 'plan', value: 'pro' }] },
+      { event_name: 'filter_buy', filters: [{ property: 'amount', operator: 'gte', value: 100 }] }
+    ]);
+    runner.assertEqual(result.join(), '2,1', 'Two pro signups, one large purchase');
+
+    let error = null;
+    try {
+      analyzer.normalizeSteps([{ event_name: 'filter_buy', filters: [{ property: 'amount', operator: 'between' }] }]);
+    } catch (caught) {
+      error = caught;
+    }
+    runner.assertExists(error, 'Unknown operators are rejected');
+  });
+
+  // Test 7: analyzeFunnel Rates
+  await runner.test('analyzeFunnel reports conversion and drop-off per step', async () => {
+    const result = await analyzer.analyzeFunnel(['order_a', 'order_b', 'order_c'], ...RANGE);
+
+    runner.assertEqual(result.steps[1].user_count, 1, 'One user at step 2');
+    runner.assertEqual(result.steps[1].drop_off_count, 2, 'Two users drop off');
+    runner.assertEqual(result.steps[1].conversion_rate, 33.33, 'Step 2 conversion');
+    runner.assertEqual(result.overall_conversion, 33.33, 'Overall conversion');
+  });
+
+  await db.remove();
+  return runner.summary();
+}
+
+// Run tests
+if (require.main === module) {
+  console.log('Funnel Analyzer - Test Suite');
+  console.log('='.repeat(80) + '\n');
+
+  runTests()
+    .then(success => {
+      process.exit(success ? 0 : 1);
+    })
+    .catch(error => {
+      console.error('Test suite failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { runTests };
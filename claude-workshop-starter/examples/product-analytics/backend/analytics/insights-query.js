@@ -0,0 +1,418 @@
+// Insights Query
+// One declarative segmentation query in place of a hand-written endpoint per
+// chart: which events, how to aggregate them, filters on event and user
+// properties, up to two group-by properties, a granularity and a date range.
+//
+//   {
+//     events: ['signup', { event_name: 'purchase', filters: [...] }],
+//     aggregation: { type: 'percentile', property: 'amount', percentile: 90 },
+//     filters: [
+//       { property: 'plan', operator: 'equals', value: 'pro' },      // event property
+//       { attribute: 'country', operator: 'in', value: ['US', 'CA'] } // event column
+//     ],
+//     user_filters: [{ property: 'company_size', operator: 'gte', value: 50 }],
+//     group_by: ['country', 'user.plan'],
+//     granularity: 'week',
+//     start_date: '2024-01-01',
+//     end_date: '2024-03-31'
+//   }
+//
+// Each event is its own series, split by the group-by values (the `limit`
+// groups with the most events). A series has a value per period and a total
+// over the whole range; uniques, averages and percentiles don't add up
+// across periods, so the total is aggregated on its own.
+
+const {
+  PROPERTY_NAME_PATTERN,
+  buildComparison,
+  buildPropertyFilters
+} = require('../utils/property-filters');
+
+// strftime formats of each period, as in the event rollups
+const PERIOD_FORMATS = {
+  hour: '%Y-%m-%d %H:00:00',
+  day: '%Y-%m-%d',
+  week: '%Y-W%W',
+  month: '%Y-%m'
+};
+
+// Aggregations and the value of a period without events. Those with
+// `property` read a numeric event property; events where it isn't a number
+// are left out.
+const AGGREGATIONS = {
+  total: { empty: 0 },
+  uniques: { empty: 0 },
+  sum: { property: true, empty: 0 },
+  avg: { property: true, empty: null },
+  min: { property: true, empty: null },
+  max: { property: true, empty: null },
+  percentile: { property: true, empty: null },
+  // events (or the property's sum) per active user
+  per_user_avg: { property: 'optional', empty: null }
+};
+
+// Event columns usable in filters and group_by
+const ATTRIBUTES = ['country', 'city', 'device_type', 'browser', 'page_url', 'referrer'];
+
+const MAX_EVENTS = 10;
+const MAX_GROUP_BY = 2;
+const MAX_PERIODS = 2000;
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 100;
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Shortest length of each period, to bound the number of periods in a range
+const PERIOD_MS = { hour: HOUR_MS, day: DAY_MS, week: 7 * DAY_MS, month: 28 * DAY_MS };
+
+class InsightsQueryError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'InsightsQueryError';
+    this.statusCode = statusCode;
+  }
+}
+
+function roundValue(value) {
+  return value === null ? null : Math.round(value * 100) / 100;
+}
+
+function checkProperty(property, label) {
+  if (!property || typeof property !== 'string' || !PROPERTY_NAME_PATTERN.test(property)) {
+    throw new InsightsQueryError(`${label} must be a property name`);
+  }
+  return property;
+}
+
+// Property filters with errors reported as a bad query
+function propertyFilters(column, filters, label) {
+  if (!Array.isArray(filters)) {
+    throw new InsightsQueryError(`${label} must be an array of property filters`);
+  }
+  try {
+    return buildPropertyFilters(column, filters);
+  } catch (error) {
+    throw new InsightsQueryError(error.message);
+  }
+}
+
+class InsightsQuery {
+  constructor(db) {
+    this.db = db;
+  }
+
+  /**
+   * Check a query and fill in its defaults
+   * @param {Object} query - See the module comment
+   * @returns {Object} { events: [{ event_name, filters }], aggregation: { type,
+   *   property, percentile }, filters, user_filters, group_by, granularity,
+   *   start_date, end_date, limit } with ISO dates
+   */
+  static normalize(query = {}) {
+    const { filters = [], user_filters = [], granularity = 'day', limit = DEFAULT_LIMIT } = query;
+
+    const events = query.events !== undefined ? query.events : (query.event !== undefined ? [query.event] : []);
+    if (!Array.isArray(events) || events.length === 0 || events.length > MAX_EVENTS) {
+      throw new InsightsQueryError(`events must be an array of 1 to ${MAX_EVENTS} event names or { event_name, filters }`);
+    }
+    const normalizedEvents = events.map(event => {
+      const { event_name, filters: eventFilters = [] } = typeof event === 'string' ? { event_name: event } : (event || {});
+      if (!event_name || typeof event_name !== 'string') {
+        throw new InsightsQueryError('Every event needs an event_name');
+      }
+      propertyFilters('properties', eventFilters, 'event filters');
+      return { event_name, filters: eventFilters };
+    });
+
+    const aggregation = typeof query.aggregation === 'string'
+      ? { type: query.aggregation }
+      : { type: 'total', ...(query.aggregation || {}) };
+    const definition = AGGREGATIONS[aggregation.type];
+    if (!definition) {
+      throw new InsightsQueryError(`aggregation must be one of: ${Object.keys(AGGREGATIONS).join(', ')}`);
+    }
+    const normalizedAggregation = { type: aggregation.type };
+    if (definition.property === true || (definition.property && aggregation.property !== undefined)) {
+      normalizedAggregation.property = checkProperty(aggregation.property, `aggregation.property (${aggregation.type})`);
+    }
+    if (aggregation.type === 'percentile') {
+      const percentile = aggregation.percentile === undefined ? 50 : Number(aggregation.percentile);
+      if (!(percentile >= 0 && percentile <= 100)) {
+        throw new InsightsQueryError('aggregation.percentile must be a number from 0 to 100');
+      }
+      normalizedAggregation.percentile = percentile;
+    }
+
+    if (!Array.isArray(filters)) {
+      throw new InsightsQueryError('filters must be an array');
+    }
+    for (const filter of filters) {
+      InsightsQuery.buildFilter(filter);
+    }
+    propertyFilters('properties', user_filters, 'user_filters');
+
+    const groupBy = query.group_by === undefined || query.group_by === null
+      ? []
+      : (Array.isArray(query.group_by) ? query.group_by : [query.group_by]);
+    if (groupBy.length > MAX_GROUP_BY) {
+      throw new InsightsQueryError(`group_by takes at most ${MAX_GROUP_BY} properties`);
+    }
+    groupBy.forEach(InsightsQuery.groupExpression);
+
+    if (!PERIOD_FORMATS[granularity]) {
+      throw new InsightsQueryError(`granularity must be one of: ${Object.keys(PERIOD_FORMATS).join(', ')}`);
+    }
+
+    if (!query.start_date || !query.end_date) {
+      throw new InsightsQueryError('start_date and end_date are required');
+    }
+    const start = new Date(query.start_date);
+    const end = new Date(query.end_date);
+    if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) {
+      throw new InsightsQueryError('start_date and end_date must be valid dates');
+    }
+    if (end < start) {
+      throw new InsightsQueryError('end_date must not be before start_date');
+    }
+
+    const groupLimit = Number(limit);
+    if (!Number.isInteger(groupLimit) || groupLimit < 1 || groupLimit > MAX_LIMIT) {
+      throw new InsightsQueryError(`limit must be an integer from 1 to ${MAX_LIMIT}`);
+    }
+
+    return {
+      events: normalizedEvents,
+      aggregation: normalizedAggregation,
+      filters,
+      user_filters,
+      group_by: groupBy,
+      granularity,
+      start_date: start.toISOString(),
+      end_date: end.toISOString(),
+      limit: groupLimit
+    };
+  }
+
+  // Condition for an entry of `filters`: { attribute, ... } compares an event
+  // column, anything else is an event property filter
+  static buildFilter(filter) {
+    if (filter && filter.attribute !== undefined) {
+      const { attribute, operator = 'equals', value } = filter;
+      if (!ATTRIBUTES.includes(attribute)) {
+        throw new InsightsQueryError(`Filter attribute must be one of: ${ATTRIBUTES.join(', ')}`);
+      }
+      try {
+        return buildComparison(`e.${attribute}`, operator, value, attribute);
+      } catch (error) {
+        throw new InsightsQueryError(error.message);
+      }
+    }
+    return propertyFilters('e.properties', [filter], 'filters');
+  }
+
+  /**
+   * SQL expression of a group_by entry: an event column (ATTRIBUTES),
+   * event.<property> or user.<property>
+   * @returns {Object} { sql, params, user } - user when it reads users u
+   */
+  static groupExpression(groupBy) {
+    if (ATTRIBUTES.includes(groupBy)) {
+      return { sql: `e.${groupBy}`, params: [], user: false };
+    }
+
+    const match = typeof groupBy === 'string' && groupBy.match(/^(event|user)\.(.+)$/);
+    if (!match || !PROPERTY_NAME_PATTERN.test(match[2])) {
+      throw new InsightsQueryError(
+        `group_by entries must be one of ${ATTRIBUTES.join(', ')}, event.<property> or user.<property>`
+      );
+    }
+    return {
+      sql: `JSON_EXTRACT(${match[1] === 'user' ? 'u' : 'e'}.properties, ?)`,
+      params: [`$.${match[2]}`],
+      user: match[1] === 'user'
+    };
+  }
+
+  /**
+   * Run a query
+   * @param {Object} query - See the module comment
+   * @returns {Object} { query, periods, series: [{ event_name, group, total,
+   *   data: [{ period, value }] }] } - group maps each group_by entry to its
+   *   value (null when unset); periods without events have value 0 for
+   *   counts and sums and null otherwise
+   */
+  async run(query) {
+    const normalized = InsightsQuery.normalize(query);
+    const periods = await this.listPeriods(normalized);
+
+    const series = [];
+    for (const event of normalized.events) {
+      series.push(...await this.runEvent(normalized, event, periods));
+    }
+    return { query: normalized, periods, series };
+  }
+
+  // Every period of the range, formatted by SQLite like the aggregated rows
+  async listPeriods({ granularity, start_date, end_date }) {
+    const unit = granularity === 'hour' ? HOUR_MS : DAY_MS;
+    const first = Math.floor(Date.parse(start_date) / unit) * unit;
+    const last = Date.parse(end_date);
+    if ((last - first) / PERIOD_MS[granularity] >= MAX_PERIODS) {
+      throw new InsightsQueryError(`The range has more than ${MAX_PERIODS} periods; use a coarser granularity`);
+    }
+
+    const instants = [];
+    for (let time = first; time <= last; time += unit) {
+      instants.push(new Date(time).toISOString());
+    }
+    const rows = await this.db.all(
+      `SELECT DISTINCT strftime('${PERIOD_FORMATS[granularity]}', value) as period
+       FROM json_each(?)
+       ORDER BY period`,
+      [JSON.stringify(instants)]
+    );
+    return rows.map(row => row.period);
+  }
+
+  // Series of one event: the top groups by event count, each with a value
+  // per period and a total
+  async runEvent(query, event, periods) {
+    const { aggregation, granularity, limit } = query;
+    const groups = query.group_by.map(InsightsQuery.groupExpression);
+    const from = this.buildFrom(query, event, groups);
+
+    const empty = AGGREGATIONS[aggregation.type].empty;
+    const totals = await this.aggregate(from, groups, aggregation, null);
+    // Without group_by an event always has its series, zero when it never happened
+    const top = totals.length === 0 && groups.length === 0
+      ? [{ events: 0, value: empty }]
+      : totals.sort((a, b) => b.events - a.events).slice(0, limit);
+    const keyOf = row => JSON.stringify(groups.map((_, i) => row[`g${i}`]));
+
+    const byGroup = new Map(top.map(row => [keyOf(row), new Map()]));
+    for (const row of await this.aggregate(from, groups, aggregation, PERIOD_FORMATS[granularity])) {
+      const values = byGroup.get(keyOf(row));
+      if (values) values.set(row.period, row.value);
+    }
+
+    return top.map(row => {
+      const values = byGroup.get(keyOf(row));
+      return {
+        event_name: event.event_name,
+        group: Object.fromEntries(query.group_by.map((groupBy, i) => [groupBy, row[`g${i}`]])),
+        total: roundValue(row.value),
+        data: periods.map(period => ({
+          period,
+          value: values.has(period) ? roundValue(values.get(period)) : empty
+        }))
+      };
+    });
+  }
+
+  // FROM and WHERE of an event's rows, with every filter
+  buildFrom(query, event, groups) {
+    // Stored timestamps are CURRENT_TIMESTAMP text or ISO strings, which don't
+    // compare as strings within a day, so the range is checked through
+    // julianday(); the whole days around it keep the timestamp index usable
+    const dayAfterEnd = new Date(Date.parse(query.end_date.slice(0, 10)) + DAY_MS).toISOString().slice(0, 10);
+    const conditions = [
+      'e.event_name = ?',
+      'e.timestamp >= ? AND e.timestamp < ?',
+      'julianday(e.timestamp) >= julianday(?) AND julianday(e.timestamp) <= julianday(?)'
+    ];
+    const params = [
+      event.event_name,
+      query.start_date.slice(0, 10), dayAfterEnd,
+      query.start_date, query.end_date
+    ];
+
+    for (const filter of [...event.filters, ...query.filters]) {
+      const condition = InsightsQuery.buildFilter(filter);
+      conditions.push(condition.sql);
+      params.push(...condition.params);
+    }
+
+    const userFilters = propertyFilters('u.properties', query.user_filters, 'user_filters');
+    if (userFilters.sql) {
+      conditions.push(userFilters.sql);
+      params.push(...userFilters.params);
+    }
+
+    const { property } = query.aggregation;
+    if (property) {
+      conditions.push("JSON_TYPE(e.properties, ?) IN ('integer', 'real')");
+      params.push(`$.${property}`);
+    }
+
+    const joinUsers = userFilters.sql || groups.some(group => group.user);
+    return {
+      sql: `FROM events e ${joinUsers ? 'LEFT JOIN users u ON u.id = e.user_id' : ''}
+        WHERE ${conditions.join(' AND ')}`,
+      params
+    };
+  }
+
+  // Rows of { period, g0, g1, events, value } per group (and per period when
+  // format is given)
+  async aggregate(from, groups, aggregation, format) {
+    const periodSql = format ? `strftime('${format}', e.timestamp)` : 'NULL';
+    const groupSql = groups.map((group, i) => `${group.sql} as g${i}`);
+    const groupParams = groups.flatMap(group => group.params);
+    const groupColumns = ['period', ...groups.map((_, i) => `g${i}`)];
+    const propertyParams = aggregation.property ? [`$.${aggregation.property}`] : [];
+    const value = 'JSON_EXTRACT(e.properties, ?)';
+
+    // Linear interpolation between the values at the closest ranks (the
+    // median at 50): rank is the percentile's fractional position among the
+    // group's sorted values, and only the one or two values around it are kept
+    if (aggregation.type === 'percentile') {
+      const partition = groupColumns.join(', ');
+      return this.db.all(
+        `WITH ranked AS (
+          SELECT ${partition}, value,
+            ROW_NUMBER() OVER (PARTITION BY ${partition} ORDER BY value) - 1 as position,
+            COUNT(*) OVER (PARTITION BY ${partition}) as events,
+            (COUNT(*) OVER (PARTITION BY ${partition}) - 1) * ? as rank
+          FROM (
+            SELECT ${[`${periodSql} as period`, ...groupSql, `${value} as value`].join(', ')}
+            ${from.sql}
+          )
+        )
+        SELECT ${partition}, MAX(events) as events,
+          MIN(value) + (MAX(value) - MIN(value)) * (MAX(rank) - CAST(MAX(rank) AS INTEGER)) as value
+        FROM ranked
+        WHERE position = CAST(rank AS INTEGER) OR position = CAST(rank AS INTEGER) + (rank > CAST(rank AS INTEGER))
+        GROUP BY ${partition}`,
+        [aggregation.percentile / 100, ...groupParams, ...propertyParams, ...from.params]
+      );
+    }
+
+    const aggregates = {
+      total: 'COUNT(*)',
+      uniques: 'COUNT(DISTINCT e.user_id)',
+      sum: `SUM(${value})`,
+      avg: `AVG(${value})`,
+      min: `MIN(${value})`,
+      max: `MAX(${value})`,
+      per_user_avg: aggregation.property
+        ? `SUM(${value}) * 1.0 / COUNT(DISTINCT e.user_id)`
+        : 'COUNT(*) * 1.0 / COUNT(DISTINCT e.user_id)'
+    };
+    const usesProperty = aggregates[aggregation.type].includes(value);
+
+    return this.db.all(
+      `SELECT ${[`${periodSql} as period`, ...groupSql, 'COUNT(*) as events', `${aggregates[aggregation.type]} as value`].join(', ')}
+       ${from.sql}
+       GROUP BY ${groupColumns.join(', ')}`,
+      [...groupParams, ...(usesProperty ? propertyParams : []), ...from.params]
+    );
+  }
+}
+
+InsightsQuery.AGGREGATIONS = Object.keys(AGGREGATIONS);
+InsightsQuery.ATTRIBUTES = ATTRIBUTES;
+InsightsQuery.GRANULARITIES = Object.keys(PERIOD_FORMATS);
+
+module.exports = InsightsQuery;
+module.exports.InsightsQueryError = InsightsQueryError;
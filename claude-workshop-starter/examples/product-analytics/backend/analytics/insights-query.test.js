@@ -0,0 +1,194 @@
+// Test Suite for Insights Query
+// Run with: node analytics/insights-query.test.js
+
+const InsightsQuery = require('./insights-query');
+const { TestRunner, createTestDatabase } = require('../utils/test-runner');
+
+const RANGE = { start_date: '2025-02-01T00:00:00.000Z', end_date: '2025-02-04T23:59:59.999Z' };
+
+// Noon UTC on a day of February 2025
+function february(day) {
+  return `2025-02-${String(day).padStart(2, '0')}T12:00:00.000Z`;
+}
+
+async function runTests() {
+  const runner = new TestRunner();
+  const db = await createTestDatabase('./test-insights-query.db');
+  const insights = new InsightsQuery(db);
+
+  const query = (overrides) => insights.run({ events: ['purchase'], ...RANGE, ...overrides });
+  const values = (series) => series.data.map(point => point.value).join();
+
+  for (const [id, plan] of [['ana', 'pro'], ['ben', 'free'], ['cleo', 'pro']]) {
+    await db.createUser({ id, properties: { plan } });
+  }
+
+  // Purchases: [user, day, amount, country]; nothing on February 3
+  const purchases = [
+    ['ana', 1, 10, 'US'], ['ana', 1, 30, 'US'], ['ben', 1, 20, 'DE'],
+    ['cleo', 2, 40, 'US'], ['ana', 4, 100, 'US'], ['ben', 4, 'n/a', 'DE']
+  ];
+  for (const [userId, day, amount, country] of purchases) {
+    await db.insertEvent({
+      event_name: 'purchase',
+      user_id: userId,
+      properties: { amount },
+      country,
+      timestamp: february(day)
+    });
+  }
+  await db.insertEvent({ event_name: 'signup', user_id: 'ana', timestamp: february(1) });
+
+  console.log('Running tests...\n');
+
+  // Test 1: Validation
+  await runner.test('normalize rejects malformed queries and fills in defaults', async () => {
+    const normalized = InsightsQuery.normalize({ event: 'purchase', ...RANGE });
+    runner.assertEqual(normalized.events[0].event_name, 'purchase', 'A single event is accepted');
+    runner.assertEqual(normalized.aggregation.type, 'total', 'Total by default');
+    runner.assertEqual(normalized.granularity, 'day', 'Daily by default');
+    runner.assertEqual(normalized.limit, 10, 'Ten groups by default');
+
+    const invalid = [
+      [{ events: [] }, /events must be an array/],
+      [{ aggregation: 'median' }, /aggregation must be one of/],
+      [{ aggregation: { type: 'sum' } }, /aggregation.property/],
+      [{ aggregation: { type: 'percentile', property: 'amount', percentile: 101 } }, /percentile must be/],
+      [{ group_by: ['country', 'browser', 'city'] }, /at most 2/],
+      [{ group_by: ['user.plan; DROP'] }, /group_by entries/],
+      [{ filters: [{ attribute: 'user_id', value: 'ana' }] }, /Filter attribute/],
+      [{ granularity: 'year' }, /granularity must be one of/],
+      [{ end_date: '2025-01-01' }, /end_date must not be before/],
+      [{ start_date: 'soon' }, /valid dates/],
+      [{ limit: 0 }, /limit must be/]
+    ];
+    for (const [overrides, pattern] of invalid) {
+      await runner.assertRejects(
+        async () => InsightsQuery.normalize({ events: ['purchase'], ...RANGE, ...overrides }),
+        { statusCode: 400, pattern },
+        `Rejects ${JSON.stringify(overrides)}`
+      );
+    }
+
+    await runner.assertRejects(
+      () => query({ granularity: 'hour', start_date: '2020-01-01', end_date: '2025-01-01' }),
+      { statusCode: 400, pattern: /more than 2000 periods/ },
+      'Too many periods'
+    );
+  });
+
+  // Test 2: Period Filling
+  await runner.test('Every period of the range is listed, empty ones filled in', async () => {
+    const result = await query({});
+    runner.assertEqual(result.periods.join(), '2025-02-01,2025-02-02,2025-02-03,2025-02-04', 'Four days');
+    runner.assertEqual(values(result.series[0]), '3,1,0,2', 'Counts with 0 on February 3');
+    runner.assertEqual(result.series[0].total, 6, 'Total over the range');
+
+    const averages = await query({ aggregation: { type: 'avg', property: 'amount' } });
+    runner.assertEqual(values(averages.series[0]), '20,40,,100', 'Averages are null without events');
+
+    const missing = await query({ events: ['purchase', 'refund'] });
+    runner.assertEqual(missing.series[1].event_name, 'refund', 'An event that never happened still has a series');
+    runner.assertEqual(values(missing.series[1]), '0,0,0,0', 'All zero');
+  });
+
+  // Test 3: Aggregations
+  await runner.test('Aggregations over a numeric property skip non-numeric values', async () => {
+    const sum = await query({ aggregation: { type: 'sum', property: 'amount' } });
+    runner.assertEqual(sum.series[0].total, 200, 'Sum leaves out "n/a"');
+
+    const uniques = await query({ aggregation: 'uniques' });
+    runner.assertEqual(values(uniques.series[0]), '2,1,0,2', 'Distinct users per day');
+    runner.assertEqual(uniques.series[0].total, 3, 'Distinct over the range, not summed');
+
+    const median = await query({ aggregation: { type: 'percentile', property: 'amount' } });
+    runner.assertEqual(median.series[0].total, 30, 'Median of 10, 20, 30, 40, 100');
+
+    const p90 = await query({ aggregation: { type: 'percentile', property: 'amount', percentile: 90 } });
+    runner.assertEqual(p90.series[0].total, 76, 'p90 interpolates between 40 and 100');
+    runner.assertEqual(values(p90.series[0]), '28,40,,100', 'Per-day percentiles');
+  });
+
+  // Test 4: Per-User Average
+  await runner.test('per_user_avg divides by the active users', async () => {
+    const events = await query({ aggregation: 'per_user_avg' });
+    runner.assertEqual(events.series[0].total, 2, 'Six events by three users');
+    runner.assertEqual(values(events.series[0]), '1.5,1,,1', 'Per day');
+
+    const amount = await query({ aggregation: { type: 'per_user_avg', property: 'amount' } });
+    runner.assertEqual(amount.series[0].total, 66.67, 'Amount per user, rounded');
+  });
+
+  // Test 5: Group By
+  await runner.test('group_by splits series by event columns and user properties', async () => {
+    const byPlan = await query({ group_by: 'user.plan' });
+    const plans = Object.fromEntries(byPlan.series.map(series => [series.group['user.plan'], series.total]));
+    runner.assertEqual(plans.pro, 4, 'Pro users made four purchases');
+    runner.assertEqual(plans.free, 2, 'Free users made two');
+    runner.assertEqual(byPlan.series[0].group['user.plan'], 'pro', 'Largest group first');
+
+    const twoWay = await query({ group_by: ['country', 'user.plan'], limit: 1 });
+    runner.assertEqual(twoWay.series.length, 1, 'limit keeps the largest group');
+    runner.assertEqual(JSON.stringify(twoWay.series[0].group), '{"country":"US","user.plan":"pro"}', 'US pro users');
+    runner.assertEqual(values(twoWay.series[0]), '2,1,0,1', 'Their daily purchases');
+  });
+
+  // Test 6: Filters
+  await runner.test('Event, attribute and user filters combine', async () => {
+    const result = await query({
+      events: [{ event_name: 'purchase', filters: [{ property: 'amount', operator: 'gte', value: 20 }] }],
+      filters: [{ attribute: 'country', operator: 'in', value: ['US', 'CA'] }],
+      user_filters: [{ property: 'plan', value: 'pro' }]
+    });
+    runner.assertEqual(values(result.series[0]), '1,1,0,1', 'US pro purchases of 20 or more');
+  });
+
+  // Test 7: Stored Time Formats
+  await runner.test('Events stored as CURRENT_TIMESTAMP text count on the first and last day', async () => {
+    // As written by trackEvent or before event times were resolved
+    const times = ['2025-02-01 00:00:00', '2025-02-01 08:00:00', '2025-02-04 20:00:00', '2025-02-05 00:00:00'];
+    for (const timestamp of times) {
+      await db.insertEvent({ event_name: 'legacy_purchase', user_id: 'ana', properties: { amount: 5 }, timestamp });
+    }
+    await db.insertEvent({ event_name: 'legacy_purchase', user_id: 'ana', timestamp: '2025-01-31T23:59:59.999Z' });
+
+    const result = await query({ events: ['legacy_purchase'] });
+    runner.assertEqual(values(result.series[0]), '2,0,0,1', 'From midnight on February 1 to the end of February 4');
+
+    const morning = await query({ events: ['legacy_purchase'], end_date: '2025-02-01T08:00:00.000Z' });
+    runner.assertEqual(morning.series[0].total, 2, 'The end bound is inclusive for both formats');
+  });
+
+  // Test 8: Percentile Edges
+  await runner.test('Percentiles 0 and 100 are the minimum and maximum, a single value is itself', async () => {
+    const min = await query({ aggregation: { type: 'percentile', property: 'amount', percentile: 0 } });
+    const max = await query({ aggregation: { type: 'percentile', property: 'amount', percentile: 100 } });
+    runner.assertEqual(min.series[0].total, 10, 'p0');
+    runner.assertEqual(max.series[0].total, 100, 'p100');
+    runner.assertEqual(values(max.series[0]), '30,40,,100', 'Per day');
+
+    const single = await query({ aggregation: { type: 'percentile', property: 'amount', percentile: 37 }, group_by: 'country', limit: 2 });
+    const germany = single.series.find(series => series.group.country === 'DE');
+    runner.assertEqual(germany.total, 20, 'One numeric value in the group');
+  });
+
+  await db.remove();
+  return runner.summary();
+}
+
+// Run tests
+if (require.main === module) {
+  console.log('Insights Query - Test Suite');
+  console.log('='.repeat(80) + '\n');
+
+  runTests()
+    .then(success => {
+      process.exit(success ? 0 : 1);
+    })
+    .catch(error => {
+      console.error('Test suite failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { runTests };
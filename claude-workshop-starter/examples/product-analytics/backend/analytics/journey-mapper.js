@@ -1,5 +1,17 @@
 // User Journey Mapping Module
 // Maps common user paths and sequences
+//
+// Paths are grouped by canonical user id, so a session that starts anonymous
+// and continues after signup is one path once the ids are merged.
+//
+// Events sent without a session_id are grouped into the sessions derived by
+// ingestion/sessionizer.js (30 minutes of inactivity ends a session by default).
+
+// The session an event belongs to: the client's, else the derived one
+const SESSION_ID = 'COALESCE(session_id, derived_session_id)';
+
+// Path flow node that rare events are collapsed into
+const OTHER_EVENT = 'other';
 
 class JourneyMapper {
   constructor(db) {
@@ -7,74 +19,217 @@ class JourneyMapper {
   }
 
   // Get most common user paths
+  // Paths are whole sessions of at most maxSteps events, in time order
   async getTopPaths(startEvent = null, maxSteps = 5, limit = 10) {
-    // Get all user sessions with event sequences
-    let sql = `
-      SELECT
-        user_id,
-        session_id,
-        GROUP_CONCAT(event_name, ' -> ') as path,
-        COUNT(*) as step_count
-      FROM events
-    `;
-
+    // The window frame (not GROUP BY) is what guarantees GROUP_CONCAT's order
+    let sessionFilter = '';
     const params = [];
     if (startEvent) {
-      sql += ` WHERE session_id IN (
-        SELECT session_id FROM events WHERE event_name = ?
+      sessionFilter = `AND ${SESSION_ID} IN (
+        SELECT ${SESSION_ID} FROM events WHERE event_name = ?
       )`;
       params.push(startEvent);
     }
 
-    sql += `
-      GROUP BY user_id, session_id
-      HAVING step_count <= ?
-      ORDER BY timestamp
-    `;
-    params.push(maxSteps);
+    const topPaths = await this.db.all(
+      `WITH session_paths AS (
+        SELECT
+          GROUP_CONCAT(event_name, ' -> ') OVER (
+            session ORDER BY julianday(timestamp), id
+            ROWS BETWEEN UNBOUNDED PRECEDING AND UNBOUNDED FOLLOWING
+          ) as path,
+          COUNT(*) OVER session as step_count,
+          ROW_NUMBER() OVER session as row_number
+        FROM events
+        WHERE ${SESSION_ID} IS NOT NULL
+        ${sessionFilter}
+        WINDOW session AS (PARTITION BY ${SESSION_ID})
+      )
+      SELECT path, COUNT(*) as count
+      FROM session_paths
+      WHERE row_number = 1 AND step_count <= ?
+      GROUP BY path
+      ORDER BY count DESC, path
+      LIMIT ?`,
+      [...params, maxSteps, limit]
+    );
+
+    // Calculate percentages
+    const total = topPaths.reduce((sum, p) => sum + p.count, 0);
+    return topPaths.map(p => ({
+      path: p.path,
+      steps: p.path.split(' -> '),
+      count: p.count,
+      percentage: Math.round((p.count / total) * 10000) / 100
+    }));
+  }
 
-    const sessions = await this.db.all(sql, params);
+  // Path flow around an anchor event, as Sankey nodes and links
+  //
+  // direction 'forward' follows sessions for `steps` events after the anchor
+  // (or after session start when there's no anchor), 'backward' shows the
+  // `steps` events that led to it. Node steps are positions relative to the
+  // anchor (0), negative going backward, so links always run left to right.
+  // Noise events are dropped before positions are counted, and events below
+  // minShare of their step (or outside its top maxNodesPerStep) become "other".
+  async getPathFlow({
+    anchorEvent = null,
+    direction = 'forward',
+    steps = 4,
+    startDate = null,
+    endDate = null,
+    excludeEvents = [],
+    maxNodesPerStep = 6,
+    minShare = 0.02
+  } = {}) {
+    const sign = direction === 'backward' ? -1 : 1;
+    const conditions = [`${SESSION_ID} IS NOT NULL`];
+    const params = [];
 
-    // Count path occurrences
-    const pathCounts = {};
-    for (const session of sessions) {
-      const path = session.path;
-      pathCounts[path] = (pathCounts[path] || 0) + 1;
+    if (startDate && endDate) {
+      conditions.push('timestamp BETWEEN ? AND ?');
+      params.push(startDate, endDate);
+    }
+    if (excludeEvents.length > 0) {
+      conditions.push(`event_name NOT IN (${excludeEvents.map(() => '?').join(', ')})`);
+      params.push(...excludeEvents);
     }
 
-    // Sort and return top paths
-    const topPaths = Object.entries(pathCounts)
-      .map(([path, count]) => ({
-        path,
-        count,
-        percentage: 0 // Will calculate below
-      }))
-      .sort((a, b) => b.count - a.count)
-      .slice(0, limit);
+    // First anchor in each session, or its first/last event without an anchor
+    let anchorSql;
+    if (anchorEvent) {
+      anchorSql = 'SELECT session_id, MIN(position) as anchor FROM ordered WHERE event_name = ? GROUP BY session_id';
+      params.push(anchorEvent);
+    } else {
+      anchorSql = `SELECT session_id, ${sign > 0 ? 'MIN' : 'MAX'}(position) as anchor FROM ordered GROUP BY session_id`;
+    }
 
-    // Calculate percentages
-    const total = topPaths.reduce((sum, p) => sum + p.count, 0);
-    topPaths.forEach(p => {
-      p.percentage = Math.round((p.count / total) * 10000) / 100;
-    });
+    const flowSql = `
+      WITH ordered AS (
+        SELECT
+          ${SESSION_ID} as session_id,
+          event_name,
+          ROW_NUMBER() OVER (PARTITION BY ${SESSION_ID} ORDER BY julianday(timestamp), id) as position
+        FROM events
+        WHERE ${conditions.join(' AND ')}
+      ),
+      anchors AS (${anchorSql}),
+      flow AS (
+        SELECT o.session_id, o.event_name, o.position - a.anchor as step
+        FROM ordered o
+        JOIN anchors a ON o.session_id = a.session_id
+        WHERE (o.position - a.anchor) * ? BETWEEN 0 AND ?
+      )`;
+    params.push(sign, steps);
+
+    const [nodeRows, linkRows] = await Promise.all([
+      this.db.all(
+        `${flowSql}
+        SELECT step, event_name, COUNT(*) as count
+        FROM flow
+        GROUP BY step, event_name`,
+        params
+      ),
+      this.db.all(
+        `${flowSql}
+        SELECT f1.step, f1.event_name as source_event, f2.event_name as target_event, COUNT(*) as count
+        FROM flow f1
+        JOIN flow f2 ON f1.session_id = f2.session_id AND f2.step = f1.step + 1
+        GROUP BY f1.step, f1.event_name, f2.event_name`,
+        params
+      )
+    ]);
+
+    // Decide which events keep their own node at each step
+    const stepTotals = {};
+    for (const row of nodeRows) {
+      stepTotals[row.step] = (stepTotals[row.step] || 0) + row.count;
+    }
+    const kept = new Set();
+    const byStep = {};
+    for (const row of nodeRows) {
+      (byStep[row.step] = byStep[row.step] || []).push(row);
+    }
+    for (const [step, rows] of Object.entries(byStep)) {
+      rows
+        .sort((a, b) => b.count - a.count)
+        .forEach((row, index) => {
+          const isAnchor = Number(step) === 0;
+          if (isAnchor || (index < maxNodesPerStep && row.count / stepTotals[step] >= minShare)) {
+            kept.add(`${step}:${row.event_name}`);
+          }
+        });
+    }
+    const nodeName = (step, eventName) => (kept.has(`${step}:${eventName}`) ? eventName : OTHER_EVENT);
+    const nodeId = (step, eventName) => `${step}:${nodeName(step, eventName)}`;
+
+    const nodes = {};
+    for (const row of nodeRows) {
+      const id = nodeId(row.step, row.event_name);
+      if (!nodes[id]) {
+        nodes[id] = { id, step: row.step, event_name: nodeName(row.step, row.event_name), count: 0, incoming: 0, outgoing: 0 };
+      }
+      nodes[id].count += row.count;
+    }
+
+    const links = {};
+    for (const row of linkRows) {
+      const source = nodeId(row.step, row.source_event);
+      const target = nodeId(row.step + 1, row.target_event);
+      const key = `${source}|${target}`;
+      if (!links[key]) {
+        links[key] = { source, target, count: 0 };
+      }
+      links[key].count += row.count;
+      nodes[source].outgoing += row.count;
+      nodes[target].incoming += row.count;
+    }
+
+    // Forward flows lose sessions as they end, backward flows as they start
+    const totalSessions = stepTotals[0] || 0;
+    const formattedNodes = Object.values(nodes)
+      .sort((a, b) => a.step - b.step || b.count - a.count)
+      .map(({ incoming, outgoing, ...node }) => ({
+        ...node,
+        percentage: totalSessions ? Math.round((node.count / totalSessions) * 10000) / 100 : 0,
+        ...(sign > 0
+          ? { drop_off: node.step < steps ? node.count - outgoing : 0 }
+          : { entry: node.step > -steps ? node.count - incoming : 0 })
+      }));
 
-    return topPaths;
+    return {
+      anchor_event: anchorEvent,
+      direction: sign > 0 ? 'forward' : 'backward',
+      steps,
+      total_sessions: totalSessions,
+      nodes: formattedNodes,
+      links: Object.values(links).sort((a, b) => b.count - a.count)
+    };
   }
 
   // Get detailed session path for a specific user
+  // Any id merged into a user returns that user's full journey
   async getUserJourney(userId, limit = 100) {
+    const { canonical_id: canonicalId } = await this.db.get(
+      `SELECT COALESCE(
+        (SELECT canonical_id FROM user_aliases WHERE alias_id = ?), ?
+      ) as canonical_id`,
+      [userId, userId]
+    );
+
     const events = await this.db.all(
       `SELECT
         event_name,
         timestamp,
-        session_id,
+        ${SESSION_ID} as session_id,
         page_url,
-        properties
+        properties,
+        COALESCE(original_user_id, user_id) as sent_as
       FROM events
       WHERE user_id = ?
       ORDER BY timestamp DESC
       LIMIT ?`,
-      [userId, limit]
+      [canonicalId, limit]
     );
 
     // Parse properties
@@ -98,7 +253,7 @@ class JourneyMapper {
     }
 
     return {
-      user_id: userId,
+      user_id: canonicalId,
       total_events: events.length,
       sessions: Object.entries(sessions).map(([session_id, events]) => ({
         session_id,
@@ -108,11 +263,24 @@ class JourneyMapper {
     };
   }
 
+  // Events of one session in order
+  // (the OR lets SQLite use the index on each session column)
+  async getSessionEvents(sessionId) {
+    return this.db.all(
+      `SELECT event_name, timestamp
+       FROM events
+       WHERE session_id = ? OR (session_id IS NULL AND derived_session_id = ?)
+       ORDER BY timestamp`,
+      [sessionId, sessionId]
+    );
+  }
+
   // Find conversion paths (paths that lead to a goal event)
   async getConversionPaths(goalEvent, beforeSteps = 5, limit = 10) {
     // Find all sessions that contain the goal event
     const goalSessions = await this.db.all(
-      `SELECT DISTINCT session_id FROM events WHERE event_name = ?`,
+      `SELECT DISTINCT ${SESSION_ID} as session_id FROM events
+       WHERE event_name = ? AND ${SESSION_ID} IS NOT NULL`,
       [goalEvent]
     );
 
@@ -125,13 +293,7 @@ class JourneyMapper {
     const paths = {};
 
     for (const { session_id } of goalSessions) {
-      const events = await this.db.all(
-        `SELECT event_name, timestamp
-         FROM events
-         WHERE session_id = ?
-         ORDER BY timestamp`,
-        [session_id]
-      );
+      const events = await this.getSessionEvents(session_id);
 
       // Find the first occurrence of goal event
       const goalIndex = events.findIndex(e => e.event_name === goalEvent);
@@ -170,20 +332,15 @@ class JourneyMapper {
 
     // Get all sessions with this event
     const sessions = await this.db.all(
-      `SELECT DISTINCT session_id FROM events WHERE event_name = ?`,
+      `SELECT DISTINCT ${SESSION_ID} as session_id FROM events
+       WHERE event_name = ? AND ${SESSION_ID} IS NOT NULL`,
       [eventName]
     );
 
     const nextEventCounts = {};
 
     for (const { session_id } of sessions) {
-      const events = await this.db.all(
-        `SELECT event_name, timestamp
-         FROM events
-         WHERE session_id = ?
-         ORDER BY timestamp`,
-        [session_id]
-      );
+      const events = await this.getSessionEvents(session_id);
 
       // Find occurrences of the target event
       for (let i = 0; i < events.length; i++) {
@@ -236,17 +393,19 @@ class JourneyMapper {
   async getDropOffPoints(minEvents = 2) {
     // Find the last event in each session
     const lastEvents = await this.db.all(`
-      SELECT
-        e1.event_name,
-        COUNT(*) as count
-      FROM events e1
-      INNER JOIN (
-        SELECT session_id, MAX(timestamp) as last_time
+      WITH session_events AS (
+        SELECT
+          event_name,
+          COUNT(*) OVER session as session_event_count,
+          ROW_NUMBER() OVER (session ORDER BY julianday(timestamp) DESC, id DESC) as position_from_end
         FROM events
-        GROUP BY session_id
-        HAVING COUNT(*) >= ?
-      ) e2 ON e1.session_id = e2.session_id AND e1.timestamp = e2.last_time
-      GROUP BY e1.event_name
+        WHERE ${SESSION_ID} IS NOT NULL
+        WINDOW session AS (PARTITION BY ${SESSION_ID})
+      )
+      SELECT event_name, COUNT(*) as count
+      FROM session_events
+      WHERE position_from_end = 1 AND session_event_count >= ?
+      GROUP BY event_name
       ORDER BY count DESC
     `, [minEvents]);
 
@@ -259,33 +418,130 @@ class JourneyMapper {
     }));
   }
 
+  // One row per session: duration, bounce and entry/exit page
+  // A bounce is a session with a single event
+  sessionsSql(startDate, endDate, userId) {
+    const conditions = [`${SESSION_ID} IS NOT NULL`];
+    const params = [];
+
+    if (startDate && endDate) {
+      conditions.push('timestamp BETWEEN ? AND ?');
+      params.push(startDate, endDate);
+    }
+    if (userId) {
+      conditions.push('user_id = ?');
+      params.push(userId);
+    }
+
+    const sql = `
+      WITH session_events AS (
+        SELECT
+          ${SESSION_ID} as session_id,
+          session_id IS NULL as derived,
+          user_id,
+          timestamp,
+          event_name,
+          page_url,
+          ROW_NUMBER() OVER (session ORDER BY julianday(timestamp), id) as position,
+          ROW_NUMBER() OVER (session ORDER BY julianday(timestamp) DESC, id DESC) as position_from_end
+        FROM events
+        WHERE ${conditions.join(' AND ')}
+        WINDOW session AS (PARTITION BY ${SESSION_ID})
+      ),
+      sessions AS (
+        SELECT
+          session_id,
+          MAX(derived) as derived,
+          MIN(user_id) as user_id,
+          MIN(timestamp) as start_time,
+          MAX(timestamp) as end_time,
+          (MAX(julianday(timestamp)) - MIN(julianday(timestamp))) * 24 * 60 as duration_minutes,
+          COUNT(*) as event_count,
+          COUNT(*) = 1 as bounced,
+          MAX(CASE WHEN position = 1 THEN event_name END) as entry_event,
+          MAX(CASE WHEN position = 1 THEN page_url END) as entry_page,
+          MAX(CASE WHEN position_from_end = 1 THEN event_name END) as exit_event,
+          MAX(CASE WHEN position_from_end = 1 THEN page_url END) as exit_page
+        FROM session_events
+        GROUP BY session_id
+      )`;
+
+    return { sql, params };
+  }
+
+  // List sessions, newest first
+  async getSessions({ startDate = null, endDate = null, userId = null, bounced = null, limit = 100, offset = 0 } = {}) {
+    const { sql, params } = this.sessionsSql(startDate, endDate, userId);
+    const filter = bounced === null ? '' : 'WHERE bounced = ?';
+    const filterParams = bounced === null ? [] : [bounced ? 1 : 0];
+
+    const sessions = await this.db.all(
+      `${sql}
+      SELECT * FROM sessions
+      ${filter}
+      ORDER BY julianday(start_time) DESC
+      LIMIT ? OFFSET ?`,
+      [...params, ...filterParams, limit, offset]
+    );
+
+    return sessions.map(session => ({
+      ...session,
+      derived: Boolean(session.derived),
+      bounced: Boolean(session.bounced),
+      duration_minutes: Math.round(session.duration_minutes * 100) / 100
+    }));
+  }
+
   // Get session duration statistics
-  async getSessionStats() {
-    const sessions = await this.db.all(`
+  async getSessionStats(startDate = null, endDate = null) {
+    const { sql, params } = this.sessionsSql(startDate, endDate);
+
+    const summary = await this.db.get(
+      `${sql}
       SELECT
-        session_id,
-        COUNT(*) as event_count,
-        (julianday(MAX(timestamp)) - julianday(MIN(timestamp))) * 24 * 60 as duration_minutes
-      FROM events
-      GROUP BY session_id
-      HAVING event_count > 1
-    `);
+        COUNT(*) as total_sessions,
+        SUM(derived) as derived_sessions,
+        SUM(bounced) as bounced_sessions,
+        AVG(duration_minutes) as avg_duration_minutes,
+        AVG(CASE WHEN bounced = 0 THEN duration_minutes END) as avg_engaged_duration_minutes,
+        AVG(event_count) as avg_events_per_session
+      FROM sessions`,
+      params
+    );
 
-    if (sessions.length === 0) {
+    if (summary.total_sessions === 0) {
       return {
         avg_duration_minutes: 0,
         avg_events_per_session: 0,
-        total_sessions: 0
+        total_sessions: 0,
+        bounce_rate: 0,
+        top_entry_pages: [],
+        top_exit_pages: []
       };
     }
 
-    const avgDuration = sessions.reduce((sum, s) => sum + s.duration_minutes, 0) / sessions.length;
-    const avgEvents = sessions.reduce((sum, s) => sum + s.event_count, 0) / sessions.length;
+    const topPages = column => this.db.all(
+      `${sql}
+      SELECT ${column} as page_url, COUNT(*) as sessions, SUM(bounced) as bounces
+      FROM sessions
+      WHERE ${column} IS NOT NULL
+      GROUP BY ${column}
+      ORDER BY sessions DESC
+      LIMIT 10`,
+      params
+    );
+    const round = value => Math.round((value || 0) * 100) / 100;
 
     return {
-      avg_duration_minutes: Math.round(avgDuration * 100) / 100,
-      avg_events_per_session: Math.round(avgEvents * 100) / 100,
-      total_sessions: sessions.length
+      avg_duration_minutes: round(summary.avg_duration_minutes),
+      avg_engaged_duration_minutes: round(summary.avg_engaged_duration_minutes),
+      avg_events_per_session: round(summary.avg_events_per_session),
+      total_sessions: summary.total_sessions,
+      derived_sessions: summary.derived_sessions,
+      bounced_sessions: summary.bounced_sessions,
+      bounce_rate: round((summary.bounced_sessions / summary.total_sessions) * 100),
+      top_entry_pages: await topPages('entry_page'),
+      top_exit_pages: await topPages('exit_page')
     };
   }
 }
@@ -0,0 +1,116 @@
+// Test Suite for Journey Mapper path flows
+// Run with: node analytics/journey-mapper.test.js
+
+const JourneyMapper = require('./journey-mapper');
+const { TestRunner, createTestDatabase } = require('../utils/test-runner');
+
+// Sessions as event names in order, one minute apart, on 1 March 2025
+const SESSIONS = {
+  s1: ['home', 'signup', 'pricing', 'checkout'],
+  s2: ['home', 'signup', 'docs'],
+  s3: ['landing', 'home', 'pricing'],
+  s4: ['home', 'heartbeat', 'signup', 'checkout']
+};
+
+async function runTests() {
+  const runner = new TestRunner();
+  const db = await createTestDatabase('./test-journey-mapper.db');
+  const mapper = new JourneyMapper(db);
+
+  for (const [sessionId, eventNames] of Object.entries(SESSIONS)) {
+    for (const [index, eventName] of eventNames.entries()) {
+      await db.insertEvent({
+        event_name: eventName,
+        user_id: `user_${sessionId}`,
+        session_id: sessionId,
+        timestamp: new Date(Date.UTC(2025, 2, 1, 10, index)).toISOString()
+      });
+    }
+  }
+
+  const node = (flow, id) => flow.nodes.find(n => n.id === id) || {};
+  const link = (flow, source, target) => flow.links.find(l => l.source === source && l.target === target) || {};
+
+  console.log('Running tests...\n');
+
+  // Test 1: Forward Flow
+  await runner.test('Forward flow follows sessions after the anchor', async () => {
+    const flow = await mapper.getPathFlow({ anchorEvent: 'signup', steps: 2 });
+
+    runner.assertEqual(flow.total_sessions, 3, 'Three sessions reach signup');
+    runner.assertEqual(node(flow, '0:signup').count, 3, 'Anchor node');
+    runner.assertEqual(node(flow, '1:checkout').count, 1, 'Checkout right after signup');
+    runner.assertEqual(node(flow, '2:checkout').count, 1, 'Checkout two steps after');
+    runner.assertEqual(link(flow, '0:signup', '1:pricing').count, 1, 'signup -> pricing');
+    runner.assertEqual(link(flow, '1:pricing', '2:checkout').count, 1, 'pricing -> checkout');
+    runner.assertEqual(node(flow, '1:docs').drop_off, 1, 'Sessions ending at docs drop off');
+    runner.assertEqual(node(flow, '1:pricing').drop_off, 0, 'Pricing continues');
+    runner.assertEqual(node(flow, '1:docs').percentage, 33.33, 'Share of anchor sessions');
+  });
+
+  // Test 2: Backward Flow and Excluded Events
+  await runner.test('Backward flow shows what led to the anchor, without noise events', async () => {
+    const noisy = await mapper.getPathFlow({ anchorEvent: 'signup', direction: 'backward', steps: 2 });
+    runner.assertEqual(node(noisy, '-1:heartbeat').count, 1, 'Heartbeat right before signup');
+    runner.assertEqual(link(noisy, '-2:home', '-1:heartbeat').count, 1, 'Links run left to right');
+
+    const flow = await mapper.getPathFlow({
+      anchorEvent: 'signup', direction: 'backward', steps: 2, excludeEvents: ['heartbeat']
+    });
+    runner.assertEqual(node(flow, '-1:home').count, 3, 'Home before every signup');
+    runner.assertEqual(node(flow, '-1:home').entry, 3, 'All sessions start there');
+    runner.assertFalse(flow.nodes.some(n => n.event_name === 'heartbeat'), 'No heartbeat nodes');
+  });
+
+  // Test 3: Without an Anchor
+  await runner.test('Without an anchor, flows start at session start', async () => {
+    const flow = await mapper.getPathFlow({ steps: 1 });
+
+    runner.assertEqual(flow.total_sessions, 4, 'Every session');
+    runner.assertEqual(node(flow, '0:home').count, 3, 'Three start at home');
+    runner.assertEqual(node(flow, '0:landing').count, 1, 'One at landing');
+  });
+
+  // Test 4: Rare Events
+  await runner.test('Events beyond the top nodes of a step become "other"', async () => {
+    const flow = await mapper.getPathFlow({ anchorEvent: 'signup', steps: 1, maxNodesPerStep: 1 });
+    const stepOne = flow.nodes.filter(n => n.step === 1);
+
+    runner.assertEqual(stepOne.length, 2, 'One kept node and other');
+    runner.assertEqual(node(flow, '1:other').count, 2, 'Two sessions in other');
+    runner.assertEqual(node(flow, '0:signup').count, 3, 'The anchor is always kept');
+  });
+
+  // Test 5: Date Range
+  await runner.test('Only events in the date range are used', async () => {
+    const flow = await mapper.getPathFlow({
+      anchorEvent: 'signup',
+      steps: 2,
+      startDate: '2025-03-01T10:00:00.000Z',
+      endDate: '2025-03-01T10:02:00.000Z'
+    });
+
+    runner.assertEqual(flow.total_sessions, 3, 'Anchors are in range');
+    runner.assertEqual(node(flow, '2:checkout').count, undefined, 'The fourth event is out of range');
+  });
+
+  await db.remove();
+  return runner.summary();
+}
+
+// Run tests
+if (require.main === module) {
+  console.log('Journey Mapper - Test Suite');
+  console.log('='.repeat(80) + '\n');
+
+  runTests()
+    .then(success => {
+      process.exit(success ? 0 : 1);
+    })
+    .catch(error => {
+      console.error('Test suite failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { runTests };
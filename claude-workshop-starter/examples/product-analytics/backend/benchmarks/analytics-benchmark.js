@@ -0,0 +1,301 @@
+// Analytics Benchmark
+// Compares the set-based analytics queries against the previous
+// implementations that passed every user id through IN (?, ?, ...) lists.
+//
+// Run with: node benchmarks/analytics-benchmark.js [--users 40000] [--days 21] [--db ./benchmark.db] [--reseed]
+// The defaults seed roughly one million events through seed.js on first run.
+
+const fs = require('fs');
+const assert = require('assert');
+const Database = require('../database');
+const DataSeeder = require('../seed');
+const FunnelAnalyzer = require('../analytics/funnel-analyzer');
+const CohortRetention = require('../analytics/cohort-retention');
+const FeatureAdoption = require('../analytics/feature-adoption');
+
+function parseArgs(argv) {
+  const options = { users: 40000, days: 21, dbPath: './benchmark.db', reseed: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--reseed') {
+      options.reseed = true;
+      continue;
+    }
+
+    const [flag, inlineValue] = argv[i].split('=');
+    const value = inlineValue !== undefined ? inlineValue : argv[++i];
+
+    if (flag === '--users') options.users = parseInt(value);
+    else if (flag === '--days') options.days = parseInt(value);
+    else if (flag === '--db') options.dbPath = value;
+  }
+
+  return options;
+}
+
+// ============================================================================
+// PREVIOUS IMPLEMENTATIONS (IN-list based), kept for comparison
+// ============================================================================
+
+async function legacyAnalyzeFunnel(db, steps, startDate, endDate) {
+  const counts = [];
+  let previousStepUsers = null;
+
+  for (const step of steps) {
+    let sql = `
+      SELECT DISTINCT user_id
+      FROM events
+      WHERE event_name = ?
+      AND timestamp BETWEEN ? AND ?
+    `;
+    const params = [step, startDate, endDate];
+
+    if (previousStepUsers) {
+      sql += ` AND user_id IN (${previousStepUsers.map(() => '?').join(',')})`;
+      params.push(...previousStepUsers);
+    }
+
+    const users = await db.all(sql, params);
+    previousStepUsers = users.map(u => u.user_id);
+    counts.push(previousStepUsers.length);
+  }
+
+  return counts;
+}
+
+async function legacyAnalyzeRetention(db, cohortRetention, cohortSize, periods) {
+  const cohortGrouping = cohortSize === 'week'
+    ? "strftime('%Y-W%W', created_at)"
+    : cohortSize === 'month'
+    ? "strftime('%Y-%m', created_at)"
+    : "date(created_at)";
+
+  const cohorts = await db.all(`
+    SELECT
+      ${cohortGrouping} as cohort,
+      COUNT(*) as cohort_size,
+      MIN(created_at) as cohort_start
+    FROM users
+    WHERE created_at IS NOT NULL
+    GROUP BY ${cohortGrouping}
+    ORDER BY cohort_start
+  `);
+
+  const retentionData = [];
+
+  for (const cohort of cohorts) {
+    const cohortUsers = await db.all(
+      `SELECT id FROM users WHERE ${cohortGrouping} = ?`,
+      [cohort.cohort]
+    );
+    const userIds = cohortUsers.map(u => u.id);
+    const periodData = [100];
+
+    for (let period = 1; period <= periods; period++) {
+      const periodStart = cohortRetention.addPeriod(cohort.cohort_start, period, cohortSize);
+      const periodEnd = cohortRetention.addPeriod(cohort.cohort_start, period + 1, cohortSize);
+
+      const activeUsers = await db.get(
+        `SELECT COUNT(DISTINCT user_id) as count
+         FROM events
+         WHERE user_id IN (${userIds.map(() => '?').join(',')})
+         AND timestamp >= ?
+         AND timestamp < ?`,
+        [...userIds, periodStart, periodEnd]
+      );
+
+      const retentionRate = (activeUsers.count / cohort.cohort_size) * 100;
+      periodData.push(Math.round(retentionRate * 100) / 100);
+    }
+
+    retentionData.push({
+      cohort: cohort.cohort,
+      cohort_size: cohort.cohort_size,
+      cohort_start: cohort.cohort_start,
+      retention: periodData
+    });
+  }
+
+  return retentionData;
+}
+
+// Cohort membership lives in cohort_members (see analytics/cohort-engine.js)
+async function legacyCompareFeatureAcrossCohorts(db, featureEvent) {
+  const cohorts = await db.all(
+    'SELECT DISTINCT cohort_id FROM cohort_members ORDER BY cohort_id'
+  );
+  const results = [];
+
+  for (const { cohort_id } of cohorts) {
+    const members = await db.all(
+      'SELECT user_id FROM cohort_members WHERE cohort_id = ?',
+      [cohort_id]
+    );
+    const userIds = members.map(m => m.user_id);
+
+    const adoptedUsers = await db.get(
+      `SELECT COUNT(DISTINCT user_id) as count
+       FROM events
+       WHERE event_name = ?
+       AND user_id IN (${userIds.map(() => '?').join(',')})`,
+      [featureEvent, ...userIds]
+    );
+    results.push({
+      cohort_id,
+      total_users: userIds.length,
+      adopted_users: adoptedUsers.count
+    });
+  }
+
+  return results;
+}
+
+// ============================================================================
+// BENCHMARK RUNNER
+// ============================================================================
+
+async function time(fn) {
+  // Database logs every failing statement; the IN-list ones are huge
+  const consoleError = console.error;
+  console.error = () => {};
+
+  const start = process.hrtime.bigint();
+  try {
+    const result = await fn();
+    return { ms: Number(process.hrtime.bigint() - start) / 1e6, result };
+  } catch (error) {
+    return { ms: Number(process.hrtime.bigint() - start) / 1e6, error };
+  } finally {
+    console.error = consoleError;
+  }
+}
+
+function formatRow(name, legacy, current, matches) {
+  const legacyCell = legacy.error
+    ? `failed (${legacy.error.message})`
+    : `${legacy.ms.toFixed(0)} ms`;
+  const currentCell = current.error
+    ? `failed (${current.error.message})`
+    : `${current.ms.toFixed(0)} ms`;
+  const speedup = !legacy.error && !current.error
+    ? `${(legacy.ms / current.ms).toFixed(1)}x`
+    : '-';
+
+  return [
+    name.padEnd(34),
+    legacyCell.padEnd(46),
+    currentCell.padEnd(14),
+    speedup.padEnd(9),
+    matches
+  ].join(' ');
+}
+
+function sameResults(legacy, current) {
+  if (legacy.error || current.error) return '-';
+  try {
+    assert.deepStrictEqual(current.result, legacy.result);
+    return 'yes';
+  } catch (error) {
+    return 'NO';
+  }
+}
+
+async function runBenchmark() {
+  const options = parseArgs(process.argv.slice(2));
+
+  if (options.reseed && fs.existsSync(options.dbPath)) {
+    fs.unlinkSync(options.dbPath);
+  }
+
+  const needsSeed = !fs.existsSync(options.dbPath);
+  const db = new Database(options.dbPath);
+  await db.initialize();
+
+  if (needsSeed) {
+    console.log(`Seeding ${options.users} users over ${options.days} days into ${options.dbPath}...\n`);
+    await new DataSeeder(db, { users: options.users, days: options.days }).seed();
+  }
+
+  const totals = await db.get(
+    'SELECT (SELECT COUNT(*) FROM users) as users, (SELECT COUNT(*) FROM events) as events'
+  );
+  const range = await db.get('SELECT MIN(timestamp) as start, MAX(timestamp) as end FROM events');
+
+  const funnelAnalyzer = new FunnelAnalyzer(db);
+  const cohortRetention = new CohortRetention(db);
+  const featureAdoption = new FeatureAdoption(db);
+  const steps = ['signup', 'email_verified', 'profile_completed', 'first_project_created'];
+  const conversionSteps = ['upgrade_viewed', 'payment_info_entered', 'subscription_purchased'];
+
+  const benchmarks = [
+    {
+      name: 'Funnel (4 onboarding steps)',
+      legacy: () => legacyAnalyzeFunnel(db, steps, range.start, range.end),
+      current: async () => {
+        const funnel = await funnelAnalyzer.analyzeFunnel(steps, range.start, range.end, null, { order: 'any' });
+        return funnel.steps.map(s => s.user_count);
+      }
+    },
+    {
+      name: 'Funnel (3 conversion steps)',
+      legacy: () => legacyAnalyzeFunnel(db, conversionSteps, range.start, range.end),
+      current: async () => {
+        const funnel = await funnelAnalyzer.analyzeFunnel(conversionSteps, range.start, range.end, null, { order: 'any' });
+        return funnel.steps.map(s => s.user_count);
+      }
+    },
+    {
+      name: 'Retention (weekly, 12 periods)',
+      legacy: () => legacyAnalyzeRetention(db, cohortRetention, 'week', 12),
+      current: async () => (await cohortRetention.analyzeRetention('week', 12)).data
+    },
+    {
+      name: 'Retention (daily, 7 periods)',
+      legacy: () => legacyAnalyzeRetention(db, cohortRetention, 'day', 7),
+      current: async () => (await cohortRetention.analyzeRetention('day', 7)).data
+    },
+    {
+      name: 'Retention (monthly, 6 periods)',
+      legacy: () => legacyAnalyzeRetention(db, cohortRetention, 'month', 6),
+      current: async () => (await cohortRetention.analyzeRetention('month', 6)).data
+    },
+    {
+      name: 'Feature adoption across cohorts',
+      legacy: () => legacyCompareFeatureAcrossCohorts(db, 'ai_assistant_used'),
+      current: async () => {
+        const cohorts = await featureAdoption.compareFeatureAcrossCohorts('ai_assistant_used');
+        return cohorts.map(({ cohort_id, total_users, adopted_users }) => ({ cohort_id, total_users, adopted_users }));
+      }
+    }
+  ];
+
+  console.log('\n' + '='.repeat(112));
+  console.log(`Analytics benchmark: ${totals.users} users, ${totals.events} events`);
+  console.log('='.repeat(112));
+  console.log([
+    'Analysis'.padEnd(34),
+    'IN-list (previous)'.padEnd(46),
+    'Set-based'.padEnd(14),
+    'Speedup'.padEnd(9),
+    'Same output'
+  ].join(' '));
+  console.log('-'.repeat(112));
+
+  for (const benchmark of benchmarks) {
+    const legacy = await time(benchmark.legacy);
+    const current = await time(benchmark.current);
+    console.log(formatRow(benchmark.name, legacy, current, sameResults(legacy, current)));
+  }
+
+  console.log('='.repeat(112));
+  await db.close();
+}
+
+if (require.main === module) {
+  runBenchmark().catch(error => {
+    console.error('Benchmark failed:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { runBenchmark };
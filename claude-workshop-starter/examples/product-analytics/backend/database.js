@@ -1,11 +1,49 @@
 const sqlite3 = require('sqlite3').verbose();
 const fs = require('fs');
 const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Columns added after a table was first released. CREATE TABLE IF NOT EXISTS
+// leaves existing tables alone, so these are added to older databases on startup.
+const COLUMN_MIGRATIONS = [
+  { table: 'funnels', column: 'order_mode', definition: "TEXT DEFAULT 'strict'" },
+  { table: 'funnels', column: 'conversion_window_days', definition: 'REAL' },
+  { table: 'events', column: 'insert_id', definition: 'TEXT' },
+  { table: 'events', column: 'received_at', definition: 'DATETIME' },
+  { table: 'events', column: 'original_user_id', definition: 'TEXT' },
+  { table: 'events', column: 'derived_session_id', definition: 'TEXT' },
+  { table: 'cohorts', column: 'refreshed_at', definition: 'DATETIME' },
+  { table: 'experiments', column: 'variant_weights', definition: 'TEXT' },
+  { table: 'experiments', column: 'traffic_allocation', definition: 'REAL DEFAULT 100' },
+  { table: 'experiments', column: 'salt', definition: 'TEXT' },
+  { table: 'experiments', column: 'target_cohort_id', definition: 'TEXT' },
+  { table: 'experiments', column: 'weights_updated_at', definition: 'DATETIME' },
+  { table: 'experiments', column: 'guardrails', definition: 'TEXT' },
+  { table: 'experiments', column: 'metric', definition: 'TEXT' },
+  { table: 'experiments', column: 'analysis_mode', definition: "TEXT DEFAULT 'frequentist'" },
+  { table: 'experiments', column: 'winning_variant', definition: 'TEXT' },
+  { table: 'experiments', column: 'concluded_at', definition: 'DATETIME' },
+  { table: 'experiment_assignments', column: 'source', definition: 'TEXT' },
+  { table: 'features', column: 'targets', definition: 'TEXT' },
+  { table: 'features', column: 'updated_at', definition: 'DATETIME' }
+];
 
 class Database {
   constructor(dbPath = './analytics.db') {
     this.dbPath = dbPath;
     this.db = null;
+    this.pendingTransaction = Promise.resolve();
+
+    // Everything shares one connection, so any statement issued while a
+    // transaction is open becomes part of it: its writes are rolled back with
+    // it and its reads see uncommitted rows. Statements from outside the open
+    // transaction therefore wait for it to end, and a transaction only begins
+    // once the statements already running have finished.
+    this.transactionScope = new AsyncLocalStorage();
+    this.openTransaction = null;
+    this.transactionEnded = null;
+    this.runningStatements = 0;
+    this.statementsDrained = null;
   }
 
   async initialize() {
@@ -28,14 +66,31 @@ class Database {
     const schema = fs.readFileSync(path.join(__dirname, 'schema.sql'), 'utf8');
     const statements = schema.split(';').filter(stmt => stmt.trim());
 
-    for (const statement of statements) {
+    // Tables first, then column migrations, so indexes on newer columns
+    // also work against databases created by an older schema
+    const isTable = stmt => /CREATE TABLE/i.test(stmt);
+
+    for (const statement of statements.filter(isTable)) {
+      await this.run(statement);
+    }
+    await this.migrateColumns();
+    for (const statement of statements.filter(stmt => !isTable(stmt))) {
       await this.run(statement);
     }
     console.log('Database tables created successfully');
   }
 
+  async migrateColumns() {
+    for (const { table, column, definition } of COLUMN_MIGRATIONS) {
+      const columns = await this.all(`PRAGMA table_info(${table})`);
+      if (!columns.some(c => c.name === column)) {
+        await this.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+      }
+    }
+  }
+
   run(sql, params = []) {
-    return new Promise((resolve, reject) => {
+    return this.statement(() => new Promise((resolve, reject) => {
       this.db.run(sql, params, function(err) {
         if (err) {
           console.error('Error executing SQL:', sql);
@@ -45,11 +100,11 @@ class Database {
           resolve({ id: this.lastID, changes: this.changes });
         }
       });
-    });
+    }));
   }
 
   get(sql, params = []) {
-    return new Promise((resolve, reject) => {
+    return this.statement(() => new Promise((resolve, reject) => {
       this.db.get(sql, params, (err, row) => {
         if (err) {
           console.error('Error executing SQL:', sql);
@@ -59,11 +114,11 @@ class Database {
           resolve(row);
         }
       });
-    });
+    }));
   }
 
   all(sql, params = []) {
-    return new Promise((resolve, reject) => {
+    return this.statement(() => new Promise((resolve, reject) => {
       this.db.all(sql, params, (err, rows) => {
         if (err) {
           console.error('Error executing SQL:', sql);
@@ -73,7 +128,68 @@ class Database {
           resolve(rows);
         }
       });
-    });
+    }));
+  }
+
+  // Issue a statement now if it belongs to the open transaction, otherwise
+  // once no transaction is open or waiting to begin
+  async statement(execute) {
+    if (this.openTransaction && this.transactionScope.getStore() === this.openTransaction) {
+      return execute();
+    }
+    while (this.transactionEnded) {
+      await this.transactionEnded;
+    }
+
+    this.runningStatements++;
+    try {
+      return await execute();
+    } finally {
+      this.runningStatements--;
+      if (this.runningStatements === 0 && this.statementsDrained) {
+        this.statementsDrained();
+        this.statementsDrained = null;
+      }
+    }
+  }
+
+  // Run a unit of work inside a single transaction. Everything shares one
+  // connection, so transactions are queued behind each other instead of nesting,
+  // and statements from outside wait until the transaction has ended.
+  transaction(work) {
+    const result = this.pendingTransaction.then(() => this.runTransaction(work));
+    this.pendingTransaction = result.catch(() => {});
+    return result;
+  }
+
+  async runTransaction(work) {
+    const transaction = {};
+    let end;
+    this.transactionEnded = new Promise(resolve => { end = resolve; });
+
+    try {
+      if (this.runningStatements > 0) {
+        await new Promise(resolve => { this.statementsDrained = resolve; });
+      }
+      this.openTransaction = transaction;
+
+      // Only statements issued from work (and what it awaits) join the transaction
+      return await this.transactionScope.run(transaction, async () => {
+        await this.run('BEGIN IMMEDIATE TRANSACTION');
+        try {
+          const result = await work();
+          await this.run('COMMIT');
+          return result;
+        } catch (error) {
+          await this.run('ROLLBACK');
+          throw error;
+        }
+      });
+    } finally {
+      this.openTransaction = null;
+      this.transactionEnded = null;
+      end();
+    }
   }
 
   async close() {
@@ -95,6 +211,19 @@ class Database {
 
   // Event tracking methods
   async trackEvent(eventData) {
+    const result = await this.insertEvent(eventData);
+
+    // Update user last_seen
+    await this.run(
+      'UPDATE users SET last_seen = CURRENT_TIMESTAMP WHERE id = ?',
+      [eventData.user_id]
+    );
+
+    return result;
+  }
+
+  // Insert the event row only; callers batching events update last_seen themselves
+  async insertEvent(eventData) {
     const {
       event_name,
       user_id,
@@ -105,14 +234,21 @@ class Database {
       device_type,
       browser,
       country,
-      city
+      city,
+      insert_id = null,
+      timestamp = null,
+      received_at = null,
+      original_user_id = null
     } = eventData;
 
-    const result = await this.run(
+    // Without an explicit time the event happened, and was received, now
+    return this.run(
       `INSERT INTO events (
         event_name, user_id, properties, session_id,
-        page_url, referrer, device_type, browser, country, city
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        page_url, referrer, device_type, browser, country, city, insert_id,
+        timestamp, received_at, original_user_id
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?,
+        COALESCE(?, CURRENT_TIMESTAMP), COALESCE(?, CURRENT_TIMESTAMP), ?)`,
       [
         event_name,
         user_id,
@@ -123,17 +259,13 @@ class Database {
         device_type,
         browser,
         country,
-        city
+        city,
+        insert_id,
+        timestamp,
+        received_at,
+        original_user_id
       ]
     );
-
-    // Update user last_seen
-    await this.run(
-      'UPDATE users SET last_seen = CURRENT_TIMESTAMP WHERE id = ?',
-      [user_id]
-    );
-
-    return result;
   }
 
   // User methods
@@ -167,7 +299,7 @@ class Database {
   }
 
   // Analytics query methods
-  async getEventsByTimeRange(startDate, endDate, eventName = null) {
+  async getEventsByTimeRange(startDate, endDate, eventName = null, limit = null) {
     let sql = 'SELECT * FROM events WHERE timestamp BETWEEN ? AND ?';
     const params = [startDate, endDate];
 
@@ -177,6 +309,10 @@ class Database {
     }
 
     sql += ' ORDER BY timestamp DESC';
+    if (limit) {
+      sql += ' LIMIT ?';
+      params.push(limit);
+    }
     return await this.all(sql, params);
   }
 
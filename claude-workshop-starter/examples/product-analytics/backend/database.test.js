@@ -0,0 +1,103 @@
+// Test Suite for Database transactions
+// Run with: node database.test.js
+
+const { TestRunner, createTestDatabase } = require('./utils/test-runner');
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function runTests() {
+  const runner = new TestRunner();
+  const db = await createTestDatabase('./test-database.db');
+
+  const countUsers = async prefix =>
+    (await db.get('SELECT COUNT(*) as count FROM users WHERE id LIKE ?', [`${prefix}%`])).count;
+
+  console.log('Running tests...\n');
+
+  // Test 1: Commit
+  await runner.test('Transaction commits every write of its work', async () => {
+    const result = await db.transaction(async () => {
+      await db.createUser({ id: 'commit_1' });
+      await db.createUser({ id: 'commit_2' });
+      return 'done';
+    });
+
+    runner.assertEqual(result, 'done', 'Resolves to the result of the work');
+    runner.assertEqual(await countUsers('commit_'), 2, 'Both users are stored');
+  });
+
+  // Test 2: Rollback
+  await runner.test('Failed work rolls back its own writes only', async () => {
+    const transaction = db.transaction(async () => {
+      await db.createUser({ id: 'rollback_inside' });
+      await wait(50);
+      throw new Error('work failed');
+    });
+    await wait(10);
+    const outside = db.createUser({ id: 'rollback_outside' });
+
+    await runner.assertRejects(() => transaction, { pattern: /work failed/ }, 'The error of the work is passed on');
+    await outside;
+    runner.assertEqual(await countUsers('rollback_inside'), 0, 'The write of the work is rolled back');
+    runner.assertEqual(await countUsers('rollback_outside'), 1, 'A write from outside is kept');
+  });
+
+  // Test 3: Isolation of Reads
+  await runner.test('Reads from outside do not see uncommitted rows', async () => {
+    const transaction = db.transaction(async () => {
+      await db.createUser({ id: 'isolated_1' });
+      await wait(50);
+      await db.createUser({ id: 'isolated_2' });
+    });
+    await wait(10);
+
+    runner.assertEqual(await countUsers('isolated_'), 2, 'The read waits for the commit');
+    await transaction;
+  });
+
+  // Test 4: Statements Already Running
+  await runner.test('A transaction waits for statements already running', async () => {
+    const before = db.all('SELECT * FROM users');
+    const transaction = db.transaction(async () => {
+      await db.createUser({ id: 'running_1' });
+    });
+
+    runner.assertTrue(Array.isArray(await before), 'The earlier read completes');
+    await transaction;
+    runner.assertEqual(await countUsers('running_'), 1, 'The transaction commits afterwards');
+  });
+
+  // Test 5: Queued Transactions
+  await runner.test('Transactions run one after another', async () => {
+    const order = [];
+    await Promise.all([1, 2, 3].map(n => db.transaction(async () => {
+      order.push(`begin ${n}`);
+      await db.createUser({ id: `queued_${n}` });
+      await wait(5);
+      order.push(`end ${n}`);
+    })));
+
+    runner.assertEqual(order.join(), 'begin 1,end 1,begin 2,end 2,begin 3,end 3', 'No transactions overlap');
+    runner.assertEqual(await countUsers('queued_'), 3, 'All three commit');
+  });
+
+  await db.remove();
+  return runner.summary();
+}
+
+// Run tests
+if (require.main === module) {
+  console.log('Database - Test Suite');
+  console.log('='.repeat(80) + '\n');
+
+  runTests()
+    .then(success => {
+      process.exit(success ? 0 : 1);
+    })
+    .catch(error => {
+      console.error('Test suite failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { runTests };
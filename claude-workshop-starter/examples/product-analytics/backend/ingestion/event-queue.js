@@ -0,0 +1,451 @@
+/**
+ * Event Ingestion Queue
+ * Buffers tracked events in memory and writes them in batches, one
+ * transaction per flush, so bursts from SDKs don't hold the SQLite write
+ * lock once per event. When a batch fails it is rolled back and its events
+ * are written one at a time, so one bad event doesn't fail the others.
+ */
+
+const { resolveEventTime } = require('./event-time');
+const { VALIDATION_MODES } = require('./event-schema');
+
+const DEFAULT_OPTIONS = {
+  maxQueueSize: 10000,  // events waiting to be written before we reject with 429
+  batchSize: 500,       // events written per transaction
+  flushIntervalMs: 50,  // how long the first queued event waits for company
+  dedupWindowSeconds: 24 * 60 * 60, // resubmitted insert_ids within this window are dropped
+  maxPastDays: 30,      // see event-time.js
+  maxFutureMinutes: 10,
+  outOfBounds: 'quarantine', // or 'reject'; what to do with events outside the time bounds
+  schemaRegistry: null, // EventSchemaRegistry to validate against
+  validationMode: 'off' // off, warn (write with warnings) or strict (dead-letter invalid events)
+};
+
+const OUT_OF_BOUNDS_POLICIES = ['quarantine', 'reject'];
+
+const DEDUP_PRUNE_INTERVAL_MS = 60 * 1000;
+const MAX_INSERT_ID_LENGTH = 255;
+
+class QueueFullError extends Error {
+  constructor(retryAfter) {
+    super('Event queue is full, retry later');
+    this.name = 'QueueFullError';
+    this.statusCode = 429;
+    this.retryAfter = retryAfter;
+  }
+}
+
+class QueueClosedError extends Error {
+  constructor() {
+    super('Event queue is shutting down');
+    this.name = 'QueueClosedError';
+    this.statusCode = 503;
+  }
+}
+
+class InvalidEventError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'InvalidEventError';
+    this.statusCode = 400;
+  }
+}
+
+/**
+ * Read the client-supplied event id (insert_id, or message_id as sent by some SDKs)
+ * @param {Object} event - Event object
+ * @returns {string|null} The id as a string, or null when the event has none
+ * @throws {Error} When the id is not a non-empty string or number
+ */
+function getInsertId(event) {
+  const value = event.insert_id !== undefined && event.insert_id !== null
+    ? event.insert_id
+    : event.message_id;
+
+  if (value === undefined || value === null) {
+    return null;
+  }
+
+  const valid = (typeof value === 'string' && value.length > 0 && value.length <= MAX_INSERT_ID_LENGTH)
+    || (typeof value === 'number' && Number.isFinite(value));
+  if (!valid) {
+    throw new Error(`insert_id must be a non-empty string of at most ${MAX_INSERT_ID_LENGTH} characters`);
+  }
+
+  return String(value);
+}
+
+class EventQueue {
+  constructor(database, options = {}) {
+    this.db = database;
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    if (!OUT_OF_BOUNDS_POLICIES.includes(this.options.outOfBounds)) {
+      throw new Error(`outOfBounds must be one of: ${OUT_OF_BOUNDS_POLICIES.join(', ')}`);
+    }
+    if (!VALIDATION_MODES.includes(this.options.validationMode)) {
+      throw new Error(`validationMode must be one of: ${VALIDATION_MODES.join(', ')}`);
+    }
+    this.queue = [];
+    this.timer = null;
+    this.flushing = null;
+    this.closing = null;
+    this.lastFlushMs = 0;
+    this.lastPrune = 0;
+    this.stats = { enqueued: 0, written: 0, duplicates: 0, quarantined: 0, dead_lettered: 0, invalid: 0, failed: 0, rejected: 0, flushes: 0 };
+  }
+
+  /**
+   * Queue events for writing
+   * @param {Array} events - Event objects ({ event_name, user_id, timestamp, sent_at, ... });
+   *   user_email and user_name are used when the user has to be created
+   * @param {Date} receivedAt - When the request arrived, for clock-skew correction
+   * @returns {Array<Promise>} One promise per event, resolving once written to
+   *   { id } for a new event,
+   *   { id, duplicate: true } with the original event's id for a repeated insert_id, or
+   *   { id: null, quarantined: true, quarantine_id, reason } for an out-of-bounds timestamp, or
+   *   { id: null, dead_lettered: true, dead_letter_id, errors } when strict schema validation fails.
+   *   In warn mode written events carry the schema problems as `warnings`.
+   *   Invalid events reject with an InvalidEventError.
+   * @throws {QueueFullError} When the events don't fit in the queue; nothing is queued
+   * @throws {QueueClosedError} After close() has been called
+   */
+  enqueue(events, receivedAt = new Date()) {
+    if (this.closing) {
+      throw new QueueClosedError();
+    }
+
+    if (this.queue.length + events.length > this.options.maxQueueSize) {
+      this.stats.rejected += events.length;
+      throw new QueueFullError(this.estimateRetryAfter());
+    }
+
+    const promises = events.map(event => {
+      let entry;
+      try {
+        entry = this.prepare(event, receivedAt);
+      } catch (error) {
+        this.stats.invalid++;
+        return Promise.reject(error);
+      }
+
+      this.stats.enqueued++;
+      return new Promise((resolve, reject) => {
+        this.queue.push({ ...entry, resolve, reject });
+      });
+    });
+
+    this.scheduleFlush();
+    return promises;
+  }
+
+  /**
+   * Queue a single event
+   * @param {Object} event - Event object
+   * @param {Date} receivedAt - When the request arrived
+   * @returns {Promise<Object>} Resolves once written (see enqueue)
+   */
+  track(event, receivedAt = new Date()) {
+    return this.enqueue([event], receivedAt)[0];
+  }
+
+  // Normalize the client event id and event time and check the schema; throws InvalidEventError
+  prepare(event, receivedAt) {
+    let insertId;
+    let time;
+    try {
+      insertId = getInsertId(event);
+      time = resolveEventTime(event, receivedAt, this.options);
+    } catch (error) {
+      throw new InvalidEventError(error.message);
+    }
+
+    if (time.out_of_bounds && this.options.outOfBounds === 'reject') {
+      throw new InvalidEventError(time.out_of_bounds);
+    }
+
+    const { schemaRegistry, validationMode } = this.options;
+    const schemaErrors = schemaRegistry && validationMode !== 'off'
+      ? schemaRegistry.validate(event).errors
+      : [];
+
+    return {
+      event: {
+        ...event,
+        insert_id: insertId,
+        timestamp: time.timestamp,
+        received_at: time.received_at
+      },
+      original: event,
+      quarantine: time.out_of_bounds,
+      deadLetter: validationMode === 'strict' && schemaErrors.length > 0 ? schemaErrors : null,
+      warnings: validationMode === 'warn' && schemaErrors.length > 0 ? schemaErrors : null
+    };
+  }
+
+  scheduleFlush() {
+    if (this.flushing) {
+      // The running flush picks up whatever is queued when it finishes
+      return;
+    }
+
+    if (this.queue.length >= this.options.batchSize) {
+      clearTimeout(this.timer);
+      this.timer = null;
+      this.flush();
+    } else if (!this.timer) {
+      this.timer = setTimeout(() => {
+        this.timer = null;
+        this.flush();
+      }, this.options.flushIntervalMs);
+    }
+  }
+
+  /**
+   * Write everything currently queued, one batch per transaction
+   * @returns {Promise} Resolves once the queue is empty
+   */
+  async flush() {
+    if (this.flushing) {
+      return this.flushing;
+    }
+
+    this.flushing = (async () => {
+      while (this.queue.length > 0) {
+        const batch = this.queue.splice(0, this.options.batchSize);
+        await this.writeBatch(batch);
+      }
+    })();
+
+    try {
+      await this.flushing;
+    } finally {
+      this.flushing = null;
+      if (this.queue.length > 0 && !this.closing) {
+        this.scheduleFlush();
+      }
+    }
+  }
+
+  async writeBatch(batch) {
+    const start = Date.now();
+    let results;
+
+    try {
+      results = await this.writeEntries(batch);
+    } catch (error) {
+      // A failed statement rolls the whole batch back, so nothing is half
+      // written. Each event then gets a transaction of its own and only the
+      // ones that fail again are rejected.
+      console.error('Error flushing event batch:', error);
+      results = new Map();
+      for (const entry of batch) {
+        try {
+          results.set(entry, (await this.writeEntries([entry])).get(entry));
+        } catch (entryError) {
+          results.set(entry, { error: entryError });
+        }
+      }
+    }
+
+    for (const entry of batch) {
+      const { result, error } = results.get(entry);
+      if (error) {
+        this.stats.failed++;
+        entry.reject(error);
+      } else {
+        this.stats[this.outcomeOf(result)]++;
+        entry.resolve(result);
+      }
+    }
+
+    this.stats.flushes++;
+    this.lastFlushMs = Date.now() - start;
+  }
+
+  /**
+   * Write queued entries in one transaction; any failure rolls all of them back
+   * @param {Array} batch - Queued entries
+   * @returns {Map} Entry => { result }
+   */
+  async writeEntries(batch) {
+    const results = new Map();
+
+    await this.db.transaction(async () => {
+      await this.pruneDedupWindow();
+
+      // Events sent with a merged id are written under its canonical user
+      const canonicalIds = new Map();
+      const users = new Map();
+      for (const { event, quarantine, deadLetter } of batch) {
+        if (quarantine || deadLetter || canonicalIds.has(event.user_id)) {
+          continue;
+        }
+        const alias = await this.db.get(
+          'SELECT canonical_id FROM user_aliases WHERE alias_id = ?',
+          [event.user_id]
+        );
+        const canonicalId = alias ? alias.canonical_id : event.user_id;
+        canonicalIds.set(event.user_id, canonicalId);
+        if (!users.has(canonicalId)) {
+          users.set(canonicalId, event);
+        }
+      }
+
+      for (const [userId, event] of users) {
+        await this.db.run(
+          `INSERT OR IGNORE INTO users (id, email, name, properties)
+           VALUES (?, ?, ?, ?)`,
+          [userId, event.user_email, event.user_name, JSON.stringify({})]
+        );
+      }
+
+      for (const entry of batch) {
+        let result;
+        if (entry.deadLetter) {
+          result = await this.deadLetter(entry);
+        } else if (entry.quarantine) {
+          result = await this.quarantine(entry);
+        } else {
+          const canonicalId = canonicalIds.get(entry.event.user_id);
+          result = await this.insertOnce(canonicalId === entry.event.user_id
+            ? entry.event
+            : { ...entry.event, user_id: canonicalId, original_user_id: entry.event.user_id });
+          if (entry.warnings) {
+            result = { ...result, warnings: entry.warnings };
+          }
+        }
+        results.set(entry, { result });
+      }
+
+      // One last_seen update per user rather than per event
+      for (const userId of users.keys()) {
+        await this.db.run(
+          'UPDATE users SET last_seen = CURRENT_TIMESTAMP WHERE id = ?',
+          [userId]
+        );
+      }
+    });
+
+    return results;
+  }
+
+  // Insert the event unless its insert_id was already written within the dedup window.
+  // Batches are written one at a time, so a retry in the same batch sees the first copy.
+  async insertOnce(event) {
+    const { insert_id: insertId } = event;
+    const windowSeconds = this.options.dedupWindowSeconds;
+
+    if (insertId && windowSeconds > 0) {
+      const original = await this.db.get(
+        `SELECT event_id FROM event_dedup
+         WHERE insert_id = ? AND created_at >= datetime('now', ?)`,
+        [insertId, `-${windowSeconds} seconds`]
+      );
+      if (original) {
+        return { id: original.event_id, duplicate: true };
+      }
+    }
+
+    const result = await this.db.insertEvent(event);
+
+    if (insertId) {
+      // REPLACE takes over rows that expired but haven't been pruned yet
+      await this.db.run(
+        'INSERT OR REPLACE INTO event_dedup (insert_id, event_id) VALUES (?, ?)',
+        [insertId, result.id]
+      );
+    }
+
+    return result;
+  }
+
+  outcomeOf(result) {
+    if (result.duplicate) return 'duplicates';
+    if (result.quarantined) return 'quarantined';
+    if (result.dead_lettered) return 'dead_lettered';
+    return 'written';
+  }
+
+  // Park an event that failed strict validation so it can be replayed once fixed
+  async deadLetter({ event, original, deadLetter: errors }) {
+    const result = await this.db.run(
+      `INSERT INTO dead_letter_events (event_name, user_id, payload, errors, received_at)
+       VALUES (?, ?, ?, ?, ?)`,
+      [
+        event.event_name,
+        event.user_id,
+        JSON.stringify(original),
+        JSON.stringify(errors),
+        event.received_at
+      ]
+    );
+    return { id: null, dead_lettered: true, dead_letter_id: result.id, errors };
+  }
+
+  // Keep an out-of-bounds event out of the reports, but don't lose it
+  async quarantine({ event, original, quarantine: reason }) {
+    const result = await this.db.run(
+      `INSERT INTO quarantined_events (
+        event_name, user_id, payload, reason, event_time, received_at
+      ) VALUES (?, ?, ?, ?, ?, ?)`,
+      [
+        event.event_name,
+        event.user_id,
+        JSON.stringify(original),
+        reason,
+        event.timestamp,
+        event.received_at
+      ]
+    );
+    return { id: null, quarantined: true, quarantine_id: result.id, reason };
+  }
+
+  async pruneDedupWindow() {
+    if (Date.now() - this.lastPrune < DEDUP_PRUNE_INTERVAL_MS) {
+      return;
+    }
+    this.lastPrune = Date.now();
+    await this.db.run(
+      "DELETE FROM event_dedup WHERE created_at < datetime('now', ?)",
+      [`-${this.options.dedupWindowSeconds} seconds`]
+    );
+  }
+
+  // Seconds until the current backlog should have drained, based on the last flush
+  estimateRetryAfter() {
+    const batches = Math.ceil(this.queue.length / this.options.batchSize);
+    const perBatchMs = Math.max(this.lastFlushMs, this.options.flushIntervalMs);
+    return Math.max(1, Math.ceil((batches * perBatchMs) / 1000));
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      queued: this.queue.length,
+      max_queue_size: this.options.maxQueueSize,
+      validation_mode: this.options.validationMode,
+      last_flush_ms: this.lastFlushMs,
+      closing: Boolean(this.closing)
+    };
+  }
+
+  /**
+   * Stop accepting events and write everything still queued
+   * @returns {Promise} Resolves once the queue has been flushed
+   */
+  close() {
+    if (!this.closing) {
+      clearTimeout(this.timer);
+      this.timer = null;
+      this.closing = this.flush();
+    }
+    return this.closing;
+  }
+}
+
+module.exports = EventQueue;
+module.exports.QueueFullError = QueueFullError;
+module.exports.QueueClosedError = QueueClosedError;
+module.exports.InvalidEventError = InvalidEventError;
+module.exports.OUT_OF_BOUNDS_POLICIES = OUT_OF_BOUNDS_POLICIES;
+module.exports.getInsertId = getInsertId;
@@ -0,0 +1,163 @@
+// Test Suite for Event Queue deduplication and failed writes
+// Run with: node ingestion/event-queue.test.js
+
+const EventQueue = require('./event-queue');
+const { TestRunner, createTestDatabase } = require('../utils/test-runner');
+
+async function runTests() {
+  const runner = new TestRunner();
+  const db = await createTestDatabase('./test-event-queue.db');
+  const queue = new EventQueue(db, { flushIntervalMs: 5 });
+
+  const countEvents = async eventName =>
+    (await db.get('SELECT COUNT(*) as count FROM events WHERE event_name = ?', [eventName])).count;
+
+  console.log('Running tests...\n');
+
+  // Test 1: Retried Event
+  await runner.test('A retried insert_id returns the original event_id', async () => {
+    const first = await queue.track({ event_name: 'retry', user_id: 'user_1', insert_id: 'retry-1' });
+    const retry = await queue.track({ event_name: 'retry', user_id: 'user_1', insert_id: 'retry-1' });
+
+    runner.assertFalse(first.duplicate, 'The first copy is written');
+    runner.assertTrue(retry.duplicate, 'The retry is a duplicate');
+    runner.assertEqual(retry.id, first.id, 'Same event_id');
+    runner.assertEqual(await countEvents('retry'), 1, 'One row written');
+  });
+
+  // Test 2: Retry in the Same Batch
+  await runner.test('Copies queued together are written once', async () => {
+    const [first, second, other] = await Promise.all(queue.enqueue([
+      { event_name: 'same_batch', user_id: 'user_1', insert_id: 'batch-1' },
+      { event_name: 'same_batch', user_id: 'user_1', insert_id: 'batch-1' },
+      { event_name: 'same_batch', user_id: 'user_1', insert_id: 'batch-2' }
+    ]));
+
+    runner.assertTrue(second.duplicate, 'The second copy is a duplicate');
+    runner.assertEqual(second.id, first.id, 'It points at the first copy');
+    runner.assertFalse(other.duplicate, 'A different insert_id is written');
+    runner.assertEqual(await countEvents('same_batch'), 2, 'Two rows written');
+  });
+
+  // Test 3: message_id and Numeric Ids
+  await runner.test('message_id and numeric ids deduplicate like insert_id', async () => {
+    const first = await queue.track({ event_name: 'message', user_id: 'user_1', message_id: 'msg-1' });
+    const retry = await queue.track({ event_name: 'message', user_id: 'user_1', insert_id: 'msg-1' });
+    runner.assertEqual(retry.id, first.id, 'message_id and insert_id share ids');
+
+    const numeric = await queue.track({ event_name: 'message', user_id: 'user_1', insert_id: 42 });
+    const numericRetry = await queue.track({ event_name: 'message', user_id: 'user_1', insert_id: '42' });
+    runner.assertEqual(numericRetry.id, numeric.id, 'Numbers are compared as strings');
+  });
+
+  // Test 4: Events Without an Id
+  await runner.test('Events without an insert_id are never deduplicated', async () => {
+    await queue.track({ event_name: 'no_id', user_id: 'user_1' });
+    await queue.track({ event_name: 'no_id', user_id: 'user_1' });
+
+    runner.assertEqual(await countEvents('no_id'), 2, 'Both are written');
+  });
+
+  // Test 5: Invalid Ids
+  await runner.test('Invalid insert_ids are rejected with 400', async () => {
+    for (const insertId of ['', 'x'.repeat(256), { id: 1 }, NaN]) {
+      await runner.assertRejects(
+        () => queue.track({ event_name: 'invalid_id', user_id: 'user_1', insert_id: insertId }),
+        { statusCode: 400, pattern: /insert_id/ },
+        `insert_id ${JSON.stringify(insertId)}`
+      );
+    }
+    runner.assertEqual(await countEvents('invalid_id'), 0, 'Nothing written');
+  });
+
+  // Test 6: Dedup Window
+  await runner.test('A retry after the dedup window is written again', async () => {
+    const windowed = new EventQueue(db, { flushIntervalMs: 5, dedupWindowSeconds: 60 });
+    const first = await windowed.track({ event_name: 'expired', user_id: 'user_1', insert_id: 'expired-1' });
+    await db.run(
+      "UPDATE event_dedup SET created_at = datetime('now', '-2 minutes') WHERE insert_id = ?",
+      ['expired-1']
+    );
+
+    const late = await windowed.track({ event_name: 'expired', user_id: 'user_1', insert_id: 'expired-1' });
+    runner.assertFalse(late.duplicate, 'Not a duplicate any more');
+    runner.assertTrue(late.id !== first.id, 'A new event_id');
+
+    const retry = await windowed.track({ event_name: 'expired', user_id: 'user_1', insert_id: 'expired-1' });
+    runner.assertEqual(retry.id, late.id, 'The new copy starts a new window');
+    await windowed.close();
+  });
+
+  // Test 7: Dedup Disabled
+  await runner.test('A window of 0 turns deduplication off', async () => {
+    const unbounded = new EventQueue(db, { flushIntervalMs: 5, dedupWindowSeconds: 0 });
+    await unbounded.track({ event_name: 'no_dedup', user_id: 'user_1', insert_id: 'off-1' });
+    const again = await unbounded.track({ event_name: 'no_dedup', user_id: 'user_1', insert_id: 'off-1' });
+
+    runner.assertFalse(again.duplicate, 'Not flagged');
+    runner.assertEqual(await countEvents('no_dedup'), 2, 'Both are written');
+    await unbounded.close();
+  });
+
+  // Test 8: Stats
+  await runner.test('Duplicates are counted separately from written events', async () => {
+    const stats = queue.getStats();
+
+    runner.assertEqual(stats.duplicates, 4, 'Four duplicates so far');
+    runner.assertEqual(stats.invalid, 4, 'Four invalid ids');
+  });
+
+  // Test 9: Failed Writes
+  await runner.test('An event that fails to write is rolled back and rejected alone', async () => {
+    // Its event row is inserted, then recording its insert_id fails
+    await db.run(`CREATE TEMP TRIGGER poison_dedup BEFORE INSERT ON event_dedup
+      WHEN NEW.insert_id = 'poison-1'
+      BEGIN SELECT RAISE(ABORT, 'poisoned insert_id'); END`);
+    const before = queue.getStats();
+
+    const [first, poisoned, last] = await Promise.allSettled(queue.enqueue([
+      { event_name: 'batch_ok', user_id: 'user_1', insert_id: 'fine-1' },
+      { event_name: 'poison', user_id: 'user_1', insert_id: 'poison-1' },
+      { event_name: 'batch_ok', user_id: 'user_1' }
+    ]));
+    await db.run('DROP TRIGGER poison_dedup');
+
+    runner.assertEqual(poisoned.status, 'rejected', 'The failing event is rejected');
+    runner.assertTrue(/poisoned insert_id/.test(poisoned.reason.message), 'With the SQL error');
+    runner.assertEqual(await countEvents('poison'), 0, 'Its half-written event row is rolled back');
+
+    runner.assertEqual(first.status, 'fulfilled', 'The events around it are written');
+    runner.assertEqual(last.status, 'fulfilled', 'Both of them');
+    runner.assertEqual(await countEvents('batch_ok'), 2, 'Once each');
+    const dedup = await db.get("SELECT event_id FROM event_dedup WHERE insert_id = 'fine-1'");
+    runner.assertEqual(dedup.event_id, first.value.id, 'The retried write keeps its insert_id');
+
+    const stats = queue.getStats();
+    runner.assertEqual(stats.failed - before.failed, 1, 'One failure counted');
+    runner.assertEqual(stats.written - before.written, 2, 'Two writes counted');
+
+    const retry = await queue.track({ event_name: 'poison', user_id: 'user_1', insert_id: 'poison-1' });
+    runner.assertFalse(retry.duplicate, 'A retry of the failed event is not taken for a duplicate');
+  });
+
+  await queue.close();
+  await db.remove();
+  return runner.summary();
+}
+
+// Run tests
+if (require.main === module) {
+  console.log('Event Queue - Test Suite');
+  console.log('='.repeat(80) + '\n');
+
+  runTests()
+    .then(success => {
+      process.exit(success ? 0 : 1);
+    })
+    .catch(error => {
+      console.error('Test suite failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { runTests };
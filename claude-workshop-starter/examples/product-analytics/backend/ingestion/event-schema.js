@@ -0,0 +1,208 @@
+/**
+ * Event Schema Registry
+ * Known event names and their property schemas, stored in the event_schemas
+ * table and cached in memory so events can be checked as they are queued.
+ *
+ * A schema's properties map property names to rules:
+ * {
+ *   "plan":   { "type": "string", "required": true, "enum": ["free", "pro"] },
+ *   "amount": { "type": "number" }
+ * }
+ */
+
+const PROPERTY_TYPES = ['string', 'number', 'integer', 'boolean', 'object', 'array'];
+const VALIDATION_MODES = ['off', 'warn', 'strict'];
+const EVENT_NAME_PATTERN = /^[A-Za-z0-9_][A-Za-z0-9_.:\- ]{0,127}$/;
+
+/**
+ * Check and normalize a schema definition
+ * @param {Object} definition - { description, properties }
+ * @returns {Object} { description, properties } with every rule fully spelled out
+ * @throws {Error} When the definition is malformed
+ */
+function normalizeDefinition(definition = {}) {
+  const { description = null, properties = {} } = definition;
+
+  if (!properties || typeof properties !== 'object' || Array.isArray(properties)) {
+    throw new Error('properties must be an object of property name to rule');
+  }
+
+  const normalized = {};
+  for (const [name, rule] of Object.entries(properties)) {
+    if (!rule || typeof rule !== 'object') {
+      throw new Error(`Rule for property "${name}" must be an object`);
+    }
+
+    const { type, required = false, enum: allowed } = rule;
+    if (type !== undefined && !PROPERTY_TYPES.includes(type)) {
+      throw new Error(`Property "${name}" has unknown type "${type}" (expected ${PROPERTY_TYPES.join(', ')})`);
+    }
+    if (allowed !== undefined && (!Array.isArray(allowed) || allowed.length === 0)) {
+      throw new Error(`Property "${name}" enum must be a non-empty array`);
+    }
+
+    normalized[name] = {
+      type: type || null,
+      required: Boolean(required),
+      enum: allowed || null
+    };
+  }
+
+  return { description, properties: normalized };
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case 'integer': return Number.isInteger(value);
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'array': return Array.isArray(value);
+    case 'object': return typeof value === 'object' && value !== null && !Array.isArray(value);
+    default: return typeof value === type;
+  }
+}
+
+// Edit distance, used to suggest the registered name behind a typo
+function levenshtein(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+class EventSchemaRegistry {
+  constructor(database) {
+    this.db = database;
+    this.schemas = new Map();
+  }
+
+  async load() {
+    const rows = await this.db.all('SELECT * FROM event_schemas ORDER BY event_name');
+    this.schemas = new Map(rows.map(row => [row.event_name, this.parseRow(row)]));
+    return this;
+  }
+
+  parseRow(row) {
+    return {
+      ...row,
+      properties: row.properties ? JSON.parse(row.properties) : {}
+    };
+  }
+
+  list() {
+    return [...this.schemas.values()];
+  }
+
+  get(eventName) {
+    return this.schemas.get(eventName) || null;
+  }
+
+  /**
+   * Create or replace the schema for an event
+   * @param {string} eventName - Event name
+   * @param {Object} definition - { description, properties }
+   * @returns {Object} The stored schema
+   * @throws {Error} When the event name or definition is invalid
+   */
+  async save(eventName, definition) {
+    if (typeof eventName !== 'string' || !EVENT_NAME_PATTERN.test(eventName)) {
+      throw new Error(`Invalid event name: ${eventName}`);
+    }
+
+    const { description, properties } = normalizeDefinition(definition);
+
+    await this.db.run(
+      `INSERT INTO event_schemas (event_name, description, properties)
+       VALUES (?, ?, ?)
+       ON CONFLICT(event_name) DO UPDATE SET
+         description = excluded.description,
+         properties = excluded.properties,
+         updated_at = CURRENT_TIMESTAMP`,
+      [eventName, description, JSON.stringify(properties)]
+    );
+
+    const row = await this.db.get('SELECT * FROM event_schemas WHERE event_name = ?', [eventName]);
+    const schema = this.parseRow(row);
+    this.schemas.set(eventName, schema);
+    return schema;
+  }
+
+  async remove(eventName) {
+    const result = await this.db.run('DELETE FROM event_schemas WHERE event_name = ?', [eventName]);
+    this.schemas.delete(eventName);
+    return result.changes > 0;
+  }
+
+  /**
+   * Check an event against the registry
+   * @param {Object} event - { event_name, properties }
+   * @returns {Object} { valid, errors } - errors are human-readable strings
+   */
+  validate(event) {
+    const schema = this.schemas.get(event.event_name);
+
+    if (!schema) {
+      const suggestion = this.suggest(event.event_name);
+      return {
+        valid: false,
+        errors: [
+          `Unknown event "${event.event_name}"` + (suggestion ? ` (did you mean "${suggestion}"?)` : '')
+        ]
+      };
+    }
+
+    const properties = event.properties || {};
+    const errors = [];
+
+    for (const [name, rule] of Object.entries(schema.properties)) {
+      const value = properties[name];
+
+      if (value === undefined || value === null) {
+        if (rule.required) {
+          errors.push(`Missing required property "${name}"`);
+        }
+        continue;
+      }
+
+      if (rule.type && !matchesType(value, rule.type)) {
+        errors.push(`Property "${name}" should be ${rule.type}, got ${Array.isArray(value) ? 'array' : typeof value}`);
+      } else if (rule.enum && !rule.enum.includes(value)) {
+        errors.push(`Property "${name}" must be one of ${rule.enum.map(v => JSON.stringify(v)).join(', ')}`);
+      }
+    }
+
+    return { valid: errors.length === 0, errors };
+  }
+
+  // Closest registered event name, if it is close enough to be a typo
+  suggest(eventName) {
+    if (typeof eventName !== 'string') {
+      return null;
+    }
+
+    let best = null;
+    let bestDistance = Infinity;
+    for (const name of this.schemas.keys()) {
+      const distance = levenshtein(eventName.toLowerCase(), name.toLowerCase());
+      if (distance < bestDistance) {
+        best = name;
+        bestDistance = distance;
+      }
+    }
+
+    return bestDistance <= 2 ? best : null;
+  }
+}
+
+module.exports = EventSchemaRegistry;
+module.exports.PROPERTY_TYPES = PROPERTY_TYPES;
+module.exports.VALIDATION_MODES = VALIDATION_MODES;
+module.exports.normalizeDefinition = normalizeDefinition;
@@ -0,0 +1,221 @@
+// Test Suite for the Event Schema registry and dead-letter replay
+// Run with: node ingestion/event-schema.test.js
+
+const express = require('express');
+const EventSchemaRegistry = require('./event-schema');
+const EventQueue = require('./event-queue');
+const schemaRouter = require('../routes/schema');
+const { TestRunner, createTestDatabase } = require('../utils/test-runner');
+
+const { normalizeDefinition } = EventSchemaRegistry;
+
+const SIGNUP = {
+  description: 'A user signed up',
+  properties: {
+    plan: { type: 'string', required: true, enum: ['free', 'pro'] },
+    seats: { type: 'integer' }
+  }
+};
+
+async function runTests() {
+  const runner = new TestRunner();
+  const db = await createTestDatabase('./test-event-schema.db');
+  const registry = await new EventSchemaRegistry(db).load();
+  const queue = new EventQueue(db, { flushIntervalMs: 5, schemaRegistry: registry, validationMode: 'strict' });
+
+  // The schema routes on a local port
+  const app = express();
+  app.use(express.json());
+  app.use('/api/schema', schemaRouter(db, { schemaRegistry: registry, eventQueue: queue }));
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const request = async (method, path, body) => {
+    const response = await fetch(`http://127.0.0.1:${server.address().port}/api/schema${path}`, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  const deadLetters = async (eventName) => db.all(
+    'SELECT * FROM dead_letter_events WHERE event_name = ? ORDER BY id', [eventName]
+  );
+
+  console.log('Running tests...\n');
+
+  // Test 1: Definitions
+  await runner.test('Schema definitions are checked and spelled out', async () => {
+    const { properties } = normalizeDefinition(SIGNUP);
+    runner.assertEqual(JSON.stringify(properties.seats), '{"type":"integer","required":false,"enum":null}', 'Defaults filled in');
+
+    const invalid = [
+      [{ properties: [] }, /properties must be an object/],
+      [{ properties: { plan: 'string' } }, /must be an object/],
+      [{ properties: { plan: { type: 'text' } } }, /unknown type "text"/],
+      [{ properties: { plan: { enum: [] } } }, /enum must be a non-empty array/]
+    ];
+    for (const [definition, pattern] of invalid) {
+      await runner.assertRejects(async () => normalizeDefinition(definition), { pattern }, `Rejects ${JSON.stringify(definition)}`);
+    }
+    await runner.assertRejects(() => registry.save('bad name!', SIGNUP), { pattern: /Invalid event name/ }, 'Rejects the name');
+  });
+
+  // Test 2: Validation
+  await runner.test('Events are checked against their schema', async () => {
+    await registry.save('signup', SIGNUP);
+
+    runner.assertTrue(registry.validate({ event_name: 'signup', properties: { plan: 'pro', seats: 3 } }).valid, 'A valid event');
+    runner.assertEqual(
+      registry.validate({ event_name: 'signup', properties: { seats: 2.5 } }).errors.join(' | '),
+      'Missing required property "plan" | Property "seats" should be integer, got number',
+      'Missing and mistyped properties'
+    );
+    runner.assertEqual(
+      registry.validate({ event_name: 'signup', properties: { plan: 'team' } }).errors[0],
+      'Property "plan" must be one of "free", "pro"',
+      'Values outside the enum'
+    );
+    runner.assertEqual(
+      registry.validate({ event_name: 'sigup' }).errors[0],
+      'Unknown event "sigup" (did you mean "signup"?)',
+      'Unknown events suggest a close name'
+    );
+    runner.assertEqual(registry.validate({ event_name: 'checkout' }).errors[0], 'Unknown event "checkout"', 'No suggestion when nothing is close');
+  });
+
+  // Test 3: Strict Mode Dead-Letters
+  await runner.test('Strict mode writes valid events and dead-letters invalid ones', async () => {
+    const valid = await queue.track({ event_name: 'signup', user_id: 'user_1', properties: { plan: 'free' } });
+    runner.assertExists(valid.id, 'The valid event is written');
+
+    const invalid = await queue.track({ event_name: 'signup', user_id: 'user_2', properties: { plan: 'team' } });
+    runner.assertEqual(invalid.id, null, 'No event id');
+    runner.assertTrue(invalid.dead_lettered, 'Dead-lettered');
+
+    const [row] = await deadLetters('signup');
+    runner.assertEqual(row.id, invalid.dead_letter_id, 'The dead-letter id is returned');
+    runner.assertEqual(JSON.parse(row.payload).properties.plan, 'team', 'The payload is kept as sent');
+    runner.assertEqual(JSON.parse(row.errors)[0], 'Property "plan" must be one of "free", "pro"', 'With its errors');
+    runner.assertEqual(row.replayed_at, null, 'Pending');
+    const written = await db.get("SELECT COUNT(*) as count FROM events WHERE event_name = 'signup'");
+    runner.assertEqual(written.count, 1, 'Only the valid event is in events');
+  });
+
+  // Test 4: Warn Mode
+  await runner.test('Warn mode writes invalid events with warnings', async () => {
+    const warning = new EventQueue(db, { flushIntervalMs: 5, schemaRegistry: registry, validationMode: 'warn' });
+    const result = await warning.track({ event_name: 'signup', user_id: 'user_3', properties: { seats: 2 } });
+    await warning.close();
+
+    runner.assertExists(result.id, 'Written');
+    runner.assertEqual(result.warnings.join(), 'Missing required property "plan"', 'The problems come back as warnings');
+    runner.assertEqual((await deadLetters('signup')).length, 1, 'Nothing new dead-lettered');
+  });
+
+  // Test 5: Replay after a Schema Update
+  await runner.test('A dead-lettered event replays once the schema allows it, and only once', async () => {
+    const [row] = await deadLetters('signup');
+
+    const refused = await request('POST', `/dead-letter/${row.id}/replay`);
+    runner.assertEqual(refused.status, 422, 'Still invalid before the update');
+    runner.assertEqual(refused.body.errors[0], 'Property "plan" must be one of "free", "pro"', 'With the errors');
+
+    const updated = await request('PUT', '/events/signup', {
+      ...SIGNUP,
+      properties: { ...SIGNUP.properties, plan: { type: 'string', required: true, enum: ['free', 'pro', 'team'] } }
+    });
+    runner.assertEqual(updated.status, 200, 'Schema updated');
+    runner.assertEqual(updated.body.schema.properties.plan.enum.join(), 'free,pro,team', 'New enum stored');
+    runner.assertEqual(registry.get('signup').properties.plan.enum.length, 3, 'And used for validation');
+
+    const replayed = await request('POST', `/dead-letter/${row.id}/replay`);
+    runner.assertEqual(replayed.status, 200, 'Replayed');
+    const event = await db.get('SELECT * FROM events WHERE id = ?', [replayed.body.event_id]);
+    runner.assertEqual(event.user_id, 'user_2', 'The original event is written');
+    runner.assertEqual(event.received_at, row.received_at, 'With its original receive time');
+
+    const after = await db.get('SELECT * FROM dead_letter_events WHERE id = ?', [row.id]);
+    runner.assertEqual(after.replayed_event_id, replayed.body.event_id, 'replayed_event_id points at the event');
+    runner.assertExists(after.replayed_at, 'Marked as replayed');
+
+    const again = await request('POST', `/dead-letter/${row.id}/replay`);
+    runner.assertEqual(again.status, 409, 'A second replay is refused');
+    runner.assertEqual(again.body.event_id, replayed.body.event_id, 'And points at the first');
+    const copies = await db.get("SELECT COUNT(*) as count FROM events WHERE user_id = 'user_2'");
+    runner.assertEqual(copies.count, 1, 'Written once');
+
+    runner.assertEqual((await request('POST', '/dead-letter/999999/replay')).status, 404, 'Unknown ids are 404');
+  });
+
+  // Test 6: Bulk Replay
+  await runner.test('Bulk replay writes what now validates and leaves the rest pending', async () => {
+    for (const [userId, seats] of [['bulk_1', 'one'], ['bulk_2', 'two'], ['bulk_3', 'many']]) {
+      const result = await queue.track({ event_name: 'signup', user_id: userId, properties: { plan: 'pro', seats } });
+      runner.assertTrue(result.dead_lettered, `${userId} dead-lettered for a string seat count`);
+    }
+    await queue.track({ event_name: 'invite', user_id: 'bulk_4' });
+
+    // Seat counts are no longer checked
+    await registry.save('signup', { properties: { plan: { type: 'string', required: true } } });
+    const result = await request('POST', '/dead-letter/replay', { event_name: 'signup' });
+    runner.assertEqual(result.body.replayed_count, 3, 'Every pending signup validates now');
+    runner.assertEqual(result.body.failed_count, 0, 'None failed');
+
+    const pending = await request('GET', '/dead-letter');
+    runner.assertEqual(pending.body.events.map(event => event.event_name).join(), 'invite', 'Only the other event is pending');
+    runner.assertEqual(pending.body.events[0].errors[0], 'Unknown event "invite"', 'Unknown events are dead-lettered in strict mode');
+    const replayed = await request('GET', '/dead-letter?status=replayed');
+    runner.assertEqual(replayed.body.total, 4, 'Four replayed so far');
+
+    const failing = await request('POST', '/dead-letter/replay', {});
+    runner.assertEqual(failing.body.replayed_count, 0, 'The unknown event still fails');
+    runner.assertEqual(failing.body.failed_count, 1, 'Counted as failed');
+    runner.assertEqual(failing.body.results[0].errors[0], 'Unknown event "invite"', 'With its errors');
+  });
+
+  // Test 7: Registry Routes
+  await runner.test('Schemas are created once, listed with unregistered events, and removed', async () => {
+    const created = await request('POST', '/events', { event_name: 'invite', properties: { role: { type: 'string' } } });
+    runner.assertEqual(created.status, 201, 'Created');
+    runner.assertEqual((await request('POST', '/events', { event_name: 'invite' })).status, 409, 'Twice is a conflict');
+    runner.assertEqual((await request('POST', '/events', { event_name: 'bad', properties: { a: { type: 'text' } } })).status, 400, 'Invalid rules are 400');
+    runner.assertEqual((await request('PUT', '/events/missing', SIGNUP)).status, 404, 'Updating an unknown schema is 404');
+
+    await db.insertEvent({ event_name: 'sign_up', user_id: 'user_1' });
+    const listed = await request('GET', '/events');
+    runner.assertEqual(listed.body.validation_mode, 'strict', 'Validation mode reported');
+    runner.assertEqual(listed.body.schemas.map(schema => schema.event_name).sort().join(), 'invite,signup', 'Registered schemas');
+    const typo = listed.body.unregistered.find(row => row.event_name === 'sign_up');
+    runner.assertEqual(typo.suggestion, 'signup', 'Unregistered names come with a suggestion');
+
+    runner.assertEqual((await request('DELETE', '/events/invite')).status, 200, 'Removed');
+    runner.assertEqual(registry.get('invite'), null, 'Gone from the registry');
+    runner.assertEqual((await request('DELETE', '/events/invite')).status, 404, 'Removing twice is 404');
+    await registry.load();
+    runner.assertEqual(registry.list().map(schema => schema.event_name).join(), 'signup', 'Stored schemas reload');
+  });
+
+  await new Promise(resolve => server.close(resolve));
+  await queue.close();
+  await db.remove();
+  return runner.summary();
+}
+
+// Run tests
+if (require.main === module) {
+  console.log('Event Schema - Test Suite');
+  console.log('='.repeat(80) + '\n');
+
+  runTests()
+    .then(success => {
+      process.exit(success ? 0 : 1);
+    })
+    .catch(error => {
+      console.error('Test suite failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { runTests };
@@ -0,0 +1,108 @@
+/**
+ * Event Time Resolution
+ * Works out when an event actually happened from the client's timestamp,
+ * correcting for device clock skew with sent_at, and checks the result
+ * against the accepted past/future bounds.
+ *
+ * Times are stored the way SQLite's CURRENT_TIMESTAMP writes them (UTC,
+ * 'YYYY-MM-DD HH:MM:SS', here with milliseconds), so they compare as strings
+ * against assigned_at, created_at and events written without a client time.
+ */
+
+const DEFAULT_BOUNDS = {
+  maxPastDays: 30,      // events older than this (after correction) are out of bounds
+  maxFutureMinutes: 10  // events further ahead than this are out of bounds
+};
+
+/**
+ * Parse a client-supplied time
+ * @param {string|number} value - ISO 8601 string or epoch milliseconds
+ * @param {string} field - Field name for the error message
+ * @returns {Date|null} Parsed date, or null when no value was sent
+ * @throws {Error} When the value can't be parsed
+ */
+function parseClientTime(value, field) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  const date = typeof value === 'number' || typeof value === 'string'
+    ? new Date(value)
+    : new Date(NaN);
+
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`${field} must be an ISO 8601 date or epoch milliseconds`);
+  }
+
+  return date;
+}
+
+/**
+ * Format a time for storage
+ * @param {Date} date - Time to format
+ * @returns {string} UTC time as 'YYYY-MM-DD HH:MM:SS.SSS'
+ */
+function toStoredTime(date) {
+  return date.toISOString().replace('T', ' ').replace('Z', '');
+}
+
+/**
+ * Parse a stored time, which is UTC whether or not it carries a zone
+ * @param {string} value - 'YYYY-MM-DD HH:MM:SS[.SSS]' or an ISO 8601 string
+ * @returns {Date} Parsed date
+ */
+function parseStoredTime(value) {
+  const text = String(value);
+  return /(Z|[+-]\d{2}:?\d{2})$/.test(text)
+    ? new Date(text)
+    : new Date(`${text.replace(' ', 'T')}Z`);
+}
+
+/**
+ * Resolve the time of an event
+ *
+ * With both timestamp and sent_at the device clock offset (received_at - sent_at)
+ * is added to timestamp, so an offline client with a wrong clock still lands on
+ * the right day. Without a timestamp the event happened when it was received.
+ *
+ * @param {Object} event - Event with optional timestamp and sent_at
+ * @param {Date} receivedAt - When the server received the event
+ * @param {Object} bounds - { maxPastDays, maxFutureMinutes }
+ * @returns {Object} { timestamp, received_at, clock_skew_ms, out_of_bounds }
+ *   timestamp/received_at are stored times (see toStoredTime); out_of_bounds is a reason string or null
+ * @throws {Error} When timestamp or sent_at can't be parsed
+ */
+function resolveEventTime(event, receivedAt, bounds = {}) {
+  const { maxPastDays, maxFutureMinutes } = { ...DEFAULT_BOUNDS, ...bounds };
+  const clientTime = parseClientTime(event.timestamp, 'timestamp');
+  const sentAt = parseClientTime(event.sent_at, 'sent_at');
+
+  const skewMs = clientTime && sentAt ? receivedAt.getTime() - sentAt.getTime() : 0;
+  const eventTime = clientTime
+    ? new Date(clientTime.getTime() + skewMs)
+    : receivedAt;
+
+  let outOfBounds = null;
+  const ageMs = receivedAt.getTime() - eventTime.getTime();
+
+  if (ageMs > maxPastDays * 24 * 60 * 60 * 1000) {
+    outOfBounds = `timestamp is more than ${maxPastDays} days in the past`;
+  } else if (-ageMs > maxFutureMinutes * 60 * 1000) {
+    outOfBounds = `timestamp is more than ${maxFutureMinutes} minutes in the future`;
+  }
+
+  return {
+    timestamp: toStoredTime(eventTime),
+    received_at: toStoredTime(receivedAt),
+    clock_skew_ms: skewMs,
+    out_of_bounds: outOfBounds
+  };
+}
+
+module.exports = {
+  DEFAULT_BOUNDS,
+  parseClientTime,
+  parseStoredTime,
+  resolveEventTime,
+  toStoredTime
+};
@@ -0,0 +1,193 @@
+// Test Suite for Event Time resolution
+// Run with: node ingestion/event-time.test.js
+
+const { resolveEventTime, parseClientTime, parseStoredTime, toStoredTime } = require('./event-time');
+const EventQueue = require('./event-queue');
+const ABTestAnalyzer = require('../analytics/ab-test-analyzer');
+const { TestRunner, createTestDatabase } = require('../utils/test-runner');
+
+const RECEIVED_AT = new Date('2025-03-10T12:00:00.000Z');
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+// ISO time at an offset in ms from RECEIVED_AT
+const at = offsetMs => new Date(RECEIVED_AT.getTime() + offsetMs).toISOString();
+// The same time as stored
+const stored = offsetMs => toStoredTime(new Date(RECEIVED_AT.getTime() + offsetMs));
+
+async function runTests() {
+  const runner = new TestRunner();
+
+  console.log('Running tests...\n');
+
+  // Test 1: No Client Time
+  await runner.test('Events without a timestamp happened when received', async () => {
+    const time = resolveEventTime({}, RECEIVED_AT);
+
+    runner.assertEqual(time.timestamp, stored(0), 'Timestamp is the receive time');
+    runner.assertEqual(time.clock_skew_ms, 0, 'No skew');
+    runner.assertEqual(time.out_of_bounds, null, 'In bounds');
+  });
+
+  // Test 2: Formats
+  await runner.test('ISO strings and epoch milliseconds are accepted', async () => {
+    const iso = resolveEventTime({ timestamp: at(-HOUR) }, RECEIVED_AT);
+    const epoch = resolveEventTime({ timestamp: RECEIVED_AT.getTime() - HOUR }, RECEIVED_AT);
+
+    runner.assertEqual(iso.timestamp, stored(-HOUR), 'ISO string');
+    runner.assertEqual(epoch.timestamp, stored(-HOUR), 'Epoch milliseconds');
+    runner.assertEqual(parseClientTime('', 'timestamp'), null, 'An empty value is no value');
+  });
+
+  // Test 3: Clock Skew
+  await runner.test('sent_at corrects the timestamp for a wrong device clock', async () => {
+    // The device clock is 2 hours behind; the event happened 5 minutes before sending
+    const time = resolveEventTime({
+      timestamp: at(-2 * HOUR - 5 * MINUTE),
+      sent_at: at(-2 * HOUR)
+    }, RECEIVED_AT);
+
+    runner.assertEqual(time.clock_skew_ms, 2 * HOUR, 'Skew is receive time minus sent_at');
+    runner.assertEqual(time.timestamp, stored(-5 * MINUTE), 'Shifted onto the server clock');
+  });
+
+  // Test 4: Timestamp Without sent_at
+  await runner.test('A timestamp without sent_at is taken as is', async () => {
+    const time = resolveEventTime({ timestamp: at(-3 * HOUR) }, RECEIVED_AT);
+
+    runner.assertEqual(time.timestamp, stored(-3 * HOUR), 'Not shifted');
+    runner.assertEqual(time.clock_skew_ms, 0, 'No skew');
+  });
+
+  // Test 5: Bounds
+  await runner.test('Times too far in the past or future are out of bounds', async () => {
+    const old = resolveEventTime({ timestamp: at(-31 * DAY) }, RECEIVED_AT);
+    const future = resolveEventTime({ timestamp: at(11 * MINUTE) }, RECEIVED_AT);
+    const recent = resolveEventTime({ timestamp: at(-29 * DAY) }, RECEIVED_AT);
+    const custom = resolveEventTime({ timestamp: at(-2 * DAY) }, RECEIVED_AT, { maxPastDays: 1 });
+
+    runner.assertTrue(/30 days in the past/.test(old.out_of_bounds), 'Older than 30 days');
+    runner.assertTrue(/10 minutes in the future/.test(future.out_of_bounds), 'More than 10 minutes ahead');
+    runner.assertEqual(recent.out_of_bounds, null, '29 days old is accepted');
+    runner.assertTrue(/1 days in the past/.test(custom.out_of_bounds), 'Bounds can be changed');
+  });
+
+  // Test 6: Skew and Bounds
+  await runner.test('Bounds apply to the corrected time', async () => {
+    // A device clock a year behind still sends a recent event
+    const time = resolveEventTime({
+      timestamp: at(-365 * DAY - MINUTE),
+      sent_at: at(-365 * DAY)
+    }, RECEIVED_AT);
+
+    runner.assertEqual(time.out_of_bounds, null, 'In bounds after correction');
+    runner.assertEqual(time.timestamp, stored(-MINUTE), 'One minute ago');
+  });
+
+  // Test 7: Invalid Times
+  await runner.test('Unparseable times are rejected', async () => {
+    await runner.assertRejects(
+      async () => resolveEventTime({ timestamp: 'yesterday' }, RECEIVED_AT),
+      { pattern: /timestamp must be/ },
+      'Invalid timestamp'
+    );
+    await runner.assertRejects(
+      async () => resolveEventTime({ timestamp: at(0), sent_at: { at: 1 } }, RECEIVED_AT),
+      { pattern: /sent_at must be/ },
+      'Invalid sent_at'
+    );
+  });
+
+  // Test 8: Quarantine and Reject
+  await runner.test('The queue quarantines or rejects out-of-bounds events', async () => {
+    const db = await createTestDatabase('./test-event-time.db');
+    const now = new Date();
+    const old = new Date(now.getTime() - 60 * DAY).toISOString();
+
+    const quarantining = new EventQueue(db, { flushIntervalMs: 5 });
+    const result = await quarantining.track({ event_name: 'late', user_id: 'user_1', timestamp: old }, now);
+    await quarantining.close();
+
+    runner.assertTrue(result.quarantined, 'Quarantined');
+    runner.assertEqual(result.id, null, 'No event id');
+    const quarantined = await db.get('SELECT * FROM quarantined_events WHERE id = ?', [result.quarantine_id]);
+    runner.assertEqual(parseStoredTime(quarantined.event_time).toISOString(), old, 'The event time is kept');
+    runner.assertEqual(JSON.parse(quarantined.payload).timestamp, old, 'So is the payload');
+    const events = await db.get("SELECT COUNT(*) as count FROM events WHERE event_name = 'late'");
+    runner.assertEqual(events.count, 0, 'Not in events');
+
+    const rejecting = new EventQueue(db, { flushIntervalMs: 5, outOfBounds: 'reject' });
+    await runner.assertRejects(
+      () => rejecting.track({ event_name: 'late', user_id: 'user_1', timestamp: old }, now),
+      { statusCode: 400, pattern: /in the past/ },
+      'Rejected with 400'
+    );
+    await rejecting.close();
+    await db.remove();
+  });
+
+  // Test 9: Stored Format
+  await runner.test('Event times are stored like CURRENT_TIMESTAMP and parse back as UTC', async () => {
+    runner.assertEqual(toStoredTime(RECEIVED_AT), '2025-03-10 12:00:00.000', 'UTC without T or Z');
+    runner.assertEqual(parseStoredTime('2025-03-10 12:00:00').toISOString(), RECEIVED_AT.toISOString(), 'CURRENT_TIMESTAMP text');
+    runner.assertEqual(parseStoredTime(stored(MINUTE)).toISOString(), at(MINUTE), 'Stored time');
+    runner.assertEqual(parseStoredTime(at(MINUTE)).toISOString(), at(MINUTE), 'ISO string');
+  });
+
+  // Test 10: Mixed Formats
+  await runner.test('Events before an assignment on the same day are not conversions, whatever their format', async () => {
+    const db = await createTestDatabase('./test-event-time-formats.db');
+    const queue = new EventQueue(db, { flushIntervalMs: 5 });
+
+    await db.run(
+      `INSERT INTO experiments (id, name, status, variants, goal_event)
+       VALUES ('exp_formats', 'Formats', 'running', ?, 'purchase')`,
+      [JSON.stringify(['control', 'variant'])]
+    );
+    // Assigned at 10:00, written the way CURRENT_TIMESTAMP writes it
+    const users = ['queued_early', 'iso_early', 'plain_early', 'queued_late'];
+    for (const userId of users) {
+      await db.run(
+        `INSERT INTO experiment_assignments (experiment_id, user_id, variant, assigned_at)
+         VALUES ('exp_formats', ?, 'control', '2025-03-10 10:00:00')`,
+        [userId]
+      );
+    }
+
+    // Purchases at 09:00 through the queue, as an ISO row written before the
+    // stored format changed and as CURRENT_TIMESTAMP text; one at 11:00
+    await queue.track({ event_name: 'purchase', user_id: 'queued_early', timestamp: at(-3 * HOUR) }, RECEIVED_AT);
+    await queue.track({ event_name: 'purchase', user_id: 'queued_late', timestamp: at(-HOUR) }, RECEIVED_AT);
+    await queue.close();
+    await db.insertEvent({ event_name: 'purchase', user_id: 'iso_early', timestamp: at(-3 * HOUR) });
+    await db.insertEvent({ event_name: 'purchase', user_id: 'plain_early', timestamp: '2025-03-10 09:00:00' });
+
+    const queued = await db.get("SELECT timestamp FROM events WHERE user_id = 'queued_early'");
+    runner.assertEqual(queued.timestamp, '2025-03-10 09:00:00.000', 'The queue stores the CURRENT_TIMESTAMP format');
+
+    const metrics = await new ABTestAnalyzer(db).getVariantMetrics('exp_formats', 'control', 'purchase');
+    runner.assertEqual(metrics.total_users, 4, 'Four users assigned');
+    runner.assertEqual(metrics.conversions, 1, 'Only the purchase after the assignment converts');
+    await db.remove();
+  });
+
+  return runner.summary();
+}
+
+// Run tests
+if (require.main === module) {
+  console.log('Event Time - Test Suite');
+  console.log('='.repeat(80) + '\n');
+
+  runTests()
+    .then(success => {
+      process.exit(success ? 0 : 1);
+    })
+    .catch(error => {
+      console.error('Test suite failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { runTests };
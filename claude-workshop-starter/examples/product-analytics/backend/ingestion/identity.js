@@ -0,0 +1,177 @@
+/**
+ * Identity Resolution
+ * Merges anonymous (or otherwise secondary) user ids into a canonical user.
+ *
+ * Merges are resolved at write time: existing events are moved to the canonical
+ * id when the merge happens, and the ingestion queue writes later events for an
+ * alias under its canonical id. Analytics queries therefore only ever see
+ * canonical ids in events.user_id; the id an event was sent with is kept in
+ * events.original_user_id. Experiment assignments, cohort memberships and flag
+ * exposures of the alias move to the canonical user too, unless the canonical
+ * user already has their own.
+ */
+
+const EventRollups = require('./rollups');
+
+class IdentityConflictError extends Error {
+  constructor(aliasId, canonicalId) {
+    super(`${aliasId} is already merged into ${canonicalId}`);
+    this.name = 'IdentityConflictError';
+    this.statusCode = 409;
+  }
+}
+
+class IdentityResolver {
+  constructor(database) {
+    this.db = database;
+  }
+
+  /**
+   * Canonical id for a user id (the id itself when it was never merged)
+   * @param {string} userId - Any user id
+   * @returns {string} Canonical user id
+   */
+  async resolve(userId) {
+    const alias = await this.db.get(
+      'SELECT canonical_id FROM user_aliases WHERE alias_id = ?',
+      [userId]
+    );
+    return alias ? alias.canonical_id : userId;
+  }
+
+  /**
+   * Canonical id and every id merged into it
+   * @param {string} userId - Canonical id or any of its aliases
+   * @returns {Object} { canonical_id, aliases: [{ alias_id, source, created_at }] }
+   */
+  async getIdentities(userId) {
+    const canonicalId = await this.resolve(userId);
+    const aliases = await this.db.all(
+      `SELECT alias_id, source, created_at
+       FROM user_aliases
+       WHERE canonical_id = ?
+       ORDER BY created_at`,
+      [canonicalId]
+    );
+    return { canonical_id: canonicalId, aliases };
+  }
+
+  /**
+   * Merge one id into another user
+   * @param {string} fromId - Id to merge away (e.g. an anonymous id)
+   * @param {string} toId - Id of the user that absorbs it (resolved to its canonical id)
+   * @param {string} source - 'identify' or 'alias'
+   * @returns {Object} { alias_id, canonical_id, merged, events_moved }
+   * @throws {IdentityConflictError} When fromId is already merged into a different user
+   */
+  async merge(fromId, toId, source = 'alias') {
+    return this.db.transaction(async () => {
+      const canonicalId = await this.resolve(toId);
+      const existing = await this.db.get(
+        'SELECT canonical_id FROM user_aliases WHERE alias_id = ?',
+        [fromId]
+      );
+
+      if (existing && existing.canonical_id !== canonicalId) {
+        throw new IdentityConflictError(fromId, existing.canonical_id);
+      }
+      if (existing || fromId === canonicalId) {
+        return { alias_id: fromId, canonical_id: canonicalId, merged: false, events_moved: 0 };
+      }
+
+      await this.db.run(
+        'INSERT OR IGNORE INTO users (id, properties) VALUES (?, ?)',
+        [canonicalId, JSON.stringify({})]
+      );
+
+      // Ids previously merged into fromId now belong to the new canonical user,
+      // so lookups stay a single hop
+      await this.db.run(
+        'UPDATE user_aliases SET canonical_id = ? WHERE canonical_id = ?',
+        [canonicalId, fromId]
+      );
+      await this.db.run(
+        'INSERT INTO user_aliases (alias_id, canonical_id, source) VALUES (?, ?, ?)',
+        [fromId, canonicalId, source]
+      );
+
+      // Moved events are sessionized again together with the user's own events,
+      // and their days rolled up again
+      await EventRollups.markUserDirty(this.db, fromId);
+      const moved = await this.db.run(
+        `UPDATE events
+         SET original_user_id = COALESCE(original_user_id, user_id), user_id = ?,
+           derived_session_id = NULL
+         WHERE user_id = ?`,
+        [canonicalId, fromId]
+      );
+
+      await this.moveUserRows(fromId, canonicalId);
+
+      return { alias_id: fromId, canonical_id: canonicalId, merged: true, events_moved: moved.changes };
+    });
+  }
+
+  // Give the alias's per-user rows to the canonical user. Where both have a row
+  // (the same experiment, cohort or flag value) the canonical user's is kept.
+  async moveUserRows(fromId, canonicalId) {
+    // A stay of the alias in a cohort the canonical user is already in ends with the merge
+    await this.db.run(
+      `UPDATE cohort_membership_history
+       SET exited_at = CURRENT_TIMESTAMP
+       WHERE user_id = ? AND exited_at IS NULL
+       AND cohort_id IN (SELECT cohort_id FROM cohort_members WHERE user_id = ?)`,
+      [fromId, canonicalId]
+    );
+    await this.db.run(
+      'UPDATE cohort_membership_history SET user_id = ? WHERE user_id = ?',
+      [canonicalId, fromId]
+    );
+
+    for (const table of ['experiment_assignments', 'cohort_members', 'feature_flag_exposures']) {
+      await this.db.run(`UPDATE OR IGNORE ${table} SET user_id = ? WHERE user_id = ?`, [canonicalId, fromId]);
+      await this.db.run(`DELETE FROM ${table} WHERE user_id = ?`, [fromId]);
+    }
+  }
+
+  /**
+   * Record who an anonymous visitor is: update the known user's traits and
+   * merge the anonymous id into them
+   * @param {string} userId - Known user id
+   * @param {string} anonymousId - Anonymous id used before identification (optional)
+   * @param {Object} traits - { email, name, properties }
+   * @returns {Object} { user, merge }
+   */
+  async identify(userId, anonymousId = null, traits = {}) {
+    const canonicalId = await this.resolve(userId);
+    const { email, name, properties = {} } = traits;
+    const user = await this.db.getUserOrCreate(canonicalId, { email, name, properties });
+
+    const updates = [];
+    const params = [];
+    if (email !== undefined && email !== user.email) {
+      updates.push('email = ?');
+      params.push(email);
+    }
+    if (name !== undefined && name !== user.name) {
+      updates.push('name = ?');
+      params.push(name);
+    }
+    if (Object.keys(properties).length > 0) {
+      updates.push('properties = ?');
+      params.push(JSON.stringify({ ...user.properties, ...properties }));
+    }
+    if (updates.length > 0) {
+      await this.db.run(`UPDATE users SET ${updates.join(', ')} WHERE id = ?`, [...params, canonicalId]);
+    }
+
+    const merge = anonymousId && anonymousId !== userId
+      ? await this.merge(anonymousId, canonicalId, 'identify')
+      : null;
+
+    return { user: await this.db.getUser(canonicalId), merge };
+  }
+}
+
+module.exports = IdentityResolver;
+module.exports.IdentityConflictError = IdentityConflictError;
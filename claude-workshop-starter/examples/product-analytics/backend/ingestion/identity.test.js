@@ -0,0 +1,147 @@
+// Test Suite for Identity Resolution
+// Run with: node ingestion/identity.test.js
+
+const IdentityResolver = require('./identity');
+const EventQueue = require('./event-queue');
+const { TestRunner, createTestDatabase } = require('../utils/test-runner');
+
+async function runTests() {
+  const runner = new TestRunner();
+  const db = await createTestDatabase('./test-identity.db');
+  const resolver = new IdentityResolver(db);
+  const queue = new EventQueue(db, { flushIntervalMs: 5 });
+
+  const rowsOf = (table, userId) => db.all(`SELECT * FROM ${table} WHERE user_id = ?`, [userId]);
+
+  console.log('Running tests...\n');
+
+  // Test 1: Events
+  await runner.test('Merging moves the alias events and later events follow', async () => {
+    await queue.track({ event_name: 'page_view', user_id: 'anon_1' });
+    await queue.track({ event_name: 'page_view', user_id: 'anon_1' });
+    await queue.track({ event_name: 'signup', user_id: 'user_1' });
+
+    const merge = await resolver.merge('anon_1', 'user_1', 'identify');
+    runner.assertTrue(merge.merged, 'Merged');
+    runner.assertEqual(merge.events_moved, 2, 'Two events moved');
+
+    await queue.track({ event_name: 'page_view', user_id: 'anon_1' });
+    const events = await rowsOf('events', 'user_1');
+    runner.assertEqual(events.length, 4, 'All events belong to the user');
+    runner.assertEqual(events.filter(e => e.original_user_id === 'anon_1').length, 3, 'Sent ids are kept');
+    runner.assertEqual((await rowsOf('events', 'anon_1')).length, 0, 'None left on the alias');
+  });
+
+  // Test 2: Repeated and Conflicting Merges
+  await runner.test('Repeating a merge is a no-op and a conflicting one fails with 409', async () => {
+    const again = await resolver.merge('anon_1', 'user_1');
+    runner.assertFalse(again.merged, 'Nothing to do');
+
+    await runner.assertRejects(
+      () => resolver.merge('anon_1', 'user_2'),
+      { statusCode: 409, pattern: /already merged into user_1/ },
+      'Conflicting merge'
+    );
+  });
+
+  // Test 3: Chained Merges
+  await runner.test('Ids merged into a merged id resolve to the final user', async () => {
+    await resolver.merge('device_1', 'anon_2');
+    await resolver.merge('anon_2', 'user_3');
+
+    runner.assertEqual(await resolver.resolve('device_1'), 'user_3', 'One hop to the canonical id');
+    const identities = await resolver.getIdentities('device_1');
+    runner.assertEqual(identities.aliases.map(a => a.alias_id).sort().join(), 'anon_2,device_1', 'Both aliases listed');
+  });
+
+  // Test 4: Experiment Assignments
+  await runner.test('Experiment assignments move unless the user has their own', async () => {
+    await db.run(
+      `INSERT INTO experiment_assignments (experiment_id, user_id, variant)
+       VALUES ('exp_moved', 'anon_4', 'treatment'), ('exp_both', 'anon_4', 'treatment'),
+       ('exp_both', 'user_4', 'control')`
+    );
+
+    await resolver.merge('anon_4', 'user_4');
+    const assignments = await rowsOf('experiment_assignments', 'user_4');
+    const variants = Object.fromEntries(assignments.map(a => [a.experiment_id, a.variant]));
+
+    runner.assertEqual(variants.exp_moved, 'treatment', 'The alias assignment moves');
+    runner.assertEqual(variants.exp_both, 'control', 'The user keeps their own');
+    runner.assertEqual((await rowsOf('experiment_assignments', 'anon_4')).length, 0, 'None left on the alias');
+  });
+
+  // Test 5: Cohort Members
+  await runner.test('Cohort memberships and their history move', async () => {
+    await db.run(
+      `INSERT INTO cohort_members (cohort_id, user_id)
+       VALUES ('cohort_moved', 'anon_5'), ('cohort_both', 'anon_5'), ('cohort_both', 'user_5')`
+    );
+    await db.run(
+      `INSERT INTO cohort_membership_history (cohort_id, user_id, entered_at)
+       VALUES ('cohort_moved', 'anon_5', '2025-01-01'), ('cohort_both', 'anon_5', '2025-01-01'),
+       ('cohort_both', 'user_5', '2025-01-02')`
+    );
+
+    await resolver.merge('anon_5', 'user_5');
+    const members = await rowsOf('cohort_members', 'user_5');
+    runner.assertEqual(members.map(m => m.cohort_id).sort().join(), 'cohort_both,cohort_moved', 'In both cohorts');
+    runner.assertEqual((await rowsOf('cohort_members', 'anon_5')).length, 0, 'None left on the alias');
+
+    const open = (await rowsOf('cohort_membership_history', 'user_5')).filter(h => !h.exited_at);
+    runner.assertEqual(open.map(h => h.cohort_id).sort().join(), 'cohort_both,cohort_moved', 'One open stay per cohort');
+  });
+
+  // Test 6: Flag Exposures
+  await runner.test('Flag exposures move unless the user saw the same value', async () => {
+    await db.run(
+      `INSERT INTO feature_flag_exposures (flag_key, user_id, value, exposed_at)
+       VALUES ('flag_a', 'anon_6', 'true', '2025-01-01'), ('flag_b', 'anon_6', 'true', '2025-01-01'),
+       ('flag_b', 'user_6', 'true', '2025-01-02')`
+    );
+
+    await resolver.merge('anon_6', 'user_6');
+    const exposures = await rowsOf('feature_flag_exposures', 'user_6');
+    const exposedAt = Object.fromEntries(exposures.map(e => [e.flag_key, e.exposed_at]));
+
+    runner.assertEqual(exposures.length, 2, 'One exposure per flag');
+    runner.assertEqual(exposedAt.flag_a, '2025-01-01', 'The alias exposure moves');
+    runner.assertEqual(exposedAt.flag_b, '2025-01-02', 'The user keeps their own');
+  });
+
+  // Test 7: Identify
+  await runner.test('identify updates traits and merges the anonymous id', async () => {
+    await queue.track({ event_name: 'page_view', user_id: 'anon_7' });
+
+    const { user, merge } = await resolver.identify('user_7', 'anon_7', {
+      email: 'user7@example.com',
+      properties: { plan: 'pro' }
+    });
+
+    runner.assertEqual(user.email, 'user7@example.com', 'Email set');
+    runner.assertEqual(user.properties.plan, 'pro', 'Properties set');
+    runner.assertEqual(merge.events_moved, 1, 'Anonymous events moved');
+    runner.assertEqual(await resolver.resolve('anon_7'), 'user_7', 'Anonymous id resolves to the user');
+  });
+
+  await queue.close();
+  await db.remove();
+  return runner.summary();
+}
+
+// Run tests
+if (require.main === module) {
+  console.log('Identity Resolution - Test Suite');
+  console.log('='.repeat(80) + '\n');
+
+  runTests()
+    .then(success => {
+      process.exit(success ? 0 : 1);
+    })
+    .catch(error => {
+      console.error('Test suite failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { runTests };
@@ -0,0 +1,330 @@
+// Test Suite for Event Rollups
+// Run with: node ingestion/rollups.test.js
+
+const EventRollups = require('./rollups');
+const IdentityResolver = require('./identity');
+const Sessionizer = require('./sessionizer');
+const { TestRunner, createTestDatabase } = require('../utils/test-runner');
+
+// A timestamp in June 2025: day of the month, hour and minute (UTC)
+function june(day, hour, minute = 0) {
+  return new Date(Date.UTC(2025, 5, day, hour, minute)).toISOString();
+}
+
+async function runTests() {
+  const runner = new TestRunner();
+  const db = await createTestDatabase('./test-rollups.db');
+  const rollups = new EventRollups(db);
+
+  const track = (eventName, userId, timestamp, fields = {}) =>
+    db.insertEvent({ event_name: eventName, user_id: userId, timestamp, ...fields });
+
+  // Exact answers straight from events
+  const exactCount = async (start, end) => (await db.get(
+    'SELECT COUNT(*) as count FROM events WHERE timestamp >= ? AND timestamp <= ?', [start, end]
+  )).count;
+  const exactUsers = async (start, end) => (await db.get(
+    'SELECT COUNT(DISTINCT user_id) as count FROM events WHERE timestamp >= ? AND timestamp <= ?', [start, end]
+  )).count;
+
+  // June 2 to 4: three users, events every few hours, each user in one session a day
+  for (let day = 2; day <= 4; day++) {
+    for (let hour = 1; hour < 24; hour += 3) {
+      for (const [index, userId] of ['ana', 'ben', 'cleo'].entries()) {
+        await track(index === 2 ? 'export' : 'page_view', userId, june(day, hour, 10 * index), {
+          country: ['US', 'DE', null][index],
+          session_id: `${userId}_${day}`
+        });
+      }
+    }
+  }
+
+  const ranges = [
+    [june(2, 0), june(4, 23, 59)],
+    [june(2, 4, 30), june(4, 13, 15)],
+    [june(3, 7, 5), june(3, 7, 25)]
+  ];
+
+  console.log('Running tests...\n');
+
+  // Test 1: Before Any Pass
+  await runner.test('Queries read events until the first pass', async () => {
+    for (const [start, end] of ranges) {
+      runner.assertEqual(await rollups.countEvents(start, end), await exactCount(start, end), `Events from ${start}`);
+    }
+    runner.assertEqual((await rollups.status()).pending_events, await exactCount(...ranges[0]), 'Every event is pending');
+  });
+
+  // Test 2: Partial Hours
+  await runner.test('Partial hours at either end of a range are read from events', async () => {
+    const result = await rollups.run();
+    runner.assertEqual(result.events, await exactCount(...ranges[0]), 'Pass rolled up every event');
+
+    for (const [start, end] of ranges) {
+      runner.assertEqual(await rollups.countEvents(start, end), await exactCount(start, end), `Events from ${start} to ${end}`);
+      runner.assertEqual(await rollups.countUniqueUsers(start, end), await exactUsers(start, end), `Users from ${start} to ${end}`);
+    }
+
+    const plan = await rollups.plan(...ranges[1]);
+    runner.assertEqual(plan.days.join(), [june(3, 0), june(4, 0)].join(), 'June 3 is a whole day');
+    runner.assertEqual(plan.hours.map(hours => hours.join('/')).join(), [
+      `${june(2, 5)}/${june(3, 0)}`,
+      `${june(4, 0)}/${june(4, 13)}`
+    ].join(), 'Whole hours around it');
+  });
+
+  // Test 3: Per Period and Dimension
+  await runner.test('Series per period and dimension match the events', async () => {
+    const hourly = await rollups.eventSeries(june(2, 4, 5), june(2, 10, 15), { granularity: 'hour' });
+    runner.assertEqual(hourly.map(row => `${row.period}=${row.count}`).join(),
+      '2025-06-02 04:00:00=2,2025-06-02 07:00:00=3,2025-06-02 10:00:00=2', 'Hourly counts, partial at both ends');
+
+    const byCountry = await rollups.eventSeries(...ranges[1], { groupBy: 'country' });
+    const exact = await db.all(
+      `SELECT country, COUNT(*) as count FROM events WHERE timestamp >= ? AND timestamp <= ?
+       GROUP BY country ORDER BY count DESC, country`,
+      ranges[1]
+    );
+    runner.assertEqual(
+      byCountry.map(row => `${row.country}=${row.count}`).sort().join(),
+      exact.map(row => `${row.country}=${row.count}`).sort().join(),
+      'Counts per country, unknown as null'
+    );
+
+    const sessions = await rollups.countSessions(...ranges[0]);
+    runner.assertEqual(sessions, 9, 'One session per user and day');
+  });
+
+  // Test 4: Events Newer than the Last Pass
+  await runner.test('Events written after the last pass are counted, late ones in their own bucket', async () => {
+    await track('page_view', 'dan', june(3, 12, 0));
+    await track('page_view', 'ana', june(2, 2, 0));
+
+    for (const [start, end] of ranges) {
+      runner.assertEqual(await rollups.countEvents(start, end), await exactCount(start, end), `Events from ${start}`);
+      runner.assertEqual(await rollups.countUniqueUsers(start, end), await exactUsers(start, end), `Users from ${start}`);
+    }
+
+    await rollups.run();
+    runner.assertEqual((await rollups.status()).pending_events, 0, 'Nothing pending after a pass');
+    const [late] = await rollups.eventSeries(june(2, 2, 0), june(2, 2, 59), { granularity: 'hour' });
+    runner.assertEqual(late.count, 1, 'Late event rolled up into its hour');
+  });
+
+  // Test 5: Dirty Days
+  await runner.test('Days marked dirty are read from events until aggregated again', async () => {
+    // What an identity merge does: mark the alias's days, then move its events
+    await EventRollups.markUserDirty(db, 'ben');
+    await db.run("UPDATE events SET user_id = 'ana' WHERE user_id = 'ben'");
+    runner.assertEqual((await rollups.status()).dirty_days, 3, 'Three days marked');
+
+    for (const [start, end] of ranges) {
+      runner.assertEqual(await rollups.countUniqueUsers(start, end), await exactUsers(start, end), `Users from ${start}`);
+    }
+
+    const result = await rollups.run();
+    runner.assertEqual(result.days, 3, 'Pass aggregates the dirty days again');
+    runner.assertEqual((await rollups.status()).dirty_days, 0, 'No dirty days left');
+    runner.assertEqual(await rollups.countUniqueUsers(...ranges[0]), await exactUsers(...ranges[0]), 'Exact after the pass');
+  });
+
+  // Test 6: Pass Between Plan and Query
+  await runner.test('A pass committing after the plan does not count events twice', async () => {
+    for (let i = 0; i < 5; i++) {
+      await track('page_view', `between_${i}`, june(3, 15, i));
+    }
+
+    // Run a pass right after every plan, before its query
+    const plan = rollups.plan.bind(rollups);
+    rollups.plan = async (...args) => {
+      const result = await plan(...args);
+      await rollups.run();
+      return result;
+    };
+    try {
+      runner.assertEqual(await rollups.countEvents(...ranges[0]), await exactCount(...ranges[0]), 'Events');
+      await track('page_view', 'between_late', june(3, 16, 0));
+      runner.assertEqual(await rollups.countUniqueUsers(...ranges[0]), await exactUsers(...ranges[0]), 'Users');
+      await track('page_view', 'between_later', june(3, 17, 0));
+      const [approximate] = await rollups.approximateUniqueSeries(...ranges[0]);
+      runner.assertEqual(approximate.count, await exactUsers(...ranges[0]), 'Approximate users (exact at this size)');
+    } finally {
+      rollups.plan = plan;
+    }
+  });
+
+  // Test 7: Rebuild
+  await runner.test('A rebuild gives the same answers as incremental passes', async () => {
+    const before = await rollups.eventSeries(...ranges[0], { granularity: 'day', groupBy: 'event_name' });
+    const result = await rollups.rebuild();
+    runner.assertEqual(result.events, await exactCount(...ranges[0]), 'Every event aggregated again');
+
+    const after = await rollups.eventSeries(...ranges[0], { granularity: 'day', groupBy: 'event_name' });
+    runner.assertEqual(JSON.stringify(after), JSON.stringify(before), 'Same series');
+  });
+
+  // Test 8: Approximate Unique Users from Rollup Sketches
+  await runner.test('Approximate unique users match exact counts within the error bound', async () => {
+    const countries = ['US', 'DE', 'FR', null];
+    const rows = [];
+    for (let i = 0; i < 4000; i++) {
+      const day = 1 + (i % 10);
+      const timestamp = `2025-03-${String(day).padStart(2, '0')}T${String(i % 24).padStart(2, '0')}:15:00.000Z`;
+      rows.push(['hll_open', `hll_rollup_user_${i}`, timestamp, countries[i % 4]]);
+      if (i % 3 === 0) {
+        rows.push(['hll_save', `hll_rollup_user_${i}`, timestamp.replace(':15:', ':45:'), countries[i % 4]]);
+      }
+      if (i % 20 === 0) {
+        rows.push(['page_view', `other_user_${i}`, timestamp, 'DE']);
+      }
+    }
+    const insert = async batch => {
+      for (let i = 0; i < batch.length; i += 200) {
+        const chunk = batch.slice(i, i + 200);
+        await db.run(
+          `INSERT INTO events (event_name, user_id, timestamp, country) VALUES ${chunk.map(() => '(?, ?, ?, ?)').join(', ')}`,
+          chunk.flat()
+        );
+      }
+    };
+
+    await insert(rows);
+    await rollups.run();
+    // Not rolled up yet: read from events
+    await insert([...Array(300).keys()].map(i => ['hll_open', `hll_late_user_${i}`, '2025-03-05T10:00:00.000Z', 'US']));
+
+    const bound = 3 * EventRollups.APPROXIMATE_ERROR;
+    const queries = [
+      ['2025-03-01', '2025-03-31T23:59:59.999Z', {}],
+      ['2025-03-02T12:00:00.000Z', '2025-03-08T06:00:00.000Z', {}],
+      ['2025-03-01', '2025-03-31T23:59:59.999Z', { event_name: 'hll_save' }],
+      ['2025-03-01', '2025-03-31T23:59:59.999Z', { filters: { country: 'US' } }],
+      ['2025-03-01', '2025-03-31T23:59:59.999Z', { filters: { country: null } }]
+    ];
+    for (const [start, end, options] of queries) {
+      const [approximate] = await rollups.approximateUniqueSeries(start, end, options);
+      // Same range and filters as the estimate, over every event
+      const exact = (await db.get(
+        `SELECT COUNT(DISTINCT user_id) as count FROM events
+         WHERE timestamp >= ? AND timestamp <= ?
+         ${options.event_name ? 'AND event_name = ?' : ''}
+         ${options.filters ? (options.filters.country ? 'AND country = ?' : 'AND country IS NULL') : ''}`,
+        [new Date(start).toISOString(), end,
+          ...(options.event_name ? [options.event_name] : []),
+          ...(options.filters && options.filters.country ? [options.filters.country] : [])]
+      )).count;
+      runner.assertTrue(
+        Math.abs(approximate.count - exact) <= Math.max(2, bound * exact),
+        `${JSON.stringify(options)} from ${start}: ${approximate.count} vs exact ${exact}`
+      );
+    }
+
+    const daily = await rollups.uniqueSeries('2025-03-01', '2025-03-10T23:59:59.999Z', { granularity: 'day', approximate: true });
+    runner.assertEqual(daily.length, 10, 'One estimate per day');
+    const fifth = await exactUsers('2025-03-05T00:00:00.000Z', '2025-03-05T23:59:59.999Z');
+    runner.assertTrue(Math.abs(daily[4].count - fifth) <= Math.max(2, bound * fifth), `2025-03-05 has ${fifth} users, estimated ${daily[4].count}`);
+  });
+
+  // Test 9: CURRENT_TIMESTAMP Rows
+  await runner.test('Events stored as CURRENT_TIMESTAMP text survive a pass and a dirty-day rebuild', async () => {
+    // Written before event times were resolved, or without a client time
+    for (let i = 0; i < 5; i++) {
+      await track('legacy_open', `legacy_${i}`, `2025-07-01 ${String(8 + i).padStart(2, '0')}:00:00`);
+    }
+    await db.trackEvent({ event_name: 'legacy_now', user_id: 'legacy_now' });
+    const today = new Date().toISOString().slice(0, 10);
+    const day = ['2025-07-01T00:00:00.000Z', '2025-07-01T23:59:59.999Z'];
+    const partial = ['2025-07-01T09:30:00.000Z', '2025-07-01T11:30:00.000Z'];
+
+    const check = async (users, label) => {
+      runner.assertEqual(await rollups.countEvents(...day), 5, `${label}: events of the day`);
+      runner.assertEqual(await rollups.countUniqueUsers(...day), users, `${label}: users of the day`);
+      runner.assertEqual(await rollups.countEvents(...partial), 2, `${label}: 10:00 and 11:00 in a partial range`);
+      const [approximate] = await rollups.approximateUniqueSeries(...day);
+      runner.assertEqual(approximate.count, users, `${label}: approximate users`);
+      runner.assertEqual(
+        await rollups.countEvents(`${today}T00:00:00.000Z`, `${today}T23:59:59.999Z`, { event_name: 'legacy_now' }),
+        1,
+        `${label}: event tracked without a time`
+      );
+    };
+
+    await check(5, 'Before the pass');
+    await rollups.run();
+    await check(5, 'After the pass');
+
+    await new IdentityResolver(db).merge('legacy_1', 'legacy_0');
+    runner.assertEqual((await rollups.status()).dirty_days, 1, 'The merge marks July 1');
+    await check(4, 'Dirty');
+    const result = await rollups.run();
+    runner.assertEqual(result.days, 1, 'July 1 aggregated again');
+    await check(4, 'Rebuilt');
+  });
+
+  // Test 10: Derived Sessions
+  await runner.test('Sessions derived by the sessionizer are counted, also after the days were rolled up', async () => {
+    const august = ['2025-08-01T00:00:00.000Z', '2025-08-01T23:59:59.999Z'];
+    const exactSessions = async () => (await db.get(
+      `SELECT COUNT(DISTINCT COALESCE(session_id, derived_session_id)) as count FROM events
+       WHERE timestamp >= ? AND timestamp <= ?`,
+      august
+    )).count;
+    const sessionizer = new Sessionizer(db);
+    // Sessions for the events of the earlier tests first
+    await sessionizer.run();
+    await rollups.run();
+
+    // Two users without client sessions, one of them back after two hours,
+    // and one client session
+    await track('visit', 'walker', '2025-08-01T09:00:00.000Z');
+    await track('visit', 'walker', '2025-08-01T09:10:00.000Z');
+    await track('visit', 'walker', '2025-08-01T11:10:00.000Z');
+    await track('visit', 'runner', '2025-08-01T10:00:00.000Z');
+    await track('visit', 'client', '2025-08-01T10:00:00.000Z', { session_id: 'client_1' });
+
+    // Rolled up before the sessionizer ran
+    await rollups.run();
+    await sessionizer.run();
+    runner.assertEqual(await exactSessions(), 4, 'Three derived sessions and a client one');
+    runner.assertEqual((await rollups.status()).dirty_days, 1, 'The sessionizer marks August 1');
+    runner.assertEqual(await rollups.countSessions(...august), 4, 'Counted before the next pass');
+
+    await rollups.run();
+    runner.assertEqual(await rollups.countSessions(...august), 4, 'And after it');
+
+    // Late events close walker's gap, joining both sessions into one
+    for (const time of ['09:40', '10:10', '10:40']) {
+      await track('visit', 'walker', `2025-08-01T${time}:00.000Z`);
+    }
+    await rollups.run();
+    await sessionizer.run();
+    runner.assertEqual(await exactSessions(), 3, 'Walker now has one session');
+    runner.assertEqual(await rollups.countSessions(...august), 3, 'Rollups follow');
+    await rollups.run();
+    runner.assertEqual(await rollups.countSessions(...august), 3, 'Also once aggregated again');
+    runner.assertEqual((await rollups.status()).dirty_days, 0, 'Nothing left to aggregate');
+
+    await sessionizer.run();
+    runner.assertEqual((await rollups.status()).dirty_days, 0, 'A pass changing nothing marks nothing');
+  });
+
+  await db.remove();
+  return runner.summary();
+}
+
+// Run tests
+if (require.main === module) {
+  console.log('Event Rollups - Test Suite');
+  console.log('='.repeat(80) + '\n');
+
+  runTests()
+    .then(success => {
+      process.exit(success ? 0 : 1);
+    })
+    .catch(error => {
+      console.error('Test suite failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { runTests };
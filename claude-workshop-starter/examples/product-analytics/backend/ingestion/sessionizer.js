@@ -0,0 +1,185 @@
+/**
+ * Sessionizer
+ * Derives sessions for events tracked without a session_id. A user's events
+ * belong to the same session until there is a gap of more than gapMinutes
+ * between two of them.
+ *
+ * The derived id is stored in events.derived_session_id, so session queries
+ * use COALESCE(session_id, derived_session_id) and client sessions win where
+ * the client sent one. Ids are built from the user and the session's first
+ * event time, so running the pass again over the same events gives the same ids.
+ * When a pass changes the session of events already rolled up, their days are
+ * marked dirty so the rollups count the new sessions.
+ */
+
+const DEFAULT_OPTIONS = {
+  gapMinutes: 30,      // inactivity that ends a session
+  intervalMs: 60 * 1000 // how often start() runs the pass
+};
+
+// The derived session of each event a pass assigns (the gap in ms is the parameter)
+// affected: users with sessionless events not yet assigned
+// resume: start of the derived session before each user's earliest new event
+// gaps/numbered: a new session starts after more than gapMinutes of inactivity
+// (compared in whole milliseconds, so a gap of exactly gapMinutes doesn't split)
+const SESSIONS = `WITH affected AS (
+    SELECT user_id, MIN(julianday(timestamp)) as first_new
+    FROM events
+    WHERE session_id IS NULL AND derived_session_id IS NULL
+    GROUP BY user_id
+  ),
+  resume AS (
+    SELECT
+      a.user_id,
+      COALESCE((
+        SELECT MIN(julianday(s.timestamp))
+        FROM events s
+        WHERE s.user_id = a.user_id
+        AND s.session_id IS NULL
+        AND s.derived_session_id = (
+          SELECT p.derived_session_id
+          FROM events p
+          WHERE p.user_id = a.user_id
+          AND p.session_id IS NULL
+          AND p.derived_session_id IS NOT NULL
+          AND julianday(p.timestamp) <= a.first_new
+          ORDER BY julianday(p.timestamp) DESC
+          LIMIT 1
+        )
+      ), a.first_new) as from_day
+    FROM affected a
+  ),
+  gaps AS (
+    SELECT
+      e.id,
+      e.user_id,
+      julianday(e.timestamp) as day,
+      CASE
+        WHEN LAG(julianday(e.timestamp)) OVER user_events IS NULL THEN 1
+        WHEN ROUND((julianday(e.timestamp) - LAG(julianday(e.timestamp)) OVER user_events) * 86400000) > ? THEN 1
+        ELSE 0
+      END as starts_session
+    FROM events e
+    JOIN resume r ON e.user_id = r.user_id AND julianday(e.timestamp) >= r.from_day
+    WHERE e.session_id IS NULL
+    WINDOW user_events AS (PARTITION BY e.user_id ORDER BY julianday(e.timestamp), e.id)
+  ),
+  numbered AS (
+    SELECT
+      id,
+      user_id,
+      day,
+      SUM(starts_session) OVER (PARTITION BY user_id ORDER BY day, id) as session_number
+    FROM gaps
+  ),
+  sessions AS (
+    SELECT
+      id,
+      'ds_' || user_id || '_' ||
+        CAST(ROUND((MIN(day) OVER (PARTITION BY user_id, session_number) - 2440587.5) * 86400000) AS INTEGER)
+        as derived_session_id
+    FROM numbered
+  )`;
+
+class Sessionizer {
+  constructor(database, options = {}) {
+    this.db = database;
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.timer = null;
+    this.running = null;
+
+    if (!(this.options.gapMinutes > 0)) {
+      throw new Error('gapMinutes must be a positive number');
+    }
+  }
+
+  /**
+   * Assign sessions to events that don't have one yet
+   *
+   * Late events can join, split or extend sessions that were already derived,
+   * so each affected user is re-sessionized from the start of the session
+   * before their earliest new event.
+   *
+   * @returns {Object} { events } - events whose derived session changed
+   */
+  run() {
+    return this.pass(false);
+  }
+
+  /**
+   * Derive every session again, e.g. after changing gapMinutes
+   * @returns {Object} { events } - events whose derived session changed
+   */
+  rebuild() {
+    return this.pass(true);
+  }
+
+  async pass(rebuild) {
+    // A run requested while another is in progress shares it. Database
+    // transactions are serialized, so a rebuild simply goes after it.
+    if (this.running && !rebuild) {
+      return this.running;
+    }
+
+    const pass = this.db.transaction(async () => {
+      if (rebuild) {
+        await this.db.run('UPDATE events SET derived_session_id = NULL WHERE derived_session_id IS NOT NULL');
+      }
+
+      const params = [this.options.gapMinutes * 60 * 1000];
+
+      // Days already rolled up (see rollups.js) whose events change session
+      // are aggregated again on the next rollup pass
+      await this.db.run(
+        `${SESSIONS}
+        INSERT OR IGNORE INTO event_rollup_dirty_days (day)
+        SELECT DISTINCT DATE(events.timestamp)
+        FROM events
+        JOIN sessions ON events.id = sessions.id
+        WHERE events.derived_session_id IS NOT sessions.derived_session_id
+        AND events.id <= (SELECT COALESCE(MAX(last_event_id), 0) FROM event_rollup_state)`,
+        params
+      );
+
+      const result = await this.db.run(
+        `${SESSIONS}
+        UPDATE events
+        SET derived_session_id = sessions.derived_session_id
+        FROM sessions
+        WHERE events.id = sessions.id
+        AND events.derived_session_id IS NOT sessions.derived_session_id`,
+        params
+      );
+
+      return { events: result.changes };
+    });
+
+    this.running = pass;
+    try {
+      return await pass;
+    } finally {
+      if (this.running === pass) {
+        this.running = null;
+      }
+    }
+  }
+
+  // Run the pass on a timer until stop()
+  start() {
+    if (!this.timer) {
+      this.timer = setInterval(() => {
+        this.run().catch(error => console.error('Sessionization failed:', error));
+      }, this.options.intervalMs);
+      this.timer.unref();
+    }
+    return this;
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    return this.running || Promise.resolve();
+  }
+}
+
+module.exports = Sessionizer;
@@ -0,0 +1,135 @@
+// Test Suite for Sessionizer
+// Run with: node ingestion/sessionizer.test.js
+
+const Sessionizer = require('./sessionizer');
+const { TestRunner, createTestDatabase } = require('../utils/test-runner');
+
+const START = Date.UTC(2025, 1, 1, 9, 0, 0);
+
+// ISO time minutes after START
+const at = minutes => new Date(START + minutes * 60 * 1000).toISOString();
+
+// Derived id of a session whose first event is at a minute
+const sessionAt = (userId, minutes) => `ds_${userId}_${START + minutes * 60 * 1000}`;
+
+async function runTests() {
+  const runner = new TestRunner();
+  const db = await createTestDatabase('./test-sessionizer.db');
+  const sessionizer = new Sessionizer(db);
+
+  const track = (userId, minutes, extra = {}) =>
+    db.insertEvent({ event_name: 'page_view', user_id: userId, timestamp: at(minutes), ...extra });
+
+  // Derived session of each of a user's events, in time order
+  const sessionsOf = async userId => (await db.all(
+    'SELECT derived_session_id FROM events WHERE user_id = ? ORDER BY timestamp, id',
+    [userId]
+  )).map(row => row.derived_session_id);
+
+  console.log('Running tests...\n');
+
+  // Test 1: Inactivity Gap
+  await runner.test('A gap of more than 30 minutes starts a new session', async () => {
+    for (const minutes of [0, 10, 40, 71]) {
+      await track('gap_user', minutes);
+    }
+
+    await sessionizer.run();
+    runner.assertEqual(
+      (await sessionsOf('gap_user')).join(),
+      [0, 0, 0, 71].map(m => sessionAt('gap_user', m)).join(),
+      'Gaps of 30 minutes stay in the session, 31 minutes do not'
+    );
+  });
+
+  // Test 2: Client Sessions
+  await runner.test('Events with a client session_id are left alone', async () => {
+    await track('client_user', 0, { session_id: 'client_session' });
+    await track('client_user', 5);
+
+    await sessionizer.run();
+    const sessions = await sessionsOf('client_user');
+    runner.assertEqual(sessions[0], null, 'No derived session for the client session');
+    runner.assertEqual(sessions[1], sessionAt('client_user', 5), 'The other event starts its own');
+  });
+
+  // Test 3: Idempotent Runs
+  await runner.test('Running again changes nothing', async () => {
+    const result = await sessionizer.run();
+    runner.assertEqual(result.events, 0, 'No events changed');
+  });
+
+  // Test 4: Late Event Joining Sessions
+  await runner.test('A late event can join two sessions into one', async () => {
+    await track('late_user', 0);
+    await track('late_user', 50);
+    await sessionizer.run();
+    runner.assertEqual(new Set(await sessionsOf('late_user')).size, 2, 'Two sessions at first');
+
+    await track('late_user', 25);
+    const result = await sessionizer.run();
+    runner.assertEqual(result.events, 2, 'The late event and the later session change');
+    runner.assertEqual(
+      (await sessionsOf('late_user')).join(),
+      [0, 0, 0].map(m => sessionAt('late_user', m)).join(),
+      'One session'
+    );
+  });
+
+  // Test 5: Late Event Before the First
+  await runner.test('A late event before a session moves its start', async () => {
+    await track('early_user', 0);
+    await track('early_user', 10);
+    await sessionizer.run();
+
+    await track('early_user', -20);
+    await sessionizer.run();
+    runner.assertEqual(
+      (await sessionsOf('early_user')).join(),
+      [-20, -20, -20].map(m => sessionAt('early_user', m)).join(),
+      'The session now starts 20 minutes earlier'
+    );
+  });
+
+  // Test 6: Rebuild with Another Gap
+  await runner.test('rebuild derives sessions again with a new gap', async () => {
+    const longGaps = new Sessionizer(db, { gapMinutes: 60 });
+    await longGaps.rebuild();
+
+    runner.assertEqual(
+      (await sessionsOf('gap_user')).join(),
+      [0, 0, 0, 0].map(m => sessionAt('gap_user', m)).join(),
+      'A 31 minute gap no longer splits'
+    );
+  });
+
+  // Test 7: Shared Runs and Validation
+  await runner.test('Concurrent runs share one pass; gapMinutes must be positive', async () => {
+    await track('shared_user', 0);
+    const [first, second] = await Promise.all([sessionizer.run(), sessionizer.run()]);
+    runner.assertTrue(first === second, 'The second run gets the result of the first');
+    runner.assertEqual(first.events, 1, 'One event sessionized');
+
+    await runner.assertRejects(async () => new Sessionizer(db, { gapMinutes: 0 }), { pattern: /gapMinutes/ }, 'Zero gap');
+  });
+
+  await db.remove();
+  return runner.summary();
+}
+
+// Run tests
+if (require.main === module) {
+  console.log('Sessionizer - Test Suite');
+  console.log('='.repeat(80) + '\n');
+
+  runTests()
+    .then(success => {
+      process.exit(success ? 0 : 1);
+    })
+    .catch(error => {
+      console.error('Test suite failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { runTests };
@@ -75,15 +75,20 @@ module.exports = function(db) {
         });
       }
 
-      // Parse funnel steps
+      // Parse funnel steps and saved ordering/window options
       const steps = JSON.parse(funnel.steps);
+      const funnelOptions = {
+        order: funnel.order_mode || 'strict',
+        conversionWindowDays: funnel.conversion_window_days || null
+      };
 
       // Analyze funnel
       const analysis = await funnelAnalyzer.analyzeFunnel(
         steps,
         start_date,
         end_date,
-        cohort_id
+        cohort_id,
+        funnelOptions
       );
 
       // Include timings if requested
@@ -103,7 +108,8 @@ module.exports = function(db) {
           steps,
           start_date,
           end_date,
-          breakdown
+          breakdown,
+          funnelOptions
         );
       }
 
@@ -6,13 +6,43 @@
  */
 
 const express = require('express');
+const EventQueue = require('../ingestion/event-queue');
+
+/**
+ * Send the response for an event the ingestion queue refused
+ * (429 with Retry-After when full, 503 while shutting down)
+ * @param {express.Response} res - Express response
+ * @param {Error} error - QueueFullError or QueueClosedError
+ */
+function sendQueueRejection(res, error) {
+  if (error.retryAfter) {
+    res.set('Retry-After', String(error.retryAfter));
+  }
+  res.status(error.statusCode).json({
+    success: false,
+    error: error.message,
+    retry_after: error.retryAfter
+  });
+}
+
+function isQueueRejection(error) {
+  return error instanceof EventQueue.QueueFullError || error instanceof EventQueue.QueueClosedError;
+}
+
+function trackMessage(result) {
+  if (result.duplicate) return 'Duplicate event ignored';
+  if (result.quarantined) return `Event quarantined: ${result.reason}`;
+  return 'Event tracked successfully';
+}
 
 /**
  * Creates and configures the events router
  * @param {Database} db - Database instance
+ * @param {EventQueue} eventQueue - Ingestion queue used by /track and /batch
+ *   (defaults to a new queue; close it on shutdown to flush buffered events)
  * @returns {express.Router} Configured Express router
  */
-module.exports = function(db) {
+module.exports = function(db, eventQueue = new EventQueue(db)) {
   const router = express.Router();
 
   /**
@@ -32,59 +62,71 @@ module.exports = function(db) {
    *   browser: string (optional) - Browser name
    *   country: string (optional) - User country
    *   city: string (optional) - User city
+   *   insert_id: string (optional) - Client-generated event id (message_id also accepted);
+   *     resubmits within the dedup window return the original event_id
+   *   timestamp: string|number (optional) - When the event happened on the client (ISO or epoch ms)
+   *   sent_at: string|number (optional) - Client clock when the request was sent; used to
+   *     correct timestamp for device clock skew
    * }
    *
-   * Response: { success: true, event_id: number }
+   * Events are buffered and written in batches; the response is sent once
+   * the event has been written. Events whose timestamp is outside the accepted
+   * past/future bounds are quarantined (or rejected with 400, depending on config).
+   * When schema validation is strict, events that don't match the registry are
+   * kept in the dead-letter table and answered with 422; in warn mode they are
+   * tracked and the problems are returned as warnings.
+   *
+   * Response: { success: true, event_id: number, duplicate: boolean, quarantined: boolean,
+   *   reason, warnings, message, timestamp }
+   * 429 (with Retry-After) when the ingestion queue is full
    */
   router.post('/track', async (req, res) => {
+    const receivedAt = new Date();
+
     try {
-      const {
-        event_name,
-        user_id,
-        properties = {},
-        session_id,
-        page_url,
-        referrer,
-        device_type,
-        browser,
-        country,
-        city
-      } = req.body;
+      const eventData = req.body;
 
       // Validation
-      if (!event_name || !user_id) {
+      if (!eventData.event_name || !eventData.user_id) {
         return res.status(400).json({
           success: false,
           error: 'event_name and user_id are required'
         });
       }
 
-      // Ensure user exists (create if not)
-      await db.getUserOrCreate(user_id, {
-        properties: {}
-      });
+      // Queue the event; the user is created when the batch is written
+      const result = await eventQueue.track(eventData, receivedAt);
 
-      // Track the event
-      const result = await db.trackEvent({
-        event_name,
-        user_id,
-        properties,
-        session_id,
-        page_url,
-        referrer,
-        device_type,
-        browser,
-        country,
-        city
-      });
+      if (result.dead_lettered) {
+        return res.status(422).json({
+          success: false,
+          error: 'Event failed schema validation',
+          errors: result.errors,
+          dead_letter_id: result.dead_letter_id
+        });
+      }
 
       res.json({
         success: true,
         event_id: result.id,
-        timestamp: new Date().toISOString()
+        duplicate: Boolean(result.duplicate),
+        quarantined: Boolean(result.quarantined),
+        reason: result.reason,
+        warnings: result.warnings,
+        message: trackMessage(result),
+        timestamp: receivedAt.toISOString()
       });
 
     } catch (error) {
+      if (error instanceof EventQueue.InvalidEventError) {
+        return res.status(400).json({
+          success: false,
+          error: error.message
+        });
+      }
+      if (isQueueRejection(error)) {
+        return sendQueueRejection(res, error);
+      }
       console.error('Error tracking event:', error);
       res.status(500).json({
         success: false,
@@ -106,16 +148,27 @@ module.exports = function(db) {
    *       event_name: string,
    *       user_id: string,
    *       properties: object,
+   *       insert_id: string (optional),
+   *       timestamp: string|number (optional),
    *       // ... other event fields
    *     }
-   *   ]
+   *   ],
+   *   sent_at: string|number (optional) - Applies to every event without its own sent_at
    * }
    *
-   * Response: { success: true, tracked_count: number, failed_count: number }
+   * Response: {
+   *   success: true, tracked_count: number, duplicate_count: number,
+   *   quarantined_count: number, failed_count: number
+   * }
+   * Each result and error carries the index of its event in the request. Events whose
+   * insert_id was already seen count as tracked and return the original event_id
+   * 429 (with Retry-After) when the ingestion queue can't take the whole batch
    */
   router.post('/batch', async (req, res) => {
+    const receivedAt = new Date();
+
     try {
-      const { events } = req.body;
+      const { events, sent_at } = req.body;
 
       // Validation
       if (!events || !Array.isArray(events)) {
@@ -139,46 +192,65 @@ module.exports = function(db) {
         });
       }
 
-      const results = [];
+      const valid = [];
       const errors = [];
 
-      // Track each event
-      for (const event of events) {
-        try {
-          if (!event.event_name || !event.user_id) {
-            errors.push({
-              event,
-              error: 'event_name and user_id are required'
-            });
-            continue;
-          }
-
-          // Ensure user exists
-          await db.getUserOrCreate(event.user_id, {
-            properties: {}
+      events.forEach((event, index) => {
+        if (!event || !event.event_name || !event.user_id) {
+          errors.push({
+            index,
+            error: 'event_name and user_id are required'
           });
+          return;
+        }
 
-          // Track the event
-          const result = await db.trackEvent(event);
-          results.push({ event_id: result.id });
+        // A batch-level sent_at applies to events that don't carry their own
+        valid.push({ index, event: { sent_at, ...event } });
+      });
 
-        } catch (error) {
+      // The whole batch is queued or rejected together so clients can retry it as-is
+      const outcomes = await Promise.allSettled(eventQueue.enqueue(valid.map(v => v.event), receivedAt));
+      const results = [];
+
+      outcomes.forEach((outcome, i) => {
+        if (outcome.status === 'fulfilled' && outcome.value.dead_lettered) {
+          errors.push({
+            index: valid[i].index,
+            error: 'Event failed schema validation',
+            errors: outcome.value.errors,
+            dead_letter_id: outcome.value.dead_letter_id
+          });
+        } else if (outcome.status === 'fulfilled') {
+          results.push({
+            index: valid[i].index,
+            event_id: outcome.value.id,
+            duplicate: Boolean(outcome.value.duplicate),
+            quarantined: Boolean(outcome.value.quarantined),
+            reason: outcome.value.reason,
+            warnings: outcome.value.warnings
+          });
+        } else {
           errors.push({
-            event,
-            error: error.message
+            index: valid[i].index,
+            error: outcome.reason.message
           });
         }
-      }
+      });
 
       res.json({
         success: true,
         tracked_count: results.length,
+        duplicate_count: results.filter(result => result.duplicate).length,
+        quarantined_count: results.filter(result => result.quarantined).length,
         failed_count: errors.length,
         results: results,
         errors: errors.length > 0 ? errors : undefined
       });
 
     } catch (error) {
+      if (isQueueRejection(error)) {
+        return sendQueueRejection(res, error);
+      }
       console.error('Error tracking batch events:', error);
       res.status(500).json({
         success: false,
@@ -248,8 +320,9 @@ module.exports = function(db) {
       }
 
       if (session_id) {
-        sql += ' AND session_id = ?';
-        params.push(session_id);
+        // Derived session ids (see ingestion/sessionizer.js) match too
+        sql += ' AND (session_id = ? OR (session_id IS NULL AND derived_session_id = ?))';
+        params.push(session_id, session_id);
       }
 
       if (start_date) {
@@ -343,7 +416,7 @@ module.exports = function(db) {
 
       // Unique sessions
       const uniqueSessionsResult = await db.get(
-        'SELECT COUNT(DISTINCT session_id) as count FROM events WHERE timestamp BETWEEN ? AND ? AND session_id IS NOT NULL',
+        'SELECT COUNT(DISTINCT COALESCE(session_id, derived_session_id)) as count FROM events WHERE timestamp BETWEEN ? AND ? AND COALESCE(session_id, derived_session_id) IS NOT NULL',
         [start_date, end_date]
       );
       const uniqueSessions = uniqueSessionsResult.count;
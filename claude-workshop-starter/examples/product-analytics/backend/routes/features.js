@@ -0,0 +1,141 @@
+/**
+ * Feature Registry API Routes
+ *
+ * Registers features (one or more target events, optionally narrowed by event
+ * property filters, and a launch date) and reports their adoption scorecard.
+ * The /api/features analysis endpoints take ?feature=<id> in place of ?event=.
+ *
+ * Features live under /api/features/registry, so an id can never be shadowed
+ * by an analysis endpoint.
+ */
+
+const express = require('express');
+
+/**
+ * Creates and configures the feature registry router
+ * @param {Database} db - Database instance
+ * @param {Object} services - { featureRegistry }
+ * @returns {express.Router} Configured Express router
+ */
+module.exports = function(db, { featureRegistry }) {
+  const router = express.Router();
+
+  function sendError(res, error, message) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
+    console.error(`${message}:`, error);
+    res.status(500).json({ success: false, error: message, message: error.message });
+  }
+
+  /**
+   * GET /api/features/registry
+   *
+   * Response: { success: true, count, features: [...] }
+   */
+  router.get('/registry', async (req, res) => {
+    try {
+      const features = await featureRegistry.list();
+      res.json({ success: true, count: features.length, features });
+    } catch (error) {
+      sendError(res, error, 'Failed to list features');
+    }
+  });
+
+  /**
+   * GET /api/features/scorecard
+   *
+   * Adoption of every registered feature since its launch
+   *
+   * Response: { success: true, generated_at, count, features: [{
+   *   feature_id, name, launch_date, days_since_launch, active_users,
+   *   reach: { users, percentage },
+   *   adoption: { min_active_days, users, percentage },
+   *   retention: { window_days, eligible_users, retained_users, percentage },
+   *   time_to_adopt: { sample_size, avg_hours, median_hours }
+   * }] }
+   *   reach is a share of users active since launch, adoption a share of
+   *   reached users; retention counts users who first used the feature over
+   *   window_days ago and used it again within the last window_days
+   */
+  router.get('/scorecard', async (req, res) => {
+    try {
+      const scorecard = await featureRegistry.scorecard();
+      res.json({ success: true, ...scorecard });
+    } catch (error) {
+      sendError(res, error, 'Failed to compute feature scorecard');
+    }
+  });
+
+  /**
+   * GET /api/features/registry/:featureId
+   *
+   * Response: { success: true, feature: {...} }
+   */
+  router.get('/registry/:featureId', async (req, res) => {
+    try {
+      const feature = await featureRegistry.get(req.params.featureId);
+      res.json({ success: true, feature });
+    } catch (error) {
+      sendError(res, error, 'Failed to get feature');
+    }
+  });
+
+  /**
+   * POST /api/features/registry
+   *
+   * Register a feature
+   *
+   * Request body:
+   * {
+   *   id: string (required) - used as ?feature=<id>
+   *   name, description: string (optional)
+   *   targets: array - event names or { event_name, filters: [{ property, operator, value }] };
+   *     using the feature is any of the targets, each with all of its filters
+   *   target_event: string - shorthand for a single target without filters
+   *   launch_date: date (optional) - start of the scorecard, else the first use
+   * }
+   *
+   * Response: 201 { success: true, feature: {...} }
+   */
+  router.post('/registry', async (req, res) => {
+    try {
+      const feature = await featureRegistry.create(req.body);
+      res.status(201).json({ success: true, feature });
+    } catch (error) {
+      sendError(res, error, 'Failed to create feature');
+    }
+  });
+
+  /**
+   * PUT /api/features/registry/:featureId
+   *
+   * Change any of the fields accepted on creation except id
+   *
+   * Response: { success: true, feature: {...} }
+   */
+  router.put('/registry/:featureId', async (req, res) => {
+    try {
+      const feature = await featureRegistry.update(req.params.featureId, req.body);
+      res.json({ success: true, feature });
+    } catch (error) {
+      sendError(res, error, 'Failed to update feature');
+    }
+  });
+
+  /**
+   * DELETE /api/features/registry/:featureId
+   *
+   * Response: { success: true }
+   */
+  router.delete('/registry/:featureId', async (req, res) => {
+    try {
+      await featureRegistry.remove(req.params.featureId);
+      res.json({ success: true });
+    } catch (error) {
+      sendError(res, error, 'Failed to delete feature');
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,180 @@
+/**
+ * Feature Flag API Routes
+ *
+ * Manages feature flags (boolean or multivariate, with targeting rules,
+ * percentage rollouts and a kill switch) and evaluates them for a user.
+ */
+
+const express = require('express');
+
+/**
+ * Creates and configures the feature flag router
+ * @param {Database} db - Database instance
+ * @param {Object} services - { featureFlags }
+ * @returns {express.Router} Configured Express router
+ */
+module.exports = function(db, { featureFlags }) {
+  const router = express.Router();
+
+  function sendError(res, error, message) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
+    console.error(`${message}:`, error);
+    res.status(500).json({ success: false, error: message, message: error.message });
+  }
+
+  /**
+   * GET /api/flags
+   *
+   * Response: { success: true, count, flags: [...] }
+   */
+  router.get('/', async (req, res) => {
+    try {
+      const flags = await featureFlags.list();
+      res.json({ success: true, count: flags.length, flags });
+    } catch (error) {
+      sendError(res, error, 'Failed to list feature flags');
+    }
+  });
+
+  /**
+   * GET /api/flags/evaluate?user_id=
+   *
+   * Every flag's value for a user. Evaluating serves the flags: the first time
+   * the user is served a value of a flag, a feature_flag_exposure event is
+   * tracked for them (and a flag following an experiment assigns them to it).
+   * Flags that are off for the user (killed, no matching rule, outside the
+   * rollout) record nothing.
+   *
+   * Response: { success: true, user_id, flags: { key: value }, reasons: { key: reason } }
+   *   value is true, a variant name, or false when the flag is off for the user
+   */
+  router.get('/evaluate', async (req, res) => {
+    try {
+      const { user_id } = req.query;
+
+      if (!user_id) {
+        return res.status(400).json({
+          success: false,
+          error: 'user_id is required'
+        });
+      }
+
+      const result = await featureFlags.evaluate(user_id);
+      res.json({ success: true, ...result });
+    } catch (error) {
+      sendError(res, error, 'Failed to evaluate feature flags');
+    }
+  });
+
+  /**
+   * GET /api/flags/:key
+   *
+   * Response: { success: true, flag: {...} }
+   */
+  router.get('/:key', async (req, res) => {
+    try {
+      const flag = await featureFlags.get(req.params.key);
+      res.json({ success: true, flag });
+    } catch (error) {
+      sendError(res, error, 'Failed to get feature flag');
+    }
+  });
+
+  /**
+   * POST /api/flags
+   *
+   * Create a flag
+   *
+   * Request body:
+   * {
+   *   key: string (required)
+   *   name, description: string (optional)
+   *   type: 'boolean' (default) or 'multivariate'
+   *   variants: array (multivariate) - names (even split) or { name, weight }
+   *   rules: array (optional) - [{ properties: [{ property, operator, value }], cohort_id }],
+   *     OR-ed; a user matches a rule with every property filter and the cohort.
+   *     No rules targets everyone.
+   *   rollout_percentage: number (optional, default 100) - share of matching users
+   *   experiment_id: string (optional, multivariate) - take the variant from the experiment
+   *   enabled: boolean (optional, default true)
+   * }
+   *
+   * Response: 201 { success: true, flag: {...} }
+   */
+  router.post('/', async (req, res) => {
+    try {
+      const flag = await featureFlags.create(req.body);
+      res.status(201).json({ success: true, flag });
+    } catch (error) {
+      sendError(res, error, 'Failed to create feature flag');
+    }
+  });
+
+  /**
+   * PUT /api/flags/:key
+   *
+   * Change any of the fields accepted on creation except key
+   *
+   * Response: { success: true, flag: {...} }
+   */
+  router.put('/:key', async (req, res) => {
+    try {
+      const flag = await featureFlags.update(req.params.key, req.body);
+      res.json({ success: true, flag });
+    } catch (error) {
+      sendError(res, error, 'Failed to update feature flag');
+    }
+  });
+
+  /**
+   * POST /api/flags/:key/kill
+   *
+   * Kill switch: turn the flag off for everyone, keeping its configuration
+   *
+   * Response: { success: true, flag: {...} }
+   */
+  router.post('/:key/kill', async (req, res) => {
+    try {
+      const flag = await featureFlags.setEnabled(req.params.key, false);
+      res.json({ success: true, flag });
+    } catch (error) {
+      sendError(res, error, 'Failed to kill feature flag');
+    }
+  });
+
+  /**
+   * POST /api/flags/:key/enable
+   *
+   * Undo the kill switch
+   *
+   * Response: { success: true, flag: {...} }
+   */
+  router.post('/:key/enable', async (req, res) => {
+    try {
+      const flag = await featureFlags.setEnabled(req.params.key, true);
+      res.json({ success: true, flag });
+    } catch (error) {
+      sendError(res, error, 'Failed to enable feature flag');
+    }
+  });
+
+  /**
+   * DELETE /api/flags/:key
+   *
+   * Delete a flag and its exposure records (exposure events are kept)
+   *
+   * Response: { success: true }
+   */
+  router.delete('/:key', async (req, res) => {
+    try {
+      await featureFlags.remove(req.params.key);
+      res.json({ success: true });
+    } catch (error) {
+      sendError(res, error, 'Failed to delete feature flag');
+    }
+  });
+
+  return router;
+};
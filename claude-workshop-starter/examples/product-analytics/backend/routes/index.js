@@ -9,17 +9,52 @@
 const eventsRouter = require('./events');
 const analyticsRouter = require('./analytics');
 const usersRouter = require('./users');
+const schemaRouter = require('./schema');
+const flagsRouter = require('./flags');
+const featuresRouter = require('./features');
+const insightsRouter = require('./insights');
+const ExperimentAssigner = require('../analytics/experiment-assigner');
+const FeatureFlags = require('../analytics/feature-flags');
+const FeatureRegistry = require('../analytics/feature-registry');
+const InsightsQuery = require('../analytics/insights-query');
+const EventQueue = require('../ingestion/event-queue');
+const EventSchemaRegistry = require('../ingestion/event-schema');
+const IdentityResolver = require('../ingestion/identity');
 
 /**
  * Initialize all routes with the database instance
  * @param {Database} db - Database instance
- * @returns {Object} Object containing all configured routers
+ * @param {Object} options - { validationMode: 'off' | 'warn' | 'strict' } for event schemas
+ * @returns {Object} Object containing all configured routers, plus the
+ *   eventQueue to close() on shutdown so buffered events are written and a
+ *   `ready` promise that resolves once the schema registry is loaded (with the
+ *   flag exposure event registered)
  */
-function initializeRoutes(db) {
+function initializeRoutes(db, options = {}) {
+  const schemaRegistry = new EventSchemaRegistry(db);
+  const eventQueue = new EventQueue(db, {
+    schemaRegistry,
+    validationMode: options.validationMode || 'off'
+  });
+
+  const identityResolver = new IdentityResolver(db);
+  const featureFlags = new FeatureFlags(db, {
+    identityResolver,
+    experimentAssigner: new ExperimentAssigner(db, { identityResolver }),
+    eventQueue
+  });
+
   return {
-    events: eventsRouter(db),
+    ready: schemaRegistry.load().then(() => FeatureFlags.registerExposureSchema(schemaRegistry)),
+    eventQueue,
+    schemaRegistry,
+    schema: schemaRouter(db, { schemaRegistry, eventQueue }),
+    events: eventsRouter(db, eventQueue),
     analytics: analyticsRouter(db),
-    users: usersRouter(db)
+    users: usersRouter(db, identityResolver),
+    flags: flagsRouter(db, { featureFlags }),
+    features: featuresRouter(db, { featureRegistry: new FeatureRegistry(db) }),
+    insights: insightsRouter(db, { insightsQuery: new InsightsQuery(db) })
   };
 }
 
@@ -27,5 +62,9 @@ module.exports = {
   initializeRoutes,
   eventsRouter,
   analyticsRouter,
-  usersRouter
+  usersRouter,
+  schemaRouter,
+  flagsRouter,
+  featuresRouter,
+  insightsRouter
 };
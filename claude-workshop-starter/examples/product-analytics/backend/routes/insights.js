@@ -0,0 +1,60 @@
+/**
+ * Insights API Routes
+ *
+ * Declarative segmentation queries: one endpoint for the time series that
+ * would otherwise each need their own route (see analytics/insights-query.js).
+ */
+
+const express = require('express');
+
+/**
+ * Creates and configures the insights router
+ * @param {Database} db - Database instance
+ * @param {Object} services - { insightsQuery }
+ * @returns {express.Router} Configured Express router
+ */
+module.exports = function(db, { insightsQuery }) {
+  const router = express.Router();
+
+  function sendError(res, error, message) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
+    console.error(`${message}:`, error);
+    res.status(500).json({ success: false, error: message, message: error.message });
+  }
+
+  /**
+   * POST /api/insights/query
+   *
+   * Request body:
+   * {
+   *   events: array (required) - event names or { event_name, filters }, one series each
+   *     (event: a single event name, instead of events)
+   *   aggregation: 'total' (default), 'uniques', or { type, property, percentile } where
+   *     type is sum, avg, min, max or percentile (0-100, default 50) of a numeric
+   *     event property, or per_user_avg (events, or the property's sum, per user)
+   *   filters: array (optional) - event property filters [{ property, operator, value }]
+   *     and event column filters [{ attribute: 'country', operator, value }]
+   *   user_filters: array (optional) - user property filters [{ property, operator, value }]
+   *   group_by: array (optional) - up to 2 of an event column (country, city, device_type,
+   *     browser, page_url, referrer), event.<property> or user.<property>
+   *   granularity: hour, day (default), week or month
+   *   start_date, end_date: string (required)
+   *   limit: number (optional, default 10) - groups per event, the ones with the most events
+   * }
+   *
+   * Response: { success: true, query, periods: [...], series: [{ event_name, group, total,
+   *   data: [{ period, value }] }] }
+   */
+  router.post('/query', async (req, res) => {
+    try {
+      const result = await insightsQuery.run(req.body || {});
+      res.json({ success: true, ...result });
+    } catch (error) {
+      sendError(res, error, 'Failed to run insights query');
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,411 @@
+/**
+ * Schema API Routes
+ *
+ * Manages the event schema registry ("lexicon") and the dead-letter table of
+ * events refused by strict validation.
+ */
+
+const express = require('express');
+const { parseStoredTime } = require('../ingestion/event-time');
+
+/**
+ * Creates and configures the schema router
+ * @param {Database} db - Database instance
+ * @param {Object} ingestion - { schemaRegistry, eventQueue }
+ * @returns {express.Router} Configured Express router
+ */
+module.exports = function(db, { schemaRegistry, eventQueue }) {
+  const router = express.Router();
+
+  function parseDeadLetter(row) {
+    return {
+      ...row,
+      payload: JSON.parse(row.payload),
+      errors: JSON.parse(row.errors)
+    };
+  }
+
+  /**
+   * Send a dead-lettered event through ingestion again
+   * @param {Object} row - dead_letter_events row
+   * @returns {Object} { replayed, event_id, errors, quarantined }
+   */
+  async function replayDeadLetter(row) {
+    const payload = JSON.parse(row.payload);
+
+    if (eventQueue.options.validationMode === 'strict') {
+      const check = schemaRegistry.validate(payload);
+      if (!check.valid) {
+        return { replayed: false, errors: check.errors };
+      }
+    }
+
+    // Replay with the original receive time so clock-skew correction is unchanged
+    const result = await eventQueue.track(payload, parseStoredTime(row.received_at));
+
+    if (!result.id) {
+      return { replayed: false, quarantined: Boolean(result.quarantined), errors: [result.reason] };
+    }
+
+    await db.run(
+      `UPDATE dead_letter_events
+       SET replayed_at = CURRENT_TIMESTAMP, replayed_event_id = ?
+       WHERE id = ?`,
+      [result.id, row.id]
+    );
+
+    return { replayed: true, event_id: result.id };
+  }
+
+  function sendError(res, error, message) {
+    if (error.statusCode) {
+      if (error.retryAfter) {
+        res.set('Retry-After', String(error.retryAfter));
+      }
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
+    console.error(`${message}:`, error);
+    res.status(500).json({ success: false, error: message, message: error.message });
+  }
+
+  /**
+   * GET /api/schema/events
+   *
+   * List registered event schemas, plus event names seen in the events table
+   * that are not registered (usually typos or undocumented events)
+   *
+   * Response: { success: true, validation_mode, schemas: [...], unregistered: [...] }
+   */
+  router.get('/events', async (req, res) => {
+    try {
+      const observed = await db.all(
+        `SELECT event_name, COUNT(*) as count, MAX(timestamp) as last_seen
+         FROM events
+         GROUP BY event_name
+         ORDER BY count DESC`
+      );
+
+      res.json({
+        success: true,
+        validation_mode: eventQueue.options.validationMode,
+        schemas: schemaRegistry.list(),
+        unregistered: observed.filter(row => !schemaRegistry.get(row.event_name))
+          .map(row => ({ ...row, suggestion: schemaRegistry.suggest(row.event_name) }))
+      });
+    } catch (error) {
+      sendError(res, error, 'Failed to list event schemas');
+    }
+  });
+
+  /**
+   * GET /api/schema/events/:eventName
+   *
+   * Response: { success: true, schema: {...} }
+   */
+  router.get('/events/:eventName', (req, res) => {
+    const schema = schemaRegistry.get(req.params.eventName);
+
+    if (!schema) {
+      return res.status(404).json({
+        success: false,
+        error: 'Event schema not found'
+      });
+    }
+
+    res.json({ success: true, schema });
+  });
+
+  /**
+   * POST /api/schema/events
+   *
+   * Register a new event
+   *
+   * Request body:
+   * {
+   *   event_name: string (required)
+   *   description: string (optional)
+   *   properties: object (optional) - { name: { type, required, enum } }
+   *     type is one of string, number, integer, boolean, object, array
+   * }
+   *
+   * Response: 201 { success: true, schema: {...} }
+   */
+  router.post('/events', async (req, res) => {
+    try {
+      const { event_name, description, properties } = req.body;
+
+      if (!event_name) {
+        return res.status(400).json({
+          success: false,
+          error: 'event_name is required'
+        });
+      }
+
+      if (schemaRegistry.get(event_name)) {
+        return res.status(409).json({
+          success: false,
+          error: 'Event schema already exists; use PUT to change it'
+        });
+      }
+
+      let schema;
+      try {
+        schema = await schemaRegistry.save(event_name, { description, properties });
+      } catch (error) {
+        return res.status(400).json({ success: false, error: error.message });
+      }
+
+      res.status(201).json({ success: true, schema });
+    } catch (error) {
+      sendError(res, error, 'Failed to create event schema');
+    }
+  });
+
+  /**
+   * PUT /api/schema/events/:eventName
+   *
+   * Replace the description and property rules of a registered event
+   *
+   * Response: { success: true, schema: {...} }
+   */
+  router.put('/events/:eventName', async (req, res) => {
+    try {
+      const { eventName } = req.params;
+
+      if (!schemaRegistry.get(eventName)) {
+        return res.status(404).json({
+          success: false,
+          error: 'Event schema not found'
+        });
+      }
+
+      let schema;
+      try {
+        schema = await schemaRegistry.save(eventName, req.body);
+      } catch (error) {
+        return res.status(400).json({ success: false, error: error.message });
+      }
+
+      res.json({ success: true, schema });
+    } catch (error) {
+      sendError(res, error, 'Failed to update event schema');
+    }
+  });
+
+  /**
+   * DELETE /api/schema/events/:eventName
+   *
+   * Response: { success: true }
+   */
+  router.delete('/events/:eventName', async (req, res) => {
+    try {
+      const removed = await schemaRegistry.remove(req.params.eventName);
+
+      if (!removed) {
+        return res.status(404).json({
+          success: false,
+          error: 'Event schema not found'
+        });
+      }
+
+      res.json({ success: true });
+    } catch (error) {
+      sendError(res, error, 'Failed to delete event schema');
+    }
+  });
+
+  /**
+   * GET /api/schema/dead-letter
+   *
+   * Browse events refused by strict validation
+   *
+   * Query parameters:
+   * - event_name: Filter by event name
+   * - status: pending (default), replayed or all
+   * - limit: Maximum number of results (default: 100, max: 1000)
+   * - offset: Pagination offset (default: 0)
+   *
+   * Response: { success: true, events: [...], total: number }
+   */
+  router.get('/dead-letter', async (req, res) => {
+    try {
+      const { event_name, status = 'pending', limit = 100, offset = 0 } = req.query;
+
+      if (!['pending', 'replayed', 'all'].includes(status)) {
+        return res.status(400).json({
+          success: false,
+          error: 'status must be pending, replayed or all'
+        });
+      }
+
+      const parsedLimit = Math.min(parseInt(limit) || 100, 1000);
+      const parsedOffset = parseInt(offset) || 0;
+
+      let where = 'WHERE 1=1';
+      const params = [];
+
+      if (event_name) {
+        where += ' AND event_name = ?';
+        params.push(event_name);
+      }
+      if (status === 'pending') {
+        where += ' AND replayed_at IS NULL';
+      } else if (status === 'replayed') {
+        where += ' AND replayed_at IS NOT NULL';
+      }
+
+      const { count } = await db.get(`SELECT COUNT(*) as count FROM dead_letter_events ${where}`, params);
+      const rows = await db.all(
+        `SELECT * FROM dead_letter_events ${where} ORDER BY id DESC LIMIT ? OFFSET ?`,
+        [...params, parsedLimit, parsedOffset]
+      );
+
+      res.json({
+        success: true,
+        events: rows.map(parseDeadLetter),
+        count: rows.length,
+        total: count,
+        offset: parsedOffset,
+        limit: parsedLimit
+      });
+    } catch (error) {
+      sendError(res, error, 'Failed to list dead-letter events');
+    }
+  });
+
+  /**
+   * GET /api/schema/dead-letter/:id
+   *
+   * Response: { success: true, event: {...} }
+   */
+  router.get('/dead-letter/:id', async (req, res) => {
+    try {
+      const row = await db.get('SELECT * FROM dead_letter_events WHERE id = ?', [req.params.id]);
+
+      if (!row) {
+        return res.status(404).json({
+          success: false,
+          error: 'Dead-letter event not found'
+        });
+      }
+
+      res.json({ success: true, event: parseDeadLetter(row) });
+    } catch (error) {
+      sendError(res, error, 'Failed to get dead-letter event');
+    }
+  });
+
+  /**
+   * POST /api/schema/dead-letter/:id/replay
+   *
+   * Send a dead-lettered event through ingestion again, typically after the
+   * schema has been fixed. Fails with 422 if it still doesn't validate.
+   *
+   * Response: { success: true, event_id: number }
+   */
+  router.post('/dead-letter/:id/replay', async (req, res) => {
+    try {
+      const row = await db.get('SELECT * FROM dead_letter_events WHERE id = ?', [req.params.id]);
+
+      if (!row) {
+        return res.status(404).json({
+          success: false,
+          error: 'Dead-letter event not found'
+        });
+      }
+
+      if (row.replayed_at) {
+        return res.status(409).json({
+          success: false,
+          error: 'Event was already replayed',
+          event_id: row.replayed_event_id
+        });
+      }
+
+      const result = await replayDeadLetter(row);
+
+      if (!result.replayed) {
+        return res.status(422).json({
+          success: false,
+          error: 'Event still fails validation',
+          errors: result.errors
+        });
+      }
+
+      res.json({ success: true, event_id: result.event_id });
+    } catch (error) {
+      sendError(res, error, 'Failed to replay dead-letter event');
+    }
+  });
+
+  /**
+   * POST /api/schema/dead-letter/replay
+   *
+   * Replay pending dead-lettered events in bulk
+   *
+   * Request body:
+   * {
+   *   event_name: string (optional) - Only replay this event
+   *   limit: number (optional) - Maximum events to replay (default: 100, max: 1000)
+   * }
+   *
+   * Response: { success: true, replayed_count, failed_count, results: [...] }
+   */
+  router.post('/dead-letter/replay', async (req, res) => {
+    try {
+      const { event_name, limit = 100 } = req.body;
+      const parsedLimit = Math.min(parseInt(limit) || 100, 1000);
+
+      let sql = 'SELECT * FROM dead_letter_events WHERE replayed_at IS NULL';
+      const params = [];
+      if (event_name) {
+        sql += ' AND event_name = ?';
+        params.push(event_name);
+      }
+      sql += ' ORDER BY id LIMIT ?';
+      params.push(parsedLimit);
+
+      const rows = await db.all(sql, params);
+      const results = [];
+      for (const row of rows) {
+        results.push({ id: row.id, ...(await replayDeadLetter(row)) });
+      }
+
+      const replayedCount = results.filter(result => result.replayed).length;
+      res.json({
+        success: true,
+        replayed_count: replayedCount,
+        failed_count: results.length - replayedCount,
+        results
+      });
+    } catch (error) {
+      sendError(res, error, 'Failed to replay dead-letter events');
+    }
+  });
+
+  /**
+   * DELETE /api/schema/dead-letter/:id
+   *
+   * Discard a dead-lettered event
+   *
+   * Response: { success: true }
+   */
+  router.delete('/dead-letter/:id', async (req, res) => {
+    try {
+      const result = await db.run('DELETE FROM dead_letter_events WHERE id = ?', [req.params.id]);
+
+      if (result.changes === 0) {
+        return res.status(404).json({
+          success: false,
+          error: 'Dead-letter event not found'
+        });
+      }
+
+      res.json({ success: true });
+    } catch (error) {
+      sendError(res, error, 'Failed to delete dead-letter event');
+    }
+  });
+
+  return router;
+};
@@ -7,13 +7,16 @@
 
 const express = require('express');
 const JourneyMapper = require('../analytics/journey-mapper');
+const IdentityResolver = require('../ingestion/identity');
+const EventRollups = require('../ingestion/rollups');
 
 /**
  * Creates and configures the users router
  * @param {Database} db - Database instance
+ * @param {IdentityResolver} identityResolver - Resolves merged ids (optional)
  * @returns {express.Router} Configured Express router
  */
-module.exports = function(db) {
+module.exports = function(db, identityResolver = new IdentityResolver(db)) {
   const router = express.Router();
 
   // Initialize journey mapper for user journey tracking
@@ -130,13 +133,90 @@ module.exports = function(db) {
     }
   });
 
+  function sendIdentityError(res, error, message) {
+    if (error instanceof IdentityResolver.IdentityConflictError) {
+      return res.status(409).json({ success: false, error: error.message });
+    }
+    console.error(`${message}:`, error);
+    res.status(500).json({ success: false, error: message, message: error.message });
+  }
+
+  /**
+   * POST /api/users/identify
+   *
+   * Tie an anonymous visitor to a known user. Traits are set on the known
+   * user and the anonymous id, with all of its events, is merged into it.
+   *
+   * Request body:
+   * {
+   *   user_id: string (required) - Known user id
+   *   anonymous_id: string (optional) - Id used before the user was known
+   *   email: string (optional)
+   *   name: string (optional)
+   *   properties: object (optional) - Merged into existing properties
+   * }
+   *
+   * Response: { success: true, user: {...}, merge: { alias_id, canonical_id, merged, events_moved } | null }
+   * 409 if anonymous_id is already merged into a different user
+   */
+  router.post('/identify', async (req, res) => {
+    try {
+      const { user_id, anonymous_id, email, name, properties } = req.body;
+
+      if (!user_id) {
+        return res.status(400).json({
+          success: false,
+          error: 'user_id is required'
+        });
+      }
+
+      const result = await identityResolver.identify(user_id, anonymous_id, { email, name, properties });
+      res.json({ success: true, ...result });
+    } catch (error) {
+      sendIdentityError(res, error, 'Failed to identify user');
+    }
+  });
+
+  /**
+   * POST /api/users/alias
+   *
+   * Merge one user id into another (e.g. a device id into an account id)
+   *
+   * Request body:
+   * {
+   *   previous_id: string (required) - Id to merge away
+   *   user_id: string (required) - Id that absorbs it
+   * }
+   *
+   * Response: { success: true, merge: { alias_id, canonical_id, merged, events_moved } }
+   * 409 if previous_id is already merged into a different user
+   */
+  router.post('/alias', async (req, res) => {
+    try {
+      const { previous_id, user_id } = req.body;
+
+      if (!previous_id || !user_id) {
+        return res.status(400).json({
+          success: false,
+          error: 'previous_id and user_id are required'
+        });
+      }
+
+      const merge = await identityResolver.merge(previous_id, user_id, 'alias');
+      res.json({ success: true, merge });
+    } catch (error) {
+      sendIdentityError(res, error, 'Failed to alias user');
+    }
+  });
+
   /**
    * GET /api/users/:id
    *
-   * Get detailed user information including activity summary
+   * Get detailed user information including activity summary. Any id merged
+   * into a user returns that user, with stats and events across all of its ids.
    *
    * Path parameters:
-   * - id: User ID
+   * - id: User ID (canonical or merged)
    *
    * Query parameters:
    * - include_events: Include recent events (true/false, default: false)
@@ -152,19 +232,21 @@ module.exports = function(db) {
    *       last_event: timestamp,
    *       session_count: number
    *     },
-   *     recent_events: [...] (if requested)
+   *     aliases: [{ alias_id, source, created_at }],
+   *     cohorts: [{ id, name, description, added_at }] - every cohort the user is a member of
+   *     recent_events: [...] (if requested, each with sent_as - the id it was tracked under)
    *   }
    * }
    */
   router.get('/:id', async (req, res) => {
     try {
-      const { id } = req.params;
       const {
         include_events = 'false',
         event_limit = 10
       } = req.query;
 
       // Get user
+      const { canonical_id: id, aliases } = await identityResolver.getIdentities(req.params.id);
       const user = await db.getUser(id);
 
       if (!user) {
@@ -180,7 +262,7 @@ module.exports = function(db) {
           COUNT(*) as total_events,
           MIN(timestamp) as first_event,
           MAX(timestamp) as last_event,
-          COUNT(DISTINCT session_id) as session_count
+          COUNT(DISTINCT COALESCE(session_id, derived_session_id)) as session_count
          FROM events
          WHERE user_id = ?`,
         [id]
@@ -197,7 +279,7 @@ module.exports = function(db) {
       let recentEvents;
       if (include_events === 'true') {
         const events = await db.all(
-          `SELECT * FROM events
+          `SELECT *, COALESCE(original_user_id, user_id) as sent_as FROM events
            WHERE user_id = ?
            ORDER BY timestamp DESC
            LIMIT ?`,
@@ -219,12 +301,23 @@ module.exports = function(db) {
         );
       }
 
+      const cohorts = await db.all(
+        `SELECT c.id, c.name, c.description, cm.added_at
+         FROM cohort_members cm
+         JOIN cohorts c ON c.id = cm.cohort_id
+         WHERE cm.user_id = ?
+         ORDER BY c.name`,
+        [id]
+      );
+
       res.json({
         success: true,
         user: {
           ...user,
           stats: stats,
+          aliases,
           cohort: cohort || undefined,
+          cohorts,
           recent_events: recentEvents || undefined
         }
       });
@@ -271,7 +364,7 @@ module.exports = function(db) {
    */
   router.get('/:id/journey', async (req, res) => {
     try {
-      const { id } = req.params;
+      const id = await identityResolver.resolve(req.params.id);
       const {
         start_date,
         end_date,
@@ -318,7 +411,7 @@ module.exports = function(db) {
         const sessions = {};
 
         parsedEvents.forEach(event => {
-          const sessionId = event.session_id || 'no_session';
+          const sessionId = event.session_id || event.derived_session_id || 'no_session';
           if (!sessions[sessionId]) {
             sessions[sessionId] = {
               session_id: sessionId,
@@ -430,7 +523,7 @@ module.exports = function(db) {
       const params = [];
 
       if (cohort_id) {
-        sql += ' AND cohort_id = ?';
+        sql += ' AND id IN (SELECT user_id FROM cohort_members WHERE cohort_id = ?)';
         params.push(cohort_id);
       }
 
@@ -473,7 +566,7 @@ module.exports = function(db) {
           const stats = await db.get(
             `SELECT
               COUNT(*) as total_events,
-              COUNT(DISTINCT session_id) as session_count,
+              COUNT(DISTINCT COALESCE(session_id, derived_session_id)) as session_count,
               MIN(timestamp) as first_event,
               MAX(timestamp) as last_event
              FROM events
@@ -526,12 +619,29 @@ module.exports = function(db) {
         });
       }
 
-      // Delete user events
+      // Delete user events, rolling up their days again without them
+      await EventRollups.markUserDirty(db, id);
       await db.run('DELETE FROM events WHERE user_id = ?', [id]);
 
       // Delete experiment assignments
       await db.run('DELETE FROM experiment_assignments WHERE user_id = ?', [id]);
 
+      // Delete cohort memberships, keeping those cohorts' user_count in step
+      await db.run(
+        `UPDATE cohorts SET user_count = user_count - 1
+         WHERE id IN (SELECT cohort_id FROM cohort_members WHERE user_id = ?)`,
+        [id]
+      );
+      await db.run('DELETE FROM cohort_members WHERE user_id = ?', [id]);
+      await db.run('DELETE FROM cohort_membership_history WHERE user_id = ?', [id]);
+
+      // Delete ids merged into the user, so they can't be re-identified
+      await db.run(
+        'DELETE FROM users WHERE id IN (SELECT alias_id FROM user_aliases WHERE canonical_id = ?)',
+        [id]
+      );
+      await db.run('DELETE FROM user_aliases WHERE canonical_id = ?', [id]);
+
       // Delete user
       await db.run('DELETE FROM users WHERE id = ?', [id]);
 
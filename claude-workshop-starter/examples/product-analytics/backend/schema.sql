@@ -25,15 +25,125 @@ CREATE TABLE IF NOT EXISTS events (
     browser TEXT,
     country TEXT,
     city TEXT,
+    insert_id TEXT, -- client-supplied id (insert_id / message_id) used to drop retries
+    received_at DATETIME, -- when the server received the event (timestamp is when it happened)
+    original_user_id TEXT, -- id the event was sent with, when it has since been merged into user_id
+    derived_session_id TEXT, -- set by the sessionizer for events sent without session_id
     FOREIGN KEY (user_id) REFERENCES users(id)
 );
 
+-- Events whose (skew-corrected) timestamp fell outside the accepted past/future bounds
+CREATE TABLE IF NOT EXISTS quarantined_events (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    event_name TEXT,
+    user_id TEXT,
+    payload TEXT NOT NULL, -- JSON of the event exactly as the client sent it
+    reason TEXT NOT NULL,
+    event_time DATETIME, -- skew-corrected event time
+    received_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Event schema registry: known event names and their property rules
+CREATE TABLE IF NOT EXISTS event_schemas (
+    event_name TEXT PRIMARY KEY,
+    description TEXT,
+    properties TEXT, -- JSON object of property name to { type, required, enum }
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Events refused by schema validation in strict mode, kept for inspection and replay
+CREATE TABLE IF NOT EXISTS dead_letter_events (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    event_name TEXT,
+    user_id TEXT,
+    payload TEXT NOT NULL, -- JSON of the event exactly as the client sent it
+    errors TEXT NOT NULL, -- JSON array of validation errors
+    received_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    replayed_at DATETIME,
+    replayed_event_id INTEGER
+);
+
+-- Recently seen client event ids (rows older than the dedup window are pruned)
+CREATE TABLE IF NOT EXISTS event_dedup (
+    insert_id TEXT PRIMARY KEY,
+    event_id INTEGER NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (event_id) REFERENCES events(id)
+);
+
+-- Event rollups: event counts per hour and per day by event name, country,
+-- device and browser ('' when unknown), for events up to event_rollup_state
+CREATE TABLE IF NOT EXISTS event_rollups (
+    granularity TEXT NOT NULL, -- hour or day
+    bucket TEXT NOT NULL, -- start of the hour or day, as an ISO timestamp
+    event_name TEXT NOT NULL,
+    country TEXT NOT NULL,
+    device_type TEXT NOT NULL,
+    browser TEXT NOT NULL,
+    event_count INTEGER NOT NULL,
+    PRIMARY KEY (bucket, granularity, event_name, country, device_type, browser)
+);
+
+-- Users seen per day and event, so unique users over several days are a union
+CREATE TABLE IF NOT EXISTS event_rollup_users (
+    day TEXT NOT NULL, -- YYYY-MM-DD (UTC)
+    event_name TEXT NOT NULL,
+    user_id TEXT NOT NULL,
+    PRIMARY KEY (day, event_name, user_id)
+);
+
+-- Sessions seen per day: client session_id, else the derived_session_id
+CREATE TABLE IF NOT EXISTS event_rollup_sessions (
+    day TEXT NOT NULL, -- YYYY-MM-DD (UTC)
+    session_id TEXT NOT NULL,
+    PRIMARY KEY (day, session_id)
+);
+
+-- HyperLogLog sketches of the users seen per day and event ('' for all events),
+-- overall (dimension and value '') and per country, device_type or browser
+-- value ('' when unknown), for approximate unique users over any range
+CREATE TABLE IF NOT EXISTS event_rollup_sketches (
+    day TEXT NOT NULL, -- YYYY-MM-DD (UTC)
+    event_name TEXT NOT NULL,
+    dimension TEXT NOT NULL,
+    value TEXT NOT NULL,
+    sketch BLOB NOT NULL, -- see utils/hyperloglog.js
+    PRIMARY KEY (day, event_name, dimension, value)
+);
+
+-- Days whose events changed after they were rolled up (identity merges, user
+-- deletion), aggregated again on the next rollup pass
+CREATE TABLE IF NOT EXISTS event_rollup_dirty_days (
+    day TEXT PRIMARY KEY
+);
+
+-- Last events.id included in the rollups (a single row)
+CREATE TABLE IF NOT EXISTS event_rollup_state (
+    id INTEGER PRIMARY KEY CHECK (id = 1),
+    last_event_id INTEGER NOT NULL,
+    updated_at DATETIME
+);
+
+-- Identity merges: events sent as alias_id belong to canonical_id. canonical_id is
+-- never itself an alias, and events are moved to it when the merge happens.
+CREATE TABLE IF NOT EXISTS user_aliases (
+    alias_id TEXT PRIMARY KEY,
+    canonical_id TEXT NOT NULL,
+    source TEXT, -- identify, alias
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
 -- Funnels table - define conversion paths
 CREATE TABLE IF NOT EXISTS funnels (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
     name TEXT NOT NULL,
     description TEXT,
-    steps TEXT NOT NULL, -- JSON array of event names
+    steps TEXT NOT NULL, -- JSON array of event names or {event_name, filters} objects
+    order_mode TEXT DEFAULT 'strict', -- strict, any
+    conversion_window_days REAL, -- max time from step 1 to the last step (NULL = whole range)
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     created_by TEXT
 );
@@ -45,7 +155,30 @@ CREATE TABLE IF NOT EXISTS cohorts (
     description TEXT,
     criteria TEXT, -- JSON string defining cohort criteria
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-    user_count INTEGER DEFAULT 0
+    user_count INTEGER DEFAULT 0,
+    refreshed_at DATETIME -- when membership was last evaluated
+);
+
+-- Cohort membership (many-to-many), maintained by the cohort engine from cohorts.criteria
+CREATE TABLE IF NOT EXISTS cohort_members (
+    cohort_id TEXT NOT NULL,
+    user_id TEXT NOT NULL,
+    added_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (cohort_id, user_id),
+    FOREIGN KEY (cohort_id) REFERENCES cohorts(id),
+    FOREIGN KEY (user_id) REFERENCES users(id)
+);
+
+-- Cohort membership over time: one row per stay in a cohort, exited_at is NULL while
+-- the user is still a member. Times are when the cohort engine noticed the change.
+CREATE TABLE IF NOT EXISTS cohort_membership_history (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    cohort_id TEXT NOT NULL,
+    user_id TEXT NOT NULL,
+    entered_at DATETIME NOT NULL,
+    exited_at DATETIME,
+    FOREIGN KEY (cohort_id) REFERENCES cohorts(id),
+    FOREIGN KEY (user_id) REFERENCES users(id)
 );
 
 -- Experiments (A/B Tests) table
@@ -53,12 +186,36 @@ CREATE TABLE IF NOT EXISTS experiments (
     id TEXT PRIMARY KEY,
     name TEXT NOT NULL,
     description TEXT,
-    status TEXT DEFAULT 'running', -- running, paused, completed
+    status TEXT DEFAULT 'running', -- draft, scheduled, running, paused, completed
     variants TEXT, -- JSON array of variant names
     start_date DATETIME,
     end_date DATETIME,
     goal_event TEXT,
-    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    variant_weights TEXT, -- JSON object of variant name to weight (even split when NULL)
+    traffic_allocation REAL DEFAULT 100, -- percentage of users bucketed into the experiment
+    salt TEXT, -- mixed into the bucketing hash
+    target_cohort_id TEXT, -- only members of this cohort are bucketed
+    weights_updated_at DATETIME, -- last variant weight change (the SRM check counts assignments since)
+    guardrails TEXT, -- JSON array of { event_name, lower_is_better } that must not regress
+    metric TEXT, -- JSON primary metric { type, event_name, property, cuped, pre_period_days }, conversion on goal_event when NULL
+    analysis_mode TEXT DEFAULT 'frequentist', -- frequentist or bayesian
+    winning_variant TEXT, -- decision recorded when the experiment was concluded (NULL for no winner)
+    concluded_at DATETIME
+);
+
+-- Experiment decisions: lifecycle changes and configuration updates, with who and why
+CREATE TABLE IF NOT EXISTS experiment_audit_log (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    experiment_id TEXT NOT NULL,
+    action TEXT NOT NULL, -- created, scheduled, started, paused, resumed, concluded, rescheduled, updated
+    from_status TEXT,
+    to_status TEXT,
+    actor TEXT,
+    rationale TEXT,
+    details TEXT, -- JSON
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (experiment_id) REFERENCES experiments(id)
 );
 
 -- Experiment assignments
@@ -68,6 +225,7 @@ CREATE TABLE IF NOT EXISTS experiment_assignments (
     user_id TEXT NOT NULL,
     variant TEXT NOT NULL,
     assigned_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    source TEXT, -- hash (server bucketing) or manual (variant chosen by the caller)
     FOREIGN KEY (experiment_id) REFERENCES experiments(id),
     FOREIGN KEY (user_id) REFERENCES users(id),
     UNIQUE(experiment_id, user_id)
@@ -79,8 +237,38 @@ CREATE TABLE IF NOT EXISTS features (
     name TEXT NOT NULL,
     description TEXT,
     launch_date DATETIME,
-    target_event TEXT, -- Event that indicates feature usage
-    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    target_event TEXT, -- Event that indicates feature usage (the first of targets)
+    targets TEXT, -- JSON array of { event_name, filters }, any of which counts as usage
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME
+);
+
+-- Feature flags: variants and variant_weights use the experiments' format
+CREATE TABLE IF NOT EXISTS feature_flags (
+    key TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    description TEXT,
+    type TEXT DEFAULT 'boolean', -- boolean or multivariate
+    variants TEXT, -- JSON array of variant names (multivariate only)
+    variant_weights TEXT, -- JSON object of variant name to weight
+    rules TEXT DEFAULT '[]', -- JSON array of { properties, cohort_id }, OR-ed
+    rollout_percentage REAL DEFAULT 100,
+    enabled INTEGER DEFAULT 1, -- 0 = killed, off for everyone
+    experiment_id TEXT, -- take the variant from this experiment's assignments
+    salt TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (experiment_id) REFERENCES experiments(id)
+);
+
+-- First time each user was served each value of a flag (one exposure event each)
+CREATE TABLE IF NOT EXISTS feature_flag_exposures (
+    flag_key TEXT NOT NULL,
+    user_id TEXT NOT NULL,
+    value TEXT NOT NULL, -- JSON
+    exposed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (flag_key, user_id, value),
+    FOREIGN KEY (flag_key) REFERENCES feature_flags(key)
 );
 
 -- Create indexes for performance
@@ -88,6 +276,16 @@ CREATE INDEX IF NOT EXISTS idx_events_user_id ON events(user_id);
 CREATE INDEX IF NOT EXISTS idx_events_timestamp ON events(timestamp);
 CREATE INDEX IF NOT EXISTS idx_events_event_name ON events(event_name);
 CREATE INDEX IF NOT EXISTS idx_events_session_id ON events(session_id);
+CREATE INDEX IF NOT EXISTS idx_events_derived_session_id ON events(derived_session_id);
+CREATE INDEX IF NOT EXISTS idx_events_unsessionized ON events(user_id) WHERE session_id IS NULL AND derived_session_id IS NULL;
+CREATE INDEX IF NOT EXISTS idx_events_insert_id ON events(insert_id);
+CREATE INDEX IF NOT EXISTS idx_event_dedup_created_at ON event_dedup(created_at);
+CREATE INDEX IF NOT EXISTS idx_dead_letter_events_event_name ON dead_letter_events(event_name);
+CREATE INDEX IF NOT EXISTS idx_user_aliases_canonical_id ON user_aliases(canonical_id);
 CREATE INDEX IF NOT EXISTS idx_users_cohort_id ON users(cohort_id);
+CREATE INDEX IF NOT EXISTS idx_cohort_members_user_id ON cohort_members(user_id);
+CREATE INDEX IF NOT EXISTS idx_cohort_membership_history_cohort ON cohort_membership_history(cohort_id, user_id);
+CREATE INDEX IF NOT EXISTS idx_cohort_membership_history_user_id ON cohort_membership_history(user_id);
 CREATE INDEX IF NOT EXISTS idx_experiment_assignments_user ON experiment_assignments(user_id);
 CREATE INDEX IF NOT EXISTS idx_experiment_assignments_exp ON experiment_assignments(experiment_id);
+CREATE INDEX IF NOT EXISTS idx_experiment_audit_log_experiment ON experiment_audit_log(experiment_id);
@@ -51,12 +51,15 @@ function randomDate(start, end) {
   return new Date(start.getTime() + Math.random() * (end.getTime() - start.getTime()));
 }
 
+// Sequence suffix keeps ids unique when seeding thousands per millisecond
+let idSequence = 0;
+
 function generateUserId() {
-  return `user_${Date.now()}_${randomInt(1000, 9999)}`;
+  return `user_${Date.now()}_${randomInt(1000, 9999)}${++idSequence}`;
 }
 
 function generateSessionId() {
-  return `session_${Date.now()}_${randomInt(1000, 9999)}`;
+  return `session_${Date.now()}_${randomInt(1000, 9999)}${++idSequence}`;
 }
 
 function generateEmail(firstName, lastName) {
@@ -65,9 +68,13 @@ function generateEmail(firstName, lastName) {
 }
 
 // Main seeding class
+// options.users: number of users to create (default 100)
+// options.days: days of history to generate (default 180)
 class DataSeeder {
-  constructor(db) {
+  constructor(db, options = {}) {
     this.db = db;
+    this.userCount = options.users || 100;
+    this.historyDays = options.days || 180;
     this.users = [];
     this.cohorts = [];
     this.experiments = [];
@@ -149,62 +156,65 @@ class DataSeeder {
     console.log('Creating users...');
 
     const now = new Date();
-    const sixMonthsAgo = new Date(now.getTime() - 180 * 24 * 60 * 60 * 1000);
-
-    // Create 100 users with varying signup dates
-    for (let i = 0; i < 100; i++) {
-      const firstName = randomElement(firstNames);
-      const lastName = randomElement(lastNames);
-      const email = generateEmail(firstName, lastName);
-      const userId = generateUserId();
-      const createdAt = randomDate(sixMonthsAgo, now);
-      const plan = randomElement(plans);
-      const source = randomElement(sources);
-
-      // Assign cohort based on characteristics
-      let cohortId = null;
-      if (createdAt < new Date(sixMonthsAgo.getTime() + 30 * 24 * 60 * 60 * 1000)) {
-        cohortId = 'early_adopters';
-      } else if (plan === 'enterprise') {
-        cohortId = 'enterprise_customers';
-      } else if (Math.random() > 0.7) {
-        cohortId = 'power_users';
-      }
-
-      const properties = {
-        plan,
-        source,
-        onboarding_completed: Math.random() > 0.2,
-        industry: randomElement(['Technology', 'Finance', 'Healthcare', 'Education', 'Retail', 'Manufacturing']),
-        company_size: randomElement(['1-10', '11-50', '51-200', '201-500', '500+'])
-      };
+    const historyStart = new Date(now.getTime() - this.historyDays * 24 * 60 * 60 * 1000);
+    const logEvery = Math.max(20, Math.floor(this.userCount / 10));
+
+    // Create users with varying signup dates
+    await this.db.transaction(async () => {
+      for (let i = 0; i < this.userCount; i++) {
+        const firstName = randomElement(firstNames);
+        const lastName = randomElement(lastNames);
+        const email = generateEmail(firstName, lastName);
+        const userId = generateUserId();
+        const createdAt = randomDate(historyStart, now);
+        const plan = randomElement(plans);
+        const source = randomElement(sources);
+
+        // Assign cohort based on characteristics
+        let cohortId = null;
+        if (createdAt < new Date(historyStart.getTime() + 30 * 24 * 60 * 60 * 1000)) {
+          cohortId = 'early_adopters';
+        } else if (plan === 'enterprise') {
+          cohortId = 'enterprise_customers';
+        } else if (Math.random() > 0.7) {
+          cohortId = 'power_users';
+        }
 
-      await this.db.run(
-        `INSERT INTO users (id, email, name, created_at, properties, cohort_id)
-         VALUES (?, ?, ?, ?, ?, ?)`,
-        [
-          userId,
-          email,
-          `${firstName} ${lastName}`,
-          createdAt.toISOString(),
-          JSON.stringify(properties),
-          cohortId
-        ]
-      );
+        const properties = {
+          plan,
+          source,
+          onboarding_completed: Math.random() > 0.2,
+          industry: randomElement(['Technology', 'Finance', 'Healthcare', 'Education', 'Retail', 'Manufacturing']),
+          company_size: randomElement(['1-10', '11-50', '51-200', '201-500', '500+'])
+        };
 
-      this.users.push({
-        id: userId,
-        email,
-        name: `${firstName} ${lastName}`,
-        created_at: createdAt,
-        properties,
-        cohort_id: cohortId
-      });
+        await this.db.run(
+          `INSERT INTO users (id, email, name, created_at, properties, cohort_id)
+           VALUES (?, ?, ?, ?, ?, ?)`,
+          [
+            userId,
+            email,
+            `${firstName} ${lastName}`,
+            createdAt.toISOString(),
+            JSON.stringify(properties),
+            cohortId
+          ]
+        );
 
-      if ((i + 1) % 20 === 0) {
-        console.log(`  Created ${i + 1} users...`);
+        this.users.push({
+          id: userId,
+          email,
+          name: `${firstName} ${lastName}`,
+          created_at: createdAt,
+          properties,
+          cohort_id: cohortId
+        });
+
+        if ((i + 1) % logEvery === 0) {
+          console.log(`  Created ${i + 1} users...`);
+        }
       }
-    }
+    });
 
     console.log(`Created ${this.users.length} users`);
   }
@@ -265,15 +275,17 @@ class DataSeeder {
 
       // Assign users to experiment variants
       const variants = experiment.variants;
-      for (const user of this.users) {
-        if (new Date(user.created_at) >= new Date(experiment.start_date)) {
-          const variant = randomElement(variants);
-          await this.db.run(
-            'INSERT INTO experiment_assignments (experiment_id, user_id, variant) VALUES (?, ?, ?)',
-            [experiment.id, user.id, variant]
-          );
+      await this.db.transaction(async () => {
+        for (const user of this.users) {
+          if (new Date(user.created_at) >= new Date(experiment.start_date)) {
+            const variant = randomElement(variants);
+            await this.db.run(
+              'INSERT INTO experiment_assignments (experiment_id, user_id, variant) VALUES (?, ?, ?)',
+              [experiment.id, user.id, variant]
+            );
+          }
         }
-      }
+      });
     }
 
     console.log(`Created ${this.experiments.length} experiments`);
@@ -327,153 +339,188 @@ class DataSeeder {
 
     let totalEvents = 0;
     const now = new Date();
+    const batchSize = 100; // Users per transaction
+    const logEvery = Math.max(10, Math.floor(this.users.length / 10));
 
-    for (let i = 0; i < this.users.length; i++) {
-      const user = this.users[i];
-      const userStartDate = new Date(user.created_at);
+    for (let start = 0; start < this.users.length; start += batchSize) {
+      const batch = this.users.slice(start, start + batchSize);
 
-      // Determine user engagement level
-      const engagementLevel = Math.random();
-      const isActive = engagementLevel > 0.3; // 70% active users
-      const isPowerUser = engagementLevel > 0.8; // 20% power users
+      await this.db.transaction(async () => {
+        for (let j = 0; j < batch.length; j++) {
+          totalEvents += await this.generateUserEvents(batch[j], now);
 
-      // Generate events for this user
-      const userEvents = [];
+          const i = start + j;
+          if ((i + 1) % logEvery === 0) {
+            console.log(`  Generated events for ${i + 1}/${this.users.length} users... (${totalEvents} events total)`);
+          }
+        }
+      });
+    }
 
-      // 1. Onboarding events (if they completed onboarding)
-      if (user.properties.onboarding_completed) {
-        const onboardingEvents = events.onboarding;
-        let eventTime = new Date(userStartDate);
+    console.log(`\nGenerated ${totalEvents} total events`);
+  }
 
-        for (const eventName of onboardingEvents) {
-          // Space out onboarding events over first few hours/days
-          eventTime = new Date(eventTime.getTime() + randomInt(10, 120) * 60 * 1000);
-          userEvents.push({ event_name: eventName, timestamp: eventTime });
-        }
-      } else {
-        // Partial onboarding
-        userEvents.push({ event_name: 'signup', timestamp: userStartDate });
-        if (Math.random() > 0.5) {
-          const verifyTime = new Date(userStartDate.getTime() + randomInt(5, 60) * 60 * 1000);
-          userEvents.push({ event_name: 'email_verified', timestamp: verifyTime });
-        }
+  // Generate and insert the event history for one user
+  // Returns the number of events inserted
+  async generateUserEvents(user, now) {
+    const userStartDate = new Date(user.created_at);
+    let eventCount = 0;
+
+    // Determine user engagement level
+    const engagementLevel = Math.random();
+    const isActive = engagementLevel > 0.3; // 70% active users
+    const isPowerUser = engagementLevel > 0.8; // 20% power users
+
+    // Generate events for this user
+    const userEvents = [];
+
+    // 1. Onboarding events (if they completed onboarding)
+    if (user.properties.onboarding_completed) {
+      const onboardingEvents = events.onboarding;
+      let eventTime = new Date(userStartDate);
+
+      for (const eventName of onboardingEvents) {
+        // Space out onboarding events over first few hours/days
+        eventTime = new Date(eventTime.getTime() + randomInt(10, 120) * 60 * 1000);
+        userEvents.push({ event_name: eventName, timestamp: eventTime });
+      }
+    } else {
+      // Partial onboarding
+      userEvents.push({ event_name: 'signup', timestamp: userStartDate });
+      if (Math.random() > 0.5) {
+        const verifyTime = new Date(userStartDate.getTime() + randomInt(5, 60) * 60 * 1000);
+        userEvents.push({ event_name: 'email_verified', timestamp: verifyTime });
       }
+    }
 
-      // 2. Generate ongoing activity events
-      if (isActive) {
-        let currentDate = new Date(userStartDate.getTime() + 24 * 60 * 60 * 1000); // Start day after signup
+    // 2. Generate ongoing activity events
+    if (isActive) {
+      let currentDate = new Date(userStartDate.getTime() + 24 * 60 * 60 * 1000); // Start day after signup
 
-        while (currentDate < now) {
-          // Determine if user is active this day
-          const dayActivityChance = isPowerUser ? 0.7 : 0.3;
+      while (currentDate < now) {
+        // Determine if user is active this day
+        const dayActivityChance = isPowerUser ? 0.7 : 0.3;
 
-          if (Math.random() < dayActivityChance) {
-            // Generate a session
-            const sessionId = generateSessionId();
-            const sessionStart = new Date(
-              currentDate.getTime() + randomInt(8, 20) * 60 * 60 * 1000 // 8am-8pm
-            );
+        if (Math.random() < dayActivityChance) {
+          // Generate a session
+          const sessionId = generateSessionId();
+          const sessionStart = new Date(
+            currentDate.getTime() + randomInt(8, 20) * 60 * 60 * 1000 // 8am-8pm
+          );
 
-            // Number of events in session
-            const sessionEventCount = isPowerUser ? randomInt(5, 20) : randomInt(2, 8);
-
-            let sessionTime = sessionStart;
-            const country = randomElement(countries);
-            const device = randomElement(devices);
-            const browser = randomElement(browsers);
-
-            for (let j = 0; j < sessionEventCount; j++) {
-              // Select events based on user behavior
-              let eventCategory;
-              const rand = Math.random();
-
-              if (rand < 0.5) {
-                eventCategory = 'core';
-              } else if (rand < 0.7) {
-                eventCategory = 'engagement';
-              } else if (rand < 0.85) {
-                eventCategory = 'feature';
-              } else if (rand < 0.95) {
-                eventCategory = 'retention';
-              } else {
-                eventCategory = 'conversion';
-              }
-
-              const eventName = randomElement(events[eventCategory]);
-
-              // Time between events in session (1-10 minutes)
-              sessionTime = new Date(sessionTime.getTime() + randomInt(1, 10) * 60 * 1000);
-
-              userEvents.push({
-                event_name: eventName,
-                timestamp: sessionTime,
-                session_id: sessionId,
-                country,
-                device_type: device,
-                browser
-              });
+          // Number of events in session
+          const sessionEventCount = isPowerUser ? randomInt(5, 20) : randomInt(2, 8);
+
+          let sessionTime = sessionStart;
+          const country = randomElement(countries);
+          const device = randomElement(devices);
+          const browser = randomElement(browsers);
+
+          for (let j = 0; j < sessionEventCount; j++) {
+            // Select events based on user behavior
+            let eventCategory;
+            const rand = Math.random();
+
+            if (rand < 0.5) {
+              eventCategory = 'core';
+            } else if (rand < 0.7) {
+              eventCategory = 'engagement';
+            } else if (rand < 0.85) {
+              eventCategory = 'feature';
+            } else if (rand < 0.95) {
+              eventCategory = 'retention';
+            } else {
+              eventCategory = 'conversion';
             }
-          }
 
-          // Move to next day
-          currentDate = new Date(currentDate.getTime() + 24 * 60 * 60 * 1000);
-        }
-      }
+            const eventName = randomElement(events[eventCategory]);
 
-      // 3. Insert all events for this user
-      for (const event of userEvents) {
-        if (event.timestamp <= now) {
-          const country = event.country || randomElement(countries);
-          const city = randomElement(cities[country] || ['Unknown']);
-
-          await this.db.run(
-            `INSERT INTO events (
-              event_name, user_id, timestamp, session_id,
-              page_url, referrer, device_type, browser, country, city, properties
-            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-            [
-              event.event_name,
-              user.id,
-              event.timestamp.toISOString(),
-              event.session_id || generateSessionId(),
-              `/${event.event_name.replace(/_/g, '-')}`,
-              Math.random() > 0.7 ? 'https://google.com' : null,
-              event.device_type || randomElement(devices),
-              event.browser || randomElement(browsers),
-              country,
-              city,
-              JSON.stringify({
-                plan: user.properties.plan,
-                source: user.properties.source
-              })
-            ]
-          );
+            // Time between events in session (1-10 minutes)
+            sessionTime = new Date(sessionTime.getTime() + randomInt(1, 10) * 60 * 1000);
 
-          totalEvents++;
+            userEvents.push({
+              event_name: eventName,
+              timestamp: sessionTime,
+              session_id: sessionId,
+              country,
+              device_type: device,
+              browser
+            });
+          }
         }
+
+        // Move to next day
+        currentDate = new Date(currentDate.getTime() + 24 * 60 * 60 * 1000);
       }
+    }
+
+    // 3. Insert all events for this user
+    for (const event of userEvents) {
+      if (event.timestamp <= now) {
+        const country = event.country || randomElement(countries);
+        const city = randomElement(cities[country] || ['Unknown']);
 
-      // Update user last_seen
-      if (userEvents.length > 0) {
-        const lastEvent = userEvents[userEvents.length - 1];
         await this.db.run(
-          'UPDATE users SET last_seen = ? WHERE id = ?',
-          [lastEvent.timestamp.toISOString(), user.id]
+          `INSERT INTO events (
+            event_name, user_id, timestamp, session_id,
+            page_url, referrer, device_type, browser, country, city, properties
+          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          [
+            event.event_name,
+            user.id,
+            event.timestamp.toISOString(),
+            event.session_id || generateSessionId(),
+            `/${event.event_name.replace(/_/g, '-')}`,
+            Math.random() > 0.7 ? 'https://google.com' : null,
+            event.device_type || randomElement(devices),
+            event.browser || randomElement(browsers),
+            country,
+            city,
+            JSON.stringify({
+              plan: user.properties.plan,
+              source: user.properties.source
+            })
+          ]
         );
-      }
 
-      if ((i + 1) % 10 === 0) {
-        console.log(`  Generated events for ${i + 1}/${this.users.length} users... (${totalEvents} events total)`);
+        eventCount++;
       }
     }
 
-    console.log(`\nGenerated ${totalEvents} total events`);
+    // Update user last_seen
+    if (userEvents.length > 0) {
+      const lastEvent = userEvents[userEvents.length - 1];
+      await this.db.run(
+        'UPDATE users SET last_seen = ? WHERE id = ?',
+        [lastEvent.timestamp.toISOString(), user.id]
+      );
+    }
+
+    return eventCount;
   }
 }
 
+// Parse --users, --days and --db command line options
+function parseArgs(argv) {
+  const options = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const [flag, inlineValue] = argv[i].split('=');
+    const value = inlineValue !== undefined ? inlineValue : argv[++i];
+
+    if (flag === '--users') options.users = parseInt(value);
+    else if (flag === '--days') options.days = parseInt(value);
+    else if (flag === '--db') options.dbPath = value;
+  }
+
+  return options;
+}
+
 // Main execution
+// Usage: node seed.js [--users 100] [--days 180] [--db ./analytics.db]
 async function main() {
-  const db = new Database('./analytics.db');
+  const options = parseArgs(process.argv.slice(2));
+  const db = new Database(options.dbPath || './analytics.db');
 
   try {
     console.log('Initializing database...');
@@ -485,7 +532,7 @@ async function main() {
     console.log('WARNING: This will populate the database with sample data.');
     console.log('If data already exists, it will be added to existing data.\n');
 
-    const seeder = new DataSeeder(db);
+    const seeder = new DataSeeder(db, options);
     await seeder.seed();
 
   } catch (error) {
@@ -2,6 +2,7 @@ const express = require('express');
 const cors = require('cors');
 const bodyParser = require('body-parser');
 const path = require('path');
+const crypto = require('crypto');
 
 // Import database and analytics modules
 const Database = require('./database');
@@ -9,6 +10,23 @@ const FunnelAnalyzer = require('./analytics/funnel-analyzer');
 const CohortRetention = require('./analytics/cohort-retention');
 const JourneyMapper = require('./analytics/journey-mapper');
 const FeatureAdoption = require('./analytics/feature-adoption');
+const CohortEngine = require('./analytics/cohort-engine');
+const ExperimentAssigner = require('./analytics/experiment-assigner');
+const ExperimentLifecycle = require('./analytics/experiment-lifecycle');
+const FeatureFlags = require('./analytics/feature-flags');
+const FeatureRegistry = require('./analytics/feature-registry');
+const InsightsQuery = require('./analytics/insights-query');
+const ABTestAnalyzer = require('./analytics/ab-test-analyzer');
+const EventQueue = require('./ingestion/event-queue');
+const EventSchemaRegistry = require('./ingestion/event-schema');
+const IdentityResolver = require('./ingestion/identity');
+const Sessionizer = require('./ingestion/sessionizer');
+const EventRollups = require('./ingestion/rollups');
+const eventsRouter = require('./routes/events');
+const schemaRouter = require('./routes/schema');
+const flagsRouter = require('./routes/flags');
+const featuresRouter = require('./routes/features');
+const insightsRouter = require('./routes/insights');
 
 // Initialize Express app
 const app = express();
@@ -25,12 +43,80 @@ app.use((req, res, next) => {
   next();
 });
 
+// Numeric settings from the environment: unset or empty takes the default, and
+// 0 is a value like any other. Anything that isn't a finite number in range
+// stops startup instead of silently falling back to the default.
+function numberFromEnv(name, defaultValue, { positive = false } = {}) {
+  const raw = process.env[name];
+  if (raw === undefined || raw.trim() === '') {
+    return defaultValue;
+  }
+
+  const value = Number(raw);
+  if (!Number.isFinite(value) || (positive ? value <= 0 : value < 0)) {
+    throw new Error(`${name} must be ${positive ? 'a positive number' : 'a number of 0 or more'}, got "${raw}"`);
+  }
+  return value;
+}
+
 // Initialize database and analytics modules
 const db = new Database('./analytics.db');
 let funnelAnalyzer;
 let cohortRetention;
 let journeyMapper;
 let featureAdoption;
+let abTestAnalyzer;
+
+// Event ingestion: schemas are loaded in initializeDatabase, writes start with the first event
+const schemaRegistry = new EventSchemaRegistry(db);
+const eventQueue = new EventQueue(db, {
+  dedupWindowSeconds: numberFromEnv('EVENT_DEDUP_WINDOW_SECONDS', 24 * 60 * 60),
+  maxPastDays: numberFromEnv('EVENT_MAX_PAST_DAYS', 30),
+  maxFutureMinutes: numberFromEnv('EVENT_MAX_FUTURE_MINUTES', 10),
+  outOfBounds: process.env.EVENT_OUT_OF_BOUNDS || 'quarantine',
+  schemaRegistry,
+  validationMode: process.env.EVENT_VALIDATION_MODE || 'off'
+});
+const identityResolver = new IdentityResolver(db);
+
+// Derives sessions for events sent without session_id, every minute once started
+const sessionizer = new Sessionizer(db, {
+  gapMinutes: numberFromEnv('SESSION_GAP_MINUTES', 30, { positive: true })
+});
+
+// Rolls new events up into hourly and daily counts for dashboards, every minute by default
+const eventRollups = new EventRollups(db, {
+  intervalMs: numberFromEnv('ROLLUP_INTERVAL_SECONDS', 60, { positive: true }) * 1000
+});
+
+// Re-evaluates cohort membership from cohorts.criteria, every 15 minutes by default
+const cohortEngine = new CohortEngine(db, {
+  intervalMs: numberFromEnv('COHORT_REFRESH_MINUTES', 15, { positive: true }) * 60 * 1000
+});
+
+// Starts and ends scheduled experiments, every minute by default
+const experimentLifecycle = new ExperimentLifecycle(db, {
+  intervalMs: numberFromEnv('EXPERIMENT_SCHEDULE_MINUTES', 1, { positive: true }) * 60 * 1000
+});
+
+const experimentAssigner = new ExperimentAssigner(db, {
+  cohortEngine,
+  identityResolver,
+  lifecycle: experimentLifecycle
+});
+
+const featureFlags = new FeatureFlags(db, {
+  cohortEngine,
+  identityResolver,
+  experimentAssigner,
+  eventQueue
+});
+
+// Features registered with their target events, analysed by id
+const featureRegistry = new FeatureRegistry(db);
+
+// Declarative segmentation queries (events, aggregation, filters, group-by)
+const insightsQuery = new InsightsQuery(db);
 
 // Initialize database
 async function initializeDatabase() {
@@ -43,6 +129,31 @@ async function initializeDatabase() {
     cohortRetention = new CohortRetention(db);
     journeyMapper = new JourneyMapper(db);
     featureAdoption = new FeatureAdoption(db);
+    abTestAnalyzer = new ABTestAnalyzer(db);
+    await schemaRegistry.load();
+    await FeatureFlags.registerExposureSchema(schemaRegistry);
+
+    // Backfill sessions in the background so startup isn't held up by a large table
+    sessionizer.run()
+      .then(({ events }) => console.log(`Sessionized ${events} events`))
+      .catch(error => console.error('Sessionization failed:', error));
+    sessionizer.start();
+
+    eventRollups.run()
+      .then(({ events, days }) => console.log(`Rolled up ${events} events and ${days} changed days`))
+      .catch(error => console.error('Event rollup failed:', error));
+    eventRollups.start();
+
+    cohortEngine.refreshAll()
+      .then(results => console.log(`Refreshed ${results.length} cohorts`))
+      .catch(error => console.error('Cohort refresh failed:', error));
+    cohortEngine.start();
+
+    experimentLifecycle.applySchedule()
+      .then(({ started, concluded }) =>
+        console.log(`Experiment schedule: ${started.length} started, ${concluded.length} concluded`))
+      .catch(error => console.error('Experiment schedule failed:', error));
+    experimentLifecycle.startScheduler();
 
     console.log('Analytics modules initialized');
   } catch (error) {
@@ -65,14 +176,22 @@ app.get('/', (req, res) => {
       health: 'GET /health',
       events: {
         track: 'POST /api/events/track',
-        query: 'GET /api/events?start_date=&end_date=&event_name=',
-        count: 'GET /api/events/count?event_name=&start_date=&end_date='
+        batch: 'POST /api/events/batch',
+        query: 'GET /api/events?start_date=&end_date=&event_name=&limit=100&offset=0',
+        summary: 'GET /api/events/summary?start_date=&end_date=',
+        count: 'GET /api/events/count?event_name=&start_date=&end_date=',
+        overview: 'GET /api/events/overview?start_date=&end_date=&granularity=day&approximate=false',
+        breakdown: 'GET /api/events/breakdown?start_date=&end_date=&group_by=country&granularity=&event_name=',
+        rollups: 'GET /api/events/rollups',
+        refreshRollups: 'POST /api/events/rollups/refresh {"rebuild":false}'
       },
       users: {
         create: 'POST /api/users',
+        identify: 'POST /api/users/identify',
+        alias: 'POST /api/users/alias',
         get: 'GET /api/users/:userId',
         list: 'GET /api/users',
-        stats: 'GET /api/users/stats'
+        stats: 'GET /api/users/stats?start_date=&end_date=&approximate=false'
       },
       funnels: {
         analyze: 'POST /api/funnels/analyze',
@@ -83,38 +202,96 @@ app.get('/', (req, res) => {
       },
       retention: {
         analyze: 'GET /api/retention?cohort_size=week&periods=12',
+        returnEvent: 'GET /api/retention?cohort_size=day&return_event=report_viewed&brackets=1,2-7,8-30',
+        unbounded: 'GET /api/retention?mode=unbounded&cohort_event=project_opened',
         dayN: 'GET /api/retention/day-n?days=1,7,30',
         churn: 'GET /api/retention/churn?period=month',
         segmented: 'GET /api/retention/segmented?property=plan'
       },
       journeys: {
         topPaths: 'GET /api/journeys/top-paths?max_steps=5&limit=10',
+        flow: 'GET /api/journeys/flow?anchor_event=signup&direction=forward&steps=4&exclude=heartbeat',
         userJourney: 'GET /api/journeys/user/:userId',
         conversionPaths: 'GET /api/journeys/conversion-paths?goal_event=purchase',
         nextEvents: 'GET /api/journeys/next-events?event_name=page_view',
         dropOffs: 'GET /api/journeys/drop-offs',
-        sessionStats: 'GET /api/journeys/session-stats'
+        sessionStats: 'GET /api/journeys/session-stats?start_date=&end_date=',
+        sessions: 'GET /api/journeys/sessions?user_id=&bounced=',
+        sessionize: 'POST /api/journeys/sessionize'
       },
       features: {
         adoption: 'GET /api/features/adoption?event=&start_date=&end_date=',
         cumulative: 'GET /api/features/cumulative?event=&launch_date=',
         stickiness: 'GET /api/features/stickiness?event=&date=',
+        stickinessSeries: 'GET /api/features/stickiness?event=&start_date=2024-06-01&end_date=2024-06-30',
         powerUsers: 'GET /api/features/power-users?event=&start_date=&end_date=',
         distribution: 'GET /api/features/distribution?event=&start_date=&end_date=',
         cohortComparison: 'GET /api/features/cohort-comparison?event=',
-        timeToAdoption: 'GET /api/features/time-to-adoption?event='
+        timeToAdoption: 'GET /api/features/time-to-adoption?event=',
+        flagRollout: 'GET /api/features/flag-rollout?flag=&start_date=&end_date=&event=',
+        byFeature: 'Every endpoint above takes feature=<registered id> in place of event=',
+        list: 'GET /api/features/registry',
+        register: 'POST /api/features/registry {"id":"export","launch_date":"2024-06-01","targets":["export_csv",{"event_name":"share","filters":[{"property":"format","value":"pdf"}]}]}',
+        get: 'GET /api/features/registry/:featureId',
+        update: 'PUT /api/features/registry/:featureId',
+        delete: 'DELETE /api/features/registry/:featureId',
+        scorecard: 'GET /api/features/scorecard'
+      },
+      flags: {
+        list: 'GET /api/flags',
+        create: 'POST /api/flags {"key":"new_editor","rules":[{"properties":[{"property":"plan","operator":"in","value":["pro","enterprise"]}]}],"rollout_percentage":25}',
+        createMultivariate: 'POST /api/flags {"key":"pricing_copy","type":"multivariate","variants":[{"name":"control","weight":50},{"name":"short","weight":50}]}',
+        get: 'GET /api/flags/:key',
+        update: 'PUT /api/flags/:key',
+        kill: 'POST /api/flags/:key/kill',
+        enable: 'POST /api/flags/:key/enable',
+        delete: 'DELETE /api/flags/:key',
+        evaluate: 'GET /api/flags/evaluate?user_id=user_123'
+      },
+      insights: {
+        query: 'POST /api/insights/query {"events":["purchase"],"aggregation":{"type":"percentile","property":"amount","percentile":90},"filters":[{"attribute":"country","operator":"in","value":["US","CA"]}],"user_filters":[{"property":"plan","value":"pro"}],"group_by":["device_type","user.plan"],"granularity":"week","start_date":"2024-06-01","end_date":"2024-06-30"}'
       },
       cohorts: {
         list: 'GET /api/cohorts',
         create: 'POST /api/cohorts',
-        get: 'GET /api/cohorts/:cohortId'
+        createDynamic: 'POST /api/cohorts {"id":"de_buyers","name":"DE buyers","criteria":{"match":"all","rules":[{"type":"event","event_name":"checkout","operator":"gte","count":3,"within_days":30},{"type":"attribute","attribute":"country","value":"DE"}]}}',
+        get: 'GET /api/cohorts/:cohortId',
+        members: 'GET /api/cohorts/:cohortId/members?as_of=2024-07-01&limit=1000&offset=0',
+        diff: 'GET /api/cohorts/:cohortId/diff?from=2024-04-01&to=2024-07-01',
+        update: 'PUT /api/cohorts/:cohortId',
+        delete: 'DELETE /api/cohorts/:cohortId',
+        refresh: 'POST /api/cohorts/:cohortId/refresh',
+        refreshAll: 'POST /api/cohorts/refresh'
+      },
+      schema: {
+        listEvents: 'GET /api/schema/events',
+        getEvent: 'GET /api/schema/events/:eventName',
+        createEvent: 'POST /api/schema/events',
+        updateEvent: 'PUT /api/schema/events/:eventName',
+        deleteEvent: 'DELETE /api/schema/events/:eventName',
+        deadLetter: 'GET /api/schema/dead-letter?event_name=&status=pending',
+        replay: 'POST /api/schema/dead-letter/:id/replay',
+        replayAll: 'POST /api/schema/dead-letter/replay'
       },
       experiments: {
         list: 'GET /api/experiments',
         create: 'POST /api/experiments',
         get: 'GET /api/experiments/:experimentId',
-        assign: 'POST /api/experiments/:experimentId/assign',
-        results: 'GET /api/experiments/:experimentId/results'
+        createWeighted: 'POST /api/experiments {"id":"new_checkout","name":"New checkout","goal_event":"checkout","variants":[{"name":"control","weight":50},{"name":"treatment","weight":50}],"traffic_allocation":20}',
+        assign: 'POST /api/experiments/:experimentId/assign {"user_id":"user_123"}',
+        allocation: 'PUT /api/experiments/:experimentId/allocation',
+        metric: 'PUT /api/experiments/:experimentId/metric {"metric":{"type":"revenue","event_name":"subscription_purchased","property":"amount","cuped":true}}',
+        analysis_mode: 'PUT /api/experiments/:experimentId/analysis-mode {"analysis_mode":"bayesian"}',
+        guardrails: 'PUT /api/experiments/:experimentId/guardrails {"guardrails":["report_generated",{"event_name":"subscription_cancelled","lower_is_better":true}]}',
+        results: 'GET /api/experiments/:experimentId/results?mode=bayesian&correction=holm',
+        sequential: 'GET /api/experiments/:experimentId/sequential?alpha=0.05&granularity=day',
+        createDraft: 'POST /api/experiments {"id":"new_checkout","name":"New checkout","variants":["control","treatment"],"status":"draft"}',
+        start: 'POST /api/experiments/:experimentId/start {"start_date":"2024-07-01T00:00:00Z","end_date":"2024-07-15T00:00:00Z"}',
+        pause: 'POST /api/experiments/:experimentId/pause {"actor":"jane","rationale":"Tracking bug"}',
+        resume: 'POST /api/experiments/:experimentId/resume',
+        conclude: 'POST /api/experiments/:experimentId/conclude {"winning_variant":"treatment","rationale":"+4% conversion, guardrails flat"}',
+        schedule: 'PUT /api/experiments/:experimentId/schedule {"end_date":"2024-07-22T00:00:00Z"}',
+        log: 'GET /api/experiments/:experimentId/log'
       }
     }
   });
@@ -126,7 +303,8 @@ app.get('/health', (req, res) => {
     status: 'healthy',
     timestamp: new Date().toISOString(),
     uptime: process.uptime(),
-    database: db.db ? 'connected' : 'disconnected'
+    database: db.db ? 'connected' : 'disconnected',
+    ingestion: eventQueue.getStats()
   });
 });
 
@@ -134,38 +312,52 @@ app.get('/health', (req, res) => {
 // EVENT TRACKING ROUTES
 // ============================================================================
 
-// Track a new event
-app.post('/api/events/track', async (req, res) => {
+// Track (buffered by the ingestion queue), query and summarize events;
+// count, overview, breakdown and rollups follow below
+app.use('/api/events', eventsRouter(db, eventQueue));
+
+// Get event count
+app.get('/api/events/count', async (req, res) => {
   try {
-    const eventData = req.body;
+    const { event_name, start_date, end_date } = req.query;
 
-    // Ensure user exists
-    if (eventData.user_id) {
-      await db.getUserOrCreate(eventData.user_id, {
-        email: eventData.user_email,
-        name: eventData.user_name
+    if (!event_name || !start_date || !end_date) {
+      return res.status(400).json({
+        success: false,
+        error: 'event_name, start_date, and end_date are required'
       });
     }
 
-    const result = await db.trackEvent(eventData);
+    const count = await eventRollups.countEvents(start_date, end_date, { event_name });
     res.json({
       success: true,
-      event_id: result.id,
-      message: 'Event tracked successfully'
+      event_name,
+      count,
+      start_date,
+      end_date
     });
   } catch (error) {
-    console.error('Error tracking event:', error);
-    res.status(500).json({
+    console.error('Error counting events:', error);
+    res.status(error.statusCode || 500).json({
       success: false,
       error: error.message
     });
   }
 });
 
-// Query events
-app.get('/api/events', async (req, res) => {
+// Marks a response whose user counts are HyperLogLog estimates, with their
+// relative standard error
+function approximateFields(approximate) {
+  return approximate ? { approximate: true, relative_standard_error: EventRollups.APPROXIMATE_ERROR } : {};
+}
+
+// Dashboard overview: totals, a series of events and active users per period,
+// and the top events. Answered from the event rollups; approximate=true
+// estimates active users from the HyperLogLog day sketches.
+app.get('/api/events/overview', async (req, res) => {
   try {
-    const { start_date, end_date, event_name } = req.query;
+    const { start_date, end_date, granularity = 'day', top = 10 } = req.query;
+    const approximate = req.query.approximate === 'true';
 
     if (!start_date || !end_date) {
       return res.status(400).json({
@@ -174,43 +366,103 @@ app.get('/api/events', async (req, res) => {
       });
     }
 
-    const events = await db.getEventsByTimeRange(start_date, end_date, event_name);
+    const [events, users, sessions, eventSeries, userSeries, topEvents] = await Promise.all([
+      eventRollups.countEvents(start_date, end_date),
+      eventRollups.countUniqueUsers(start_date, end_date, { approximate }),
+      eventRollups.countSessions(start_date, end_date),
+      eventRollups.eventSeries(start_date, end_date, { granularity }),
+      eventRollups.uniqueSeries(start_date, end_date, { granularity, approximate }),
+      eventRollups.eventSeries(start_date, end_date, { groupBy: 'event_name' })
+    ]);
+
+    const usersByPeriod = new Map(userSeries.map(row => [row.period, row.count]));
     res.json({
       success: true,
-      count: events.length,
-      events
+      start_date,
+      end_date,
+      granularity,
+      ...approximateFields(approximate),
+      totals: { events, active_users: users, sessions },
+      series: eventSeries.map(row => ({
+        period: row.period,
+        events: row.count,
+        active_users: usersByPeriod.get(row.period) || 0
+      })),
+      top_events: topEvents.slice(0, parseInt(top) || 10)
     });
   } catch (error) {
-    console.error('Error querying events:', error);
-    res.status(500).json({
+    console.error('Error getting events overview:', error);
+    res.status(error.statusCode || 500).json({
       success: false,
       error: error.message
     });
   }
 });
 
-// Get event count
-app.get('/api/events/count', async (req, res) => {
+// Event counts by event_name, country, device_type or browser, optionally
+// per period and filtered on those same dimensions (e.g. &country=US)
+app.get('/api/events/breakdown', async (req, res) => {
   try {
-    const { event_name, start_date, end_date } = req.query;
+    const { start_date, end_date, group_by, granularity = null } = req.query;
 
-    if (!event_name || !start_date || !end_date) {
+    if (!start_date || !end_date || !group_by) {
       return res.status(400).json({
         success: false,
-        error: 'event_name, start_date, and end_date are required'
+        error: 'start_date, end_date, and group_by are required'
       });
     }
 
-    const count = await db.getEventCount(event_name, start_date, end_date);
+    const filters = {};
+    for (const dimension of EventRollups.DIMENSIONS) {
+      if (req.query[dimension] !== undefined) filters[dimension] = req.query[dimension];
+    }
+
+    const data = await eventRollups.eventSeries(start_date, end_date, { granularity, groupBy: group_by, filters });
     res.json({
       success: true,
-      event_name,
-      count,
-      start_date,
-      end_date
+      group_by,
+      granularity,
+      data
     });
   } catch (error) {
-    console.error('Error counting events:', error);
+    console.error('Error getting event breakdown:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// How far the event rollups are (events and changed days not rolled up yet)
+app.get('/api/events/rollups', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      ...(await eventRollups.status())
+    });
+  } catch (error) {
+    console.error('Error getting rollup status:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Roll up new events now instead of waiting for the timer; { rebuild: true }
+// aggregates every event again
+app.post('/api/events/rollups/refresh', async (req, res) => {
+  try {
+    const result = req.body && req.body.rebuild
+      ? await eventRollups.rebuild()
+      : await eventRollups.run();
+    res.json({
+      success: true,
+      ...result,
+      ...(await eventRollups.status())
+    });
+  } catch (error) {
+    console.error('Error refreshing rollups:', error);
     res.status(500).json({
       success: false,
       error: error.message
@@ -240,22 +492,28 @@ app.post('/api/users', async (req, res) => {
   }
 });
 
-// Get user by ID
-app.get('/api/users/:userId', async (req, res) => {
+// Identify a user: set traits and merge the anonymous id they used before
+app.post('/api/users/identify', async (req, res) => {
   try {
-    const user = await db.getUser(req.params.userId);
-    if (!user) {
-      return res.status(404).json({
+    const { user_id, anonymous_id, email, name, properties } = req.body;
+
+    if (!user_id) {
+      return res.status(400).json({
         success: false,
-        error: 'User not found'
+        error: 'user_id is required'
       });
     }
+
+    const result = await identityResolver.identify(user_id, anonymous_id, { email, name, properties });
     res.json({
       success: true,
-      user
+      ...result
     });
   } catch (error) {
-    console.error('Error getting user:', error);
+    if (error instanceof IdentityResolver.IdentityConflictError) {
+      return res.status(409).json({ success: false, error: error.message });
+    }
+    console.error('Error identifying user:', error);
     res.status(500).json({
       success: false,
       error: error.message
@@ -263,21 +521,28 @@ app.get('/api/users/:userId', async (req, res) => {
   }
 });
 
-// List users
-app.get('/api/users', async (req, res) => {
+// Alias: merge previous_id into user_id
+app.post('/api/users/alias', async (req, res) => {
   try {
-    const { limit = 100, offset = 0 } = req.query;
-    const users = await db.all(
-      'SELECT * FROM users ORDER BY created_at DESC LIMIT ? OFFSET ?',
-      [parseInt(limit), parseInt(offset)]
-    );
+    const { previous_id, user_id } = req.body;
+
+    if (!previous_id || !user_id) {
+      return res.status(400).json({
+        success: false,
+        error: 'previous_id and user_id are required'
+      });
+    }
+
+    const merge = await identityResolver.merge(previous_id, user_id, 'alias');
     res.json({
       success: true,
-      count: users.length,
-      users
+      merge
     });
   } catch (error) {
-    console.error('Error listing users:', error);
+    if (error instanceof IdentityResolver.IdentityConflictError) {
+      return res.status(409).json({ success: false, error: error.message });
+    }
+    console.error('Error aliasing user:', error);
     res.status(500).json({
       success: false,
       error: error.message
@@ -285,10 +550,12 @@ app.get('/api/users', async (req, res) => {
   }
 });
 
-// Get user statistics
+// Get user statistics (before /api/users/:userId, which would match it).
+// approximate=true estimates active users from the HyperLogLog day sketches.
 app.get('/api/users/stats', async (req, res) => {
   try {
     const { start_date, end_date } = req.query;
+    const approximate = req.query.approximate === 'true';
 
     if (!start_date || !end_date) {
       return res.status(400).json({
@@ -297,18 +564,102 @@ app.get('/api/users/stats', async (req, res) => {
       });
     }
 
-    const uniqueUsers = await db.getUniqueUsers(start_date, end_date);
-    const totalUsers = await db.get('SELECT COUNT(*) as count FROM users');
+    const uniqueUsers = await eventRollups.countUniqueUsers(start_date, end_date, { approximate });
+    // Ids merged into another user are not users of their own
+    const totalUsers = await db.get(
+      'SELECT COUNT(*) as count FROM users WHERE id NOT IN (SELECT alias_id FROM user_aliases)'
+    );
 
     res.json({
       success: true,
       total_users: totalUsers.count,
       active_users: uniqueUsers,
+      ...approximateFields(approximate),
       start_date,
       end_date
     });
   } catch (error) {
     console.error('Error getting user stats:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Get user by ID (or any id merged into it), with merged event history
+app.get('/api/users/:userId', async (req, res) => {
+  try {
+    const { history_limit = 100 } = req.query;
+    const identities = await identityResolver.getIdentities(req.params.userId);
+    const user = await db.getUser(identities.canonical_id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    const summary = await db.get(
+      `SELECT COUNT(*) as total_events, MIN(timestamp) as first_event_at, MAX(timestamp) as last_event_at
+       FROM events WHERE user_id = ?`,
+      [user.id]
+    );
+    const history = await db.all(
+      `SELECT id, event_name, timestamp, COALESCE(session_id, derived_session_id) as session_id, page_url, properties,
+              COALESCE(original_user_id, user_id) as sent_as
+       FROM events
+       WHERE user_id = ?
+       ORDER BY timestamp DESC
+       LIMIT ?`,
+      [user.id, parseInt(history_limit) || 100]
+    );
+    const cohorts = await db.all(
+      `SELECT c.id, c.name, cm.added_at
+       FROM cohort_members cm
+       JOIN cohorts c ON c.id = cm.cohort_id
+       WHERE cm.user_id = ?
+       ORDER BY c.name`,
+      [user.id]
+    );
+
+    res.json({
+      success: true,
+      user,
+      aliases: identities.aliases,
+      cohorts,
+      ...summary,
+      history: history.map(event => ({
+        ...event,
+        properties: event.properties ? JSON.parse(event.properties) : {}
+      }))
+    });
+  } catch (error) {
+    console.error('Error getting user:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// List users (ids merged into another user are left out)
+app.get('/api/users', async (req, res) => {
+  try {
+    const { limit = 100, offset = 0 } = req.query;
+    const users = await db.all(
+      `SELECT * FROM users
+       WHERE id NOT IN (SELECT alias_id FROM user_aliases)
+       ORDER BY created_at DESC LIMIT ? OFFSET ?`,
+      [parseInt(limit), parseInt(offset)]
+    );
+    res.json({
+      success: true,
+      count: users.length,
+      users
+    });
+  } catch (error) {
+    console.error('Error listing users:', error);
     res.status(500).json({
       success: false,
       error: error.message
@@ -320,15 +671,60 @@ app.get('/api/users/stats', async (req, res) => {
 // FUNNEL ROUTES
 // ============================================================================
 
+// Validate a funnel definition (steps, order, conversion window)
+// Returns an error message, or null when the definition is valid
+function validateFunnelDefinition({ steps, order, conversion_window_days }) {
+  if (!steps || !Array.isArray(steps) || steps.length < 2) {
+    return 'steps must be an array with at least 2 events';
+  }
+
+  try {
+    funnelAnalyzer.normalizeSteps(steps);
+  } catch (error) {
+    return error.message;
+  }
+
+  if (order !== undefined && order !== null && !FunnelAnalyzer.FUNNEL_ORDERS.includes(order)) {
+    return `order must be one of: ${FunnelAnalyzer.FUNNEL_ORDERS.join(', ')}`;
+  }
+
+  if (conversion_window_days !== undefined && conversion_window_days !== null &&
+      !(Number(conversion_window_days) > 0)) {
+    return 'conversion_window_days must be a positive number';
+  }
+
+  return null;
+}
+
 // Analyze funnel
 app.post('/api/funnels/analyze', async (req, res) => {
   try {
-    const { steps, start_date, end_date, cohort_id } = req.body;
+    const { start_date, end_date, cohort_id, funnel_id } = req.body;
+    let { steps, order, conversion_window_days } = req.body;
+
+    // Load a saved funnel definition; request fields override it
+    if (funnel_id) {
+      const funnel = await db.get('SELECT * FROM funnels WHERE id = ?', [funnel_id]);
 
-    if (!steps || !Array.isArray(steps) || steps.length < 2) {
+      if (!funnel) {
+        return res.status(404).json({
+          success: false,
+          error: 'Funnel not found'
+        });
+      }
+
+      steps = steps || JSON.parse(funnel.steps);
+      order = order || funnel.order_mode;
+      conversion_window_days = conversion_window_days !== undefined
+        ? conversion_window_days
+        : funnel.conversion_window_days;
+    }
+
+    const validationError = validateFunnelDefinition({ steps, order, conversion_window_days });
+    if (validationError) {
       return res.status(400).json({
         success: false,
-        error: 'steps must be an array with at least 2 events'
+        error: validationError
       });
     }
 
@@ -339,7 +735,14 @@ app.post('/api/funnels/analyze', async (req, res) => {
       });
     }
 
-    const result = await funnelAnalyzer.analyzeFunnel(steps, start_date, end_date, cohort_id);
+    if (cohort_id) {
+      await cohortEngine.ensureFresh(cohort_id);
+    }
+
+    const result = await funnelAnalyzer.analyzeFunnel(steps, start_date, end_date, cohort_id, {
+      order: order || 'strict',
+      conversionWindowDays: conversion_window_days ? Number(conversion_window_days) : null
+    });
     res.json({
       success: true,
       data: result
@@ -361,7 +764,7 @@ app.post('/api/funnels/timings', async (req, res) => {
     if (!steps || !Array.isArray(steps)) {
       return res.status(400).json({
         success: false,
-        error: 'steps must be an array of event names'
+        error: 'steps must be an array of event names or step objects'
       });
     }
 
@@ -382,7 +785,7 @@ app.post('/api/funnels/timings', async (req, res) => {
 // Get funnel breakdown
 app.post('/api/funnels/breakdown', async (req, res) => {
   try {
-    const { steps, start_date, end_date, breakdown_property } = req.body;
+    const { steps, start_date, end_date, breakdown_property, order, conversion_window_days } = req.body;
 
     if (!breakdown_property) {
       return res.status(400).json({
@@ -395,7 +798,11 @@ app.post('/api/funnels/breakdown', async (req, res) => {
       steps,
       start_date,
       end_date,
-      breakdown_property
+      breakdown_property,
+      {
+        order: order || 'strict',
+        conversionWindowDays: conversion_window_days ? Number(conversion_window_days) : null
+      }
     );
 
     res.json({
@@ -433,11 +840,27 @@ app.get('/api/funnels', async (req, res) => {
 // Create saved funnel
 app.post('/api/funnels', async (req, res) => {
   try {
-    const { name, description, steps, created_by } = req.body;
+    const { name, description, steps, order = 'strict', conversion_window_days, created_by } = req.body;
+
+    const validationError = validateFunnelDefinition({ steps, order, conversion_window_days });
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError
+      });
+    }
 
     const result = await db.run(
-      'INSERT INTO funnels (name, description, steps, created_by) VALUES (?, ?, ?, ?)',
-      [name, description, JSON.stringify(steps), created_by]
+      `INSERT INTO funnels (name, description, steps, order_mode, conversion_window_days, created_by)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [
+        name,
+        description,
+        JSON.stringify(steps),
+        order,
+        conversion_window_days ? Number(conversion_window_days) : null,
+        created_by
+      ]
     );
 
     res.json({
@@ -458,12 +881,54 @@ app.post('/api/funnels', async (req, res) => {
 // RETENTION ROUTES
 // ============================================================================
 
+// Parse retention brackets like "1,2-7,8-30,31+" into period ranges
+function parseRetentionBrackets(value) {
+  return value.split(',').map(part => {
+    const match = part.trim().match(/^(\d+)(?:(\+)|-(\d+))?$/);
+    if (!match) {
+      throw new Error(`Invalid bracket "${part.trim()}" (expected N, A-B or A+)`);
+    }
+    const start = parseInt(match[1]);
+    return { start, end: match[2] ? null : parseInt(match[3] || match[1]) };
+  });
+}
+
 // Analyze retention
 app.get('/api/retention', async (req, res) => {
   try {
-    const { cohort_size = 'week', periods = 12 } = req.query;
+    const {
+      cohort_size = 'week',
+      periods = 12,
+      mode = 'bounded',
+      return_event,
+      cohort_event,
+      brackets
+    } = req.query;
+
+    if (!['bounded', 'unbounded'].includes(mode)) {
+      return res.status(400).json({
+        success: false,
+        error: 'mode must be bounded or unbounded'
+      });
+    }
+
+    let parsedBrackets = null;
+    try {
+      parsedBrackets = brackets ? parseRetentionBrackets(brackets) : null;
+      cohortRetention.retentionColumns(parseInt(periods), mode, parsedBrackets);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
 
-    const result = await cohortRetention.analyzeRetention(cohort_size, parseInt(periods));
+    const result = await cohortRetention.analyzeRetention(cohort_size, parseInt(periods), {
+      mode,
+      returnEvent: return_event || null,
+      cohortEvent: cohort_event || null,
+      brackets: parsedBrackets
+    });
     res.json({
       success: true,
       data: result
@@ -572,6 +1037,59 @@ app.get('/api/journeys/top-paths', async (req, res) => {
   }
 });
 
+// Get path flow (Sankey nodes and links) around an anchor event
+app.get('/api/journeys/flow', async (req, res) => {
+  try {
+    const {
+      anchor_event,
+      direction = 'forward',
+      steps = 4,
+      start_date,
+      end_date,
+      exclude,
+      max_nodes = 6,
+      min_share = 0.02
+    } = req.query;
+
+    if (!['forward', 'backward'].includes(direction)) {
+      return res.status(400).json({
+        success: false,
+        error: 'direction must be forward or backward'
+      });
+    }
+
+    const parsedSteps = parseInt(steps);
+    if (!(parsedSteps >= 1 && parsedSteps <= 10)) {
+      return res.status(400).json({
+        success: false,
+        error: 'steps must be between 1 and 10'
+      });
+    }
+
+    const flow = await journeyMapper.getPathFlow({
+      anchorEvent: anchor_event || null,
+      direction,
+      steps: parsedSteps,
+      startDate: start_date,
+      endDate: end_date,
+      excludeEvents: exclude ? exclude.split(',').map(name => name.trim()).filter(Boolean) : [],
+      maxNodesPerStep: parseInt(max_nodes) || 6,
+      minShare: min_share !== undefined ? Number(min_share) || 0 : 0.02
+    });
+
+    res.json({
+      success: true,
+      data: flow
+    });
+  } catch (error) {
+    console.error('Error getting path flow:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 // Get user journey
 app.get('/api/journeys/user/:userId', async (req, res) => {
   try {
@@ -671,7 +1189,9 @@ app.get('/api/journeys/drop-offs', async (req, res) => {
 // Get session statistics
 app.get('/api/journeys/session-stats', async (req, res) => {
   try {
-    const stats = await journeyMapper.getSessionStats();
+    const { start_date, end_date } = req.query;
+
+    const stats = await journeyMapper.getSessionStats(start_date, end_date);
     res.json({
       success: true,
       data: stats
@@ -685,24 +1205,86 @@ app.get('/api/journeys/session-stats', async (req, res) => {
   }
 });
 
+// List sessions with duration, bounce and entry/exit page
+app.get('/api/journeys/sessions', async (req, res) => {
+  try {
+    const { start_date, end_date, user_id, bounced, limit = 100, offset = 0 } = req.query;
+
+    if (bounced !== undefined && !['true', 'false'].includes(bounced)) {
+      return res.status(400).json({
+        success: false,
+        error: 'bounced must be true or false'
+      });
+    }
+
+    const sessions = await journeyMapper.getSessions({
+      startDate: start_date,
+      endDate: end_date,
+      userId: user_id ? await identityResolver.resolve(user_id) : null,
+      bounced: bounced === undefined ? null : bounced === 'true',
+      limit: Math.min(parseInt(limit) || 100, 1000),
+      offset: parseInt(offset) || 0
+    });
+
+    res.json({
+      success: true,
+      count: sessions.length,
+      sessions
+    });
+  } catch (error) {
+    console.error('Error listing sessions:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Derive sessions for new sessionless events now (rebuild: redo all of them)
+app.post('/api/journeys/sessionize', async (req, res) => {
+  try {
+    const { rebuild = false } = req.body;
+
+    const result = rebuild ? await sessionizer.rebuild() : await sessionizer.run();
+    res.json({
+      success: true,
+      gap_minutes: sessionizer.options.gapMinutes,
+      events_updated: result.events
+    });
+  } catch (error) {
+    console.error('Error sessionizing events:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 // ============================================================================
 // FEATURE ADOPTION ROUTES
 // ============================================================================
 
+// The feature a request analyses: a registered feature from ?feature=<id>
+// (404 when unknown), else the raw ?event= name
+async function resolveFeature(query) {
+  return query.feature ? featureRegistry.get(query.feature) : (query.event || null);
+}
+
 // Get feature adoption rate
 app.get('/api/features/adoption', async (req, res) => {
   try {
-    const { event, start_date, end_date, granularity = 'day' } = req.query;
+    const { start_date, end_date, granularity = 'day' } = req.query;
+    const feature = await resolveFeature(req.query);
 
-    if (!event || !start_date || !end_date) {
+    if (!feature || !start_date || !end_date) {
       return res.status(400).json({
         success: false,
-        error: 'event, start_date, and end_date are required'
+        error: 'event (or feature), start_date, and end_date are required'
       });
     }
 
     const result = await featureAdoption.getAdoptionRate(
-      event,
+      feature,
       start_date,
       end_date,
       granularity
@@ -714,7 +1296,7 @@ app.get('/api/features/adoption', async (req, res) => {
     });
   } catch (error) {
     console.error('Error getting adoption rate:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: error.message
     });
@@ -724,23 +1306,24 @@ app.get('/api/features/adoption', async (req, res) => {
 // Get cumulative adoption
 app.get('/api/features/cumulative', async (req, res) => {
   try {
-    const { event, launch_date } = req.query;
+    const { launch_date } = req.query;
+    const feature = await resolveFeature(req.query);
 
-    if (!event || !launch_date) {
+    if (!feature || !launch_date) {
       return res.status(400).json({
         success: false,
-        error: 'event and launch_date are required'
+        error: 'event (or feature) and launch_date are required'
       });
     }
 
-    const result = await featureAdoption.getCumulativeAdoption(event, launch_date);
+    const result = await featureAdoption.getCumulativeAdoption(feature, launch_date);
     res.json({
       success: true,
       data: result
     });
   } catch (error) {
     console.error('Error getting cumulative adoption:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: error.message
     });
@@ -748,25 +1331,39 @@ app.get('/api/features/cumulative', async (req, res) => {
 });
 
 // Get feature stickiness
+// Without event or feature it measures all activity. With start_date and end_date it
+// returns daily DAU/WAU/MAU series and the L7/L28 power user curves instead of
+// the DAU/MAU snapshot for one date.
 app.get('/api/features/stickiness', async (req, res) => {
   try {
-    const { event, date } = req.query;
-
-    if (!event) {
-      return res.status(400).json({
-        success: false,
-        error: 'event is required'
+    const { date, start_date, end_date } = req.query;
+    const feature = await resolveFeature(req.query);
+
+    if (start_date || end_date) {
+      const from = parseInstant(start_date);
+      const to = parseInstant(end_date);
+      if (!from || !to || from > to) {
+        return res.status(400).json({
+          success: false,
+          error: 'start_date and end_date must both be valid dates, start_date first'
+        });
+      }
+
+      const series = await featureAdoption.getStickinessSeries(feature, from, to);
+      return res.json({
+        success: true,
+        data: series
       });
     }
 
-    const result = await featureAdoption.getFeatureStickiness(event, date);
+    const result = await featureAdoption.getFeatureStickiness(feature, date);
     res.json({
       success: true,
       data: result
     });
   } catch (error) {
     console.error('Error getting feature stickiness:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: error.message
     });
@@ -776,17 +1373,18 @@ app.get('/api/features/stickiness', async (req, res) => {
 // Get power users
 app.get('/api/features/power-users', async (req, res) => {
   try {
-    const { event, start_date, end_date, min_usage = 10 } = req.query;
+    const { start_date, end_date, min_usage = 10 } = req.query;
+    const feature = await resolveFeature(req.query);
 
-    if (!event || !start_date || !end_date) {
+    if (!feature || !start_date || !end_date) {
       return res.status(400).json({
         success: false,
-        error: 'event, start_date, and end_date are required'
+        error: 'event (or feature), start_date, and end_date are required'
       });
     }
 
     const users = await featureAdoption.getPowerUsers(
-      event,
+      feature,
       start_date,
       end_date,
       parseInt(min_usage)
@@ -799,7 +1397,7 @@ app.get('/api/features/power-users', async (req, res) => {
     });
   } catch (error) {
     console.error('Error getting power users:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: error.message
     });
@@ -809,23 +1407,24 @@ app.get('/api/features/power-users', async (req, res) => {
 // Get usage distribution
 app.get('/api/features/distribution', async (req, res) => {
   try {
-    const { event, start_date, end_date } = req.query;
+    const { start_date, end_date } = req.query;
+    const feature = await resolveFeature(req.query);
 
-    if (!event || !start_date || !end_date) {
+    if (!feature || !start_date || !end_date) {
       return res.status(400).json({
         success: false,
-        error: 'event, start_date, and end_date are required'
+        error: 'event (or feature), start_date, and end_date are required'
       });
     }
 
-    const result = await featureAdoption.getUsageDistribution(event, start_date, end_date);
+    const result = await featureAdoption.getUsageDistribution(feature, start_date, end_date);
     res.json({
       success: true,
       data: result
     });
   } catch (error) {
     console.error('Error getting usage distribution:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: error.message
     });
@@ -835,23 +1434,23 @@ app.get('/api/features/distribution', async (req, res) => {
 // Compare feature across cohorts
 app.get('/api/features/cohort-comparison', async (req, res) => {
   try {
-    const { event } = req.query;
+    const feature = await resolveFeature(req.query);
 
-    if (!event) {
+    if (!feature) {
       return res.status(400).json({
         success: false,
-        error: 'event is required'
+        error: 'event (or feature) is required'
       });
     }
 
-    const result = await featureAdoption.compareFeatureAcrossCohorts(event);
+    const result = await featureAdoption.compareFeatureAcrossCohorts(feature);
     res.json({
       success: true,
       data: result
     });
   } catch (error) {
     console.error('Error comparing feature across cohorts:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: error.message
     });
@@ -861,33 +1460,74 @@ app.get('/api/features/cohort-comparison', async (req, res) => {
 // Get time to adoption
 app.get('/api/features/time-to-adoption', async (req, res) => {
   try {
-    const { event, limit = 100 } = req.query;
+    const { limit = 100 } = req.query;
+    const feature = await resolveFeature(req.query);
 
-    if (!event) {
+    if (!feature) {
       return res.status(400).json({
         success: false,
-        error: 'event is required'
+        error: 'event (or feature) is required'
       });
     }
 
-    const result = await featureAdoption.getTimeToAdoption(event, parseInt(limit));
+    const result = await featureAdoption.getTimeToAdoption(feature, parseInt(limit));
     res.json({
       success: true,
       data: result
     });
   } catch (error) {
     console.error('Error getting time to adoption:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: error.message
     });
   }
 });
 
+// Measure a feature flag rollout from its exposure events, optionally with
+// adoption of a feature event per flag value
+app.get('/api/features/flag-rollout', async (req, res) => {
+  try {
+    const { flag, start_date, end_date, granularity = 'day' } = req.query;
+    const feature = await resolveFeature(req.query);
+
+    if (!flag || !start_date || !end_date) {
+      return res.status(400).json({
+        success: false,
+        error: 'flag, start_date, and end_date are required'
+      });
+    }
+
+    const result = await featureAdoption.getFlagRollout(flag, start_date, end_date, granularity, feature);
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    console.error('Error getting flag rollout:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Feature registry (under /api/features/registry) and the adoption scorecard
+app.use('/api/features', featuresRouter(db, { featureRegistry }));
+
 // ============================================================================
 // COHORT ROUTES
 // ============================================================================
 
+function parseCohort(cohort) {
+  const criteria = cohort.criteria ? JSON.parse(cohort.criteria) : null;
+  return {
+    ...cohort,
+    criteria,
+    type: CohortEngine.isDynamic(criteria) ? 'dynamic' : 'static'
+  };
+}
+
 // List cohorts
 app.get('/api/cohorts', async (req, res) => {
   try {
@@ -895,7 +1535,7 @@ app.get('/api/cohorts', async (req, res) => {
     res.json({
       success: true,
       count: cohorts.length,
-      cohorts
+      cohorts: cohorts.map(parseCohort)
     });
   } catch (error) {
     console.error('Error listing cohorts:', error);
@@ -906,19 +1546,47 @@ app.get('/api/cohorts', async (req, res) => {
   }
 });
 
-// Create cohort
+// Create cohort. Criteria with rules make a dynamic cohort whose membership
+// is computed right away; anything else is a static cohort (users.cohort_id).
 app.post('/api/cohorts', async (req, res) => {
   try {
     const { id, name, description, criteria } = req.body;
 
-    const result = await db.run(
+    if (!id || !name) {
+      return res.status(400).json({
+        success: false,
+        error: 'id and name are required'
+      });
+    }
+
+    try {
+      cohortEngine.validate(criteria);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid criteria: ${error.message}`
+      });
+    }
+
+    const existing = await db.get('SELECT id FROM cohorts WHERE id = ?', [id]);
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        error: 'Cohort already exists'
+      });
+    }
+
+    await db.run(
       'INSERT INTO cohorts (id, name, description, criteria) VALUES (?, ?, ?, ?)',
       [id, name, description, JSON.stringify(criteria)]
     );
+    const refresh = await cohortEngine.refresh(id);
 
     res.json({
       success: true,
       cohort_id: id,
+      type: refresh.type,
+      user_count: refresh.user_count,
       message: 'Cohort created successfully'
     });
   } catch (error) {
@@ -930,10 +1598,47 @@ app.post('/api/cohorts', async (req, res) => {
   }
 });
 
-// Get cohort by ID
+// Refresh every cohort's membership now
+app.post('/api/cohorts/refresh', async (req, res) => {
+  try {
+    const results = await cohortEngine.refreshAll();
+    res.json({
+      success: true,
+      data: results
+    });
+  } catch (error) {
+    console.error('Error refreshing cohorts:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Normalize a date or timestamp query parameter to an ISO instant (null when invalid)
+function parseInstant(value) {
+  const time = Date.parse(value);
+  return Number.isNaN(time) ? null : new Date(time).toISOString();
+}
+
+// Get cohort by ID, with its current members (or its members at as_of)
 app.get('/api/cohorts/:cohortId', async (req, res) => {
   try {
-    const cohort = await db.get('SELECT * FROM cohorts WHERE id = ?', [req.params.cohortId]);
+    const { cohortId } = req.params;
+    const asOf = req.query.as_of ? parseInstant(req.query.as_of) : null;
+
+    if (req.query.as_of && !asOf) {
+      return res.status(400).json({
+        success: false,
+        error: 'as_of must be a date or timestamp'
+      });
+    }
+
+    if (!asOf) {
+      await cohortEngine.ensureFresh(cohortId);
+    }
+
+    const cohort = await db.get('SELECT * FROM cohorts WHERE id = ?', [cohortId]);
 
     if (!cohort) {
       return res.status(404).json({
@@ -943,11 +1648,12 @@ app.get('/api/cohorts/:cohortId', async (req, res) => {
     }
 
     // Get users in cohort
-    const users = await db.all('SELECT * FROM users WHERE cohort_id = ?', [req.params.cohortId]);
+    const { users } = await cohortEngine.getMembers(cohortId, { asOf });
 
     res.json({
       success: true,
-      cohort,
+      cohort: parseCohort(cohort),
+      as_of: asOf || undefined,
       user_count: users.length,
       users
     });
@@ -960,6 +1666,228 @@ app.get('/api/cohorts/:cohortId', async (req, res) => {
   }
 });
 
+// Update a cohort's name, description or criteria; membership is re-evaluated
+app.put('/api/cohorts/:cohortId', async (req, res) => {
+  try {
+    const { cohortId } = req.params;
+    const { name, description, criteria } = req.body;
+
+    const cohort = await db.get('SELECT * FROM cohorts WHERE id = ?', [cohortId]);
+    if (!cohort) {
+      return res.status(404).json({
+        success: false,
+        error: 'Cohort not found'
+      });
+    }
+
+    if (criteria !== undefined) {
+      try {
+        cohortEngine.validate(criteria);
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          error: `Invalid criteria: ${error.message}`
+        });
+      }
+    }
+
+    await db.run(
+      'UPDATE cohorts SET name = ?, description = ?, criteria = ? WHERE id = ?',
+      [
+        name !== undefined ? name : cohort.name,
+        description !== undefined ? description : cohort.description,
+        criteria !== undefined ? JSON.stringify(criteria) : cohort.criteria,
+        cohortId
+      ]
+    );
+    const refresh = await cohortEngine.refresh(cohortId);
+
+    res.json({
+      success: true,
+      cohort: parseCohort(await db.get('SELECT * FROM cohorts WHERE id = ?', [cohortId])),
+      refresh
+    });
+  } catch (error) {
+    console.error('Error updating cohort:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Delete a cohort, its memberships and their history (users.cohort_id is cleared for static cohorts)
+app.delete('/api/cohorts/:cohortId', async (req, res) => {
+  try {
+    const { cohortId } = req.params;
+
+    const deleted = await db.transaction(async () => {
+      const result = await db.run('DELETE FROM cohorts WHERE id = ?', [cohortId]);
+      if (result.changes > 0) {
+        await db.run('DELETE FROM cohort_members WHERE cohort_id = ?', [cohortId]);
+        await db.run('DELETE FROM cohort_membership_history WHERE cohort_id = ?', [cohortId]);
+        await db.run('UPDATE users SET cohort_id = NULL WHERE cohort_id = ?', [cohortId]);
+      }
+      return result.changes > 0;
+    });
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: 'Cohort not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      deleted: true,
+      cohort_id: cohortId
+    });
+  } catch (error) {
+    console.error('Error deleting cohort:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Members with pagination, now or at a point in time
+app.get('/api/cohorts/:cohortId/members', async (req, res) => {
+  try {
+    const { cohortId } = req.params;
+    const { as_of, limit = 1000, offset = 0 } = req.query;
+    const asOf = as_of ? parseInstant(as_of) : null;
+
+    if (as_of && !asOf) {
+      return res.status(400).json({
+        success: false,
+        error: 'as_of must be a date or timestamp'
+      });
+    }
+
+    const cohort = await db.get('SELECT id FROM cohorts WHERE id = ?', [cohortId]);
+    if (!cohort) {
+      return res.status(404).json({
+        success: false,
+        error: 'Cohort not found'
+      });
+    }
+
+    if (!asOf) {
+      await cohortEngine.ensureFresh(cohortId);
+    }
+
+    const parsedLimit = Math.min(parseInt(limit) || 1000, 10000);
+    const parsedOffset = parseInt(offset) || 0;
+    const { user_count, users } = await cohortEngine.getMembers(cohortId, {
+      asOf,
+      limit: parsedLimit,
+      offset: parsedOffset
+    });
+
+    res.json({
+      success: true,
+      cohort_id: cohortId,
+      as_of: asOf || undefined,
+      user_count,
+      count: users.length,
+      offset: parsedOffset,
+      limit: parsedLimit,
+      users
+    });
+  } catch (error) {
+    console.error('Error getting cohort members:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Users who entered or left a cohort between two instants
+app.get('/api/cohorts/:cohortId/diff', async (req, res) => {
+  try {
+    const { cohortId } = req.params;
+    const { from } = req.query;
+    const to = req.query.to || new Date().toISOString();
+
+    if (!from) {
+      return res.status(400).json({
+        success: false,
+        error: 'from is required'
+      });
+    }
+
+    const fromInstant = parseInstant(from);
+    const toInstant = parseInstant(to);
+    if (!fromInstant || !toInstant) {
+      return res.status(400).json({
+        success: false,
+        error: 'from and to must be dates or timestamps'
+      });
+    }
+    if (fromInstant > toInstant) {
+      return res.status(400).json({
+        success: false,
+        error: 'from must not be after to'
+      });
+    }
+
+    const cohort = await db.get('SELECT id FROM cohorts WHERE id = ?', [cohortId]);
+    if (!cohort) {
+      return res.status(404).json({
+        success: false,
+        error: 'Cohort not found'
+      });
+    }
+
+    const { entered, exited } = await cohortEngine.diff(cohortId, fromInstant, toInstant);
+
+    res.json({
+      success: true,
+      cohort_id: cohortId,
+      from: fromInstant,
+      to: toInstant,
+      entered_count: entered.length,
+      exited_count: exited.length,
+      entered,
+      exited
+    });
+  } catch (error) {
+    console.error('Error diffing cohort membership:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Re-evaluate one cohort's membership now
+app.post('/api/cohorts/:cohortId/refresh', async (req, res) => {
+  try {
+    const result = await cohortEngine.refresh(req.params.cohortId);
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: 'Cohort not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    console.error('Error refreshing cohort:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 // ============================================================================
 // EXPERIMENT (A/B TEST) ROUTES
 // ============================================================================
@@ -982,28 +1910,121 @@ app.get('/api/experiments', async (req, res) => {
   }
 });
 
-// Create experiment
+function sendExperimentError(res, error, message) {
+  if (error instanceof ExperimentAssigner.ExperimentAssignmentError ||
+      error instanceof ExperimentLifecycle.ExperimentLifecycleError) {
+    return res.status(error.statusCode).json({ success: false, error: error.message });
+  }
+  console.error(`${message}:`, error);
+  res.status(500).json({ success: false, error: error.message });
+}
+
+// Create experiment. variants are names (even split) or { name, weight }.
+// It starts running right away unless status is 'draft' or start_date is in
+// the future (then it is scheduled and starts by itself).
 app.post('/api/experiments', async (req, res) => {
   try {
-    const { id, name, description, variants, goal_event, start_date, end_date } = req.body;
+    const {
+      id,
+      name,
+      description,
+      variants,
+      goal_event,
+      start_date,
+      end_date,
+      traffic_allocation = 100,
+      target_cohort_id = null,
+      salt,
+      guardrails = [],
+      metric = null,
+      analysis_mode = 'frequentist',
+      status,
+      actor = null,
+      rationale = null
+    } = req.body;
+
+    if (!id || !name) {
+      return res.status(400).json({
+        success: false,
+        error: 'id and name are required'
+      });
+    }
 
-    const result = await db.run(
-      `INSERT INTO experiments (id, name, description, variants, goal_event, start_date, end_date)
-       VALUES (?, ?, ?, ?, ?, ?, ?)`,
-      [id, name, description, JSON.stringify(variants), goal_event, start_date, end_date]
+    if (status !== undefined && status !== 'draft') {
+      return res.status(400).json({
+        success: false,
+        error: "status can only be 'draft'; use the start endpoint to run the experiment"
+      });
+    }
+
+    const { names, weights } = ExperimentAssigner.normalizeVariants(variants);
+    const allocation = ExperimentAssigner.validateTrafficAllocation(traffic_allocation);
+
+    let parsedGuardrails;
+    let parsedMetric;
+    let analysisMode;
+    try {
+      parsedGuardrails = abTestAnalyzer.normalizeGuardrails(guardrails);
+      parsedMetric = metric ? abTestAnalyzer.normalizeMetric(metric) : null;
+      analysisMode = abTestAnalyzer.normalizeAnalysisMode(analysis_mode);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    if (target_cohort_id && !(await db.get('SELECT id FROM cohorts WHERE id = ?', [target_cohort_id]))) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown target_cohort_id: ${target_cohort_id}`
+      });
+    }
+
+    if (await db.get('SELECT id FROM experiments WHERE id = ?', [id])) {
+      return res.status(409).json({
+        success: false,
+        error: 'Experiment already exists'
+      });
+    }
+
+    const startInstant = start_date ? parseInstant(start_date) : null;
+    const endInstant = end_date ? parseInstant(end_date) : null;
+    if ((start_date && !startInstant) || (end_date && !endInstant)) {
+      return res.status(400).json({
+        success: false,
+        error: 'start_date and end_date must be valid dates'
+      });
+    }
+
+    let initialStatus = 'running';
+    if (status === 'draft') {
+      initialStatus = 'draft';
+    } else if (startInstant && startInstant > new Date().toISOString()) {
+      initialStatus = 'scheduled';
+    }
+
+    await db.run(
+      `INSERT INTO experiments (id, name, description, variants, goal_event, start_date, end_date,
+         variant_weights, traffic_allocation, salt, target_cohort_id, guardrails, metric, analysis_mode, status)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        id, name, description, JSON.stringify(names), goal_event, start_date, end_date,
+        JSON.stringify(weights), allocation, salt || crypto.randomBytes(8).toString('hex'), target_cohort_id,
+        JSON.stringify(parsedGuardrails), parsedMetric ? JSON.stringify(parsedMetric) : null, analysisMode,
+        initialStatus
+      ]
     );
+    await experimentLifecycle.log(id, 'created', { to_status: initialStatus, actor, rationale });
 
     res.json({
       success: true,
       experiment_id: id,
+      status: initialStatus,
       message: 'Experiment created successfully'
     });
   } catch (error) {
-    console.error('Error creating experiment:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    sendExperimentError(res, error, 'Error creating experiment');
   }
 });
 
@@ -1024,7 +2045,8 @@ app.get('/api/experiments/:experimentId', async (req, res) => {
 
     res.json({
       success: true,
-      experiment
+      experiment,
+      allocation: ExperimentAssigner.getAllocation(experiment)
     });
   } catch (error) {
     console.error('Error getting experiment:', error);
@@ -1035,45 +2057,147 @@ app.get('/api/experiments/:experimentId', async (req, res) => {
   }
 });
 
-// Assign user to experiment variant
+// Change variant weights, traffic allocation or target cohort. Users who are
+// already assigned keep their variant; only new assignments follow the change.
+app.put('/api/experiments/:experimentId/allocation', async (req, res) => {
+  try {
+    const experiment = await db.get(
+      'SELECT * FROM experiments WHERE id = ?',
+      [req.params.experimentId]
+    );
+
+    if (!experiment) {
+      return res.status(404).json({
+        success: false,
+        error: 'Experiment not found'
+      });
+    }
+
+    const { weights, traffic_allocation, target_cohort_id, actor = null, rationale = null } = req.body;
+    const updates = [];
+    const params = [];
+
+    if (weights !== undefined) {
+      updates.push('variant_weights = ?', 'weights_updated_at = CURRENT_TIMESTAMP');
+      params.push(JSON.stringify(ExperimentAssigner.validateWeights(JSON.parse(experiment.variants), weights)));
+    }
+    if (traffic_allocation !== undefined) {
+      updates.push('traffic_allocation = ?');
+      params.push(ExperimentAssigner.validateTrafficAllocation(traffic_allocation));
+    }
+    if (target_cohort_id !== undefined) {
+      if (target_cohort_id && !(await db.get('SELECT id FROM cohorts WHERE id = ?', [target_cohort_id]))) {
+        return res.status(400).json({
+          success: false,
+          error: `Unknown target_cohort_id: ${target_cohort_id}`
+        });
+      }
+      updates.push('target_cohort_id = ?');
+      params.push(target_cohort_id || null);
+    }
+
+    if (updates.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Provide weights, traffic_allocation or target_cohort_id'
+      });
+    }
+
+    await db.run(
+      `UPDATE experiments SET ${updates.join(', ')} WHERE id = ?`,
+      [...params, experiment.id]
+    );
+
+    const updated = await db.get('SELECT * FROM experiments WHERE id = ?', [experiment.id]);
+    const allocationChange = ExperimentAssigner.getAllocation(updated);
+    await experimentLifecycle.log(experiment.id, 'updated', {
+      actor,
+      rationale,
+      details: { allocation: allocationChange }
+    });
+
+    res.json({
+      success: true,
+      allocation: allocationChange
+    });
+  } catch (error) {
+    sendExperimentError(res, error, 'Error updating experiment allocation');
+  }
+});
+
+// Assign user to experiment variant. The server buckets the user by hashing;
+// passing variant forces one instead (recorded as a manual assignment).
 app.post('/api/experiments/:experimentId/assign', async (req, res) => {
   try {
     const { user_id, variant } = req.body;
 
-    if (!user_id || !variant) {
+    if (!user_id) {
       return res.status(400).json({
         success: false,
-        error: 'user_id and variant are required'
+        error: 'user_id is required'
       });
     }
 
-    // Check if already assigned
-    const existing = await db.get(
-      'SELECT * FROM experiment_assignments WHERE experiment_id = ? AND user_id = ?',
-      [req.params.experimentId, user_id]
+    const result = await experimentAssigner.assign(req.params.experimentId, user_id, { variant });
+
+    let message = 'User assigned to variant successfully';
+    if (!result.in_experiment) {
+      message = 'User is not in the experiment';
+    } else if (!result.assigned) {
+      message = 'User already assigned to variant';
+    }
+
+    res.json({
+      success: true,
+      ...result,
+      message
+    });
+  } catch (error) {
+    sendExperimentError(res, error, 'Error assigning to experiment');
+  }
+});
+
+// Set the guardrail events that must not regress before a winner can ship
+app.put('/api/experiments/:experimentId/guardrails', async (req, res) => {
+  try {
+    const experiment = await db.get(
+      'SELECT id FROM experiments WHERE id = ?',
+      [req.params.experimentId]
     );
 
-    if (existing) {
-      return res.json({
-        success: true,
-        variant: existing.variant,
-        message: 'User already assigned to variant'
+    if (!experiment) {
+      return res.status(404).json({
+        success: false,
+        error: 'Experiment not found'
+      });
+    }
+
+    let guardrails;
+    try {
+      guardrails = abTestAnalyzer.normalizeGuardrails(req.body.guardrails);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
       });
     }
 
-    // Assign to variant
     await db.run(
-      'INSERT INTO experiment_assignments (experiment_id, user_id, variant) VALUES (?, ?, ?)',
-      [req.params.experimentId, user_id, variant]
+      'UPDATE experiments SET guardrails = ? WHERE id = ?',
+      [JSON.stringify(guardrails), experiment.id]
     );
+    await experimentLifecycle.log(experiment.id, 'updated', {
+      actor: req.body.actor || null,
+      rationale: req.body.rationale || null,
+      details: { guardrails }
+    });
 
     res.json({
       success: true,
-      variant,
-      message: 'User assigned to variant successfully'
+      guardrails
     });
   } catch (error) {
-    console.error('Error assigning to experiment:', error);
+    console.error('Error updating experiment guardrails:', error);
     res.status(500).json({
       success: false,
       error: error.message
@@ -1081,11 +2205,12 @@ app.post('/api/experiments/:experimentId/assign', async (req, res) => {
   }
 });
 
-// Get experiment results
-app.get('/api/experiments/:experimentId/results', async (req, res) => {
+// Set the primary metric the results are analysed on; null goes back to
+// conversion on goal_event
+app.put('/api/experiments/:experimentId/metric', async (req, res) => {
   try {
     const experiment = await db.get(
-      'SELECT * FROM experiments WHERE id = ?',
+      'SELECT id FROM experiments WHERE id = ?',
       [req.params.experimentId]
     );
 
@@ -1096,48 +2221,203 @@ app.get('/api/experiments/:experimentId/results', async (req, res) => {
       });
     }
 
-    const variants = JSON.parse(experiment.variants);
-    const results = [];
+    let metric;
+    try {
+      metric = req.body.metric ? abTestAnalyzer.normalizeMetric(req.body.metric) : null;
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
 
-    for (const variant of variants) {
-      // Get users in this variant
-      const assignments = await db.all(
-        'SELECT user_id FROM experiment_assignments WHERE experiment_id = ? AND variant = ?',
-        [req.params.experimentId, variant]
-      );
+    await db.run(
+      'UPDATE experiments SET metric = ? WHERE id = ?',
+      [metric ? JSON.stringify(metric) : null, experiment.id]
+    );
+    await experimentLifecycle.log(experiment.id, 'updated', {
+      actor: req.body.actor || null,
+      rationale: req.body.rationale || null,
+      details: { metric }
+    });
 
-      const userIds = assignments.map(a => a.user_id);
+    res.json({
+      success: true,
+      metric
+    });
+  } catch (error) {
+    console.error('Error updating experiment metric:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
 
-      if (userIds.length === 0) {
-        results.push({
-          variant,
-          user_count: 0,
-          goal_count: 0,
-          conversion_rate: 0
-        });
-        continue;
-      }
+// Choose how results are judged: frequentist (chi-square significance) or
+// bayesian (probability to beat control and expected loss)
+app.put('/api/experiments/:experimentId/analysis-mode', async (req, res) => {
+  try {
+    const experiment = await db.get(
+      'SELECT id FROM experiments WHERE id = ?',
+      [req.params.experimentId]
+    );
+
+    if (!experiment) {
+      return res.status(404).json({
+        success: false,
+        error: 'Experiment not found'
+      });
+    }
 
-      // Get goal conversions for this variant
-      const conversions = await db.get(
-        `SELECT COUNT(DISTINCT user_id) as count
-         FROM events
-         WHERE event_name = ?
-         AND user_id IN (${userIds.map(() => '?').join(',')})
-         AND timestamp >= ?`,
-        [experiment.goal_event, ...userIds, experiment.start_date]
-      );
-
-      const conversionRate = (conversions.count / userIds.length) * 100;
-
-      results.push({
-        variant,
-        user_count: userIds.length,
-        goal_count: conversions.count,
-        conversion_rate: Math.round(conversionRate * 100) / 100
+    let analysisMode;
+    try {
+      analysisMode = abTestAnalyzer.normalizeAnalysisMode(req.body.analysis_mode);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
       });
     }
 
+    await db.run(
+      'UPDATE experiments SET analysis_mode = ? WHERE id = ?',
+      [analysisMode, experiment.id]
+    );
+    await experimentLifecycle.log(experiment.id, 'updated', {
+      actor: req.body.actor || null,
+      rationale: req.body.rationale || null,
+      details: { analysis_mode: analysisMode }
+    });
+
+    res.json({
+      success: true,
+      analysis_mode: analysisMode
+    });
+  } catch (error) {
+    console.error('Error updating experiment analysis mode:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Lifecycle: draft -> scheduled -> running <-> paused -> completed. Each change
+// takes an optional actor and rationale and is written to the experiment's log.
+
+// Start now, or schedule the start when start_date is in the future
+app.post('/api/experiments/:experimentId/start', async (req, res) => {
+  try {
+    const experiment = await experimentLifecycle.start(req.params.experimentId, req.body);
+    res.json({ success: true, experiment });
+  } catch (error) {
+    sendExperimentError(res, error, 'Error starting experiment');
+  }
+});
+
+// Stop assigning new users; users already assigned keep their variant
+app.post('/api/experiments/:experimentId/pause', async (req, res) => {
+  try {
+    const experiment = await experimentLifecycle.pause(req.params.experimentId, req.body);
+    res.json({ success: true, experiment });
+  } catch (error) {
+    sendExperimentError(res, error, 'Error pausing experiment');
+  }
+});
+
+app.post('/api/experiments/:experimentId/resume', async (req, res) => {
+  try {
+    const experiment = await experimentLifecycle.resume(req.params.experimentId, req.body);
+    res.json({ success: true, experiment });
+  } catch (error) {
+    sendExperimentError(res, error, 'Error resuming experiment');
+  }
+});
+
+// End the experiment with a decision: winning_variant (null for no winner)
+// and a required rationale. Assignment then returns the winner to everyone.
+app.post('/api/experiments/:experimentId/conclude', async (req, res) => {
+  try {
+    const experiment = await experimentLifecycle.conclude(req.params.experimentId, req.body);
+    res.json({ success: true, experiment });
+  } catch (error) {
+    sendExperimentError(res, error, 'Error concluding experiment');
+  }
+});
+
+// Move the scheduled start (draft or scheduled experiments) or end date;
+// end_date null removes the scheduled end
+app.put('/api/experiments/:experimentId/schedule', async (req, res) => {
+  try {
+    const experiment = await experimentLifecycle.reschedule(req.params.experimentId, req.body);
+    res.json({ success: true, experiment });
+  } catch (error) {
+    sendExperimentError(res, error, 'Error rescheduling experiment');
+  }
+});
+
+// Audit log of lifecycle changes and configuration updates, newest first
+app.get('/api/experiments/:experimentId/log', async (req, res) => {
+  try {
+    const experiment = await db.get('SELECT id FROM experiments WHERE id = ?', [req.params.experimentId]);
+    if (!experiment) {
+      return res.status(404).json({
+        success: false,
+        error: 'Experiment not found'
+      });
+    }
+
+    const log = await experimentLifecycle.getLog(experiment.id);
+    res.json({ success: true, experiment_id: experiment.id, log });
+  } catch (error) {
+    console.error('Error getting experiment log:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Get experiment results, with the recommendation and the checks (sample
+// ratio, minimum sample and runtime, guardrails) that gate shipping a winner.
+// metric_analysis is the per-user analysis of the experiment's primary metric;
+// bayesian is filled in for experiments in Bayesian mode (or with ?mode=bayesian).
+// comparisons holds the tests against control and between every pair of
+// variants, adjusted with ?correction=holm (default), bh or none.
+app.get('/api/experiments/:experimentId/results', async (req, res) => {
+  try {
+    const experiment = await db.get(
+      'SELECT * FROM experiments WHERE id = ?',
+      [req.params.experimentId]
+    );
+
+    if (!experiment) {
+      return res.status(404).json({
+        success: false,
+        error: 'Experiment not found'
+      });
+    }
+
+    let mode;
+    let correction;
+    try {
+      mode = abTestAnalyzer.normalizeAnalysisMode(req.query.mode || experiment.analysis_mode);
+      correction = abTestAnalyzer.normalizeCorrection(req.query.correction);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    const analysis = await abTestAnalyzer.getExperimentResults(experiment.id);
+    const recommendation = await abTestAnalyzer.getRecommendation(experiment.id, { mode, correction });
+    const { checks, ...advice } = recommendation;
+    const comparison = await abTestAnalyzer.getVariantComparison(experiment.id, { correction });
+    const metricAnalysis = await abTestAnalyzer.analyzeMetric(experiment.id);
+    const bayesian = mode === 'bayesian' ? await abTestAnalyzer.calculateBayesian(experiment.id) : null;
+
     res.json({
       success: true,
       experiment: {
@@ -1146,7 +2426,24 @@ app.get('/api/experiments/:experimentId/results', async (req, res) => {
         goal_event: experiment.goal_event,
         status: experiment.status
       },
-      results
+      results: analysis.variants.map(variant => ({
+        variant: variant.variant,
+        user_count: variant.total_users,
+        goal_count: variant.conversions,
+        conversion_rate: variant.conversion_rate,
+        confidence_interval: variant.confidence_interval
+      })),
+      recommendation: advice,
+      checks,
+      comparisons: {
+        correction: comparison.correction,
+        vs_control: comparison.vs_control,
+        pairwise: comparison.pairwise,
+        winner: comparison.winner
+      },
+      metric_analysis: metricAnalysis,
+      analysis_mode: mode,
+      bayesian
     });
   } catch (error) {
     console.error('Error getting experiment results:', error);
@@ -1157,6 +2454,76 @@ app.get('/api/experiments/:experimentId/results', async (req, res) => {
   }
 });
 
+// Sequential (always-valid) results: safe to check at any time, stop when can_stop is true
+app.get('/api/experiments/:experimentId/sequential', async (req, res) => {
+  try {
+    const { alpha, tau, granularity = 'day' } = req.query;
+    const options = { granularity };
+
+    if (!['hour', 'day', 'week', 'month'].includes(granularity)) {
+      return res.status(400).json({
+        success: false,
+        error: 'granularity must be one of hour, day, week, month'
+      });
+    }
+    if (alpha !== undefined) {
+      options.alpha = Number(alpha);
+      if (!(options.alpha > 0 && options.alpha < 1)) {
+        return res.status(400).json({ success: false, error: 'alpha must be between 0 and 1' });
+      }
+    }
+    if (tau !== undefined) {
+      options.tau = Number(tau);
+      if (!(options.tau > 0)) {
+        return res.status(400).json({ success: false, error: 'tau must be a positive number' });
+      }
+    }
+
+    const experiment = await db.get('SELECT id FROM experiments WHERE id = ?', [req.params.experimentId]);
+    if (!experiment) {
+      return res.status(404).json({
+        success: false,
+        error: 'Experiment not found'
+      });
+    }
+
+    const sequential = await abTestAnalyzer.calculateSequentialSignificance(experiment.id, options);
+
+    res.json({
+      success: true,
+      ...sequential
+    });
+  } catch (error) {
+    console.error('Error getting sequential results:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// ============================================================================
+// EVENT SCHEMA ROUTES
+// ============================================================================
+
+// Event registry ("lexicon") and the dead-letter table of events refused by strict validation
+app.use('/api/schema', schemaRouter(db, { schemaRegistry, eventQueue }));
+
+// ============================================================================
+// FEATURE FLAG ROUTES
+// ============================================================================
+
+// Flags with targeting rules, percentage rollouts and kill switches, evaluated per user
+app.use('/api/flags', flagsRouter(db, { featureFlags }));
+
+// ============================================================================
+// INSIGHTS ROUTES
+// ============================================================================
+
+// One query endpoint for segmentation charts: events, aggregation, filters,
+// group-by, granularity and date range in, time series out
+app.use('/api/insights', insightsRouter(db, { insightsQuery }));
+
 // ============================================================================
 // ERROR HANDLING
 // ============================================================================
@@ -1209,11 +2576,24 @@ async function startServer() {
 async function shutdown() {
   console.log('\nShutting down gracefully...');
 
+  // Stop taking events and start writing whatever is still buffered
+  const queueFlushed = eventQueue.close();
+  const sessionizerStopped = sessionizer.stop();
+  const rollupsStopped = eventRollups.stop();
+  const cohortsStopped = cohortEngine.stop();
+  const scheduleStopped = experimentLifecycle.stopScheduler();
+
   if (server) {
     server.close(async () => {
       console.log('HTTP server closed');
 
       try {
+        await queueFlushed;
+        console.log('Event queue flushed');
+        await sessionizerStopped;
+        await rollupsStopped;
+        await cohortsStopped;
+        await scheduleStopped;
         await db.close();
         console.log('Database connection closed');
         process.exit(0);
@@ -6,10 +6,12 @@
 
 const fs = require('fs');
 const path = require('path');
+const EventRollups = require('../ingestion/rollups');
 
 class ExportUtility {
   constructor(database) {
     this.db = database;
+    this.rollups = new EventRollups(database);
   }
 
   // ==================== CSV Export Methods ====================
@@ -130,7 +132,7 @@ class ExportUtility {
       const params = [];
 
       if (filters.cohortId) {
-        sql += ' AND cohort_id = ?';
+        sql += ' AND id IN (SELECT user_id FROM cohort_members WHERE cohort_id = ?)';
         params.push(filters.cohortId);
       }
 
@@ -400,7 +402,7 @@ class ExportUtility {
     const params = [];
 
     if (filters.cohortId) {
-      sql += ' AND cohort_id = ?';
+      sql += ' AND id IN (SELECT user_id FROM cohort_members WHERE cohort_id = ?)';
       params.push(filters.cohortId);
     }
 
@@ -489,7 +491,10 @@ class ExportUtility {
     return await Promise.all(
       cohorts.map(async (cohort) => {
         const users = await this.db.all(
-          'SELECT id, email, name FROM users WHERE cohort_id = ?',
+          `SELECT u.id, u.email, u.name
+           FROM cohort_members cm
+           JOIN users u ON u.id = cm.user_id
+           WHERE cm.cohort_id = ?`,
           [cohort.id]
         );
         return {
@@ -555,26 +560,17 @@ class ExportUtility {
 
   async getOverviewStats(startDate, endDate) {
     const [events, users, sessions] = await Promise.all([
-      this.db.get(
-        'SELECT COUNT(*) as count FROM events WHERE timestamp BETWEEN ? AND ?',
-        [startDate, endDate]
-      ),
-      this.db.get(
-        'SELECT COUNT(DISTINCT user_id) as count FROM events WHERE timestamp BETWEEN ? AND ?',
-        [startDate, endDate]
-      ),
-      this.db.get(
-        'SELECT COUNT(DISTINCT session_id) as count FROM events WHERE timestamp BETWEEN ? AND ?',
-        [startDate, endDate]
-      )
+      this.rollups.countEvents(startDate, endDate),
+      this.rollups.countUniqueUsers(startDate, endDate),
+      this.rollups.countSessions(startDate, endDate)
     ]);
 
     return {
-      totalEvents: events.count,
-      activeUsers: users.count,
-      totalSessions: sessions.count,
-      avgEventsPerUser: users.count > 0 ? (events.count / users.count).toFixed(2) : 0,
-      avgSessionsPerUser: users.count > 0 ? (sessions.count / users.count).toFixed(2) : 0
+      totalEvents: events,
+      activeUsers: users,
+      totalSessions: sessions,
+      avgEventsPerUser: users > 0 ? (events / users).toFixed(2) : 0,
+      avgSessionsPerUser: users > 0 ? (sessions / users).toFixed(2) : 0
     };
   }
 
@@ -596,13 +592,8 @@ class ExportUtility {
   }
 
   async getEngagementMetrics(startDate, endDate) {
-    const dailyActive = await this.db.all(
-      `SELECT DATE(timestamp) as date, COUNT(DISTINCT user_id) as dau
-       FROM events
-       WHERE timestamp BETWEEN ? AND ?
-       GROUP BY DATE(timestamp)`,
-      [startDate, endDate]
-    );
+    const dailyActive = (await this.rollups.uniqueSeries(startDate, endDate, { granularity: 'day' }))
+      .map(day => ({ date: day.period, dau: day.count }));
 
     const avgDAU = dailyActive.length > 0
       ? (dailyActive.reduce((sum, day) => sum + day.dau, 0) / dailyActive.length).toFixed(0)
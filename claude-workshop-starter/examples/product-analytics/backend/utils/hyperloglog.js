@@ -0,0 +1,177 @@
+/**
+ * HyperLogLog
+ * Approximate distinct counts in fixed memory, mergeable across sketches.
+ *
+ * Each value is hashed to 64 bits: the first `precision` bits pick one of
+ * m = 2^precision registers, which keeps the longest run of leading zeros
+ * (plus one) seen in the remaining bits. Merging two sketches takes the
+ * register-wise maximum, so the sketch of a union is the union of the
+ * sketches, and adding a value twice changes nothing.
+ *
+ * Estimates use Ertl's improved estimator ("New cardinality estimation
+ * algorithms for HyperLogLog sketches", 2017), which is unbiased from empty
+ * sketches up to 2^64 values without bias tables. The relative standard error
+ * is about 1.04 / sqrt(m): 0.81% at the default precision of 14, so ~95% of
+ * estimates are within 1.6% and ~99.7% within 2.4%. Sets of a few hundred
+ * values are off by at most a value or two.
+ */
+
+const crypto = require('crypto');
+
+const DEFAULT_PRECISION = 14;
+const MIN_PRECISION = 4;
+const MAX_PRECISION = 16;
+
+// Serialized form: [format, precision, ...]. Sparse sketches list their
+// non-empty registers as (uint16 index, uint8 value); dense ones store every
+// register as a byte.
+const SPARSE = 1;
+const DENSE = 2;
+
+// Ertl's sigma and tau series for the empty and saturated register counts
+function sigma(x) {
+  if (x === 1) return Infinity;
+  let y = 1;
+  let z = x;
+  for (;;) {
+    x *= x;
+    const previous = z;
+    z += x * y;
+    y += y;
+    if (z === previous) return z;
+  }
+}
+
+function tau(x) {
+  if (x === 0 || x === 1) return 0;
+  let y = 1;
+  let z = 1 - x;
+  for (;;) {
+    x = Math.sqrt(x);
+    const previous = z;
+    y *= 0.5;
+    z -= Math.pow(1 - x, 2) * y;
+    if (z === previous) return z / 3;
+  }
+}
+
+class HyperLogLog {
+  /**
+   * @param {number} precision - log2 of the number of registers (4 to 16)
+   */
+  constructor(precision = DEFAULT_PRECISION) {
+    if (!Number.isInteger(precision) || precision < MIN_PRECISION || precision > MAX_PRECISION) {
+      throw new Error(`precision must be an integer from ${MIN_PRECISION} to ${MAX_PRECISION}`);
+    }
+    this.precision = precision;
+    this.registers = new Uint8Array(1 << precision);
+  }
+
+  // Relative standard error of estimates at a precision
+  static standardError(precision = DEFAULT_PRECISION) {
+    return 1.04 / Math.sqrt(1 << precision);
+  }
+
+  // Index and value of the register a value updates
+  static hash(value, precision = DEFAULT_PRECISION) {
+    const digest = crypto.createHash('sha256').update(String(value)).digest();
+    const high = digest.readUInt32BE(0);
+    const low = digest.readUInt32BE(4);
+    const rest = (high << precision) >>> 0;
+    const rank = rest !== 0
+      ? Math.clz32(rest) + 1
+      : 32 - precision + Math.clz32(low) + 1;
+    return { index: high >>> (32 - precision), rank };
+  }
+
+  add(value) {
+    return this.addHash(HyperLogLog.hash(value, this.precision));
+  }
+
+  // Add a value hashed with hash(), e.g. once for several sketches
+  addHash({ index, rank }) {
+    if (rank > this.registers[index]) {
+      this.registers[index] = rank;
+    }
+    return this;
+  }
+
+  // Add another sketch of the same precision to this one
+  merge(other) {
+    if (other.precision !== this.precision) {
+      throw new Error('Cannot merge sketches of different precisions');
+    }
+    for (let i = 0; i < this.registers.length; i++) {
+      if (other.registers[i] > this.registers[i]) {
+        this.registers[i] = other.registers[i];
+      }
+    }
+    return this;
+  }
+
+  /**
+   * Estimated number of distinct values added
+   * @returns {number} Rounded estimate
+   */
+  count() {
+    const m = this.registers.length;
+    const q = 64 - this.precision;
+    const histogram = new Array(q + 2).fill(0);
+    for (const register of this.registers) {
+      histogram[register]++;
+    }
+
+    let denominator = m * tau(1 - histogram[q + 1] / m);
+    for (let k = q; k >= 1; k--) {
+      denominator = 0.5 * (denominator + histogram[k]);
+    }
+    denominator += m * sigma(histogram[0] / m);
+
+    return Math.round(m * m / (2 * Math.LN2) / denominator);
+  }
+
+  // Sparse or dense bytes, whichever is smaller
+  toBuffer() {
+    const used = [];
+    for (let i = 0; i < this.registers.length; i++) {
+      if (this.registers[i] !== 0) used.push(i);
+    }
+
+    if (used.length * 3 < this.registers.length) {
+      const buffer = Buffer.alloc(2 + used.length * 3);
+      buffer.writeUInt8(SPARSE, 0);
+      buffer.writeUInt8(this.precision, 1);
+      used.forEach((index, i) => {
+        buffer.writeUInt16BE(index, 2 + i * 3);
+        buffer.writeUInt8(this.registers[index], 4 + i * 3);
+      });
+      return buffer;
+    }
+
+    const buffer = Buffer.alloc(2 + this.registers.length);
+    buffer.writeUInt8(DENSE, 0);
+    buffer.writeUInt8(this.precision, 1);
+    Buffer.from(this.registers.buffer, this.registers.byteOffset, this.registers.length).copy(buffer, 2);
+    return buffer;
+  }
+
+  static fromBuffer(buffer) {
+    const sketch = new HyperLogLog(buffer.readUInt8(1));
+    const format = buffer.readUInt8(0);
+
+    if (format === SPARSE) {
+      for (let offset = 2; offset < buffer.length; offset += 3) {
+        sketch.registers[buffer.readUInt16BE(offset)] = buffer.readUInt8(offset + 2);
+      }
+    } else if (format === DENSE && buffer.length === 2 + sketch.registers.length) {
+      sketch.registers.set(buffer.subarray(2));
+    } else {
+      throw new Error('Not a HyperLogLog sketch');
+    }
+    return sketch;
+  }
+}
+
+HyperLogLog.DEFAULT_PRECISION = DEFAULT_PRECISION;
+
+module.exports = HyperLogLog;
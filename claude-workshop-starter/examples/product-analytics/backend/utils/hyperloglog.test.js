@@ -0,0 +1,67 @@
+// Test Suite for HyperLogLog
+// Run with: node utils/hyperloglog.test.js
+
+const HyperLogLog = require('./hyperloglog');
+const { TestRunner } = require('./test-runner');
+
+async function runTests() {
+  const runner = new TestRunner();
+
+  console.log('Running tests...\n');
+
+  // Test 1: Accuracy
+  await runner.test('HyperLogLog estimates stay within three standard errors', async () => {
+    const bound = 3 * HyperLogLog.standardError();
+    runner.assertEqual(new HyperLogLog().count(), 0, 'Empty sketch');
+
+    for (const size of [1, 50, 1000, 10000, 60000]) {
+      const sketch = new HyperLogLog();
+      for (let i = 0; i < size; i++) {
+        sketch.add(`hll_user_${size}_${i}`);
+        sketch.add(`hll_user_${size}_${i}`);
+      }
+      const error = Math.abs(sketch.count() - size) / size;
+      runner.assertTrue(error <= bound, `${size} values estimated as ${sketch.count()}`);
+    }
+  });
+
+  // Test 2: Merging and Serialization
+  await runner.test('Merged HyperLogLog sketches count the union and survive serialization', async () => {
+    const monday = new HyperLogLog();
+    const tuesday = new HyperLogLog();
+    const both = new HyperLogLog();
+    for (let i = 0; i < 8000; i++) {
+      if (i < 5000) monday.add(`merge_user_${i}`);
+      if (i >= 3000) tuesday.add(`merge_user_${i}`);
+      both.add(`merge_user_${i}`);
+    }
+
+    const union = HyperLogLog.fromBuffer(monday.toBuffer()).merge(HyperLogLog.fromBuffer(tuesday.toBuffer()));
+    runner.assertEqual(union.count(), both.count(), 'Union of sketches equals sketch of union');
+    runner.assertTrue(Math.abs(union.count() - 8000) / 8000 <= 3 * HyperLogLog.standardError(), 'Union near 8000');
+
+    const small = new HyperLogLog().add('a').add('b');
+    runner.assertTrue(small.toBuffer().length < 16, 'Small sketches are stored sparse');
+    runner.assertEqual(HyperLogLog.fromBuffer(small.toBuffer()).count(), 2, 'Sparse round trip');
+    runner.assertEqual(HyperLogLog.fromBuffer(both.toBuffer()).count(), both.count(), 'Dense round trip');
+  });
+
+  return runner.summary();
+}
+
+// Run tests
+if (require.main === module) {
+  console.log('HyperLogLog - Test Suite');
+  console.log('='.repeat(80) + '\n');
+
+  runTests()
+    .then(success => {
+      process.exit(success ? 0 : 1);
+    })
+    .catch(error => {
+      console.error('Test suite failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { runTests };
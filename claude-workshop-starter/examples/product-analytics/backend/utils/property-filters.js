@@ -0,0 +1,101 @@
+/**
+ * Property Filter Utilities
+ * Builds parameterized SQL conditions against JSON property columns
+ * (events.properties, users.properties)
+ */
+
+const OPERATORS = {
+  equals: '= ?',
+  not_equals: '!= ?',
+  gt: '> ?',
+  gte: '>= ?',
+  lt: '< ?',
+  lte: '<= ?',
+  contains: "LIKE '%' || ? || '%'",
+  is_set: 'IS NOT NULL',
+  is_not_set: 'IS NULL'
+};
+
+const PROPERTY_NAME_PATTERN = /^[A-Za-z0-9_][A-Za-z0-9_.-]*$/;
+
+/**
+ * Build a SQL condition comparing an expression with a value
+ * @param {string} expression - SQL expression on the left-hand side
+ * @param {string} operator - One of OPERATORS, 'in' or 'not_in'
+ * @param {*} value - Value to compare with (an array for in/not_in)
+ * @param {string} label - Name used in error messages
+ * @returns {Object} { sql, params }
+ */
+function buildComparison(expression, operator, value, label) {
+  if (operator === 'in' || operator === 'not_in') {
+    if (!Array.isArray(value) || value.length === 0) {
+      throw new Error(`Filter "${label}" with operator "${operator}" needs a non-empty array value`);
+    }
+    const placeholders = value.map(() => '?').join(', ');
+    return {
+      sql: `${expression} ${operator === 'in' ? 'IN' : 'NOT IN'} (${placeholders})`,
+      params: value
+    };
+  }
+
+  if (!OPERATORS[operator]) {
+    throw new Error(`Unsupported filter operator: ${operator}`);
+  }
+
+  return {
+    sql: `${expression} ${OPERATORS[operator]}`,
+    params: operator === 'is_set' || operator === 'is_not_set'
+      ? []
+      : [typeof value === 'boolean' ? Number(value) : value]
+  };
+}
+
+/**
+ * Build a SQL condition for a single property filter
+ * @param {string} column - JSON column to read from (e.g. "properties", "e.properties")
+ * @param {Object} filter - { property, operator = 'equals', value }
+ * @returns {Object} { sql, params }
+ */
+function buildPropertyFilter(column, filter) {
+  const { property, operator = 'equals', value } = filter || {};
+
+  if (!property || !PROPERTY_NAME_PATTERN.test(property)) {
+    throw new Error(`Invalid filter property: ${property}`);
+  }
+
+  const comparison = buildComparison(`JSON_EXTRACT(${column}, ?)`, operator, value, property);
+  return {
+    sql: comparison.sql,
+    params: [`$.${property}`, ...comparison.params]
+  };
+}
+
+/**
+ * Build an AND-ed SQL condition for a list of property filters
+ * @param {string} column - JSON column to read from
+ * @param {Array} filters - Array of filter objects
+ * @returns {Object} { sql, params } - sql is empty when there are no filters
+ */
+function buildPropertyFilters(column, filters = []) {
+  const conditions = [];
+  const params = [];
+
+  for (const filter of filters) {
+    const condition = buildPropertyFilter(column, filter);
+    conditions.push(condition.sql);
+    params.push(...condition.params);
+  }
+
+  return {
+    sql: conditions.join(' AND '),
+    params
+  };
+}
+
+module.exports = {
+  OPERATORS: [...Object.keys(OPERATORS), 'in', 'not_in'],
+  PROPERTY_NAME_PATTERN,
+  buildComparison,
+  buildPropertyFilter,
+  buildPropertyFilters
+};
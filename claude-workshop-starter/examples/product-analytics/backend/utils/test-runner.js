@@ -0,0 +1,139 @@
+/**
+ * Test Runner
+ * Minimal runner shared by the *.test.js suites, and `npm test`, which runs
+ * every suite in its own process.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+class TestRunner {
+  constructor() {
+    this.passed = 0;
+    this.failed = 0;
+    this.tests = [];
+  }
+
+  async test(name, fn) {
+    try {
+      await fn();
+      this.passed++;
+      console.log(`✓ ${name}`);
+    } catch (error) {
+      this.failed++;
+      console.log(`✗ ${name}`);
+      console.error(`  Error: ${error.message}`);
+    }
+  }
+
+  assertEqual(actual, expected, message) {
+    if (actual !== expected) {
+      throw new Error(`${message}: expected ${expected}, got ${actual}`);
+    }
+  }
+
+  assertTrue(value, message) {
+    if (!value) {
+      throw new Error(`${message}: expected true, got ${value}`);
+    }
+  }
+
+  assertFalse(value, message) {
+    if (value) {
+      throw new Error(`${message}: expected false, got ${value}`);
+    }
+  }
+
+  assertGreaterThan(actual, expected, message) {
+    if (actual <= expected) {
+      throw new Error(`${message}: expected > ${expected}, got ${actual}`);
+    }
+  }
+
+  assertExists(value, message) {
+    if (value === null || value === undefined) {
+      throw new Error(`${message}: value should exist`);
+    }
+  }
+
+  // Passes when fn rejects, optionally with a statusCode and a message matching pattern
+  async assertRejects(fn, { statusCode, pattern } = {}, message = 'Expected an error') {
+    let error = null;
+    try {
+      await fn();
+    } catch (caught) {
+      error = caught;
+    }
+    if (!error) {
+      throw new Error(`${message}: nothing was thrown`);
+    }
+    if (statusCode !== undefined && error.statusCode !== statusCode) {
+      throw new Error(`${message}: expected status ${statusCode}, got ${error.statusCode} (${error.message})`);
+    }
+    if (pattern && !pattern.test(error.message)) {
+      throw new Error(`${message}: unexpected error "${error.message}"`);
+    }
+  }
+
+  summary() {
+    console.log('\n' + '='.repeat(80));
+    console.log(`Tests: ${this.passed + this.failed}`);
+    console.log(`Passed: ${this.passed}`);
+    console.log(`Failed: ${this.failed}`);
+    console.log('='.repeat(80));
+    return this.failed === 0;
+  }
+}
+
+/**
+ * A fresh database for a suite, deleting what an earlier run left behind
+ * @param {string} dbPath - File for the database
+ * @returns {Database} Initialized database; remove() closes and deletes it
+ */
+async function createTestDatabase(dbPath) {
+  const Database = require('../database');
+  if (fs.existsSync(dbPath)) {
+    fs.unlinkSync(dbPath);
+  }
+
+  const db = new Database(dbPath);
+  await db.initialize();
+  db.remove = async () => {
+    await db.close();
+    if (fs.existsSync(dbPath)) {
+      fs.unlinkSync(dbPath);
+    }
+  };
+  return db;
+}
+
+// Every *.test.js file under the backend, outside node_modules
+function findSuites(directory) {
+  return fs.readdirSync(directory, { withFileTypes: true }).flatMap(entry => {
+    const fullPath = path.join(directory, entry.name);
+    if (entry.isDirectory()) {
+      return entry.name === 'node_modules' ? [] : findSuites(fullPath);
+    }
+    return entry.name.endsWith('.test.js') ? [fullPath] : [];
+  }).sort();
+}
+
+// Run every suite (or those named on the command line), one process each
+if (require.main === module) {
+  const root = path.join(__dirname, '..');
+  const suites = process.argv.length > 2
+    ? process.argv.slice(2).map(suite => path.resolve(suite))
+    : findSuites(root);
+
+  const failed = suites.filter(suite => {
+    console.log(`\n${path.relative(root, suite)}`);
+    return spawnSync(process.execPath, [suite], { cwd: root, stdio: 'inherit' }).status !== 0;
+  });
+
+  console.log(`\n${suites.length - failed.length} of ${suites.length} suites passed`);
+  failed.forEach(suite => console.log(`  failed: ${path.relative(root, suite)}`));
+  process.exit(failed.length === 0 ? 0 : 1);
+}
+
+module.exports = { TestRunner, createTestDatabase };
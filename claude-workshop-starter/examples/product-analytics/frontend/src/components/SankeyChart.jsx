@@ -0,0 +1,129 @@
+import React, { useMemo } from 'react'
+import { formatNumber } from '../utils/formatters'
+
+const COLORS = ['#3b82f6', '#10b981', '#8b5cf6', '#f59e0b', '#ec4899', '#06b6d4', '#ef4444']
+const OTHER_COLOR = '#525252'
+
+const NODE_WIDTH = 14
+const NODE_GAP = 14
+const LABEL_SPACE = 120
+
+// Lays out path-flow nodes in one column per step, node height proportional
+// to sessions, and draws links as bands between consecutive steps
+const SankeyChart = ({ nodes, links, height = 420 }) => {
+  const layout = useMemo(() => {
+    const steps = [...new Set(nodes.map(node => node.step))].sort((a, b) => a - b)
+    const columns = steps.map(step => nodes.filter(node => node.step === step))
+    const width = Math.max(steps.length - 1, 1) * 220 + LABEL_SPACE
+
+    const tallest = Math.max(...columns.map(column =>
+      column.reduce((sum, node) => sum + node.count, 0) + (column.length - 1) * NODE_GAP
+    ), 1)
+    const scale = (height - 20) / tallest
+
+    const eventColors = {}
+    const colorFor = (eventName) => {
+      if (eventName === 'other') return OTHER_COLOR
+      if (!eventColors[eventName]) {
+        eventColors[eventName] = COLORS[Object.keys(eventColors).length % COLORS.length]
+      }
+      return eventColors[eventName]
+    }
+
+    const positioned = {}
+    columns.forEach((column, columnIndex) => {
+      let y = 10
+      column.forEach(node => {
+        const nodeHeight = Math.max(node.count * scale, 2)
+        positioned[node.id] = {
+          ...node,
+          x: columnIndex * 220,
+          y,
+          height: nodeHeight,
+          color: colorFor(node.event_name),
+          outOffset: 0,
+          inOffset: 0
+        }
+        y += nodeHeight + NODE_GAP
+      })
+    })
+
+    // Thick links first so each node's bands stack largest on top
+    const bands = [...links]
+      .sort((a, b) => b.count - a.count)
+      .filter(link => positioned[link.source] && positioned[link.target])
+      .map(link => {
+        const source = positioned[link.source]
+        const target = positioned[link.target]
+        const thickness = Math.max(link.count * scale, 1)
+        const y0 = source.y + source.outOffset + thickness / 2
+        const y1 = target.y + target.inOffset + thickness / 2
+        source.outOffset += thickness
+        target.inOffset += thickness
+
+        const x0 = source.x + NODE_WIDTH
+        const x1 = target.x
+        const curve = (x1 - x0) / 2
+        return {
+          ...link,
+          thickness,
+          color: source.color,
+          path: `M${x0},${y0} C${x0 + curve},${y0} ${x1 - curve},${y1} ${x1},${y1}`
+        }
+      })
+
+    return { width, nodes: Object.values(positioned), bands }
+  }, [nodes, links, height])
+
+  if (nodes.length === 0) {
+    return (
+      <div className="empty-state">
+        <div className="empty-state-title">No sessions match this flow</div>
+      </div>
+    )
+  }
+
+  return (
+    <div style={{ overflowX: 'auto' }}>
+      <svg width={layout.width + NODE_WIDTH} height={height} style={{ display: 'block' }}>
+        {layout.bands.map(band => (
+          <path
+            key={`${band.source}|${band.target}`}
+            d={band.path}
+            fill="none"
+            stroke={band.color}
+            strokeOpacity={0.35}
+            strokeWidth={band.thickness}
+          >
+            <title>
+              {`${band.source.split(':').slice(1).join(':')} → ${band.target.split(':').slice(1).join(':')}: ${formatNumber(band.count)} sessions`}
+            </title>
+          </path>
+        ))}
+
+        {layout.nodes.map(node => (
+          <g key={node.id}>
+            <rect x={node.x} y={node.y} width={NODE_WIDTH} height={node.height} fill={node.color} rx={2}>
+              <title>
+                {`${node.event_name} (step ${node.step}): ${formatNumber(node.count)} sessions`}
+                {node.drop_off ? `, ${formatNumber(node.drop_off)} ended here` : ''}
+                {node.entry ? `, ${formatNumber(node.entry)} started here` : ''}
+              </title>
+            </rect>
+            <text
+              x={node.x + NODE_WIDTH + 6}
+              y={node.y + node.height / 2}
+              dominantBaseline="middle"
+              fill="var(--text-secondary)"
+              fontSize="12"
+            >
+              {node.event_name} · {formatNumber(node.count)}
+            </text>
+          </g>
+        ))}
+      </svg>
+    </div>
+  )
+}
+
+export default SankeyChart
@@ -1,13 +1,41 @@
 import React, { useState, useEffect } from 'react'
 import LoadingSpinner from '../components/LoadingSpinner'
 import api from '../utils/api'
-import { formatNumber, formatPercent } from '../utils/formatters'
+import { formatNumber, formatPercent, formatDateTime } from '../utils/formatters'
+
+const STATUS_BADGES = {
+  running: 'success',
+  paused: 'warning'
+}
+
+const METRIC_LABELS = {
+  conversion: 'Conversion rate',
+  revenue: 'Revenue per user',
+  count: 'Events per user',
+  time_to_convert: 'Hours to convert'
+}
+
+const formatMetricValue = (value, type) => {
+  if (value === null || value === undefined) return '—'
+  switch (type) {
+    case 'conversion':
+      return formatPercent(value * 100, 2)
+    case 'revenue':
+      return value.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })
+    case 'time_to_convert':
+      return `${value.toFixed(1)}h`
+    default:
+      return value.toFixed(2)
+  }
+}
 
 const ABTests = ({ dateRange }) => {
   const [loading, setLoading] = useState(true)
   const [experiments, setExperiments] = useState([])
   const [selectedExperiment, setSelectedExperiment] = useState(null)
   const [results, setResults] = useState(null)
+  const [metricAnalysis, setMetricAnalysis] = useState(null)
+  const [decisionLog, setDecisionLog] = useState([])
 
   useEffect(() => {
     loadExperiments()
@@ -26,7 +54,7 @@ const ABTests = ({ dateRange }) => {
           id: 'exp_001',
           name: 'Button Color Test',
           description: 'Testing blue vs green CTA button',
-          status: 'active',
+          status: 'running',
           goal_event: 'button_click',
           variants: ['control', 'variant_a']
         },
@@ -45,8 +73,13 @@ const ABTests = ({ dateRange }) => {
 
   const loadExperimentResults = async (experimentId) => {
     try {
-      const response = await api.getExperimentResults(experimentId)
+      const [response, logResponse] = await Promise.all([
+        api.getExperimentResults(experimentId),
+        api.getExperimentLog(experimentId)
+      ])
       setResults(response.results)
+      setMetricAnalysis(response.metric_analysis || null)
+      setDecisionLog(logResponse.log || [])
       setSelectedExperiment(experimentId)
     } catch (error) {
       console.error('Error loading results:', error)
@@ -65,6 +98,8 @@ const ABTests = ({ dateRange }) => {
           conversion_rate: 16.5
         }
       ])
+      setMetricAnalysis(null)
+      setDecisionLog([])
       setSelectedExperiment(experimentId)
     }
   }
@@ -122,13 +157,16 @@ const ABTests = ({ dateRange }) => {
                     {exp.description}
                   </p>
                 </div>
-                <span className={`badge badge-${exp.status === 'active' ? 'success' : 'info'}`}>
+                <span className={`badge badge-${STATUS_BADGES[exp.status] || 'info'}`}>
                   {exp.status}
                 </span>
               </div>
               <div style={{ display: 'flex', gap: '16px', fontSize: '13px', color: 'var(--text-muted)', marginTop: '12px' }}>
                 <span>Goal: {exp.goal_event}</span>
                 <span>Variants: {exp.variants.length}</span>
+                {exp.status === 'completed' && (
+                  <span>Winner: {exp.winning_variant || 'none'}</span>
+                )}
               </div>
             </div>
           ))}
@@ -250,6 +288,115 @@ const ABTests = ({ dateRange }) => {
               </div>
             ))}
           </div>
+
+          {metricAnalysis && (
+            <div style={{ marginTop: '32px' }}>
+              <div style={{ display: 'flex', alignItems: 'center', gap: '12px', marginBottom: '16px' }}>
+                <h4 style={{ color: 'var(--text-primary)', fontWeight: 600 }}>
+                  Primary metric: {METRIC_LABELS[metricAnalysis.metric.type]}
+                </h4>
+                <span style={{ color: 'var(--text-muted)', fontSize: '13px' }}>
+                  {metricAnalysis.metric.event_name}
+                  {metricAnalysis.metric.property ? `.${metricAnalysis.metric.property}` : ''}
+                </span>
+                {metricAnalysis.cuped && (
+                  <span className="badge badge-info">
+                    CUPED −{metricAnalysis.cuped.variance_reduction}% variance
+                  </span>
+                )}
+              </div>
+
+              <div className="table-container">
+                <table>
+                  <thead>
+                    <tr>
+                      <th>Variant</th>
+                      <th>Users</th>
+                      <th>Mean</th>
+                      <th>Median</th>
+                      <th>Difference vs {metricAnalysis.control}</th>
+                      <th>{metricAnalysis.confidence_level}% bootstrap CI</th>
+                      <th>p-value (Welch)</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {metricAnalysis.variants.map(variant => {
+                      const comparison = metricAnalysis.comparisons.find(c => c.variant === variant.variant)
+                      const type = metricAnalysis.metric.type
+                      return (
+                        <tr key={variant.variant}>
+                          <td>{variant.variant}</td>
+                          <td>{formatNumber(variant.users)}</td>
+                          <td>{formatMetricValue(variant.adjusted_mean ?? variant.mean, type)}</td>
+                          <td>{formatMetricValue(variant.median, type)}</td>
+                          <td>
+                            {comparison
+                              ? `${comparison.difference > 0 ? '+' : ''}${formatMetricValue(comparison.difference, type)}` +
+                                (comparison.relative_lift !== null ? ` (${comparison.relative_lift > 0 ? '+' : ''}${comparison.relative_lift}%)` : '')
+                              : '—'}
+                          </td>
+                          <td>
+                            {comparison && comparison.bootstrap_ci
+                              ? `${formatMetricValue(comparison.bootstrap_ci.lower, type)} to ${formatMetricValue(comparison.bootstrap_ci.upper, type)}`
+                              : '—'}
+                          </td>
+                          <td>
+                            {comparison ? (
+                              <span className={`badge badge-${comparison.is_significant ? 'success' : 'info'}`}>
+                                {comparison.p_value < 0.001 ? '< 0.001' : comparison.p_value.toFixed(3)}
+                              </span>
+                            ) : '—'}
+                          </td>
+                        </tr>
+                      )
+                    })}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          )}
+
+          {decisionLog.length > 0 && (
+            <div style={{ marginTop: '32px' }}>
+              <h4 style={{ color: 'var(--text-primary)', fontWeight: 600, marginBottom: '16px' }}>
+                Decision log
+              </h4>
+              {decisionLog.map(entry => (
+                <div
+                  key={entry.id}
+                  style={{
+                    padding: '12px 0',
+                    borderBottom: '1px solid var(--border)',
+                    fontSize: '14px'
+                  }}
+                >
+                  <div style={{ display: 'flex', justifyContent: 'space-between', gap: '12px' }}>
+                    <span style={{ color: 'var(--text-primary)', fontWeight: 600 }}>
+                      {entry.action}
+                      {entry.from_status && entry.to_status && entry.from_status !== entry.to_status && (
+                        <span style={{ color: 'var(--text-muted)', fontWeight: 400 }}>
+                          {' '}· {entry.from_status} → {entry.to_status}
+                        </span>
+                      )}
+                      {entry.details && entry.details.winning_variant !== undefined && (
+                        <span style={{ color: 'var(--text-muted)', fontWeight: 400 }}>
+                          {' '}· winner: {entry.details.winning_variant || 'none'}
+                        </span>
+                      )}
+                    </span>
+                    <span style={{ color: 'var(--text-muted)', fontSize: '13px' }}>
+                      {entry.actor ? `${entry.actor} · ` : ''}{formatDateTime(entry.created_at)}
+                    </span>
+                  </div>
+                  {entry.rationale && (
+                    <div style={{ color: 'var(--text-secondary)', marginTop: '4px' }}>
+                      {entry.rationale}
+                    </div>
+                  )}
+                </div>
+              ))}
+            </div>
+          )}
         </div>
       )}
     </div>
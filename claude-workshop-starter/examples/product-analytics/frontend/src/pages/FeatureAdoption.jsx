@@ -1,44 +1,67 @@
 import React, { useState, useEffect } from 'react'
-import { Line } from 'react-chartjs-2'
+import { Line, Bar } from 'react-chartjs-2'
 import LoadingSpinner from '../components/LoadingSpinner'
 import api from '../utils/api'
 import { formatNumber, formatPercent } from '../utils/formatters'
 
+const POWER_USER_CURVES = [
+  { key: 'l7', title: 'L7 Power User Curve', color: '#10b981', fill: 'rgba(16, 185, 129, 0.6)' },
+  { key: 'l28', title: 'L28 Power User Curve', color: '#f59e0b', fill: 'rgba(245, 158, 11, 0.6)' }
+]
+
+const shortDate = (date) => new Date(`${date}T00:00:00Z`).toLocaleDateString('en-US', { month: 'short', day: 'numeric', timeZone: 'UTC' })
+
 const FeatureAdoption = ({ dateRange }) => {
   const [loading, setLoading] = useState(false)
   const [feature, setFeature] = useState('button_click')
   const [adoptionData, setAdoptionData] = useState(null)
   const [stickiness, setStickiness] = useState(null)
 
+  // An empty event name measures engagement across all activity
   const loadFeatureData = async () => {
-    if (!feature) return
-
     setLoading(true)
     try {
       const [adoption, stickinessRes] = await Promise.all([
-        api.getFeatureAdoption(feature, dateRange.start, dateRange.end, 'day'),
-        api.getFeatureStickiness(feature)
+        feature ? api.getFeatureAdoption(feature, dateRange.start, dateRange.end, 'day') : null,
+        api.getStickinessSeries(feature, dateRange.start, dateRange.end)
       ])
 
-      setAdoptionData(adoption.data)
+      setAdoptionData(adoption ? adoption.data : null)
       setStickiness(stickinessRes.data)
     } catch (error) {
       console.error('Error loading feature data:', error)
       // Demo data
       const days = 30
       setAdoptionData({
-        timeline: Array.from({ length: days }, (_, i) => ({
-          date: new Date(Date.now() - (days - i) * 24 * 60 * 60 * 1000).toISOString().split('T')[0],
+        data: Array.from({ length: days }, (_, i) => ({
+          period: new Date(Date.now() - (days - i) * 24 * 60 * 60 * 1000).toISOString().split('T')[0],
           adoption_rate: Math.min(10 + i * 2 + Math.random() * 5, 85),
-          total_users: 50 + i * 15,
-          active_users: 1000 + i * 20
+          total_users: 1000 + i * 20,
+          feature_users: 50 + i * 15
         }))
       })
+      const series = Array.from({ length: days }, (_, i) => {
+        const dau = 400 + Math.round(Math.random() * 120)
+        const wau = 1200 + i * 4
+        const mau = 3400 + i * 8
+        return {
+          date: new Date(Date.now() - (days - i) * 24 * 60 * 60 * 1000).toISOString().split('T')[0],
+          dau,
+          wau,
+          mau,
+          dau_wau: Math.round((dau / wau) * 10000) / 100,
+          dau_mau: Math.round((dau / mau) * 10000) / 100,
+          wau_mau: Math.round((wau / mau) * 10000) / 100
+        }
+      })
+      const curve = (size) => Array.from({ length: size }, (_, i) => ({
+        days_active: i + 1,
+        users: Math.round(900 * Math.pow(0.7, i)) + (i === size - 1 ? 150 : 0)
+      }))
       setStickiness({
-        dau: 456,
-        wau: 1234,
-        mau: 3456,
-        stickiness_ratio: 13.2
+        latest: series[series.length - 1],
+        series,
+        power_user_curves: { l7: curve(7), l28: curve(28) }
       })
     }
     setLoading(false)
@@ -49,11 +72,11 @@ const FeatureAdoption = ({ dateRange }) => {
   }, [feature, dateRange])
 
   const chartData = adoptionData ? {
-    labels: adoptionData.timeline.map(d => new Date(d.date).toLocaleDateString('en-US', { month: 'short', day: 'numeric' })),
+    labels: adoptionData.data.map(d => shortDate(d.period)),
     datasets: [
       {
         label: 'Adoption Rate',
-        data: adoptionData.timeline.map(d => d.adoption_rate),
+        data: adoptionData.data.map(d => d.adoption_rate),
         borderColor: '#8b5cf6',
         backgroundColor: 'rgba(139, 92, 246, 0.1)',
         fill: true,
@@ -62,7 +85,7 @@ const FeatureAdoption = ({ dateRange }) => {
       },
       {
         label: 'Active Users',
-        data: adoptionData.timeline.map(d => d.total_users),
+        data: adoptionData.data.map(d => d.total_users),
         borderColor: '#3b82f6',
         backgroundColor: 'rgba(59, 130, 246, 0.1)',
         fill: true,
@@ -72,6 +95,58 @@ const FeatureAdoption = ({ dateRange }) => {
     ]
   } : null
 
+  const engagementData = stickiness ? {
+    labels: stickiness.series.map(d => shortDate(d.date)),
+    datasets: [
+      {
+        label: 'DAU',
+        data: stickiness.series.map(d => d.dau),
+        borderColor: '#3b82f6',
+        backgroundColor: 'rgba(59, 130, 246, 0.1)',
+        tension: 0.4,
+        yAxisID: 'y'
+      },
+      {
+        label: 'WAU',
+        data: stickiness.series.map(d => d.wau),
+        borderColor: '#10b981',
+        backgroundColor: 'rgba(16, 185, 129, 0.1)',
+        tension: 0.4,
+        yAxisID: 'y'
+      },
+      {
+        label: 'MAU',
+        data: stickiness.series.map(d => d.mau),
+        borderColor: '#f59e0b',
+        backgroundColor: 'rgba(245, 158, 11, 0.1)',
+        tension: 0.4,
+        yAxisID: 'y'
+      },
+      {
+        label: 'DAU/MAU',
+        data: stickiness.series.map(d => d.dau_mau),
+        borderColor: '#8b5cf6',
+        backgroundColor: 'rgba(139, 92, 246, 0.1)',
+        borderDash: [6, 4],
+        tension: 0.4,
+        yAxisID: 'y1'
+      }
+    ]
+  } : null
+
+  const powerUserData = (curve) => ({
+    labels: stickiness.power_user_curves[curve.key].map(d => d.days_active),
+    datasets: [
+      {
+        label: 'Users',
+        data: stickiness.power_user_curves[curve.key].map(d => d.users),
+        borderColor: curve.color,
+        backgroundColor: curve.fill,
+        borderWidth: 1
+      }
+    ]
+  })
+
   const chartOptions = {
     responsive: true,
     maintainAspectRatio: false,
@@ -122,6 +197,41 @@ const FeatureAdoption = ({ dateRange }) => {
     }
   }
 
+  const engagementOptions = {
+    ...chartOptions,
+    scales: {
+      ...chartOptions.scales,
+      y: {
+        ...chartOptions.scales.y,
+        beginAtZero: true,
+        title: { display: true, text: 'Active Users', color: '#3b82f6' }
+      },
+      y1: {
+        ...chartOptions.scales.y1,
+        beginAtZero: true,
+        title: { display: true, text: 'DAU/MAU (%)', color: '#8b5cf6' }
+      }
+    }
+  }
+
+  const powerUserOptions = {
+    ...chartOptions,
+    plugins: { ...chartOptions.plugins, legend: { display: false } },
+    scales: {
+      x: {
+        grid: { color: '#262626' },
+        ticks: { color: '#737373' },
+        title: { display: true, text: 'Days active', color: '#737373' }
+      },
+      y: {
+        beginAtZero: true,
+        grid: { color: '#262626' },
+        ticks: { color: '#737373' },
+        title: { display: true, text: 'Users', color: '#737373' }
+      }
+    }
+  }
+
   return (
     <div>
       <div className="card" style={{ marginBottom: '24px' }}>
@@ -134,41 +244,78 @@ const FeatureAdoption = ({ dateRange }) => {
         <div style={{ marginTop: '20px' }}>
           <input
             type="text"
-            placeholder="Enter event name (e.g., button_click, feature_used)"
+            placeholder="Enter event name (e.g., button_click), or leave empty for all activity"
             value={feature}
             onChange={(e) => setFeature(e.target.value)}
             onKeyPress={(e) => e.key === 'Enter' && loadFeatureData()}
             style={{ marginBottom: '12px' }}
           />
-          <button onClick={loadFeatureData} disabled={!feature}>
+          <button onClick={loadFeatureData}>
             Analyze Feature
           </button>
         </div>
       </div>
 
-      {stickiness && (
+      {stickiness && stickiness.latest && (
         <div className="metrics-grid" style={{ marginBottom: '24px' }}>
           <div className="metric-card">
             <div className="metric-label">Daily Active Users</div>
-            <div className="metric-value">{formatNumber(stickiness.dau)}</div>
+            <div className="metric-value">{formatNumber(stickiness.latest.dau)}</div>
           </div>
           <div className="metric-card">
             <div className="metric-label">Weekly Active Users</div>
-            <div className="metric-value">{formatNumber(stickiness.wau)}</div>
+            <div className="metric-value">{formatNumber(stickiness.latest.wau)}</div>
           </div>
           <div className="metric-card">
             <div className="metric-label">Monthly Active Users</div>
-            <div className="metric-value">{formatNumber(stickiness.mau)}</div>
+            <div className="metric-value">{formatNumber(stickiness.latest.mau)}</div>
           </div>
           <div className="metric-card">
             <div className="metric-label">Stickiness (DAU/MAU)</div>
-            <div className="metric-value">{formatPercent(stickiness.stickiness_ratio)}</div>
+            <div className="metric-value">{formatPercent(stickiness.latest.dau_mau)}</div>
           </div>
         </div>
       )}
 
       {loading && <LoadingSpinner />}
 
+      {!loading && stickiness && (
+        <div className="card" style={{ marginBottom: '24px' }}>
+          <div className="card-header">
+            <div>
+              <h3 className="card-title">Engagement Trend</h3>
+              <p className="card-description">
+                Users active on each day, in the 7 and in the 30 days ending on it
+                {feature ? ` (${feature})` : ' (all activity)'}
+              </p>
+            </div>
+          </div>
+          <div className="chart-container" style={{ height: '360px' }}>
+            <Line data={engagementData} options={engagementOptions} />
+          </div>
+        </div>
+      )}
+
+      {!loading && stickiness && (
+        <div className="grid-2" style={{ marginBottom: '24px' }}>
+          {POWER_USER_CURVES.map(curve => (
+            <div className="card" key={curve.key}>
+              <div className="card-header">
+                <div>
+                  <h3 className="card-title">{curve.title}</h3>
+                  <p className="card-description">
+                    Users by number of active days in the last {stickiness.power_user_curves[curve.key].length} days
+                  </p>
+                </div>
+              </div>
+              <div className="chart-container">
+                <Bar data={powerUserData(curve)} options={powerUserOptions} />
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
       {!loading && adoptionData && (
         <div className="card">
           <div className="card-header">
@@ -183,7 +330,7 @@ const FeatureAdoption = ({ dateRange }) => {
         </div>
       )}
 
-      {!loading && !adoptionData && feature && (
+      {!loading && !adoptionData && !stickiness && (
         <div className="card">
           <div className="empty-state">
             <div className="empty-state-icon">✨</div>
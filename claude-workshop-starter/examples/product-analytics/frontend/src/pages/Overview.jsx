@@ -39,16 +39,19 @@ const Overview = ({ dateRange }) => {
   const loadData = async () => {
     setLoading(true)
     try {
-      const [userStats, eventsData] = await Promise.all([
+      const [userStats, overview, eventsData] = await Promise.all([
         api.getUserStats(dateRange.start, dateRange.end),
-        api.getEvents(dateRange.start, dateRange.end)
+        api.getEventsOverview(dateRange.start, dateRange.end),
+        api.getEvents(dateRange.start, dateRange.end, null, 10)
       ])
 
       setStats({
         totalUsers: userStats.total_users || 0,
-        activeUsers: userStats.active_users || 0,
-        totalEvents: eventsData.count || 0,
+        activeUsers: overview.totals.active_users || 0,
+        totalEvents: overview.totals.events || 0,
         conversionRate: 12.5,
+        series: overview.series || [],
+        topEvents: overview.top_events || [],
         events: eventsData.events || []
       })
     } catch (error) {
@@ -58,6 +61,8 @@ const Overview = ({ dateRange }) => {
         activeUsers: 834,
         totalEvents: 45289,
         conversionRate: 12.5,
+        series: [],
+        topEvents: [],
         events: []
       })
     }
@@ -103,28 +108,16 @@ const Overview = ({ dateRange }) => {
     }
   }
 
-  const generateChartData = () => {
-    const days = 30
-    const labels = []
-    const data = []
-
-    for (let i = days; i >= 0; i--) {
-      const date = new Date(Date.now() - i * 24 * 60 * 60 * 1000)
-      labels.push(date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' }))
-      data.push(Math.floor(Math.random() * 500) + 800)
-    }
-
-    return { labels, data }
-  }
-
-  const { labels, data } = generateChartData()
+  if (loading) return <LoadingSpinner />
 
   const lineChartData = {
-    labels,
+    labels: stats.series.map(day =>
+      new Date(`${day.period}T00:00:00Z`).toLocaleDateString('en-US', { month: 'short', day: 'numeric', timeZone: 'UTC' })
+    ),
     datasets: [
       {
         label: 'Daily Active Users',
-        data,
+        data: stats.series.map(day => day.active_users),
         borderColor: '#3b82f6',
         backgroundColor: 'rgba(59, 130, 246, 0.1)',
         fill: true,
@@ -138,19 +131,17 @@ const Overview = ({ dateRange }) => {
   }
 
   const barChartData = {
-    labels: ['Page View', 'Button Click', 'Form Submit', 'Purchase', 'Sign Up'],
+    labels: stats.topEvents.map(event => event.event_name),
     datasets: [
       {
         label: 'Event Count',
-        data: [12543, 8234, 5432, 2345, 1876],
+        data: stats.topEvents.map(event => event.count),
         backgroundColor: 'rgba(59, 130, 246, 0.8)',
         borderRadius: 6
       }
     ]
   }
 
-  if (loading) return <LoadingSpinner />
-
   return (
     <div>
       <div className="metrics-grid">
@@ -186,7 +177,7 @@ const Overview = ({ dateRange }) => {
           <div className="card-header">
             <div>
               <h3 className="card-title">Daily Active Users</h3>
-              <p className="card-description">User activity over the last 30 days</p>
+              <p className="card-description">Users active each day in the selected period</p>
             </div>
           </div>
           <div className="chart-container">
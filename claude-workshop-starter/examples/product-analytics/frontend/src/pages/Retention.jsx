@@ -7,16 +7,28 @@ const Retention = ({ dateRange }) => {
   const [loading, setLoading] = useState(true)
   const [retentionData, setRetentionData] = useState(null)
   const [cohortSize, setCohortSize] = useState('week')
+  const [mode, setMode] = useState('bounded')
+  const [returnEvent, setReturnEvent] = useState('')
+  const [cohortEvent, setCohortEvent] = useState('')
+  const [brackets, setBrackets] = useState('')
 
   useEffect(() => {
     loadRetention()
-  }, [cohortSize, dateRange])
+  }, [cohortSize, mode, dateRange])
 
   const loadRetention = async () => {
     setLoading(true)
     try {
-      const response = await api.getRetention(cohortSize, 12)
-      setRetentionData(response.data)
+      const response = await api.getRetention(cohortSize, 12, {
+        mode,
+        returnEvent: returnEvent.trim() || null,
+        cohortEvent: cohortEvent.trim() || null,
+        brackets: brackets.trim() || null
+      })
+      setRetentionData({
+        cohorts: response.data.data.map(cohort => ({ ...cohort, cohort_date: cohort.cohort_start })),
+        columns: response.data.columns
+      })
     } catch (error) {
       console.error('Error loading retention:', error)
       // Demo data
@@ -31,6 +43,17 @@ const Retention = ({ dateRange }) => {
     setLoading(false)
   }
 
+  // Column headers after period 0: D1, D2-7, D8+ (W/M for weekly/monthly cohorts)
+  const unit = cohortSize === 'day' ? 'D' : cohortSize === 'week' ? 'W' : 'M'
+  const columnLabels = [
+    `${unit}0`,
+    ...(retentionData?.columns || Array.from({ length: 12 }, (_, i) => ({ start: i + 1, end: i + 1 })))
+      .map(({ start, end }) => {
+        if (end === null) return `${unit}${start}+`
+        return start === end ? `${unit}${start}` : `${unit}${start}-${end}`
+      })
+  ]
+
   const getRetentionColor = (rate) => {
     if (rate >= 70) return '#10b981'
     if (rate >= 50) return '#3b82f6'
@@ -49,11 +72,47 @@ const Retention = ({ dateRange }) => {
             <h3 className="card-title">Cohort Retention Analysis</h3>
             <p className="card-description">User retention over time by cohort</p>
           </div>
-          <select value={cohortSize} onChange={(e) => setCohortSize(e.target.value)}>
-            <option value="day">Daily Cohorts</option>
-            <option value="week">Weekly Cohorts</option>
-            <option value="month">Monthly Cohorts</option>
-          </select>
+          <div style={{ display: 'flex', gap: '12px' }}>
+            <select value={mode} onChange={(e) => setMode(e.target.value)}>
+              <option value="bounded">Active in period</option>
+              <option value="unbounded">Active in or after period</option>
+            </select>
+            <select value={cohortSize} onChange={(e) => setCohortSize(e.target.value)}>
+              <option value="day">Daily Cohorts</option>
+              <option value="week">Weekly Cohorts</option>
+              <option value="month">Monthly Cohorts</option>
+            </select>
+          </div>
+        </div>
+
+        <div style={{ display: 'flex', gap: '12px' }}>
+          <input
+            type="text"
+            placeholder="Cohort by first use of (blank: signup)"
+            value={cohortEvent}
+            onChange={(e) => setCohortEvent(e.target.value)}
+            onKeyPress={(e) => e.key === 'Enter' && loadRetention()}
+            style={{ flex: 1 }}
+          />
+          <input
+            type="text"
+            placeholder="Return event (blank: any event)"
+            value={returnEvent}
+            onChange={(e) => setReturnEvent(e.target.value)}
+            onKeyPress={(e) => e.key === 'Enter' && loadRetention()}
+            style={{ flex: 1 }}
+          />
+          <input
+            type="text"
+            placeholder="Brackets, e.g. 1,2-7,8-30"
+            value={brackets}
+            onChange={(e) => setBrackets(e.target.value)}
+            onKeyPress={(e) => e.key === 'Enter' && loadRetention()}
+            style={{ flex: 1 }}
+          />
+          <button onClick={loadRetention} className="button-secondary">
+            Apply
+          </button>
         </div>
       </div>
 
@@ -66,9 +125,9 @@ const Retention = ({ dateRange }) => {
                   Cohort
                 </th>
                 <th style={{ textAlign: 'center' }}>Size</th>
-                {Array.from({ length: 12 }, (_, i) => (
-                  <th key={i} style={{ textAlign: 'center' }}>
-                    {cohortSize === 'day' ? `D${i}` : cohortSize === 'week' ? `W${i}` : `M${i}`}
+                {columnLabels.map(label => (
+                  <th key={label} style={{ textAlign: 'center' }}>
+                    {label}
                   </th>
                 ))}
               </tr>
@@ -1,5 +1,6 @@
 import React, { useState, useEffect } from 'react'
 import LoadingSpinner from '../components/LoadingSpinner'
+import SankeyChart from '../components/SankeyChart'
 import api from '../utils/api'
 import { formatNumber } from '../utils/formatters'
 
@@ -8,11 +9,40 @@ const UserJourneys = ({ dateRange }) => {
   const [paths, setPaths] = useState([])
   const [dropOffs, setDropOffs] = useState([])
   const [sessionStats, setSessionStats] = useState(null)
+  const [flow, setFlow] = useState(null)
+  const [flowLoading, setFlowLoading] = useState(false)
+  const [anchorEvent, setAnchorEvent] = useState('')
+  const [direction, setDirection] = useState('forward')
+  const [flowSteps, setFlowSteps] = useState(4)
+  const [excludeInput, setExcludeInput] = useState('')
 
   useEffect(() => {
     loadData()
   }, [dateRange])
 
+  useEffect(() => {
+    loadFlow()
+  }, [dateRange, direction, flowSteps])
+
+  const loadFlow = async () => {
+    setFlowLoading(true)
+    try {
+      const response = await api.getPathFlow({
+        anchorEvent: anchorEvent.trim() || null,
+        direction,
+        steps: flowSteps,
+        startDate: dateRange.start,
+        endDate: dateRange.end,
+        exclude: excludeInput.split(',').map(name => name.trim()).filter(Boolean)
+      })
+      setFlow(response.data)
+    } catch (error) {
+      console.error('Error loading path flow:', error)
+      setFlow(null)
+    }
+    setFlowLoading(false)
+  }
+
   const loadData = async () => {
     setLoading(true)
     try {
@@ -116,7 +146,7 @@ const UserJourneys = ({ dateRange }) => {
                 </div>
 
                 <div style={{ display: 'flex', alignItems: 'center', gap: '8px', flexWrap: 'wrap' }}>
-                  {pathData.path.map((step, stepIdx) => (
+                  {(pathData.steps || pathData.path).map((step, stepIdx) => (
                     <React.Fragment key={stepIdx}>
                       <div style={{
                         background: 'var(--accent)',
@@ -128,7 +158,7 @@ const UserJourneys = ({ dateRange }) => {
                       }}>
                         {step}
                       </div>
-                      {stepIdx < pathData.path.length - 1 && (
+                      {stepIdx < (pathData.steps || pathData.path).length - 1 && (
                         <span style={{ color: 'var(--text-muted)' }}>→</span>
                       )}
                     </React.Fragment>
@@ -210,23 +240,54 @@ const UserJourneys = ({ dateRange }) => {
         <div className="card-header">
           <div>
             <h3 className="card-title">Journey Visualization</h3>
-            <p className="card-description">Sankey diagram showing user flow (conceptual)</p>
+            <p className="card-description">
+              {flow
+                ? `${formatNumber(flow.total_sessions)} sessions ${direction === 'forward' ? 'after' : 'before'} ${flow.anchor_event || (direction === 'forward' ? 'session start' : 'session end')}`
+                : 'Path flow between events'}
+            </p>
+          </div>
+          <div style={{ display: 'flex', gap: '12px' }}>
+            <select value={direction} onChange={(e) => setDirection(e.target.value)}>
+              <option value="forward">Forward</option>
+              <option value="backward">Backward</option>
+            </select>
+            <select value={flowSteps} onChange={(e) => setFlowSteps(Number(e.target.value))}>
+              {[2, 3, 4, 5, 6].map(n => (
+                <option key={n} value={n}>{n} steps</option>
+              ))}
+            </select>
           </div>
         </div>
 
-        <div style={{
-          marginTop: '32px',
-          padding: '60px 20px',
-          background: 'var(--bg-primary)',
-          borderRadius: '8px',
-          textAlign: 'center'
-        }}>
-          <div style={{ fontSize: '48px', marginBottom: '16px' }}>🗺️</div>
-          <h4 style={{ color: 'var(--text-primary)', marginBottom: '8px' }}>Interactive Journey Map</h4>
-          <p style={{ color: 'var(--text-muted)', fontSize: '14px' }}>
-            Visual flow diagram would be rendered here with a library like D3.js or Recharts
-          </p>
+        <div style={{ display: 'flex', gap: '12px', marginBottom: '20px' }}>
+          <input
+            type="text"
+            placeholder="Anchor event (blank: session start/end)"
+            value={anchorEvent}
+            onChange={(e) => setAnchorEvent(e.target.value)}
+            onKeyPress={(e) => e.key === 'Enter' && loadFlow()}
+            style={{ flex: 1 }}
+          />
+          <input
+            type="text"
+            placeholder="Exclude events (comma-separated, e.g. heartbeat)"
+            value={excludeInput}
+            onChange={(e) => setExcludeInput(e.target.value)}
+            onKeyPress={(e) => e.key === 'Enter' && loadFlow()}
+            style={{ flex: 1 }}
+          />
+          <button onClick={loadFlow} className="button-secondary">
+            Update
+          </button>
         </div>
+
+        {flowLoading && <LoadingSpinner text="" />}
+        {!flowLoading && flow && <SankeyChart nodes={flow.nodes} links={flow.links} />}
+        {!flowLoading && !flow && (
+          <div className="empty-state">
+            <div className="empty-state-title">Path flow unavailable</div>
+          </div>
+        )}
       </div>
     </div>
   )
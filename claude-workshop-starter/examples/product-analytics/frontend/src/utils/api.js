@@ -30,12 +30,18 @@ class API {
   }
 
   // Events
-  async getEvents(startDate, endDate, eventName = null) {
+  async getEvents(startDate, endDate, eventName = null, limit = null) {
     const params = new URLSearchParams({ start_date: startDate, end_date: endDate })
     if (eventName) params.append('event_name', eventName)
+    if (limit) params.append('limit', limit)
     return this.request(`/events?${params}`)
   }
 
+  async getEventsOverview(startDate, endDate, granularity = 'day') {
+    const params = new URLSearchParams({ start_date: startDate, end_date: endDate, granularity })
+    return this.request(`/events/overview?${params}`)
+  }
+
   async getEventCount(eventName, startDate, endDate) {
     const params = new URLSearchParams({ event_name: eventName, start_date: startDate, end_date: endDate })
     return this.request(`/events/count?${params}`)
@@ -96,8 +102,12 @@ class API {
   }
 
   // Retention
-  async getRetention(cohortSize = 'week', periods = 12) {
-    return this.request(`/retention?cohort_size=${cohortSize}&periods=${periods}`)
+  async getRetention(cohortSize = 'week', periods = 12, { mode = 'bounded', returnEvent = null, cohortEvent = null, brackets = null } = {}) {
+    const params = new URLSearchParams({ cohort_size: cohortSize, periods, mode })
+    if (returnEvent) params.append('return_event', returnEvent)
+    if (cohortEvent) params.append('cohort_event', cohortEvent)
+    if (brackets) params.append('brackets', brackets)
+    return this.request(`/retention?${params}`)
   }
 
   async getDayNRetention(days = [1, 7, 30]) {
@@ -119,6 +129,17 @@ class API {
     return this.request(`/journeys/top-paths?${params}`)
   }
 
+  async getPathFlow({ anchorEvent = null, direction = 'forward', steps = 4, startDate = null, endDate = null, exclude = [] } = {}) {
+    const params = new URLSearchParams({ direction, steps })
+    if (anchorEvent) params.append('anchor_event', anchorEvent)
+    if (startDate && endDate) {
+      params.append('start_date', startDate)
+      params.append('end_date', endDate)
+    }
+    if (exclude.length > 0) params.append('exclude', exclude.join(','))
+    return this.request(`/journeys/flow?${params}`)
+  }
+
   async getUserJourney(userId, limit = 100) {
     return this.request(`/journeys/user/${userId}?limit=${limit}`)
   }
@@ -156,6 +177,12 @@ class API {
     return this.request(`/features/stickiness?${params}`)
   }
 
+  async getStickinessSeries(event, startDate, endDate) {
+    const params = new URLSearchParams({ start_date: startDate, end_date: endDate })
+    if (event) params.append('event', event)
+    return this.request(`/features/stickiness?${params}`)
+  }
+
   async getPowerUsers(event, startDate, endDate, minUsage = 10) {
     const params = new URLSearchParams({ event, start_date: startDate, end_date: endDate, min_usage: minUsage })
     return this.request(`/features/power-users?${params}`)
@@ -194,6 +221,10 @@ class API {
     return this.request(`/experiments/${experimentId}/results`)
   }
 
+  async getExperimentLog(experimentId) {
+    return this.request(`/experiments/${experimentId}/log`)
+  }
+
   async assignToExperiment(experimentId, userId, variant) {
     return this.request(`/experiments/${experimentId}/assign`, {
       method: 'POST',